@@ -1,24 +1,11 @@
-function ActivityHeatmap({ commits, contributors }) {
-  // Generate last 7 days
-  const days = [];
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    days.push(date.toISOString().split('T')[0]);
-  }
+import { describeWindow } from '../utils/analysisWindow';
 
-  // Aggregate commits by day
-  const commitsByDay = {};
-  days.forEach(day => {
-    commitsByDay[day] = 0;
-  });
-
-  commits.forEach(commit => {
-    const day = new Date(commit.date).toISOString().split('T')[0];
-    if (commitsByDay[day] !== undefined) {
-      commitsByDay[day]++;
-    }
-  });
+function ActivityHeatmap({ commits, activity, analysisWindow }) {
+  // One bar per day of the analysis window, bucketed by the server in the viewer's time zone
+  const commitsByDay = activity.byDay;
+  const days = Object.keys(commitsByDay).sort();
+  // Weekday labels fit up to two weeks; longer windows label bars with the day of month
+  const showWeekdays = days.length <= 14;
 
   const maxCommits = Math.max(...Object.values(commitsByDay), 1);
 
@@ -31,17 +18,18 @@ function ActivityHeatmap({ commits, contributors }) {
     return 'bg-pulse-200';
   };
 
+  // Day keys are calendar dates; format them as such so no zone shift applies
   const formatDate = (dateStr) => {
     const date = new Date(dateStr);
-    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
   };
 
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
       <h3 className="text-lg font-semibold text-gray-900 mb-4">
-        Activity (Last 7 Days)
+        Activity ({describeWindow(analysisWindow)})
       </h3>
-      <div className="flex items-end justify-between space-x-2 h-32">
+      <div className={`flex items-end justify-between h-32 ${days.length > 14 ? 'space-x-0.5' : 'space-x-2'}`}>
         {days.map((day) => (
           <div key={day} className="flex-1 flex flex-col items-center">
             <div
@@ -53,7 +41,9 @@ function ActivityHeatmap({ commits, contributors }) {
               title={`${commitsByDay[day]} commits on ${formatDate(day)}`}
             />
             <div className="mt-2 text-xs text-gray-500 text-center">
-              {new Date(day).toLocaleDateString('en-US', { weekday: 'short' })}
+              {showWeekdays
+                ? new Date(day).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' })
+                : new Date(day).getUTCDate()}
             </div>
             <div className="text-xs font-medium text-gray-700">
               {commitsByDay[day]}
@@ -1,24 +1,174 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
 import PropTypes from 'prop-types';
+import { saveBlockerAcknowledgement, removeBlockerAcknowledgement } from '../utils/api';
+
+// Heroicons outline paths, one per blocker type
+const TYPE_ICONS = {
+  AWAITING_REVIEW: [
+    'M15 12a3 3 0 11-6 0 3 3 0 016 0z',
+    'M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z'
+  ],
+  FAILING_CI: ['M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z'],
+  MERGE_CONFLICT: ['M13 10V3L4 14h7v7l9-11h-7z'],
+  CHANGES_REQUESTED_LIMBO: [
+    'M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z'
+  ],
+  STALE_PR: ['M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z'],
+  LONG_RUNNING_PR: ['M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z'],
+  UNASSIGNED_OLD_ISSUE: ['M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z'],
+  STALLED_IN_PROGRESS_ISSUE: ['M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z'],
+  INACTIVE_SOLE_OWNER: ['M13 7a4 4 0 11-8 0 4 4 0 018 0zM9 14a6 6 0 00-6 6v1h12v-1a6 6 0 00-6-6zM21 12h-6'],
+  MILESTONE_AT_RISK: ['M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9']
+};
+
+const SNOOZE_OPTIONS = [
+  { days: 0, label: "Don't snooze" },
+  { days: 1, label: '1 day' },
+  { days: 3, label: '3 days' },
+  { days: 7, label: '1 week' },
+  { days: 14, label: '2 weeks' }
+];
+
+const DEFAULT_ICON = ['M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z'];
+
+function BlockerIcon({ type, className }) {
+  return (
+    <svg className={className} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      {(TYPE_ICONS[type] || DEFAULT_ICON).map(d => (
+        <path key={d} strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={d} />
+      ))}
+    </svg>
+  );
+}
+
+BlockerIcon.propTypes = {
+  type: PropTypes.string.isRequired,
+  className: PropTypes.string
+};
+
+/**
+ * Inline form to assign, annotate and snooze one blocker
+ */
+function AcknowledgeForm({ blocker, repoUrl, onSaved, onCancel }) {
+  const current = blocker.acknowledgement;
+  const [owner, setOwner] = useState(current?.owner || blocker.owner?.logins[0] || '');
+  const [note, setNote] = useState(current?.note || '');
+  const [snoozeDays, setSnoozeDays] = useState(0);
+
+  const mutation = useMutation({
+    mutationFn: saveBlockerAcknowledgement,
+    onSuccess: ({ acknowledgement }) => onSaved({ acknowledgement, snoozed: Boolean(acknowledgement.snoozeUntil) })
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate({
+      repoUrl,
+      blockerKey: blocker.key,
+      fingerprint: blocker.fingerprint,
+      snoozeUntil: snoozeDays > 0 ? new Date(Date.now() + snoozeDays * 24 * 60 * 60 * 1000).toISOString() : undefined,
+      owner,
+      note
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 p-3 bg-white rounded-lg border border-gray-200 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={owner}
+          onChange={(e) => setOwner(e.target.value)}
+          placeholder="Owner"
+          className="flex-1 min-w-[8rem] px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-pulse-500"
+        />
+        <select
+          value={snoozeDays}
+          onChange={(e) => setSnoozeDays(Number(e.target.value))}
+          className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-pulse-500"
+        >
+          {SNOOZE_OPTIONS.map(option => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note, e.g. waiting on vendor"
+        maxLength={1000}
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-pulse-500"
+      />
+      {mutation.isError && (
+        <p className="text-xs text-red-600">{mutation.error.message}</p>
+      )}
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-xs text-gray-600 hover:text-gray-900">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={mutation.isPending}
+          className="px-3 py-1 text-xs font-medium text-white bg-pulse-600 hover:bg-pulse-700 rounded disabled:opacity-50"
+        >
+          {mutation.isPending ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+AcknowledgeForm.propTypes = {
+  blocker: PropTypes.object.isRequired,
+  repoUrl: PropTypes.string.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
 
 /**
  * BlockerPanel Component
- * Displays detected blockers as an alert-style panel on the dashboard
+ * Displays detected blockers as an alert-style panel on the dashboard.
+ * Blockers can be acknowledged with an owner and note, and snoozed; snoozed ones are hidden by default.
  */
-function BlockerPanel({ blockers }) {
+function BlockerPanel({ blockers, repoUrl }) {
   const [expanded, setExpanded] = useState(false);
+  const [showSnoozed, setShowSnoozed] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  // Acknowledgements changed since this pulse, by blocker key
+  const [overrides, setOverrides] = useState({});
+
+  useEffect(() => {
+    setOverrides({});
+    setEditingKey(null);
+  }, [blockers]);
+
+  const removeMutation = useMutation({
+    mutationFn: removeBlockerAcknowledgement,
+    onSuccess: ({ blockerKey }) => {
+      setOverrides(prev => ({ ...prev, [blockerKey]: { acknowledgement: null, snoozed: false } }));
+    }
+  });
 
   if (!blockers || blockers.length === 0) return null;
 
   const severityColors = {
-    high: { bg: 'bg-red-50', border: 'border-red-300', badge: 'bg-red-100 text-red-800' },
-    medium: { bg: 'bg-amber-50', border: 'border-amber-300', badge: 'bg-amber-100 text-amber-800' },
-    low: { bg: 'bg-gray-50', border: 'border-gray-300', badge: 'bg-gray-100 text-gray-700' }
+    high: { bg: 'bg-red-50', border: 'border-red-300', badge: 'bg-red-100 text-red-800', icon: 'text-red-500' },
+    medium: { bg: 'bg-amber-50', border: 'border-amber-300', badge: 'bg-amber-100 text-amber-800', icon: 'text-amber-500' },
+    low: { bg: 'bg-gray-50', border: 'border-gray-300', badge: 'bg-gray-100 text-gray-700', icon: 'text-gray-400' }
   };
 
-  const highCount = blockers.filter(b => b.severity === 'high').length;
-  const displayBlockers = expanded ? blockers : blockers.slice(0, 3);
-  const hasMore = blockers.length > 3;
+  const allBlockers = blockers.map(b => (overrides[b.key] ? { ...b, ...overrides[b.key] } : b));
+  const snoozedCount = allBlockers.filter(b => b.snoozed).length;
+  const visibleBlockers = showSnoozed ? allBlockers : allBlockers.filter(b => !b.snoozed);
+  const highCount = visibleBlockers.filter(b => b.severity === 'high').length;
+  const displayBlockers = expanded ? visibleBlockers : visibleBlockers.slice(0, 3);
+  const hasMore = visibleBlockers.length > 3;
 
   return (
     <div className="bg-white rounded-xl shadow-sm border border-red-200 overflow-hidden mb-6">
@@ -32,23 +182,41 @@ function BlockerPanel({ blockers }) {
             Potential Blockers
           </h3>
           <span className="px-2 py-0.5 text-xs font-medium bg-red-100 text-red-800 rounded-full">
-            {blockers.length} detected
+            {blockers.length - snoozedCount} detected
           </span>
         </div>
-        {highCount > 0 && (
-          <span className="text-sm text-red-700 font-medium">
-            {highCount} high severity
-          </span>
-        )}
+        <div className="flex items-center space-x-4">
+          {highCount > 0 && (
+            <span className="text-sm text-red-700 font-medium">
+              {highCount} high severity
+            </span>
+          )}
+          {snoozedCount > 0 && (
+            <button
+              onClick={() => setShowSnoozed(!showSnoozed)}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              {showSnoozed ? 'Hide snoozed' : `Show ${snoozedCount} snoozed`}
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Blocker cards */}
       <div className="p-6 space-y-3">
+        {visibleBlockers.length === 0 && (
+          <p className="text-sm text-gray-500">All blockers are snoozed.</p>
+        )}
         {displayBlockers.map((blocker, index) => {
           const colors = severityColors[blocker.severity] || severityColors.medium;
+          const { acknowledgement } = blocker;
           return (
-            <div key={index} className={`p-4 rounded-lg ${colors.bg} border ${colors.border}`}>
-              <div className="flex items-start justify-between">
+            <div
+              key={blocker.key || index}
+              className={`p-4 rounded-lg ${colors.bg} border ${colors.border}${blocker.snoozed ? ' opacity-60' : ''}`}
+            >
+              <div className="flex items-start space-x-3">
+                <BlockerIcon type={blocker.type} className={`w-5 h-5 mt-0.5 flex-shrink-0 ${colors.icon}`} />
                 <div className="flex-1">
                   <div className="flex items-center space-x-2 mb-1">
                     <span className={`px-2 py-0.5 text-xs font-medium rounded ${colors.badge}`}>
@@ -57,12 +225,66 @@ function BlockerPanel({ blockers }) {
                     <span className="text-xs text-gray-500 uppercase tracking-wide">
                       {blocker.type.replace(/_/g, ' ')}
                     </span>
+                    {blocker.snoozed && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded bg-gray-200 text-gray-700">
+                        snoozed until {formatDate(acknowledgement.snoozeUntil)}
+                      </span>
+                    )}
                   </div>
                   <p className="font-medium text-gray-900 text-sm">{blocker.title}</p>
                   <p className="text-sm text-gray-600 mt-1">{blocker.description}</p>
+                  {blocker.owner?.logins.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Owner ({blocker.owner.role}): <span className="font-medium">{blocker.owner.logins.join(', ')}</span>
+                    </p>
+                  )}
+                  {acknowledgement && (
+                    <div className="text-xs text-gray-600 mt-2 space-y-0.5">
+                      {acknowledgement.owner && (
+                        <p>Assigned to <span className="font-medium">{acknowledgement.owner}</span></p>
+                      )}
+                      {acknowledgement.note && <p className="italic">&ldquo;{acknowledgement.note}&rdquo;</p>}
+                      {acknowledgement.unsnoozedAt && !acknowledgement.snoozeUntil && (
+                        <p className="text-amber-700">
+                          Un-snoozed {formatDate(acknowledgement.unsnoozedAt)}: {acknowledgement.unsnoozeReason}
+                        </p>
+                      )}
+                    </div>
+                  )}
                   <p className="text-sm text-pulse-700 mt-2 font-medium">
                     Suggested: {blocker.suggestedAction}
                   </p>
+                  {repoUrl && blocker.key && (
+                    editingKey === blocker.key ? (
+                      <AcknowledgeForm
+                        blocker={blocker}
+                        repoUrl={repoUrl}
+                        onSaved={(override) => {
+                          setOverrides(prev => ({ ...prev, [blocker.key]: override }));
+                          setEditingKey(null);
+                        }}
+                        onCancel={() => setEditingKey(null)}
+                      />
+                    ) : (
+                      <div className="flex space-x-3 mt-2">
+                        <button
+                          onClick={() => setEditingKey(blocker.key)}
+                          className="text-xs text-gray-600 hover:text-gray-900 font-medium"
+                        >
+                          {acknowledgement ? 'Edit acknowledgement' : 'Acknowledge'}
+                        </button>
+                        {acknowledgement && (
+                          <button
+                            onClick={() => removeMutation.mutate({ repoUrl, blockerKey: blocker.key })}
+                            disabled={removeMutation.isPending}
+                            className="text-xs text-gray-600 hover:text-gray-900 font-medium disabled:opacity-50"
+                          >
+                            {blocker.snoozed ? 'Un-snooze' : 'Clear'}
+                          </button>
+                        )}
+                      </div>
+                    )
+                  )}
                 </div>
               </div>
             </div>
@@ -74,7 +296,7 @@ function BlockerPanel({ blockers }) {
             onClick={() => setExpanded(!expanded)}
             className="w-full text-center text-sm text-red-700 hover:text-red-900 font-medium py-2"
           >
-            {expanded ? 'Show less' : `Show ${blockers.length - 3} more blockers`}
+            {expanded ? 'Show less' : `Show ${visibleBlockers.length - 3} more blockers`}
           </button>
         )}
       </div>
@@ -84,12 +306,27 @@ function BlockerPanel({ blockers }) {
 
 BlockerPanel.propTypes = {
   blockers: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string,
+    fingerprint: PropTypes.string,
     type: PropTypes.string.isRequired,
     severity: PropTypes.oneOf(['high', 'medium', 'low']).isRequired,
     title: PropTypes.string.isRequired,
     description: PropTypes.string.isRequired,
-    suggestedAction: PropTypes.string.isRequired
-  }))
+    owner: PropTypes.shape({
+      role: PropTypes.oneOf(['author', 'reviewer', 'assignee']).isRequired,
+      logins: PropTypes.arrayOf(PropTypes.string).isRequired
+    }),
+    suggestedAction: PropTypes.string.isRequired,
+    acknowledgement: PropTypes.shape({
+      snoozeUntil: PropTypes.string,
+      owner: PropTypes.string,
+      note: PropTypes.string,
+      unsnoozedAt: PropTypes.string,
+      unsnoozeReason: PropTypes.string
+    }),
+    snoozed: PropTypes.bool
+  })),
+  repoUrl: PropTypes.string
 };
 
 export default BlockerPanel;
@@ -1,87 +1,221 @@
-function BranchList({ branches }) {
-  const sortedBranches = [...branches].sort((a, b) => {
-    // Stale branches first, then by last commit date
-    if (a.isStale && !b.isStale) return -1;
-    if (!a.isStale && b.isStale) return 1;
-    return new Date(b.lastCommitDate) - new Date(a.lastCommitDate);
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import PropTypes from 'prop-types';
+import { fetchBranchCleanup } from '../utils/api';
+
+const FILTERS = [
+  { key: 'all', label: 'All', matches: () => true },
+  { key: 'cleanup', label: 'Cleanup candidates', matches: branch => Boolean(branch.cleanupReason) },
+  { key: 'merged', label: 'Merged', matches: branch => branch.isMerged === true },
+  { key: 'abandoned', label: 'Abandoned', matches: branch => branch.cleanupReason === 'abandoned' },
+  { key: 'stale', label: 'Stale', matches: branch => branch.isStale },
+  { key: 'open-pr', label: 'Has PR', matches: branch => branch.hasOpenPR },
+  { key: 'closed-pr', label: 'PR closed', matches: branch => branch.prClosedUnmerged }
+];
+
+function formatDate(dateStr) {
+  if (!dateStr) return 'Unknown';
+  const date = new Date(dateStr);
+  const diffDays = Math.floor((Date.now() - date) / (1000 * 60 * 60 * 24));
+
+  if (diffDays === 0) return 'Today';
+  if (diffDays === 1) return 'Yesterday';
+  if (diffDays < 7) return `${diffDays} days ago`;
+  return date.toLocaleDateString();
+}
+
+function Badge({ className, children }) {
+  return <span className={`px-2 py-0.5 text-xs font-medium rounded whitespace-nowrap ${className}`}>{children}</span>;
+}
+
+Badge.propTypes = {
+  className: PropTypes.string.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+/**
+ * BranchList Component
+ * Every branch with its author, last commit and divergence from the default branch,
+ * filterable down to the ones ready for cleanup. The pulse leaves the divergence out;
+ * it costs a call or two per branch, so it is loaded on request
+ */
+function BranchList({ branches: pulseBranches, branchCleanup: pulseCleanup, owner, repo, repoUrl, defaultBranch, analysisWindow }) {
+  const [filter, setFilter] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [compareRequested, setCompareRequested] = useState(false);
+
+  const { data, isFetching, isError, error } = useQuery({
+    queryKey: ['branch-cleanup', repoUrl, owner, repo, analysisWindow?.since, analysisWindow?.until],
+    queryFn: () => fetchBranchCleanup({ owner, repo, repoUrl, analysisWindow }),
+    enabled: Boolean(compareRequested && owner && repo)
   });
+  const branches = data?.branches || pulseBranches;
+  const branchCleanup = data?.branchCleanup || pulseCleanup;
 
-  const displayedBranches = sortedBranches.slice(0, 10);
+  const counts = Object.fromEntries(FILTERS.map(f => [f.key, branches.filter(f.matches).length]));
+  const query = searchQuery.toLowerCase();
+  const activeFilter = FILTERS.find(f => f.key === filter);
 
-  const formatDate = (dateStr) => {
-    if (!dateStr) return 'Unknown';
-    const date = new Date(dateStr);
-    const now = new Date();
-    const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
-    
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Yesterday';
-    if (diffDays < 7) return `${diffDays} days ago`;
-    return date.toLocaleDateString();
-  };
+  const displayedBranches = branches
+    .filter(activeFilter.matches)
+    .filter(branch => !query || branch.name.toLowerCase().includes(query) || (branch.author || '').toLowerCase().includes(query))
+    .sort((a, b) => {
+      // Default branch first, then cleanup candidates and stale branches, then newest commit
+      if (a.isDefault !== b.isDefault) return a.isDefault ? -1 : 1;
+      const aFlagged = Boolean(a.cleanupReason || a.isStale);
+      const bFlagged = Boolean(b.cleanupReason || b.isStale);
+      if (aFlagged !== bFlagged) return aFlagged ? -1 : 1;
+      return new Date(b.lastCommitDate || 0) - new Date(a.lastCommitDate || 0);
+    });
 
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-lg font-semibold text-gray-900">Branches</h3>
-        <span className="text-sm text-gray-500">{branches.length} total</span>
+        <div className="flex items-center gap-3 text-sm text-gray-500">
+          <span>
+            {branches.length} total
+            {branchCleanup && ` · ${branchCleanup.counts.merged + branchCleanup.counts.abandoned} to clean up`}
+          </span>
+          {!data && owner && repo && branches.length > 1 && (
+            <button
+              onClick={() => setCompareRequested(true)}
+              disabled={isFetching}
+              className="px-2.5 py-1 text-xs font-medium rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {isFetching ? 'Comparing...' : `Compare with ${defaultBranch || 'default branch'}`}
+            </button>
+          )}
+        </div>
       </div>
-      
+
+      {isError && <p className="mb-3 text-sm text-red-600">{error.message}</p>}
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {FILTERS.filter(f => f.key === 'all' || counts[f.key] > 0).map(f => (
+          <button
+            key={f.key}
+            onClick={() => setFilter(f.key)}
+            className={`px-2.5 py-1 text-xs font-medium rounded-full border transition-colors ${
+              filter === f.key
+                ? 'bg-pulse-50 border-pulse-300 text-pulse-700'
+                : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {f.label} ({counts[f.key]})
+          </button>
+        ))}
+        {branches.length > 5 && (
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search branch or author..."
+            className="ml-auto px-3 py-1 text-sm border border-gray-200 rounded-lg
+                       focus:ring-2 focus:ring-pulse-500 focus:border-transparent outline-none"
+          />
+        )}
+      </div>
+
       {displayedBranches.length === 0 ? (
-        <p className="text-gray-500 text-sm">No branches found</p>
+        <p className="text-gray-500 text-sm">
+          {branches.length === 0 ? 'No branches found' : 'No branches match'}
+        </p>
       ) : (
-        <div className="space-y-3">
-          {displayedBranches.map((branch) => (
-            <div
-              key={branch.name}
-              className={`flex items-center justify-between p-3 rounded-lg ${
-                branch.isStale ? 'bg-red-50 border border-red-200' : 'bg-gray-50'
-              }`}
-            >
-              <div className="flex items-center space-x-3">
-                <svg
-                  className={`w-4 h-4 ${branch.isStale ? 'text-red-500' : 'text-gray-400'}`}
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M13 10V3L4 14h7v7l9-11h-7z"
-                  />
-                </svg>
-                <div>
-                  <span className="font-medium text-gray-900">{branch.name}</span>
-                  {branch.isStale && (
-                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-red-100 text-red-700 rounded">
-                      Stale
-                    </span>
-                  )}
-                  {branch.hasOpenPR && (
-                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-700 rounded">
-                      Has PR
-                    </span>
-                  )}
-                </div>
-              </div>
-              <div className="text-right">
-                <div className="text-sm text-gray-600">{formatDate(branch.lastCommitDate)}</div>
-                <div className="text-xs text-gray-400">{branch.lastCommitAuthor}</div>
-              </div>
-            </div>
-          ))}
+        <div className="max-h-96 overflow-y-auto border border-gray-100 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+              <tr>
+                <th className="text-left font-medium px-3 py-2">Branch</th>
+                <th className="text-left font-medium px-3 py-2">Author</th>
+                <th className="text-left font-medium px-3 py-2">Last commit</th>
+                <th className="text-right font-medium px-3 py-2" title="Commits ahead of / behind the default branch">
+                  Ahead / behind
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {displayedBranches.map(branch => (
+                <tr key={branch.name} className={branch.cleanupReason ? 'bg-amber-50/50' : branch.isStale ? 'bg-red-50/50' : ''}>
+                  <td className="px-3 py-2">
+                    <div className="flex flex-wrap items-center gap-1.5">
+                      <span className="font-medium text-gray-900 break-all">{branch.name}</span>
+                      {branch.isDefault && <Badge className="bg-gray-100 text-gray-600">Default</Badge>}
+                      {branch.isMerged && <Badge className="bg-purple-100 text-purple-700">Merged</Badge>}
+                      {branch.cleanupReason === 'abandoned' && <Badge className="bg-amber-100 text-amber-800">Abandoned</Badge>}
+                      {branch.isStale && <Badge className="bg-red-100 text-red-700">Stale</Badge>}
+                      {branch.hasOpenPR && <Badge className="bg-green-100 text-green-700">Has PR</Badge>}
+                      {branch.prClosedUnmerged && (
+                        <Badge className="bg-gray-100 text-gray-600">
+                          PR #{branch.lastPullRequest.number} closed
+                        </Badge>
+                      )}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{branch.author || branch.lastCommitAuthor}</td>
+                  <td className="px-3 py-2 text-gray-600 whitespace-nowrap">{formatDate(branch.lastCommitDate)}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {branch.isDefault || branch.aheadBy === null || branch.aheadBy === undefined ? (
+                      <span className="text-gray-400">—</span>
+                    ) : (
+                      <>
+                        <span className="text-green-700">{branch.aheadBy}</span>
+                        <span className="text-gray-400"> / </span>
+                        <span className="text-gray-500">{branch.behindBy}</span>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
       )}
-      
-      {branches.length > 10 && (
-        <p className="mt-3 text-sm text-gray-500 text-center">
-          +{branches.length - 10} more branches
+
+      {data && branchCleanup?.truncated && (
+        <p className="mt-3 text-xs text-gray-400">
+          Only {branchCleanup.counts.compared} branches were compared with the default branch.
         </p>
       )}
     </div>
   );
 }
 
+BranchList.propTypes = {
+  branches: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    lastCommitDate: PropTypes.string,
+    lastCommitAuthor: PropTypes.string,
+    author: PropTypes.string,
+    isDefault: PropTypes.bool,
+    isStale: PropTypes.bool,
+    hasOpenPR: PropTypes.bool,
+    aheadBy: PropTypes.number,
+    behindBy: PropTypes.number,
+    isMerged: PropTypes.bool,
+    prClosedUnmerged: PropTypes.bool,
+    lastPullRequest: PropTypes.shape({ number: PropTypes.number }),
+    cleanupReason: PropTypes.oneOf(['merged', 'abandoned'])
+  })).isRequired,
+  branchCleanup: PropTypes.shape({
+    counts: PropTypes.shape({
+      compared: PropTypes.number,
+      merged: PropTypes.number,
+      abandoned: PropTypes.number
+    }),
+    truncated: PropTypes.bool
+  }),
+  owner: PropTypes.string,
+  repo: PropTypes.string,
+  repoUrl: PropTypes.string,
+  defaultBranch: PropTypes.string,
+  analysisWindow: PropTypes.shape({
+    days: PropTypes.number,
+    relative: PropTypes.bool,
+    since: PropTypes.string,
+    until: PropTypes.string,
+    timeZone: PropTypes.string
+  })
+};
+
 export default BranchList;
@@ -8,12 +8,12 @@ import { analyzeCommit } from '../utils/api';
  * Compact, scannable AI-powered commit diff analysis
  * Supports both manual SHA input and external trigger via initialSha prop
  */
-const CommitAnalyzer = forwardRef(function CommitAnalyzer({ owner, repo, initialSha }, ref) {
+const CommitAnalyzer = forwardRef(function CommitAnalyzer({ owner, repo, repoUrl, initialSha }, ref) {
   const [sha, setSha] = useState('');
   const pendingShaRef = useRef(null);
 
   const mutation = useMutation({
-    mutationFn: (shaToAnalyze) => analyzeCommit(owner, repo, (shaToAnalyze || sha).trim()),
+    mutationFn: (shaToAnalyze) => analyzeCommit(owner, repo, (shaToAnalyze || sha).trim(), repoUrl),
   });
 
   // Auto-trigger when initialSha changes from parent (contributor click)
@@ -176,6 +176,7 @@ CommitAnalyzer.displayName = 'CommitAnalyzer';
 CommitAnalyzer.propTypes = {
   owner: PropTypes.string.isRequired,
   repo: PropTypes.string.isRequired,
+  repoUrl: PropTypes.string,
   initialSha: PropTypes.string,
 };
 
@@ -1,4 +1,5 @@
 import PropTypes from 'prop-types';
+import { describeWindow } from '../utils/analysisWindow';
 
 /**
  * Get color class for a commit count
@@ -29,17 +30,28 @@ function getDayAbbrev(dateStr) {
   return date.toLocaleDateString('en-US', { weekday: 'short' });
 }
 
+/**
+ * Cell size and label style for a grid of the given width, so 30-day windows stay readable
+ */
+function getGridScale(dayCount) {
+  if (dayCount <= 7) return { cell: 'w-7 h-7', label: 'w-7', dayLabel: getDayAbbrev };
+  if (dayCount <= 14) return { cell: 'w-5 h-5', label: 'w-5', dayLabel: date => getDayAbbrev(date).slice(0, 2) };
+  return { cell: 'w-4 h-4', label: 'w-4', dayLabel: date => String(Number(date.slice(8))) };
+}
+
 /**
  * ContributorHeatmap Component
  * Displays a color-coded grid showing each contributor's daily commit activity
  */
-function ContributorHeatmap({ contributors }) {
+function ContributorHeatmap({ contributors, analysisWindow }) {
+  const title = `Contributor Activity — ${describeWindow(analysisWindow)}`;
+
   // Handle empty/undefined state
   if (!contributors || contributors.length === 0) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">
-          Contributor Activity — Last 7 Days
+          {title}
         </h3>
         <div className="flex items-center justify-center py-8 text-gray-500">
           No contributor activity found for this repository.
@@ -60,7 +72,7 @@ function ContributorHeatmap({ contributors }) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">
-          Contributor Activity — Last 7 Days
+          {title}
         </h3>
         <div className="flex items-center justify-center py-8 text-gray-500">
           No contributor activity found for this repository.
@@ -69,16 +81,18 @@ function ContributorHeatmap({ contributors }) {
     );
   }
 
-  // Sort contributors by weekly activity (desc), then by total commits (desc)
+  const scale = getGridScale(dates.length);
+
+  // Sort contributors by activity in the window (desc), then by total commits (desc)
   const sortedContributors = [...contributors]
     .map(contributor => {
-      const weeklyCommits = Object.values(contributor.commitsByDay || {})
+      const windowCommits = Object.values(contributor.commitsByDay || {})
         .reduce((sum, count) => sum + count, 0);
-      return { ...contributor, weeklyCommits };
+      return { ...contributor, windowCommits };
     })
     .sort((a, b) => {
-      if (b.weeklyCommits !== a.weeklyCommits) {
-        return b.weeklyCommits - a.weeklyCommits;
+      if (b.windowCommits !== a.windowCommits) {
+        return b.windowCommits - a.windowCommits;
       }
       return b.totalCommits - a.totalCommits;
     })
@@ -87,7 +101,7 @@ function ContributorHeatmap({ contributors }) {
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
       <h3 className="text-lg font-semibold text-gray-900 mb-4">
-        Contributor Activity — Last 7 Days
+        {title}
       </h3>
 
       {/* Heatmap Grid */}
@@ -102,9 +116,9 @@ function ContributorHeatmap({ contributors }) {
               {dates.map(date => (
                 <div 
                   key={date} 
-                  className="w-7 h-5 flex items-center justify-center text-xs text-gray-500 font-medium"
+                  className={`${scale.label} h-5 flex items-center justify-center text-xs text-gray-500 font-medium`}
                 >
-                  {getDayAbbrev(date)}
+                  {scale.dayLabel(date)}
                 </div>
               ))}
             </div>
@@ -146,7 +160,7 @@ function ContributorHeatmap({ contributors }) {
                     return (
                       <div key={date} className="relative group">
                         <div
-                          className={`w-7 h-7 rounded ${getCommitColor(count)} cursor-default transition-transform group-hover:scale-110`}
+                          className={`${scale.cell} rounded ${getCommitColor(count)} cursor-default transition-transform group-hover:scale-110`}
                         />
                         {/* Tooltip */}
                         <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10">
@@ -159,10 +173,10 @@ function ContributorHeatmap({ contributors }) {
                   })}
                 </div>
 
-                {/* Weekly Total */}
+                {/* Window Total */}
                 <div className="w-16 flex-shrink-0 text-right pl-3">
                   <span className="text-sm text-gray-500">
-                    {contributor.weeklyCommits}
+                    {contributor.windowCommits}
                   </span>
                 </div>
               </div>
@@ -203,7 +217,13 @@ ContributorHeatmap.propTypes = {
       totalCommits: PropTypes.number,
       commitsByDay: PropTypes.object
     })
-  )
+  ),
+  analysisWindow: PropTypes.shape({
+    days: PropTypes.number,
+    since: PropTypes.string,
+    until: PropTypes.string,
+    relative: PropTypes.bool
+  })
 };
 
 export default ContributorHeatmap;
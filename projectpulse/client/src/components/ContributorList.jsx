@@ -17,7 +17,7 @@ function timeAgo(dateStr) {
   return `${Math.floor(days / 30)}mo ago`;
 }
 
-function ContributorList({ contributors, commits, owner, repo, onAnalyzeCommit }) {
+function ContributorList({ contributors, commits, bots = [], owner, repo, repoUrl, analysisWindow, onAnalyzeCommit }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [expandedUser, setExpandedUser] = useState(null);
   const [fetchedCommits, setFetchedCommits] = useState({});
@@ -33,7 +33,9 @@ function ContributorList({ contributors, commits, owner, repo, onAnalyzeCommit }
 
   // Filter by search
   const filtered = searchQuery
-    ? sortedContributors.filter(c => c.login.toLowerCase().includes(searchQuery.toLowerCase()))
+    ? sortedContributors.filter(c =>
+      [c.login, ...(c.aliases || [])].some(name => name.toLowerCase().includes(searchQuery.toLowerCase()))
+    )
     : sortedContributors;
 
   const displayList = filtered.slice(0, 10);
@@ -62,7 +64,7 @@ function ContributorList({ contributors, commits, owner, repo, onAnalyzeCommit }
     if (local.length < 5 && !fetchedCommits[username] && owner && repo) {
       setLoadingUser(username);
       try {
-        const data = await fetchContributorCommits(owner, repo, username);
+        const data = await fetchContributorCommits(owner, repo, username, repoUrl);
         setFetchedCommits(prev => ({ ...prev, [username]: data }));
       } catch (err) {
         console.warn('Failed to fetch commits for', username, err.message);
@@ -132,10 +134,13 @@ function ContributorList({ contributors, commits, owner, repo, onAnalyzeCommit }
                         <div className="absolute -bottom-0.5 -right-0.5 w-3 h-3 bg-green-500 rounded-full border-2 border-white" />
                       )}
                     </div>
-                    <div>
+                    <div className="min-w-0">
                       <span className="font-medium text-gray-900 text-sm">{contributor.login}</span>
                       {isActive && (
-                        <span className="ml-2 text-xs text-green-600">{recentCommits} this week</span>
+                        <span className="ml-2 text-xs text-green-600">{recentCommits} in {analysisWindow?.days || 7}d</span>
+                      )}
+                      {contributor.aliases?.length > 0 && (
+                        <p className="text-xs text-gray-400 truncate">also {contributor.aliases.join(', ')}</p>
                       )}
                     </div>
                   </div>
@@ -209,6 +214,23 @@ function ContributorList({ contributors, commits, owner, repo, onAnalyzeCommit }
           +{filtered.length - 10} more contributors
         </p>
       )}
+
+      {bots.length > 0 && (
+        <div className="mt-4 pt-3 border-t border-gray-100">
+          <p className="text-xs font-medium text-gray-500 mb-1">Bots (not counted above)</p>
+          <div className="space-y-1">
+            {bots.map(bot => (
+              <div key={bot.login} className="flex items-center justify-between text-xs text-gray-600">
+                <span className="truncate">{bot.login}</span>
+                <span className="text-gray-400 flex-shrink-0">
+                  {bot.pullRequests.length} PR{bot.pullRequests.length !== 1 ? 's' : ''}
+                  {' · '}{bot.commits} commit{bot.commits !== 1 ? 's' : ''} in {analysisWindow?.days || 7}d
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -216,8 +238,15 @@ function ContributorList({ contributors, commits, owner, repo, onAnalyzeCommit }
 ContributorList.propTypes = {
   contributors: PropTypes.array.isRequired,
   commits: PropTypes.array,
+  bots: PropTypes.arrayOf(PropTypes.shape({
+    login: PropTypes.string.isRequired,
+    commits: PropTypes.number.isRequired,
+    pullRequests: PropTypes.array.isRequired
+  })),
   owner: PropTypes.string,
   repo: PropTypes.string,
+  repoUrl: PropTypes.string,
+  analysisWindow: PropTypes.shape({ days: PropTypes.number }),
   onAnalyzeCommit: PropTypes.func,
 };
 
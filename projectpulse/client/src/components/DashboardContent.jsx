@@ -1,18 +1,25 @@
 import RepoHeader from './RepoHeader';
 import StatsGrid from './StatsGrid';
 import ActivityHeatmap from './ActivityHeatmap';
+import WorkPatternHeatmap from './WorkPatternHeatmap';
 import BranchList from './BranchList';
 import PullRequestList from './PullRequestList';
+import ShippedList from './ShippedList';
+import FlowMetrics from './FlowMetrics';
+import DeliveryMetrics from './DeliveryMetrics';
+import MilestoneBurndown from './MilestoneBurndown';
+import OwnershipPanel from './OwnershipPanel';
 import IssueList from './IssueList';
+import IssueFlowPanel from './IssueFlowPanel';
 import ContributorList from './ContributorList';
 
 function DashboardContent({ data, onAnalyzeCommit }) {
-  const { meta, commits, branches, pullRequests, issues, contributors, cached } = data;
+  const { meta, commits, branches, branchCleanup, pullRequests, closedPullRequests, flowMetrics, deliveryMetrics, milestones, ownership, issues, issueMetrics, workItems, contributors, identities, activity, cached, skipped, healthScore, window: analysisWindow } = data;
 
   return (
     <div className="space-y-6">
       {/* Repository Header */}
-      <RepoHeader meta={meta} cached={cached} />
+      <RepoHeader meta={meta} cached={cached} skipped={skipped} healthScore={healthScore} />
 
       {/* Stats Grid */}
       <StatsGrid
@@ -21,28 +28,61 @@ function DashboardContent({ data, onAnalyzeCommit }) {
         pullRequests={pullRequests}
         issues={issues}
         contributors={contributors}
+        analysisWindow={analysisWindow}
       />
 
       {/* Activity Heatmap Placeholder */}
-      <ActivityHeatmap commits={commits} contributors={contributors} />
+      <ActivityHeatmap commits={commits} activity={activity} analysisWindow={analysisWindow} />
+
+      {/* When the team works: weekday x hour-of-day */}
+      <WorkPatternHeatmap activity={activity} />
+
+      {/* Review flow of merged PRs */}
+      <FlowMetrics flowMetrics={flowMetrics} analysisWindow={analysisWindow} />
+
+      {/* Deployment frequency, lead time, change failure rate, time to restore */}
+      <DeliveryMetrics deliveryMetrics={deliveryMetrics} analysisWindow={analysisWindow} />
+
+      {/* Burndown and projected finish of open milestones */}
+      <MilestoneBurndown milestones={milestones} />
+
+      {/* Who knows which parts of the code, and where only one person does */}
+      <OwnershipPanel ownership={ownership} />
+
+      {/* Every branch with its divergence, filterable to the cleanup candidates */}
+      <BranchList
+        branches={branches}
+        branchCleanup={branchCleanup}
+        owner={meta.owner}
+        repo={meta.name}
+        repoUrl={meta.htmlUrl}
+        defaultBranch={meta.defaultBranch}
+        analysisWindow={analysisWindow}
+      />
 
       {/* Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Branches */}
-        <BranchList branches={branches} />
-
         {/* Pull Requests */}
         <PullRequestList pullRequests={pullRequests} />
 
         {/* Issues */}
-        <IssueList issues={issues} />
+        <IssueList issues={issues} workItems={workItems} />
+
+        {/* Issue response times, triage and label aging */}
+        <IssueFlowPanel issueMetrics={issueMetrics} analysisWindow={analysisWindow} />
+
+        {/* Merged in the window */}
+        <ShippedList closedPullRequests={closedPullRequests} analysisWindow={analysisWindow} />
 
         {/* Contributors */}
         <ContributorList
           contributors={contributors}
           commits={commits}
+          bots={identities?.bots}
           owner={meta.owner}
           repo={meta.name}
+          repoUrl={meta.htmlUrl}
+          analysisWindow={analysisWindow}
           onAnalyzeCommit={onAnalyzeCommit}
         />
       </div>
@@ -0,0 +1,228 @@
+import PropTypes from 'prop-types';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid
+} from 'recharts';
+import { describeWindow } from '../utils/analysisWindow';
+
+const SOURCE_LABELS = {
+  deployments: 'deployments',
+  releases: 'releases',
+  tags: 'tags'
+};
+
+const RATING_STYLES = {
+  elite: 'bg-green-100 text-green-800',
+  high: 'bg-blue-100 text-blue-800',
+  medium: 'bg-amber-100 text-amber-800',
+  low: 'bg-red-100 text-red-800'
+};
+
+const REASON_LABELS = {
+  failed: 'deployment failed',
+  revert: 'reverted',
+  hotfix: 'hotfixed'
+};
+
+/**
+ * Format hours as "45m", "5h" or "2.5d"
+ */
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 1) return `${Math.max(Math.round(hours * 60), 1)}m`;
+  if (hours < 24) return `${Math.round(hours * 10) / 10}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+}
+
+function RatingBadge({ rating }) {
+  if (!rating) return null;
+  return (
+    <span className={`px-1.5 py-0.5 text-xs font-medium rounded capitalize ${RATING_STYLES[rating]}`}>
+      {rating}
+    </span>
+  );
+}
+
+RatingBadge.propTypes = {
+  rating: PropTypes.oneOf(['elite', 'high', 'medium', 'low'])
+};
+
+function MetricTile({ label, value, detail, rating }) {
+  return (
+    <div className="p-3 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-medium text-gray-500">{label}</p>
+        <RatingBadge rating={rating} />
+      </div>
+      <p className="text-xl font-semibold text-gray-900">{value}</p>
+      <p className="text-xs text-gray-500">{detail}</p>
+    </div>
+  );
+}
+
+MetricTile.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  detail: PropTypes.string.isRequired,
+  rating: PropTypes.string
+};
+
+/**
+ * Deliveries per day, split into successful and failed
+ */
+function toDailyCounts(events, timeZone) {
+  const byDay = new Map();
+  [...events].reverse().forEach(event => {
+    const label = new Date(event.at).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone });
+    if (!byDay.has(label)) byDay.set(label, { label, succeeded: 0, failed: 0 });
+    byDay.get(label)[event.status === 'failure' ? 'failed' : 'succeeded']++;
+  });
+  return Array.from(byDay.values());
+}
+
+/**
+ * DeliveryMetrics Component
+ * DORA-style delivery metrics from the repo's deployments, releases or tags
+ */
+function DeliveryMetrics({ deliveryMetrics, analysisWindow }) {
+  if (!deliveryMetrics) return null;
+
+  const { source, environments, deploymentFrequency, leadTimeHours, changeFailureRate, timeToRestoreHours, failures, events } = deliveryMetrics;
+  const sourceLabel = SOURCE_LABELS[source];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Delivery</h3>
+        <p className="text-xs text-gray-500">
+          {source
+            ? <>Measured from {sourceLabel}{environments.length > 0 && <> to {environments.join(', ')}</>} · {describeWindow(analysisWindow)}</>
+            : describeWindow(analysisWindow)}
+        </p>
+      </div>
+
+      {!source ? (
+        <div className="h-32 flex items-center justify-center text-gray-500 text-sm text-center">
+          No deployments, releases or tags in this window, so there is no delivery to measure.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            <MetricTile
+              label="Deployment frequency"
+              value={`${deploymentFrequency.perWeek}/wk`}
+              detail={`${deploymentFrequency.count} ${sourceLabel} in the window`}
+              rating={deploymentFrequency.rating}
+            />
+            <MetricTile
+              label={leadTimeHours.method === 'time-approx' ? 'Lead time for changes (approx.)' : 'Lead time for changes'}
+              value={formatHours(leadTimeHours.median)}
+              detail={`p90 ${formatHours(leadTimeHours.p90)} · ${leadTimeHours.unreleased} commit${leadTimeHours.unreleased !== 1 ? 's' : ''} not shipped yet${leadTimeHours.method === 'time-approx' ? ' · matched to the next delivery by time' : ''}`}
+              rating={leadTimeHours.rating}
+            />
+            <MetricTile
+              label="Change failure rate"
+              value={changeFailureRate.rate === null ? '—' : `${Math.round(changeFailureRate.rate * 100)}%`}
+              detail={`${changeFailureRate.failed} of ${changeFailureRate.total} failed`}
+              rating={changeFailureRate.rating}
+            />
+            <MetricTile
+              label="Time to restore"
+              value={formatHours(timeToRestoreHours.median)}
+              detail={timeToRestoreHours.unrestored > 0
+                ? `${timeToRestoreHours.unrestored} not restored yet`
+                : `${timeToRestoreHours.count} restored`}
+              rating={timeToRestoreHours.rating}
+            />
+          </div>
+
+          <div className="h-48 mb-4">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={toDailyCounts(events, analysisWindow?.timeZone)} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                <Tooltip />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                <Bar dataKey="succeeded" name="Shipped" stackId="deliveries" fill="#10b981" />
+                <Bar dataKey="failed" name="Failed" stackId="deliveries" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {failures.length > 0 && (
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-wide text-red-700 mb-1">
+                Failed changes ({failures.length})
+              </p>
+              <ul className="space-y-0.5">
+                {failures.slice(-5).reverse().map(failure => (
+                  <li key={`${failure.name}-${failure.at}`} className="text-sm text-gray-700 truncate">
+                    {failure.name} <span className="text-gray-400">{REASON_LABELS[failure.reason]}</span>
+                    {failure.commit && <span className="text-gray-500"> — {failure.commit.message}</span>}
+                    <span className="text-gray-400">
+                      {failure.restoredAt ? ` · restored in ${formatHours(failure.timeToRestoreHours)}` : ' · not restored yet'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const statsShape = {
+  median: PropTypes.number,
+  p90: PropTypes.number,
+  count: PropTypes.number,
+  rating: PropTypes.string
+};
+
+DeliveryMetrics.propTypes = {
+  deliveryMetrics: PropTypes.shape({
+    source: PropTypes.oneOf(['deployments', 'releases', 'tags']),
+    environments: PropTypes.arrayOf(PropTypes.string).isRequired,
+    deploymentFrequency: PropTypes.shape({
+      count: PropTypes.number.isRequired,
+      perWeek: PropTypes.number.isRequired,
+      rating: PropTypes.string
+    }).isRequired,
+    leadTimeHours: PropTypes.shape({
+      ...statsShape,
+      unreleased: PropTypes.number,
+      method: PropTypes.oneOf(['ancestry', 'time-approx'])
+    }).isRequired,
+    changeFailureRate: PropTypes.shape({
+      failed: PropTypes.number.isRequired,
+      total: PropTypes.number.isRequired,
+      rate: PropTypes.number,
+      rating: PropTypes.string
+    }).isRequired,
+    timeToRestoreHours: PropTypes.shape({ ...statsShape, unrestored: PropTypes.number }).isRequired,
+    failures: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      at: PropTypes.string.isRequired,
+      reason: PropTypes.string.isRequired,
+      commit: PropTypes.shape({ sha: PropTypes.string, message: PropTypes.string }),
+      restoredAt: PropTypes.string,
+      timeToRestoreHours: PropTypes.number
+    })).isRequired,
+    events: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      at: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired
+    })).isRequired
+  }),
+  analysisWindow: PropTypes.object
+};
+
+export default DeliveryMetrics;
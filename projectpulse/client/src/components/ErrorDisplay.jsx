@@ -19,7 +19,7 @@ function ErrorDisplay({ error, onRetry, onReset }) {
       case 'RATE_LIMITED':
         return {
           title: 'Rate Limit Exceeded',
-          description: 'GitHub API rate limit has been reached. Please wait a few minutes and try again.',
+          description: 'The repository host\'s API rate limit has been reached. Please wait a few minutes and try again.',
           icon: (
             <svg className="w-12 h-12 text-yellow-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -39,7 +39,7 @@ function ErrorDisplay({ error, onRetry, onReset }) {
       case 'INVALID_URL':
         return {
           title: 'Invalid Repository URL',
-          description: 'Please enter a valid GitHub repository URL (e.g., facebook/react or https://github.com/facebook/react).',
+          description: 'Please enter a valid GitHub, GitLab or Gitea repository URL (e.g., facebook/react or https://gitlab.com/group/project).',
           icon: (
             <svg className="w-12 h-12 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid
+} from 'recharts';
+import { describeWindow } from '../utils/analysisWindow';
+
+const METRICS = [
+  { id: 'cycleTimeHours', label: 'Cycle time', hint: 'first commit to merge' },
+  { id: 'timeToFirstReviewHours', label: 'First review', hint: 'opened to first review' },
+  { id: 'reviewRounds', label: 'Review rounds', hint: 'revisions that drew a review', rounds: true },
+  { id: 'approvalToMergeHours', label: 'Approval to merge', hint: 'last approval to merge' }
+];
+
+const BREAKDOWNS = [
+  { id: 'byAuthor', label: 'By author' },
+  { id: 'byBaseBranch', label: 'By base branch' }
+];
+
+// Busiest groups only, so the bars stay readable
+const MAX_GROUPS = 10;
+
+/**
+ * Format hours as "5h" or "2.5d", or review rounds as a plain number
+ */
+function formatValue(value, rounds) {
+  if (value === null || value === undefined) return '—';
+  if (rounds) return String(value);
+  if (value < 24) return `${Math.round(value * 10) / 10}h`;
+  return `${Math.round((value / 24) * 10) / 10}d`;
+}
+
+/**
+ * FlowMetrics Component
+ * How merged PRs moved through review: medians and p90s overall, charted per author or base branch
+ */
+function FlowMetrics({ flowMetrics, analysisWindow }) {
+  const [metricId, setMetricId] = useState('cycleTimeHours');
+  const [breakdownId, setBreakdownId] = useState('byAuthor');
+
+  if (!flowMetrics) return null;
+
+  const metric = METRICS.find(m => m.id === metricId);
+  const groups = flowMetrics[breakdownId]
+    .filter(group => group.metrics[metricId].count > 0)
+    .slice(0, MAX_GROUPS)
+    .map(group => ({
+      name: group.key,
+      pullRequests: group.pullRequests,
+      median: group.metrics[metricId].median,
+      p90: group.metrics[metricId].p90
+    }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Review Flow</h3>
+          <p className="text-xs text-gray-500">
+            {flowMetrics.merged} PR{flowMetrics.merged !== 1 ? 's' : ''} merged · {describeWindow(analysisWindow)}
+            {flowMetrics.unreviewed > 0 && <>, {flowMetrics.unreviewed} without a review</>}
+          </p>
+        </div>
+      </div>
+
+      {flowMetrics.merged === 0 ? (
+        <div className="h-32 flex items-center justify-center text-gray-500 text-sm">
+          No PRs merged in this window.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            {METRICS.map(m => {
+              const stats = flowMetrics.metrics[m.id];
+              return (
+                <button
+                  key={m.id}
+                  onClick={() => setMetricId(m.id)}
+                  className={`text-left p-3 rounded-lg border transition-colors ${
+                    metricId === m.id ? 'border-pulse-500 bg-pulse-50' : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  <p className="text-xs font-medium text-gray-500">{m.label}</p>
+                  <p className="text-xl font-semibold text-gray-900">{formatValue(stats.median, m.rounds)}</p>
+                  <p className="text-xs text-gray-500">
+                    p90 {formatValue(stats.p90, m.rounds)} · {stats.count} PR{stats.count !== 1 ? 's' : ''}
+                  </p>
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-medium text-gray-700">
+              {metric.label} <span className="text-gray-400 font-normal">({metric.hint})</span>
+            </p>
+            <div className="flex space-x-1 text-sm">
+              {BREAKDOWNS.map(b => (
+                <button
+                  key={b.id}
+                  onClick={() => setBreakdownId(b.id)}
+                  className={`px-2 py-1 rounded ${
+                    breakdownId === b.id ? 'bg-pulse-100 text-pulse-700' : 'text-gray-500 hover:text-gray-900'
+                  }`}
+                >
+                  {b.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {groups.length === 0 ? (
+            <div className="h-32 flex items-center justify-center text-gray-500 text-sm">
+              The provider didn&apos;t report this for any merged PR.
+            </div>
+          ) : (
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={groups} margin={{ top: 5, right: 10, left: -10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+                  <XAxis dataKey="name" tick={{ fontSize: 12 }} interval={0} />
+                  <YAxis
+                    allowDecimals={!metric.rounds}
+                    tickFormatter={(value) => formatValue(value, metric.rounds)}
+                    tick={{ fontSize: 12 }}
+                  />
+                  <Tooltip formatter={(value, name) => [formatValue(value, metric.rounds), name]} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  <Bar dataKey="median" name="Median" fill="#3b82f6" />
+                  <Bar dataKey="p90" name="p90" fill="#93c5fd" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const statsShape = PropTypes.shape({
+  median: PropTypes.number,
+  p90: PropTypes.number,
+  count: PropTypes.number.isRequired
+});
+
+const groupShape = PropTypes.shape({
+  key: PropTypes.string.isRequired,
+  pullRequests: PropTypes.number.isRequired,
+  metrics: PropTypes.objectOf(statsShape).isRequired
+});
+
+FlowMetrics.propTypes = {
+  flowMetrics: PropTypes.shape({
+    merged: PropTypes.number.isRequired,
+    unreviewed: PropTypes.number.isRequired,
+    metrics: PropTypes.objectOf(statsShape).isRequired,
+    byAuthor: PropTypes.arrayOf(groupShape).isRequired,
+    byBaseBranch: PropTypes.arrayOf(groupShape).isRequired
+  }),
+  analysisWindow: PropTypes.object
+};
+
+export default FlowMetrics;
@@ -0,0 +1,161 @@
+import PropTypes from 'prop-types';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { describeWindow } from '../utils/analysisWindow';
+
+// Open-issue age buckets, youngest first, as the server reports them
+const AGE_BUCKETS = [
+  { id: 'week', label: '< 1 week', color: '#a7f3d0' },
+  { id: 'month', label: '1–4 weeks', color: '#fde68a' },
+  { id: 'quarter', label: '1–3 months', color: '#fdba74' },
+  { id: 'older', label: '3+ months', color: '#fca5a5' }
+];
+
+// Labels charted, most issues first
+const MAX_CHART_LABELS = 8;
+
+/**
+ * Format hours as "45m", "5h" or "2.5d"
+ */
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 1) return `${Math.max(Math.round(hours * 60), 1)}m`;
+  if (hours < 24) return `${Math.round(hours * 10) / 10}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+}
+
+/**
+ * IssueFlowPanel Component
+ * Issue-side flow: first response time, triage backlog, issues opened against closed,
+ * open-issue age per label, and issues waiting on a maintainer's reply
+ */
+function IssueFlowPanel({ issueMetrics, analysisWindow }) {
+  if (!issueMetrics) return null;
+
+  const { firstResponseHours, triage, labelAging, throughput, awaitingReply, coverage } = issueMetrics;
+  const labels = labelAging.slice(0, MAX_CHART_LABELS).map(group => ({ name: group.label, ...group.buckets }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Issue Flow</h3>
+        <p className="text-xs text-gray-500">
+          {describeWindow(analysisWindow)}
+          {coverage.truncated && <> · comments read for {coverage.commentsChecked} of {coverage.issues} issues</>}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mb-6">
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">First response</p>
+          <p className="text-xl font-semibold text-gray-900">{formatHours(firstResponseHours.median)}</p>
+          <p className="text-xs text-gray-500">
+            median · {firstResponseHours.unanswered} unanswered
+          </p>
+        </div>
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">Unlabeled</p>
+          <p className="text-xl font-semibold text-gray-900">
+            {triage.unlabeledShare === null ? '—' : `${Math.round(triage.unlabeledShare * 100)}%`}
+          </p>
+          <p className="text-xs text-gray-500">{triage.unlabeled} of {triage.open} open</p>
+        </div>
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">Opened / closed</p>
+          <p className="text-xl font-semibold text-gray-900">{throughput.opened} / {throughput.closed}</p>
+          <p className={`text-xs ${throughput.net > 0 ? 'text-amber-600' : 'text-gray-500'}`}>
+            {throughput.net > 0 ? `backlog +${throughput.net}` : throughput.net < 0 ? `backlog ${throughput.net}` : 'backlog steady'}
+          </p>
+        </div>
+      </div>
+
+      {labels.length > 0 && (
+        <div className="mb-6">
+          <p className="text-sm font-medium text-gray-700 mb-2">Open issue age by label</p>
+          <div style={{ height: Math.max(labels.length * 28 + 40, 120) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={labels} layout="vertical" margin={{ top: 0, right: 10, left: 10, bottom: 0 }}>
+                <XAxis type="number" allowDecimals={false} tick={{ fontSize: 12 }} />
+                <YAxis type="category" dataKey="name" width={90} tick={{ fontSize: 12 }} />
+                <Tooltip />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                {AGE_BUCKETS.map(bucket => (
+                  <Bar key={bucket.id} dataKey={bucket.id} name={bucket.label} stackId="age" fill={bucket.color} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <p className="text-xs font-semibold uppercase tracking-wide text-amber-700 mb-1">
+          Awaiting a maintainer reply ({awaitingReply.count})
+        </p>
+        {awaitingReply.count === 0 ? (
+          <p className="text-sm text-gray-500">Every commented issue has a reply from the team.</p>
+        ) : (
+          <ul className="space-y-0.5">
+            {awaitingReply.issues.slice(0, 5).map(issue => (
+              <li key={issue.number} className="text-sm text-gray-700 truncate">
+                #{issue.number} {issue.title}
+                <span className="text-gray-400"> · {issue.lastCommentBy} waiting {formatHours(issue.waitingHours)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+IssueFlowPanel.propTypes = {
+  issueMetrics: PropTypes.shape({
+    firstResponseHours: PropTypes.shape({
+      median: PropTypes.number,
+      p90: PropTypes.number,
+      count: PropTypes.number.isRequired,
+      unanswered: PropTypes.number.isRequired
+    }).isRequired,
+    triage: PropTypes.shape({
+      open: PropTypes.number.isRequired,
+      unlabeled: PropTypes.number.isRequired,
+      unlabeledShare: PropTypes.number
+    }).isRequired,
+    labelAging: PropTypes.arrayOf(PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+      medianAgeDays: PropTypes.number,
+      buckets: PropTypes.objectOf(PropTypes.number).isRequired
+    })).isRequired,
+    throughput: PropTypes.shape({
+      opened: PropTypes.number.isRequired,
+      closed: PropTypes.number.isRequired,
+      net: PropTypes.number.isRequired
+    }).isRequired,
+    awaitingReply: PropTypes.shape({
+      count: PropTypes.number.isRequired,
+      issues: PropTypes.arrayOf(PropTypes.shape({
+        number: PropTypes.number.isRequired,
+        title: PropTypes.string.isRequired,
+        lastCommentBy: PropTypes.string.isRequired,
+        waitingHours: PropTypes.number
+      })).isRequired
+    }).isRequired,
+    coverage: PropTypes.shape({
+      issues: PropTypes.number.isRequired,
+      commentsChecked: PropTypes.number.isRequired,
+      truncated: PropTypes.bool.isRequired
+    }).isRequired
+  }),
+  analysisWindow: PropTypes.object
+};
+
+export default IssueFlowPanel;
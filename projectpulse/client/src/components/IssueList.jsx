@@ -1,4 +1,57 @@
-function IssueList({ issues }) {
+// Steps from the first branch or commit to a merged fix
+const PROGRESS_STEPS = ['Started', 'PR', 'Review', 'Merged'];
+
+const STATUS_LABELS = {
+  not_started: { label: 'Not started', style: 'text-gray-500' },
+  in_progress: { label: 'In progress', style: 'text-blue-600' },
+  in_review: { label: 'In review', style: 'text-pulse-600' },
+  merged: { label: 'Fix merged', style: 'text-green-600' }
+};
+
+/**
+ * How many progress steps an issue's linked work has reached
+ */
+function getProgressStep(workItem) {
+  if (!workItem) return 0;
+  if (workItem.status === 'merged') return 4;
+  if (workItem.status === 'in_review') return 3;
+  if (workItem.pullRequests.some(pr => pr.state === 'draft')) return 2;
+  return workItem.status === 'in_progress' ? 1 : 0;
+}
+
+/**
+ * The linked PR or branch most worth naming, e.g. "PR #45" or "feat/12-login"
+ */
+function describeWork(workItem) {
+  const order = ['merged', 'open', 'draft', 'closed'];
+  const pr = [...workItem.pullRequests].sort((a, b) => order.indexOf(a.state) - order.indexOf(b.state))[0];
+  if (pr) return `PR #${pr.number}${pr.state === 'draft' ? ' (draft)' : ''}`;
+  if (workItem.branches.length > 0) return workItem.branches[0].name;
+  if (workItem.commitCount > 0) return `${workItem.commitCount} commit${workItem.commitCount !== 1 ? 's' : ''}`;
+  return null;
+}
+
+function IssueProgress({ workItem }) {
+  const step = getProgressStep(workItem);
+  const status = STATUS_LABELS[workItem?.status || 'not_started'];
+  const work = workItem && describeWork(workItem);
+
+  return (
+    <div className="mt-2 flex items-center gap-2 text-xs">
+      <div className="flex gap-0.5" title={PROGRESS_STEPS.slice(0, step).join(' → ') || 'No linked work'}>
+        {PROGRESS_STEPS.map((label, index) => (
+          <span key={label} className={`h-1.5 w-5 rounded-full ${index < step ? 'bg-pulse-500' : 'bg-gray-200'}`} />
+        ))}
+      </div>
+      <span className={`font-medium ${status.style}`}>{status.label}</span>
+      {work && <span className="text-gray-500 truncate">· {work}</span>}
+    </div>
+  );
+}
+
+function IssueList({ issues, workItems = [] }) {
+  const workByIssue = new Map(workItems.map(item => [item.number, item]));
+
   const formatDate = (dateStr) => {
     const date = new Date(dateStr);
     const now = new Date();
@@ -59,6 +112,7 @@ function IssueList({ issues }) {
                   <div className="mt-1 text-sm text-gray-500">
                     #{issue.number} opened {formatDate(issue.createdAt)} by {issue.author}
                   </div>
+                  <IssueProgress workItem={workByIssue.get(issue.number)} />
                   {issue.labels.length > 0 && (
                     <div className="mt-2 flex flex-wrap gap-1">
                       {issue.labels.slice(0, 3).map((label) => (
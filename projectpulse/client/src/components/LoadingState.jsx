@@ -1,6 +1,6 @@
 function LoadingState() {
   const steps = [
-    'Connecting to GitHub...',
+    'Connecting to repository host...',
     'Fetching repository data...',
     'Analyzing commits and branches...',
     'Processing pull requests...',
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ReferenceLine
+} from 'recharts';
+
+const SERIES = [
+  { key: 'remaining', label: 'Remaining', color: '#6366f1', dashed: false },
+  { key: 'recorded', label: 'Recorded by pulses', color: '#10b981', dashed: false },
+  { key: 'ideal', label: 'Ideal', color: '#9ca3af', dashed: true },
+  { key: 'projected', label: 'Projected', color: '#f59e0b', dashed: true }
+];
+
+/**
+ * Short date label, e.g. "Oct 19"
+ */
+function formatDay(day) {
+  if (!day) return '—';
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function getStatus(milestone) {
+  if (milestone.open === 0) return { label: 'Done', style: 'bg-green-100 text-green-800' };
+  if (milestone.overdue) return { label: 'Overdue', style: 'bg-red-100 text-red-800' };
+  if (milestone.willMiss) return { label: 'At risk', style: 'bg-amber-100 text-amber-800' };
+  if (!milestone.dueOn) return { label: 'No due date', style: 'bg-gray-100 text-gray-700' };
+  return { label: 'On track', style: 'bg-blue-100 text-blue-800' };
+}
+
+/**
+ * MilestoneBurndown Component
+ * Burndown of the repo's open milestones: items left per day against the ideal line
+ * to the due date, with the completion date projected from the recent close rate
+ */
+function MilestoneBurndown({ milestones }) {
+  const [selected, setSelected] = useState(null);
+
+  if (!milestones || milestones.length === 0) return null;
+
+  const milestone = milestones.find(m => m.number === selected) || milestones[0];
+  const status = getStatus(milestone);
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div className="min-w-0">
+          <h3 className="text-lg font-semibold text-gray-900">Milestones</h3>
+          <p className="text-xs text-gray-500">
+            {milestones.length} open milestone{milestones.length !== 1 ? 's' : ''}
+            {' · '}{milestones.filter(m => m.willMiss).length} at risk
+          </p>
+        </div>
+        {milestones.length > 1 && (
+          <select
+            value={milestone.number}
+            onChange={(e) => setSelected(Number(e.target.value))}
+            className="text-sm border border-gray-300 rounded-lg px-2 py-1 max-w-xs"
+          >
+            {milestones.map(m => (
+              <option key={m.number} value={m.number}>
+                {m.title}{m.willMiss ? ' (at risk)' : ''}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 mb-4">
+        {milestone.url ? (
+          <a href={milestone.url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-900 hover:text-pulse-600 truncate">
+            {milestone.title}
+          </a>
+        ) : (
+          <span className="font-medium text-gray-900 truncate">{milestone.title}</span>
+        )}
+        <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${status.style}`}>{status.label}</span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">Progress</p>
+          <p className="text-xl font-semibold text-gray-900">
+            {milestone.percentComplete === null ? '—' : `${Math.round(milestone.percentComplete * 100)}%`}
+          </p>
+          <p className="text-xs text-gray-500">{milestone.closed} of {milestone.total} closed</p>
+        </div>
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">Due</p>
+          <p className="text-xl font-semibold text-gray-900">{formatDay(milestone.dueOn)}</p>
+          <p className="text-xs text-gray-500">started {formatDay(milestone.startOn)}</p>
+        </div>
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">Projected finish</p>
+          <p className={`text-xl font-semibold ${milestone.willMiss ? 'text-red-600' : 'text-gray-900'}`}>
+            {formatDay(milestone.projectedCompletion)}
+          </p>
+          <p className="text-xs text-gray-500">
+            {milestone.daysLate ? `${milestone.daysLate} day${milestone.daysLate !== 1 ? 's' : ''} late` : milestone.open > 0 && !milestone.projectedCompletion ? 'nothing closing' : ' '}
+          </p>
+        </div>
+        <div className="p-3 rounded-lg border border-gray-200">
+          <p className="text-xs font-medium text-gray-500">Close rate</p>
+          <p className="text-xl font-semibold text-gray-900">{milestone.closeRatePerWeek}</p>
+          <p className="text-xs text-gray-500">items a week, recently</p>
+        </div>
+      </div>
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={milestone.burndown} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+            <XAxis dataKey="day" tickFormatter={formatDay} tick={{ fontSize: 12 }} minTickGap={20} />
+            <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+            <Tooltip labelFormatter={formatDay} />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <ReferenceLine x={today} stroke="#d1d5db" label={{ value: 'Today', fontSize: 11, fill: '#6b7280' }} />
+            {SERIES.map(series => (
+              <Line
+                key={series.key}
+                type="linear"
+                dataKey={series.key}
+                name={series.label}
+                stroke={series.color}
+                strokeWidth={2}
+                strokeDasharray={series.dashed ? '5 5' : undefined}
+                dot={false}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+MilestoneBurndown.propTypes = {
+  milestones: PropTypes.arrayOf(PropTypes.shape({
+    number: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    startOn: PropTypes.string,
+    dueOn: PropTypes.string,
+    total: PropTypes.number.isRequired,
+    open: PropTypes.number.isRequired,
+    closed: PropTypes.number.isRequired,
+    percentComplete: PropTypes.number,
+    closeRatePerWeek: PropTypes.number.isRequired,
+    projectedCompletion: PropTypes.string,
+    overdue: PropTypes.bool.isRequired,
+    willMiss: PropTypes.bool.isRequired,
+    daysLate: PropTypes.number,
+    burndown: PropTypes.arrayOf(PropTypes.shape({
+      day: PropTypes.string.isRequired,
+      remaining: PropTypes.number,
+      ideal: PropTypes.number,
+      projected: PropTypes.number,
+      recorded: PropTypes.number
+    })).isRequired
+  }))
+};
+
+export default MilestoneBurndown;
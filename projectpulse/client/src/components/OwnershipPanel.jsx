@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+
+// Owner share bars, largest owner first
+const SHARE_COLORS = ['bg-pulse-500', 'bg-pulse-300', 'bg-blue-200', 'bg-gray-300'];
+
+// Areas listed before "Show all"
+const COLLAPSED_AREAS = 8;
+
+/**
+ * Relative time helper
+ */
+function timeAgo(dateStr) {
+  if (!dateStr) return 'never';
+  const days = Math.floor((Date.now() - new Date(dateStr).getTime()) / (24 * 60 * 60 * 1000));
+  if (days < 1) return 'today';
+  if (days < 30) return `${days}d ago`;
+  return `${Math.floor(days / 30)}mo ago`;
+}
+
+function ShareBar({ owners }) {
+  return (
+    <div className="flex h-2 w-full rounded overflow-hidden bg-gray-100">
+      {owners.slice(0, SHARE_COLORS.length).map((owner, index) => (
+        <div
+          key={owner.login}
+          className={SHARE_COLORS[index]}
+          style={{ width: `${owner.share * 100}%` }}
+          title={`${owner.login}: ${Math.round(owner.share * 100)}% (${owner.commits} commit${owner.commits !== 1 ? 's' : ''})`}
+        />
+      ))}
+    </div>
+  );
+}
+
+ShareBar.propTypes = {
+  owners: PropTypes.arrayOf(PropTypes.shape({
+    login: PropTypes.string.isRequired,
+    share: PropTypes.number.isRequired,
+    commits: PropTypes.number.isRequired
+  })).isRequired
+};
+
+/**
+ * OwnershipPanel Component
+ * Who knows which parts of the code: the bus factor, areas only one person has
+ * touched, and each area's owners by recency-weighted share of its commits
+ */
+function OwnershipPanel({ ownership }) {
+  const [showAll, setShowAll] = useState(false);
+
+  if (!ownership) return null;
+
+  const { commitsAnalyzed, truncated, fileCount, busFactor, keyPeople, areas, singleOwnerAreas, people } = ownership;
+  const visibleAreas = showAll ? areas : areas.slice(0, COLLAPSED_AREAS);
+  const months = Math.round((Date.parse(ownership.until) - Date.parse(ownership.since)) / (30 * 24 * 60 * 60 * 1000));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Code Ownership</h3>
+        <p className="text-xs text-gray-500">
+          {commitsAnalyzed} commit{commitsAnalyzed !== 1 ? 's' : ''}{truncated && ' (newest only)'} touching {fileCount} file{fileCount !== 1 ? 's' : ''} over the last {months} month{months !== 1 ? 's' : ''}
+        </p>
+      </div>
+
+      {fileCount === 0 ? (
+        <div className="h-32 flex items-center justify-center text-gray-500 text-sm">
+          No file history to work out ownership from.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+            <div className="p-3 rounded-lg border border-gray-200">
+              <p className="text-xs font-medium text-gray-500">Bus factor</p>
+              <p className={`text-xl font-semibold ${busFactor !== null && busFactor <= 1 ? 'text-red-600' : 'text-gray-900'}`}>
+                {busFactor ?? '—'}
+              </p>
+              <p className="text-xs text-gray-500 truncate">
+                {keyPeople.length > 0 ? `Losing ${keyPeople.join(', ')} orphans over half the files` : 'Nobody holds a clear share of any file'}
+              </p>
+            </div>
+            <div className="p-3 rounded-lg border border-gray-200">
+              <p className="text-xs font-medium text-gray-500">Single-owner areas</p>
+              <p className="text-xl font-semibold text-gray-900">{singleOwnerAreas.length}</p>
+              <p className="text-xs text-gray-500">Directories with a single committer</p>
+            </div>
+            <div className="p-3 rounded-lg border border-gray-200">
+              <p className="text-xs font-medium text-gray-500">Top owners</p>
+              <ul className="text-xs text-gray-700 mt-1 space-y-0.5">
+                {people.slice(0, 3).map(person => (
+                  <li key={person.login} className="truncate">
+                    <span className="font-medium">{person.login}</span>
+                    <span className="text-gray-500"> · {person.filesOwned} file{person.filesOwned !== 1 ? 's' : ''}, last commit {timeAgo(person.lastCommitAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          {singleOwnerAreas.length > 0 && (
+            <div className="mb-6">
+              <p className="text-xs font-semibold uppercase tracking-wide text-amber-700 mb-1">
+                Only one person knows these ({singleOwnerAreas.length})
+              </p>
+              <ul className="space-y-0.5">
+                {singleOwnerAreas.slice(0, COLLAPSED_AREAS).map(area => (
+                  <li key={area.path} className="text-sm text-gray-700 truncate">
+                    <span className="font-mono">{area.path}</span>
+                    <span className="text-gray-500"> — {area.owner}, {area.files} file{area.files !== 1 ? 's' : ''}</span>
+                    <span className="text-gray-400"> · owner last active {timeAgo(area.ownerLastActiveAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            {visibleAreas.map(area => (
+              <div key={area.path}>
+                <div className="flex items-center justify-between text-sm mb-0.5">
+                  <span className="font-mono text-gray-800 truncate">{area.path}</span>
+                  <span className="text-xs text-gray-500 flex-shrink-0 ml-2">
+                    {area.owners.slice(0, 2).map(owner => `${owner.login} ${Math.round(owner.share * 100)}%`).join(', ')}
+                    {' · '}{area.commits} commit{area.commits !== 1 ? 's' : ''}
+                  </span>
+                </div>
+                <ShareBar owners={area.owners} />
+              </div>
+            ))}
+          </div>
+
+          {areas.length > COLLAPSED_AREAS && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="mt-3 text-sm text-pulse-600 hover:text-pulse-700"
+            >
+              {showAll ? 'Show fewer' : `Show all ${areas.length} areas`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const ownerShape = PropTypes.shape({
+  login: PropTypes.string.isRequired,
+  share: PropTypes.number.isRequired,
+  commits: PropTypes.number.isRequired,
+  lastCommitAt: PropTypes.string
+});
+
+OwnershipPanel.propTypes = {
+  ownership: PropTypes.shape({
+    since: PropTypes.string.isRequired,
+    until: PropTypes.string.isRequired,
+    commitsAnalyzed: PropTypes.number.isRequired,
+    truncated: PropTypes.bool,
+    fileCount: PropTypes.number.isRequired,
+    busFactor: PropTypes.number,
+    keyPeople: PropTypes.arrayOf(PropTypes.string).isRequired,
+    areas: PropTypes.arrayOf(PropTypes.shape({
+      path: PropTypes.string.isRequired,
+      files: PropTypes.number.isRequired,
+      commits: PropTypes.number.isRequired,
+      lastCommitAt: PropTypes.string,
+      owners: PropTypes.arrayOf(ownerShape).isRequired
+    })).isRequired,
+    singleOwnerAreas: PropTypes.arrayOf(PropTypes.shape({
+      path: PropTypes.string.isRequired,
+      owner: PropTypes.string.isRequired,
+      files: PropTypes.number.isRequired,
+      commits: PropTypes.number.isRequired,
+      lastCommitAt: PropTypes.string,
+      ownerLastActiveAt: PropTypes.string
+    })).isRequired,
+    people: PropTypes.arrayOf(PropTypes.shape({
+      login: PropTypes.string.isRequired,
+      filesOwned: PropTypes.number.isRequired,
+      areasOwned: PropTypes.number.isRequired,
+      lastCommitAt: PropTypes.string
+    })).isRequired
+  })
+};
+
+export default OwnershipPanel;
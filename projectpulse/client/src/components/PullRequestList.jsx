@@ -1,4 +1,32 @@
-function PullRequestList({ pullRequests }) {
+import { useState } from 'react';
+
+const CI_BADGES = {
+  success: { label: 'CI passing', className: 'bg-green-100 text-green-700' },
+  failure: { label: 'CI failing', className: 'bg-red-100 text-red-700' },
+  pending: { label: 'CI running', className: 'bg-yellow-100 text-yellow-700' }
+};
+
+const REVIEW_BADGES = {
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-700' },
+  changes_requested: { label: 'Changes requested', className: 'bg-orange-100 text-orange-700' }
+};
+
+const WAITING_ON_LABELS = {
+  author: 'Waiting on author',
+  ci: 'Waiting on CI',
+  review: 'Waiting on review',
+  merge: 'Ready to merge'
+};
+
+function PullRequestList({ pullRequests: allPullRequests }) {
+  const [showBots, setShowBots] = useState(false);
+
+  // Bot PRs (dependency bumps and the like) get their own collapsed group
+  const pullRequests = allPullRequests.filter(pr => !pr.isBot);
+  const botPullRequests = allPullRequests.filter(pr => pr.isBot);
+
+  const getReviewers = (pr) => [...(pr.requestedReviewers || []), ...(pr.requestedTeams || [])];
+
   const formatDate = (dateStr) => {
     const date = new Date(dateStr);
     const now = new Date();
@@ -74,6 +102,34 @@ function PullRequestList({ pullRequests }) {
                       {pr.branch} → {pr.baseBranch}
                     </div>
                   )}
+                  {pr.waitingOn && (
+                    <div className="mt-1 text-xs text-gray-500">
+                      {WAITING_ON_LABELS[pr.waitingOn]}
+                      {pr.waitingOn === 'review' && getReviewers(pr).length > 0 && (
+                        <> from {getReviewers(pr).join(', ')}</>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="flex flex-col items-end space-y-1 ml-3 flex-shrink-0">
+                  {CI_BADGES[pr.ciStatus] && (
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded ${CI_BADGES[pr.ciStatus].className}`}>
+                      {CI_BADGES[pr.ciStatus].label}
+                    </span>
+                  )}
+                  {REVIEW_BADGES[pr.reviewDecision] && (
+                    <span
+                      className={`px-2 py-0.5 text-xs font-medium rounded ${REVIEW_BADGES[pr.reviewDecision].className}`}
+                      title={(pr.reviews || []).map(review => `${review.reviewer}: ${review.state.replace('_', ' ')}`).join('\n')}
+                    >
+                      {REVIEW_BADGES[pr.reviewDecision].label}
+                    </span>
+                  )}
+                  {pr.hasConflicts && (
+                    <span className="px-2 py-0.5 text-xs font-medium rounded bg-red-100 text-red-700">
+                      Conflicts
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -86,6 +142,33 @@ function PullRequestList({ pullRequests }) {
           +{pullRequests.length - 5} more pull requests
         </p>
       )}
+
+      {botPullRequests.length > 0 && (
+        <div className="mt-4 pt-3 border-t border-gray-100">
+          <button
+            onClick={() => setShowBots(!showBots)}
+            className="w-full flex items-center justify-between text-sm text-gray-600 hover:text-gray-900"
+          >
+            <span>Bot pull requests ({botPullRequests.length})</span>
+            <svg className={`w-4 h-4 text-gray-400 transition-transform ${showBots ? 'rotate-180' : ''}`}
+                 fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+            </svg>
+          </button>
+          {showBots && (
+            <div className="mt-2 space-y-1">
+              {botPullRequests.map((pr) => (
+                <div key={pr.number} className="flex items-center justify-between gap-2 text-xs text-gray-600">
+                  <span className="truncate">#{pr.number} {pr.title}</span>
+                  <span className="text-gray-400 flex-shrink-0">
+                    {pr.author}{CI_BADGES[pr.ciStatus] ? ` · ${CI_BADGES[pr.ciStatus].label}` : ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
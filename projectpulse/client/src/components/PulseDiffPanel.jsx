@@ -0,0 +1,211 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import PropTypes from 'prop-types';
+import { fetchPulseDiff } from '../utils/api';
+
+const COUNT_LABELS = {
+  commits: 'commits',
+  openPullRequests: 'open PRs',
+  openIssues: 'open issues',
+  blockers: 'blockers',
+  staleBranches: 'stale branches'
+};
+
+const HEALTH_COLORS = {
+  Healthy: 'text-green-700',
+  'At Risk': 'text-amber-700',
+  Critical: 'text-red-700'
+};
+
+/**
+ * "3 hours ago", "2 days ago"
+ */
+function formatAgo(iso) {
+  const hours = (Date.now() - new Date(iso).getTime()) / (60 * 60 * 1000);
+  if (hours < 1) return 'less than an hour ago';
+  if (hours < 24) return `${Math.floor(hours)} hour${Math.floor(hours) !== 1 ? 's' : ''} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days !== 1 ? 's' : ''} ago`;
+}
+
+function ChangeList({ title, items, tone, render }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <div>
+      <p className={`text-xs font-semibold uppercase tracking-wide mb-1 ${tone}`}>
+        {title} ({items.length})
+      </p>
+      <ul className="space-y-0.5">
+        {items.slice(0, 5).map((item, index) => (
+          <li key={index} className="text-sm text-gray-700 truncate">{render(item)}</li>
+        ))}
+        {items.length > 5 && <li className="text-xs text-gray-500">and {items.length - 5} more</li>}
+      </ul>
+    </div>
+  );
+}
+
+ChangeList.propTypes = {
+  title: PropTypes.string.isRequired,
+  items: PropTypes.array,
+  tone: PropTypes.string.isRequired,
+  render: PropTypes.func.isRequired
+};
+
+/**
+ * PulseDiffPanel Component
+ * What changed since the previous pulse (or a chosen date): PRs, blockers, stale
+ * branches, contributors and the health verdict
+ */
+function PulseDiffPanel({ diff, owner, repo, repoUrl, windowDays }) {
+  const [compareDate, setCompareDate] = useState('');
+
+  const { data, isFetching, isError, error } = useQuery({
+    queryKey: ['pulse-diff', repoUrl, owner, repo, windowDays, compareDate],
+    // The baseline is the last pulse taken on or before the chosen day
+    queryFn: () => fetchPulseDiff({
+      owner,
+      repo,
+      repoUrl,
+      windowDays,
+      since: new Date(`${compareDate}T23:59:59.999`).toISOString()
+    }),
+    enabled: Boolean(compareDate && owner && repo)
+  });
+
+  const shown = compareDate ? data?.diff : diff;
+  if (!diff && !compareDate) return null;
+
+  const countChanges = shown
+    ? Object.entries(COUNT_LABELS)
+      .filter(([name]) => shown.counts[name]?.delta)
+      .map(([name, label]) => ({ label, delta: shown.counts[name].delta }))
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">What Changed</h3>
+          {shown && (
+            <p className="text-xs text-gray-500">
+              Since the pulse {formatAgo(shown.baseline.takenAt)} ({new Date(shown.baseline.takenAt).toLocaleString()})
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 text-sm">
+          <label htmlFor="pulse-diff-date" className="text-gray-500">Compare with</label>
+          <input
+            id="pulse-diff-date"
+            type="date"
+            value={compareDate}
+            max={new Date().toISOString().slice(0, 10)}
+            onChange={(e) => setCompareDate(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-pulse-500"
+          />
+          {compareDate && (
+            <button onClick={() => setCompareDate('')} className="text-gray-500 hover:text-gray-900">
+              Previous pulse
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isFetching && <p className="text-sm text-gray-400">Loading changes...</p>}
+      {isError && <p className="text-sm text-red-600">{error.message}</p>}
+
+      {shown && !isFetching && (
+        <div className="space-y-4">
+          {shown.health.changed && (
+            <p className="text-sm">
+              Health moved from{' '}
+              <span className={`font-semibold ${HEALTH_COLORS[shown.health.from] || ''}`}>{shown.health.from}</span> to{' '}
+              <span className={`font-semibold ${HEALTH_COLORS[shown.health.to] || ''}`}>{shown.health.to}</span>
+            </p>
+          )}
+
+          {countChanges.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {countChanges.map(({ label, delta }) => (
+                <span key={label} className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700">
+                  {delta > 0 ? '+' : '−'}{Math.abs(delta)} {label}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {!shown.hasChanges && countChanges.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing new — the project is where it was.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <ChangeList
+                title="New blockers"
+                items={shown.blockers.new}
+                tone="text-red-700"
+                render={b => <>{b.title}{b.snoozed && <span className="text-gray-400"> (snoozed)</span>}</>}
+              />
+              <ChangeList
+                title="Resolved blockers"
+                items={shown.blockers.resolved}
+                tone="text-green-700"
+                render={b => b.title}
+              />
+              <ChangeList
+                title="PRs opened"
+                items={shown.pullRequests?.opened}
+                tone="text-blue-700"
+                render={pr => <>#{pr.number} {pr.title} <span className="text-gray-400">by {pr.author}</span></>}
+              />
+              <ChangeList
+                title="PRs closed"
+                items={shown.pullRequests?.closed}
+                tone="text-purple-700"
+                render={pr => <>#{pr.number} {pr.title} <span className="text-gray-400">{pr.merged ? 'merged' : 'closed'}</span></>}
+              />
+              <ChangeList
+                title="Newly stale branches"
+                items={shown.staleBranches?.newlyStale}
+                tone="text-amber-700"
+                render={name => name}
+              />
+              <ChangeList
+                title="Became active"
+                items={shown.contributors?.becameActive}
+                tone="text-green-700"
+                render={login => login}
+              />
+              <ChangeList
+                title="Went quiet"
+                items={shown.contributors?.becameInactive}
+                tone="text-gray-600"
+                render={login => login}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+PulseDiffPanel.propTypes = {
+  diff: PropTypes.shape({
+    baseline: PropTypes.shape({
+      takenAt: PropTypes.string.isRequired,
+      health: PropTypes.string
+    }).isRequired,
+    pullRequests: PropTypes.object,
+    blockers: PropTypes.object.isRequired,
+    staleBranches: PropTypes.object,
+    contributors: PropTypes.object,
+    health: PropTypes.object.isRequired,
+    counts: PropTypes.object.isRequired,
+    hasChanges: PropTypes.bool.isRequired
+  }),
+  owner: PropTypes.string,
+  repo: PropTypes.string,
+  repoUrl: PropTypes.string,
+  windowDays: PropTypes.number
+};
+
+export default PulseDiffPanel;
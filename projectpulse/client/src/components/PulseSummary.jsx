@@ -1,14 +1,78 @@
 import PropTypes from 'prop-types';
 
+const SCORE_BAR_COLORS = {
+  Healthy: 'bg-green-500',
+  'At Risk': 'bg-yellow-500',
+  Critical: 'bg-red-500'
+};
+
+function getScoreColor(score) {
+  if (score >= 75) return SCORE_BAR_COLORS.Healthy;
+  if (score >= 50) return SCORE_BAR_COLORS['At Risk'];
+  return SCORE_BAR_COLORS.Critical;
+}
+
+/**
+ * Computed health score with one bar per factor
+ */
+function HealthScoreBreakdown({ healthScore }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex items-baseline justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-800">Health score</h3>
+        <span className="text-sm text-gray-600">
+          <span className="text-2xl font-bold text-gray-900">{healthScore.score}</span>/100 · {healthScore.verdict}
+        </span>
+      </div>
+      <div className="space-y-2">
+        {healthScore.factors.map(factor => (
+          <div key={factor.id} title={`Weight ${Math.round(factor.weight * 100)}%`}>
+            <div className="flex justify-between text-xs text-gray-600 mb-0.5">
+              <span className="font-medium">{factor.label}</span>
+              <span>{factor.score}</span>
+            </div>
+            <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+              <div className={`h-full ${getScoreColor(factor.score)}`} style={{ width: `${factor.score}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-0.5">{factor.detail}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const healthScoreShape = PropTypes.shape({
+  score: PropTypes.number.isRequired,
+  verdict: PropTypes.oneOf(['Healthy', 'At Risk', 'Critical']).isRequired,
+  factors: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    weight: PropTypes.number.isRequired,
+    score: PropTypes.number.isRequired,
+    detail: PropTypes.string.isRequired
+  })).isRequired
+});
+
+HealthScoreBreakdown.propTypes = {
+  healthScore: healthScoreShape.isRequired
+};
+
 /**
  * PulseSummary Component
- * Displays the AI-generated health summary for a repository
+ * Displays the AI-generated health summary for a repository, with the computed
+ * health score it is grounded in (shown on its own when the AI is unavailable)
  */
-function PulseSummary({ summary, summaryError }) {
+function PulseSummary({ summary, summaryError, healthScore }) {
   // Show error state if summary is null but we have an error
   if (!summary && summaryError) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        {healthScore && (
+          <div className="mb-4">
+            <HealthScoreBreakdown healthScore={healthScore} />
+          </div>
+        )}
         <div className="flex items-center space-x-3 text-gray-500">
           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -24,7 +88,11 @@ function PulseSummary({ summary, summaryError }) {
 
   // Don't render if no summary at all
   if (!summary) {
-    return null;
+    return healthScore ? (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <HealthScoreBreakdown healthScore={healthScore} />
+      </div>
+    ) : null;
   }
 
   // Health status colors
@@ -72,6 +140,7 @@ function PulseSummary({ summary, summaryError }) {
           <div className={`inline-flex items-center space-x-2 px-4 py-2 rounded-full ${healthStyle.bg} ${healthStyle.text} ${healthStyle.border} border`}>
             {healthStyle.icon}
             <span className="font-semibold">{summary.overallHealth}</span>
+            {healthScore && <span className="text-sm opacity-75">{healthScore.score}/100</span>}
           </div>
           <div className="flex items-center text-gray-400 text-sm">
             <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -140,6 +209,13 @@ function PulseSummary({ summary, summaryError }) {
           )}
         </div>
 
+        {/* Computed score behind the verdict */}
+        {healthScore && (
+          <div className="mt-4">
+            <HealthScoreBreakdown healthScore={healthScore} />
+          </div>
+        )}
+
         {/* AI Blockers Section - Full width below highlights/concerns */}
         {summary.blockers && summary.blockers.length > 0 && (
           <div className="mt-4 bg-red-50 rounded-lg p-4">
@@ -193,7 +269,8 @@ PulseSummary.propTypes = {
     blockers: PropTypes.arrayOf(PropTypes.string),
     recommendation: PropTypes.string
   }),
-  summaryError: PropTypes.string
+  summaryError: PropTypes.string,
+  healthScore: healthScoreShape
 };
 
 export default PulseSummary;
@@ -1,4 +1,26 @@
-function RepoHeader({ meta, cached }) {
+// Readable names for sections a rate-limited pulse can skip
+const SECTION_LABELS = {
+  branches: 'branches',
+  branchDetails: 'branch last-commit dates',
+  pullRequests: 'pull requests',
+  pullRequestDetails: 'pull request reviews and CI status',
+  issues: 'issues',
+  contributors: 'contributors',
+  commits: 'commits on some branches'
+};
+
+function describeSection(section) {
+  if (section.startsWith('commits:')) return `commits on ${section.slice('commits:'.length)}`;
+  return SECTION_LABELS[section] || section;
+}
+
+const HEALTH_BADGE_COLORS = {
+  Healthy: 'bg-green-100 text-green-800',
+  'At Risk': 'bg-yellow-100 text-yellow-800',
+  Critical: 'bg-red-100 text-red-800'
+};
+
+function RepoHeader({ meta, cached, skipped = [], healthScore }) {
   return (
     <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
       <div className="flex items-start justify-between">
@@ -13,16 +35,38 @@ function RepoHeader({ meta, cached }) {
           <div>
             <div className="flex items-center space-x-2">
               <h2 className="text-2xl font-bold text-gray-900">{meta.name}</h2>
+              {healthScore && (
+                <span
+                  className={`px-2 py-0.5 text-xs font-semibold rounded ${HEALTH_BADGE_COLORS[healthScore.verdict]}`}
+                  title={healthScore.factors.map(f => `${f.label}: ${f.score}`).join('\n')}
+                >
+                  Health {healthScore.score}/100
+                </span>
+              )}
               {cached && (
                 <span className="px-2 py-0.5 text-xs font-medium bg-gray-100 text-gray-600 rounded">
                   Cached
                 </span>
               )}
+              {skipped.length > 0 && (
+                <span className="px-2 py-0.5 text-xs font-medium bg-yellow-100 text-yellow-800 rounded">
+                  Partial
+                </span>
+              )}
             </div>
             <p className="text-gray-600">{meta.owner}</p>
             {meta.description && (
               <p className="mt-2 text-gray-700 max-w-2xl">{meta.description}</p>
             )}
+            {skipped.length > 0 && (
+              <p
+                className="mt-2 text-sm text-yellow-800 max-w-2xl"
+                title={skipped.map(entry => entry.reason).join('\n')}
+              >
+                This pulse is partial: it skipped{' '}
+                {skipped.map(entry => describeSection(entry.section)).join(', ')}. Refresh in a minute for full data.
+              </p>
+            )}
           </div>
         </div>
         <div className="flex items-center space-x-4 text-sm text-gray-600">
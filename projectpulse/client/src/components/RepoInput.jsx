@@ -19,7 +19,7 @@ function RepoInput({ onSubmit, isLoading, initialValue = '', compact = false })
             type="text"
             value={inputValue}
             onChange={(e) => setInputValue(e.target.value)}
-            placeholder="owner/repo or GitHub URL"
+            placeholder="owner/repo, GitHub/GitLab/Gitea URL, or local path"
             className="w-full px-4 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-pulse-500 focus:border-transparent outline-none"
             disabled={isLoading}
           />
@@ -55,7 +55,7 @@ function RepoInput({ onSubmit, isLoading, initialValue = '', compact = false })
           type="text"
           value={inputValue}
           onChange={(e) => setInputValue(e.target.value)}
-          placeholder="Enter GitHub URL (e.g., facebook/react or https://github.com/facebook/react)"
+          placeholder="Enter repo URL (e.g., facebook/react or https://gitlab.com/group/project)"
           className="w-full px-4 py-4 pl-12 text-lg border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-pulse-500 focus:border-pulse-500 outline-none transition-all"
           disabled={isLoading}
         />
@@ -110,7 +110,7 @@ function RepoInput({ onSubmit, isLoading, initialValue = '', compact = false })
         </div>
       </div>
       <p className="mt-3 text-sm text-gray-500 text-center">
-        Works with any public GitHub repository
+        Works with any public GitHub, GitLab or Gitea repository
       </p>
     </form>
   );
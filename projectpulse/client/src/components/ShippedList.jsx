@@ -0,0 +1,103 @@
+import PropTypes from 'prop-types';
+import { describeWindow } from '../utils/analysisWindow';
+
+/**
+ * Format hours to merge as "5h" or "2.5d"
+ */
+function formatDuration(hours) {
+  if (hours === null || hours === undefined) return null;
+  if (hours < 24) return `${Math.max(Math.round(hours), 1)}h`;
+  return `${Math.round((hours / 24) * 10) / 10}d`;
+}
+
+/**
+ * ShippedList Component
+ * Merged pull requests in the analysis window, with closed-unmerged ones counted
+ */
+function ShippedList({ closedPullRequests = [], analysisWindow }) {
+  const merged = closedPullRequests.filter(pr => pr.state === 'merged');
+  const closedCount = closedPullRequests.length - merged.length;
+  const title = analysisWindow?.relative !== false && (analysisWindow?.days || 7) === 7
+    ? 'Shipped This Week'
+    : `Shipped — ${describeWindow(analysisWindow)}`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        <span className="text-sm text-gray-500">
+          {merged.length} merged{closedCount > 0 ? ` · ${closedCount} closed` : ''}
+        </span>
+      </div>
+
+      {merged.length === 0 ? (
+        <div className="text-center py-8 text-gray-500">
+          <p>Nothing merged in this window</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {merged.slice(0, 5).map((pr) => (
+            <div key={pr.number} className="p-3 rounded-lg bg-gray-50">
+              <div className="flex items-center space-x-2">
+                <svg
+                  className="w-4 h-4 text-purple-500 flex-shrink-0"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                </svg>
+                <span className="font-medium text-gray-900 truncate">{pr.title}</span>
+              </div>
+              <div className="mt-1 text-sm text-gray-500">
+                #{pr.number} by {pr.author}
+                {pr.mergedBy && pr.mergedBy !== pr.author && <> · merged by {pr.mergedBy}</>}
+                {formatDuration(pr.timeToMergeHours) && <> · in {formatDuration(pr.timeToMergeHours)}</>}
+              </div>
+              {(pr.additions !== null || pr.reviewRounds !== null) && (
+                <div className="mt-1 flex items-center space-x-3 text-xs">
+                  {pr.additions !== null && (
+                    <span>
+                      <span className="text-green-600">+{pr.additions}</span>{' '}
+                      <span className="text-red-600">−{pr.deletions}</span>
+                    </span>
+                  )}
+                  {pr.reviewRounds !== null && (
+                    <span className="text-gray-400">
+                      {pr.reviewRounds} review round{pr.reviewRounds !== 1 ? 's' : ''}
+                    </span>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {merged.length > 5 && (
+        <p className="mt-3 text-sm text-gray-500 text-center">
+          +{merged.length - 5} more merged
+        </p>
+      )}
+    </div>
+  );
+}
+
+ShippedList.propTypes = {
+  closedPullRequests: PropTypes.arrayOf(
+    PropTypes.shape({
+      number: PropTypes.number.isRequired,
+      title: PropTypes.string.isRequired,
+      author: PropTypes.string,
+      state: PropTypes.oneOf(['merged', 'closed']).isRequired,
+      mergedBy: PropTypes.string,
+      timeToMergeHours: PropTypes.number,
+      additions: PropTypes.number,
+      deletions: PropTypes.number,
+      reviewRounds: PropTypes.number
+    })
+  ),
+  analysisWindow: PropTypes.object
+};
+
+export default ShippedList;
@@ -1,4 +1,4 @@
-function StatsGrid({ commits, branches, pullRequests, issues, contributors }) {
+function StatsGrid({ commits, branches, pullRequests, issues, contributors, analysisWindow }) {
   const staleBranches = branches.filter(b => b.isStale).length;
   const activeContributors = contributors.filter(c => 
     Object.keys(c.commitsByDay || {}).length > 0
@@ -6,7 +6,7 @@ function StatsGrid({ commits, branches, pullRequests, issues, contributors }) {
 
   const stats = [
     {
-      label: 'Commits (7d)',
+      label: `Commits (${analysisWindow?.days || 7}d)`,
       value: commits.length,
       icon: (
         <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
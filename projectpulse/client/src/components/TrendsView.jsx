@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import PropTypes from 'prop-types';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid
+} from 'recharts';
+import { fetchPulseHistory } from '../utils/api';
+
+const RANGE_OPTIONS = [
+  { weeks: 4, label: '4 weeks' },
+  { weeks: 12, label: '12 weeks' },
+  { weeks: 26, label: '6 months' }
+];
+
+const SERIES = [
+  { key: 'commits', label: 'Commits', color: '#3b82f6' },
+  { key: 'openPullRequests', label: 'Open PRs', color: '#10b981' },
+  { key: 'openIssues', label: 'Open issues', color: '#f59e0b' },
+  { key: 'blockers', label: 'Blockers', color: '#ef4444' }
+];
+
+// Health verdicts on a numeric axis so they can share a chart
+const HEALTH_LEVELS = { Critical: 0, 'At Risk': 1, Healthy: 2 };
+const HEALTH_LABELS = ['Critical', 'At Risk', 'Healthy'];
+
+function getDayKey(iso) {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * One point per day: the last snapshot taken that day
+ */
+function toDailyPoints(snapshots) {
+  const byDay = new Map();
+  snapshots.forEach(snapshot => byDay.set(getDayKey(snapshot.takenAt), snapshot));
+
+  return Array.from(byDay.entries()).map(([day, snapshot]) => ({
+    day,
+    label: new Date(snapshot.takenAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+    ...snapshot.counts,
+    health: snapshot.health ? HEALTH_LEVELS[snapshot.health] : null
+  }));
+}
+
+/**
+ * TrendsView Component
+ * Charts stored pulse snapshots (commits, open PRs and issues, blockers, AI health) over weeks
+ */
+function TrendsView({ owner, repo, repoUrl, windowDays, fetchedAt }) {
+  const [weeks, setWeeks] = useState(12);
+
+  const { data, isLoading, isError, error } = useQuery({
+    // fetchedAt refetches once a new pulse has added a snapshot
+    queryKey: ['pulse-history', repoUrl, owner, repo, windowDays, weeks, fetchedAt],
+    queryFn: () => fetchPulseHistory({
+      owner,
+      repo,
+      repoUrl,
+      windowDays,
+      since: new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString()
+    }),
+    enabled: Boolean(owner && repo)
+  });
+
+  const points = data ? toDailyPoints(data.snapshots) : [];
+  const hasHealth = points.some(point => point.health !== null);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Trends</h3>
+          <p className="text-xs text-gray-500">
+            One point per day from stored pulses ({windowDays}-day windows)
+          </p>
+        </div>
+        <select
+          value={weeks}
+          onChange={(e) => setWeeks(Number(e.target.value))}
+          className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-pulse-500"
+        >
+          {RANGE_OPTIONS.map(option => (
+            <option key={option.weeks} value={option.weeks}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading && (
+        <div className="h-48 flex items-center justify-center text-gray-400 text-sm">Loading history...</div>
+      )}
+
+      {isError && (
+        <div className="h-48 flex items-center justify-center text-red-600 text-sm">{error.message}</div>
+      )}
+
+      {data && points.length < 2 && (
+        <div className="h-48 flex items-center justify-center text-gray-500 text-sm text-center">
+          Trends appear once this repository has been pulsed on at least two different days.
+        </div>
+      )}
+
+      {points.length >= 2 && (
+        <div className="space-y-6">
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={points} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                <Tooltip />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                {SERIES.map(series => (
+                  <Line
+                    key={series.key}
+                    type="monotone"
+                    dataKey={series.key}
+                    name={series.label}
+                    stroke={series.color}
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {hasHealth && (
+            <div className="h-32">
+              <p className="text-sm font-medium text-gray-700 mb-1">Overall health</p>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={points} margin={{ top: 5, right: 10, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                  <YAxis
+                    domain={[0, 2]}
+                    ticks={[0, 1, 2]}
+                    tickFormatter={(value) => HEALTH_LABELS[value]}
+                    tick={{ fontSize: 11 }}
+                    width={60}
+                  />
+                  <Tooltip formatter={(value) => [HEALTH_LABELS[value], 'Health']} />
+                  <Line type="stepAfter" dataKey="health" stroke="#6366f1" strokeWidth={2} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+TrendsView.propTypes = {
+  owner: PropTypes.string,
+  repo: PropTypes.string,
+  repoUrl: PropTypes.string,
+  windowDays: PropTypes.number.isRequired,
+  fetchedAt: PropTypes.string
+};
+
+export default TrendsView;
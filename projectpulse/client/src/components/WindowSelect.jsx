@@ -0,0 +1,34 @@
+import PropTypes from 'prop-types';
+import { WINDOW_PRESETS } from '../utils/analysisWindow';
+
+/**
+ * WindowSelect Component
+ * Picks how many days of activity a pulse analyzes
+ */
+function WindowSelect({ value, onChange, disabled = false }) {
+  return (
+    <label className="flex items-center space-x-2 text-sm text-gray-600">
+      <span>Window</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        disabled={disabled}
+        className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-pulse-500 focus:border-transparent outline-none disabled:opacity-50"
+      >
+        {WINDOW_PRESETS.map(days => (
+          <option key={days} value={days}>
+            Last {days} days
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+WindowSelect.propTypes = {
+  value: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default WindowSelect;
@@ -0,0 +1,108 @@
+import PropTypes from 'prop-types';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Monday-first rows read more naturally for a work week
+const ROW_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Get color class for a cell relative to the busiest cell
+ */
+function getIntensityClass(count, max) {
+  if (count === 0) return 'bg-gray-100';
+  const intensity = count / max;
+  if (intensity > 0.75) return 'bg-pulse-600';
+  if (intensity > 0.5) return 'bg-pulse-400';
+  if (intensity > 0.25) return 'bg-pulse-300';
+  return 'bg-pulse-200';
+}
+
+/**
+ * Format an hour of day as "09:00"
+ */
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * WorkPatternHeatmap Component
+ * Shows when commits land by day of week and hour of day, in the viewer's time zone
+ */
+function WorkPatternHeatmap({ activity }) {
+  if (!activity?.byWeekdayHour) {
+    return null;
+  }
+
+  const { byWeekdayHour, byHour, byWeekday, timeZone } = activity;
+  const max = Math.max(...byWeekdayHour.flat(), 1);
+  const total = byHour.reduce((sum, count) => sum + count, 0);
+
+  const peakHour = byHour.indexOf(Math.max(...byHour));
+  const peakDay = byWeekday.indexOf(Math.max(...byWeekday));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">When the Team Works</h3>
+        <span className="text-xs text-gray-500">{timeZone}</span>
+      </div>
+
+      {total === 0 ? (
+        <div className="flex items-center justify-center py-8 text-gray-500">
+          No commits in this window.
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <div className="min-w-fit">
+              {/* Hour labels, every third hour */}
+              <div className="flex items-center mb-1">
+                <div className="w-10 flex-shrink-0" />
+                <div className="flex gap-0.5">
+                  {byHour.map((_, hour) => (
+                    <div key={hour} className="w-4 text-[10px] text-gray-400 text-center">
+                      {hour % 3 === 0 ? hour : ''}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {ROW_ORDER.map(weekday => (
+                <div key={weekday} className="flex items-center mb-0.5">
+                  <div className="w-10 flex-shrink-0 text-xs text-gray-500">{WEEKDAYS[weekday]}</div>
+                  <div className="flex gap-0.5">
+                    {byWeekdayHour[weekday].map((count, hour) => (
+                      <div
+                        key={hour}
+                        className={`w-4 h-4 rounded-sm ${getIntensityClass(count, max)}`}
+                        title={`${WEEKDAYS[weekday]} ${formatHour(hour)}: ${count} commit${count !== 1 ? 's' : ''}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-4 text-sm text-gray-600">
+            Busiest hour: <span className="font-medium text-gray-900">{formatHour(peakHour)}</span>
+            {' · '}
+            Busiest day: <span className="font-medium text-gray-900">{WEEKDAYS[peakDay]}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+WorkPatternHeatmap.propTypes = {
+  activity: PropTypes.shape({
+    timeZone: PropTypes.string,
+    byDay: PropTypes.object,
+    byHour: PropTypes.arrayOf(PropTypes.number),
+    byWeekday: PropTypes.arrayOf(PropTypes.number),
+    byWeekdayHour: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))
+  })
+};
+
+export default WorkPatternHeatmap;
@@ -9,11 +9,15 @@ import ContributorHeatmap from '../components/ContributorHeatmap';
 import BlockerPanel from '../components/BlockerPanel';
 import ChatPanel from '../components/ChatPanel';
 import CommitAnalyzer from '../components/CommitAnalyzer';
+import WindowSelect from '../components/WindowSelect';
+import TrendsView from '../components/TrendsView';
+import PulseDiffPanel from '../components/PulseDiffPanel';
 import { fetchPulseData } from '../utils/api';
 
 function Dashboard() {
   const [pulseData, setPulseData] = useState(null);
   const [analyzerSha, setAnalyzerSha] = useState('');
+  const [windowDays, setWindowDays] = useState(7);
   const commitAnalyzerRef = useRef(null);
 
   const handleAnalyzeCommit = useCallback((sha) => {
@@ -32,7 +36,15 @@ function Dashboard() {
   });
 
   const handleSubmit = (repoUrl) => {
-    pulseMutation.mutate(repoUrl);
+    pulseMutation.mutate({ repoUrl, window: windowDays });
+  };
+
+  // Changing the window re-runs the pulse for the repo on screen
+  const handleWindowChange = (days) => {
+    setWindowDays(days);
+    if (pulseMutation.variables?.repoUrl) {
+      pulseMutation.mutate({ repoUrl: pulseMutation.variables.repoUrl, window: days });
+    }
   };
 
   const handleReset = () => {
@@ -106,11 +118,14 @@ function Dashboard() {
                 Check your repo's pulse
               </h2>
               <p className="text-lg text-gray-600 max-w-md">
-                Enter any public GitHub repository URL to get an intelligent health
+                Enter any public GitHub, GitLab or Gitea repository URL to get an intelligent health
                 summary, activity insights, and blocker detection.
               </p>
             </div>
             <RepoInput onSubmit={handleSubmit} isLoading={pulseMutation.isPending} />
+            <div className="mt-4">
+              <WindowSelect value={windowDays} onChange={setWindowDays} />
+            </div>
           </div>
         )}
 
@@ -121,7 +136,7 @@ function Dashboard() {
         {pulseMutation.isError && (
           <ErrorDisplay
             error={pulseMutation.error}
-            onRetry={() => handleSubmit(pulseMutation.variables)}
+            onRetry={() => pulseMutation.mutate(pulseMutation.variables)}
             onReset={handleReset}
           />
         )}
@@ -129,23 +144,48 @@ function Dashboard() {
         {/* Dashboard Content */}
         {repoData && !pulseMutation.isPending && (
           <>
-            <div className="mb-6">
-              <RepoInput
-                onSubmit={handleSubmit}
-                isLoading={pulseMutation.isPending}
-                initialValue={repoData.meta?.fullName || ''}
-                compact
+            <div className="mb-6 flex items-center justify-between space-x-4">
+              <div className="flex-1">
+                <RepoInput
+                  onSubmit={handleSubmit}
+                  isLoading={pulseMutation.isPending}
+                  initialValue={(repoData.meta?.provider === 'github' ? repoData.meta.fullName : repoData.meta?.htmlUrl) || ''}
+                  compact
+                />
+              </div>
+              <WindowSelect
+                value={windowDays}
+                onChange={handleWindowChange}
+                disabled={pulseMutation.isPending}
               />
             </div>
             
             {/* AI-Generated Pulse Summary */}
-            <PulseSummary summary={summary} summaryError={summaryError} />
+            <PulseSummary summary={summary} summaryError={summaryError} healthScore={repoData.healthScore} />
+
+            {/* Changes since the previous pulse */}
+            <PulseDiffPanel
+              diff={pulseData?.diff || null}
+              owner={repoData.meta.owner}
+              repo={repoData.meta.name}
+              repoUrl={pulseMutation.variables?.repoUrl}
+              windowDays={repoData.window?.days || windowDays}
+            />
 
             {/* Blocker Detection Panel */}
-            <BlockerPanel blockers={repoData.blockers} />
+            <BlockerPanel blockers={repoData.blockers} repoUrl={pulseMutation.variables?.repoUrl} />
 
             {/* Contributor Activity Heatmap */}
-            <ContributorHeatmap contributors={repoData.contributors} />
+            <ContributorHeatmap contributors={repoData.contributors} analysisWindow={repoData.window} />
+
+            {/* Trends across stored pulses */}
+            <TrendsView
+              owner={repoData.meta.owner}
+              repo={repoData.meta.name}
+              repoUrl={pulseMutation.variables?.repoUrl}
+              windowDays={repoData.window?.days || windowDays}
+              fetchedAt={repoData.fetchedAt}
+            />
             
             {/* Detailed Dashboard Content */}
             <DashboardContent data={repoData} onAnalyzeCommit={handleAnalyzeCommit} />
@@ -155,6 +195,7 @@ function Dashboard() {
               ref={commitAnalyzerRef}
               owner={repoData.meta.owner}
               repo={repoData.meta.name}
+              repoUrl={repoData.meta.htmlUrl}
               initialSha={analyzerSha}
             />
           </>
@@ -0,0 +1,15 @@
+// Window presets offered in the UI; the API also accepts custom since/until ranges
+export const WINDOW_PRESETS = [7, 14, 30];
+
+/**
+ * Heading label for a window, e.g. "Last 14 Days" or "Jan 1 – Jan 14"
+ * @param {object} [analysisWindow] - repoData.window
+ * @returns {string}
+ */
+export function describeWindow(analysisWindow) {
+  if (!analysisWindow || analysisWindow.relative !== false) {
+    return `Last ${analysisWindow?.days || 7} Days`;
+  }
+  const format = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: analysisWindow.timeZone || 'UTC' });
+  return `${format(analysisWindow.since)} – ${format(analysisWindow.until)}`;
+}
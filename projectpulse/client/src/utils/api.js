@@ -2,16 +2,21 @@ const API_BASE = '/api';
 
 /**
  * Fetch repository pulse data
- * @param {string} repoUrl - GitHub repository URL or owner/repo format
+ * Activity is bucketed into days and hours in the browser's time zone
+ * @param {object} params
+ * @param {string} params.repoUrl - GitHub, GitLab or Gitea repository URL, or owner/repo format
+ * @param {number|object} [params.window] - Days to analyze (e.g. 14) or { since, until }
  * @returns {Promise<object>} Repository data
  */
-export async function fetchPulseData(repoUrl) {
+export async function fetchPulseData({ repoUrl, window }) {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
   const response = await fetch(`${API_BASE}/pulse`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ repoUrl }),
+    body: JSON.stringify({ repoUrl, window, timeZone }),
   });
 
   const data = await response.json();
@@ -95,13 +100,14 @@ export async function sendChatMessage(messages, repoContext, onChunk) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} sha - Commit SHA
+ * @param {string} [repoUrl] - Repository URL, used to pick the provider (defaults to GitHub owner/repo)
  * @returns {Promise<object>} Analysis result
  */
-export async function analyzeCommit(owner, repo, sha) {
+export async function analyzeCommit(owner, repo, sha, repoUrl) {
   const response = await fetch(`${API_BASE}/commit/analyze`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ owner, repo, sha }),
+    body: JSON.stringify({ owner, repo, sha, repoUrl }),
   });
 
   const data = await response.json();
@@ -120,11 +126,14 @@ export async function analyzeCommit(owner, repo, sha) {
  * Fetch latest 5 commits by a specific contributor
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
- * @param {string} username - Contributor's GitHub username
+ * @param {string} username - Contributor's username (or git author name)
+ * @param {string} [repoUrl] - Repository URL, needed for hosts other than github.com
  * @returns {Promise<Array>} Array of { sha, message, date, author }
  */
-export async function fetchContributorCommits(owner, repo, username) {
-  const response = await fetch(`${API_BASE}/repos/${owner}/${repo}/contributors/${username}/commits`);
+export async function fetchContributorCommits(owner, repo, username, repoUrl) {
+  const [o, r, u] = [owner, repo, username].map(encodeURIComponent);
+  const query = repoUrl ? `?repoUrl=${encodeURIComponent(repoUrl)}` : '';
+  const response = await fetch(`${API_BASE}/repos/${o}/${r}/contributors/${u}/commits${query}`);
   const data = await response.json();
 
   if (!response.ok) {
@@ -134,6 +143,141 @@ export async function fetchContributorCommits(owner, repo, username) {
   return data;
 }
 
+/**
+ * Fetch every branch's divergence from the default branch and the cleanup candidates
+ * @param {object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} [params.repoUrl] - Repository URL, needed for hosts other than github.com
+ * @param {object} [params.analysisWindow] - repoData.window, so the server can reuse the cached pulse
+ * @returns {Promise<object>} { defaultBranch, branches, branchCleanup, partial, skipped, cached }
+ */
+export async function fetchBranchCleanup({ owner, repo, repoUrl, analysisWindow }) {
+  const query = new URLSearchParams();
+  if (repoUrl) query.set('repoUrl', repoUrl);
+  if (analysisWindow?.relative === false) {
+    query.set('since', analysisWindow.since);
+    query.set('until', analysisWindow.until);
+  } else if (analysisWindow?.days) {
+    query.set('window', analysisWindow.days);
+  }
+  if (analysisWindow?.timeZone) query.set('timeZone', analysisWindow.timeZone);
+
+  const [o, r] = [owner, repo].map(encodeURIComponent);
+  const response = await fetch(`${API_BASE}/repos/${o}/${r}/branches/cleanup?${query}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to compare branches');
+  }
+
+  return data;
+}
+
+/**
+ * Fetch stored pulse snapshots for the trends view
+ * @param {object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} [params.repoUrl] - Repository URL, needed for hosts other than github.com
+ * @param {string} [params.since] - ISO date; only snapshots taken since then
+ * @param {number} [params.windowDays] - Only pulses with this analysis window
+ * @returns {Promise<object>} { repoKey, snapshots } with snapshots oldest first
+ */
+export async function fetchPulseHistory({ owner, repo, repoUrl, since, windowDays }) {
+  const query = new URLSearchParams();
+  if (repoUrl) query.set('repoUrl', repoUrl);
+  if (since) query.set('since', since);
+  if (windowDays) query.set('windowDays', windowDays);
+
+  const [o, r] = [owner, repo].map(encodeURIComponent);
+  const response = await fetch(`${API_BASE}/repos/${o}/${r}/history?${query}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to fetch pulse history');
+  }
+
+  return data;
+}
+
+/**
+ * Fetch what changed between the latest stored pulse and an earlier one
+ * @param {object} params
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} [params.repoUrl] - Repository URL, needed for hosts other than github.com
+ * @param {string} [params.since] - ISO date; compare with the last pulse before it (default: the previous pulse)
+ * @param {number} [params.windowDays] - Only pulses with this analysis window
+ * @returns {Promise<object>} { diff }
+ */
+export async function fetchPulseDiff({ owner, repo, repoUrl, since, windowDays }) {
+  const query = new URLSearchParams();
+  if (repoUrl) query.set('repoUrl', repoUrl);
+  if (since) query.set('since', since);
+  if (windowDays) query.set('windowDays', windowDays);
+
+  const [o, r] = [owner, repo].map(encodeURIComponent);
+  const response = await fetch(`${API_BASE}/repos/${o}/${r}/diff?${query}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to fetch pulse changes');
+  }
+
+  return data;
+}
+
+/**
+ * Acknowledge a blocker: assign an owner, leave a note, and optionally snooze it
+ * @param {object} params
+ * @param {string} params.repoUrl - Repository URL the pulse was run for
+ * @param {string} params.blockerKey - The blocker's key, e.g. "STALE_PR:pr:42"
+ * @param {string} [params.fingerprint] - The blocker's fingerprint, so a change lifts the snooze
+ * @param {string} [params.snoozeUntil] - ISO date to hide the blocker until
+ * @param {string} [params.owner] - Who is on it
+ * @param {string} [params.note] - e.g. "waiting on vendor"
+ * @returns {Promise<object>} { blockerKey, acknowledgement }
+ */
+export async function saveBlockerAcknowledgement({ repoUrl, blockerKey, fingerprint, snoozeUntil, owner, note }) {
+  const response = await fetch(`${API_BASE}/blockers/acknowledgements`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ repoUrl, blockerKey, fingerprint, snoozeUntil, owner, note }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to save acknowledgement');
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Remove a blocker's acknowledgement (un-snoozes it)
+ * @param {object} params
+ * @param {string} params.repoUrl
+ * @param {string} params.blockerKey
+ * @returns {Promise<object>} { blockerKey, removed }
+ */
+export async function removeBlockerAcknowledgement({ repoUrl, blockerKey }) {
+  const query = `repoUrl=${encodeURIComponent(repoUrl)}&blockerKey=${encodeURIComponent(blockerKey)}`;
+  const response = await fetch(`${API_BASE}/blockers/acknowledgements?${query}`, { method: 'DELETE' });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to remove acknowledgement');
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Check API health
  * @returns {Promise<object>} Health status
@@ -4,18 +4,40 @@
  */
 
 import express from 'express';
-import { fetchRepoData, parseRepoUrl } from '../services/githubService.js';
-import { getCachedData, setCachedData } from '../services/cacheService.js';
+import { fetchRepoData, fetchBranchDivergence, fetchContributorCommits } from '../services/pulseService.js';
+import { parseRepoUrl, getRepoKey } from '../services/providerService.js';
+import { getCachedData, setCachedData, invalidateRepoCache, getCacheStats } from '../services/cacheService.js';
+import { getConditionalStats } from '../services/conditionalCacheService.js';
+import { getBudgets } from '../services/rateLimitService.js';
 import { generatePulseSummary } from '../services/ollamaService.js';
 import { streamChatResponse } from '../services/chatService.js';
 import { analyzeCommit } from '../services/commitAnalyzerService.js';
+import {
+  getAcknowledgements,
+  setAcknowledgement,
+  removeAcknowledgement,
+  applyAcknowledgements
+} from '../services/acknowledgementService.js';
+import { buildSnapshot, recordSnapshot, getHistory, findSnapshotBefore } from '../services/snapshotService.js';
+import { diffSnapshots, getPulseDiff } from '../services/pulseDiffService.js';
+import { computeHealthScore } from '../services/healthScoreService.js';
+import { computeFlowMetrics } from '../services/flowMetricsService.js';
+import { buildBranchReport } from '../services/branchService.js';
+import { parseAnalysisWindow, getWindowKey } from '../utils/analysisWindow.js';
 
 const router = express.Router();
 
+// Partial (rate-limited) pulses are cached for one minute instead of the full TTL
+const PARTIAL_PULSE_TTL_SECONDS = 60;
+
+// Branch divergence is kept longer than a pulse; branches that haven't moved reuse it
+const BRANCH_DIVERGENCE_TTL_SECONDS = 60 * 60;
+
 /**
  * POST /api/pulse
  * Fetch repository health data with AI-generated summary
- * Body: { repoUrl: "https://github.com/owner/repo" }
+ * Body: { repoUrl: "https://github.com/owner/repo", window?: 14 | "30d" | { since, until? }, timeZone?: "Asia/Kolkata" }
+ * (GitLab and Gitea URLs work too; the window defaults to the last 7 days, bucketed in UTC)
  */
 router.post('/pulse', async (req, res, next) => {
   try {
@@ -39,18 +61,47 @@ router.post('/pulse', async (req, res, next) => {
       });
     }
 
+    let window;
+    try {
+      window = parseAnalysisWindow(req.body.window, req.body.timeZone);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.message.startsWith('Invalid time zone') ? 'INVALID_TIMEZONE' : 'INVALID_WINDOW'
+      });
+    }
+    const windowKey = getWindowKey(window);
+
     // Check cache first (includes both repoData and summary)
-    const cachedData = getCachedData(repoUrl);
+    const cachedData = getCachedData(repoUrl, windowKey);
     if (cachedData) {
+      // Re-applied so a snooze that ran out since caching shows again
+      cachedData.repoData.blockers = await applyAcknowledgements(repoUrl, cachedData.repoData.blockers);
+      cachedData.repoData.healthScore = computeHealthScore(cachedData.repoData);
       return res.json({
         ...cachedData,
         cached: true
       });
     }
 
-    // Fetch fresh data from GitHub
-    const token = process.env.GITHUB_TOKEN;
-    const repoData = await fetchRepoData(repoUrl, token);
+    // Fetch fresh data from the repo's provider (token comes from its env var)
+    const repoData = await fetchRepoData(repoUrl, { window });
+
+    // Before the summary, so snoozed blockers stay out of it
+    repoData.blockers = await applyAcknowledgements(repoUrl, repoData.blockers);
+    // Computed health grounds the AI verdict, and stands in for it when the AI is down
+    repoData.healthScore = computeHealthScore(repoData);
+
+    // What changed since the previous stored pulse, so the summary can lead with it
+    let baseline = null;
+    try {
+      baseline = await findSnapshotBefore(repoUrl, repoData.fetchedAt, {
+        windowDays: window.relative ? window.days : undefined
+      });
+    } catch (historyError) {
+      console.error('Failed to load the previous pulse snapshot:', historyError.message);
+    }
+    let diff = baseline ? diffSnapshots(baseline, buildSnapshot(repoData, null)) : null;
 
     // Generate AI summary
     let summary = null;
@@ -59,7 +110,7 @@ router.post('/pulse', async (req, res, next) => {
     try {
       console.log('Generating AI summary with Ollama...');
       const startTime = Date.now();
-      summary = await generatePulseSummary(repoData);
+      summary = await generatePulseSummary(repoData, { diff });
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
       
       if (summary) {
@@ -73,15 +124,29 @@ router.post('/pulse', async (req, res, next) => {
       summaryError = aiError.message;
     }
 
+    // Keep a snapshot for trends and the next diff; losing one shouldn't fail the pulse
+    const snapshot = buildSnapshot(repoData, summary);
+    if (baseline) diff = diffSnapshots(baseline, snapshot);
+    try {
+      await recordSnapshot(repoUrl, snapshot);
+    } catch (snapshotError) {
+      console.error('Failed to record pulse snapshot:', snapshotError.message);
+    }
+
     // Prepare response
     const responseData = {
       repoData,
       summary,
-      summaryError
+      summaryError,
+      diff
     };
 
-    // Cache the full response (repoData + summary) with 5-minute TTL
-    setCachedData(repoUrl, responseData);
+    // Cache the full response (repoData + summary) with 5-minute TTL; partial
+    // pulses only briefly so the skipped sections are retried once budget returns
+    setCachedData(repoUrl, responseData, {
+      variant: windowKey,
+      ttlSeconds: repoData.partial ? PARTIAL_PULSE_TTL_SECONDS : undefined
+    });
 
     // Return the data
     res.json({
@@ -189,31 +254,44 @@ router.post('/chat', async (req, res) => {
 /**
  * POST /api/commit/analyze
  * Analyze a specific commit using AI
- * Body: { owner: string, repo: string, sha: string }
+ * Body: { repoUrl: string, sha: string } or legacy { owner: string, repo: string, sha: string } (GitHub)
  */
 router.post('/commit/analyze', async (req, res, next) => {
   try {
     const { owner, repo, sha } = req.body;
+    let { repoUrl } = req.body;
 
-    if (!owner || typeof owner !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid owner parameter', code: 'INVALID_INPUT' });
+    if (!repoUrl) {
+      if (!owner || typeof owner !== 'string') {
+        return res.status(400).json({ error: 'Missing or invalid owner parameter', code: 'INVALID_INPUT' });
+      }
+      if (!repo || typeof repo !== 'string') {
+        return res.status(400).json({ error: 'Missing or invalid repo parameter', code: 'INVALID_INPUT' });
+      }
+      repoUrl = `${owner}/${repo}`;
     }
-    if (!repo || typeof repo !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid repo parameter', code: 'INVALID_INPUT' });
+    if (typeof repoUrl !== 'string') {
+      return res.status(400).json({ error: 'Missing or invalid repoUrl parameter', code: 'INVALID_INPUT' });
     }
     if (!sha || typeof sha !== 'string' || sha.trim().length < 7) {
       return res.status(400).json({ error: 'Missing or invalid sha parameter (min 7 characters)', code: 'INVALID_INPUT' });
     }
 
+    let repoKey;
+    try {
+      repoKey = getRepoKey(repoUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_URL' });
+    }
+
     // Cache check — commit SHAs are immutable so caching is safe
-    const cacheKey = `commit:${owner.toLowerCase()}/${repo.toLowerCase()}/${sha.toLowerCase()}`;
+    const cacheKey = `commit:${repoKey}/${sha.toLowerCase()}`;
     const cached = getCachedData(cacheKey);
     if (cached) {
       return res.json({ ...cached, cached: true });
     }
 
-    const token = process.env.GITHUB_TOKEN;
-    const result = await analyzeCommit(owner, repo, sha.trim(), token);
+    const result = await analyzeCommit(repoUrl, sha.trim());
 
     setCachedData(cacheKey, result);
 
@@ -238,52 +316,390 @@ router.post('/commit/analyze', async (req, res, next) => {
 /**
  * GET /api/repos/:owner/:repo/contributors/:username/commits
  * Fetch latest 5 commits by a specific contributor
+ * Query: ?repoUrl=... selects a non-github.com host (Enterprise, GitLab, Gitea, local)
  */
 router.get('/repos/:owner/:repo/contributors/:username/commits', async (req, res, next) => {
   try {
     const { owner, repo, username } = req.params;
+    const repoUrl = typeof req.query.repoUrl === 'string' && req.query.repoUrl
+      ? req.query.repoUrl
+      : `${owner}/${repo}`;
+
+    let repoKey;
+    try {
+      repoKey = getRepoKey(repoUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_URL' });
+    }
 
-    const cacheKey = `contributor-commits:${owner.toLowerCase()}/${repo.toLowerCase()}/${username.toLowerCase()}`;
+    const cacheKey = `contributor-commits:${repoKey}/${username.toLowerCase()}`;
     const cached = getCachedData(cacheKey);
     if (cached) {
       return res.json(cached);
     }
 
-    const token = process.env.GITHUB_TOKEN;
-    const url = `https://api.github.com/repos/${owner}/${repo}/commits?author=${username}&per_page=5`;
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'ProjectPulse'
-    };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
+    const commits = await fetchContributorCommits(repoUrl, username);
+
+    setCachedData(cacheKey, commits);
+    res.json(commits);
+
+  } catch (error) {
+    console.error('Error fetching contributor commits:', error.message);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Repository not found', code: 'REPO_NOT_FOUND' });
+    }
+    if (error.message.includes('rate limit')) {
+      return res.status(429).json({ error: 'Rate limited', code: 'RATE_LIMITED' });
+    }
+    if (error.message.includes('private') || error.message.includes('forbidden')) {
+      return res.status(403).json({ error: error.message, code: 'ACCESS_DENIED' });
+    }
+    next(error);
+  }
+});
 
-    const response = await fetch(url, { headers });
+/**
+ * GET /api/repos/:owner/:repo/history
+ * Stored pulse snapshots, oldest first
+ * Query: ?repoUrl=... (non-github.com hosts), ?since=&until= (ISO dates), ?windowDays=7 (only pulses of that window)
+ */
+router.get('/repos/:owner/:repo/history', async (req, res, next) => {
+  try {
+    const { owner, repo } = req.params;
+    const { since, until, windowDays } = req.query;
+    const repoUrl = typeof req.query.repoUrl === 'string' && req.query.repoUrl
+      ? req.query.repoUrl
+      : `${owner}/${repo}`;
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({ error: 'Repository not found', code: 'REPO_NOT_FOUND' });
+    let repoKey;
+    try {
+      repoKey = getRepoKey(repoUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_URL' });
+    }
+
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid ${name}: expected an ISO date`, code: 'INVALID_INPUT' });
       }
-      if (response.status === 403) {
-        return res.status(429).json({ error: 'Rate limited', code: 'RATE_LIMITED' });
+    }
+    const days = windowDays !== undefined ? parseInt(windowDays, 10) : undefined;
+    if (days !== undefined && !(days > 0)) {
+      return res.status(400).json({ error: 'Invalid windowDays: expected a positive number of days', code: 'INVALID_INPUT' });
+    }
+
+    const snapshots = await getHistory(repoUrl, { since, until, windowDays: days });
+    res.json({ repoKey, snapshots });
+  } catch (error) {
+    console.error('Error fetching pulse history:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/repos/:owner/:repo/diff
+ * What changed between the latest stored pulse and the previous one
+ * Query: ?repoUrl=... (non-github.com hosts), ?since= (ISO date; compare with the last pulse before it), ?windowDays=7
+ */
+router.get('/repos/:owner/:repo/diff', async (req, res, next) => {
+  try {
+    const { owner, repo } = req.params;
+    const { since, windowDays } = req.query;
+    const repoUrl = typeof req.query.repoUrl === 'string' && req.query.repoUrl
+      ? req.query.repoUrl
+      : `${owner}/${repo}`;
+
+    try {
+      getRepoKey(repoUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_URL' });
+    }
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'Invalid since: expected an ISO date', code: 'INVALID_INPUT' });
+    }
+    const days = windowDays !== undefined ? parseInt(windowDays, 10) : undefined;
+    if (days !== undefined && !(days > 0)) {
+      return res.status(400).json({ error: 'Invalid windowDays: expected a positive number of days', code: 'INVALID_INPUT' });
+    }
+
+    const diff = await getPulseDiff(repoUrl, { since, windowDays: days });
+    if (!diff) {
+      return res.status(404).json({ error: 'No earlier pulse found to compare with', code: 'NO_HISTORY' });
+    }
+    res.json({ diff });
+  } catch (error) {
+    console.error('Error computing pulse diff:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * The repo and analysis window of a per-repo report request, sending the 400 itself
+ * Query: ?repoUrl=... (non-github.com hosts), ?window=14 | 30d (default 7 days), ?since=&until= (ISO dates), ?timeZone=
+ * @returns {object|null} { repoUrl, window }, or null if the request was rejected
+ */
+function resolveRepoWindow(req, res) {
+  const { owner, repo } = req.params;
+  const { since, until, timeZone } = req.query;
+  const repoUrl = typeof req.query.repoUrl === 'string' && req.query.repoUrl
+    ? req.query.repoUrl
+    : `${owner}/${repo}`;
+
+  try {
+    parseRepoUrl(repoUrl);
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: 'INVALID_URL' });
+    return null;
+  }
+
+  try {
+    return { repoUrl, window: parseAnalysisWindow(since ? { since, until } : req.query.window, timeZone) };
+  } catch (error) {
+    res.status(400).json({
+      error: error.message,
+      code: error.message.startsWith('Invalid time zone') ? 'INVALID_TIMEZONE' : 'INVALID_WINDOW'
+    });
+    return null;
+  }
+}
+
+/**
+ * The cached pulse's data for the window, or freshly fetched data
+ * @param {string} [field] - A field the cached pulse must carry; pulses cached before it existed are fetched again
+ * @returns {Promise<object>} { repoData, cached }
+ */
+async function loadRepoData(repoUrl, window, field) {
+  const cachedData = getCachedData(repoUrl, getWindowKey(window));
+  const cached = Boolean(cachedData && (!field || cachedData.repoData[field]));
+  return { repoData: cached ? cachedData.repoData : await fetchRepoData(repoUrl, { window }), cached };
+}
+
+/**
+ * Answer a provider error with its status code, or hand it to the error handler
+ */
+function sendRepoError(res, error, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message, code: 'REPO_NOT_FOUND' });
+  }
+  if (error.message.includes('rate limit')) {
+    return res.status(429).json({ error: error.message, code: 'RATE_LIMITED' });
+  }
+  if (error.message.includes('private') || error.message.includes('forbidden')) {
+    return res.status(403).json({ error: error.message, code: 'ACCESS_DENIED' });
+  }
+  next(error);
+}
+
+/**
+ * GET /api/repos/:owner/:repo/flow-metrics
+ * Cycle time, time to first review, review rounds and approval-to-merge for PRs
+ * merged in the window, overall and per author and base branch
+ * Query: ?repoUrl=... (non-github.com hosts), ?window=14 | 30d (default 7 days), ?since=&until= (ISO dates), ?timeZone=
+ * Reuses a cached pulse for the same window, otherwise fetches the repo's data
+ */
+router.get('/repos/:owner/:repo/flow-metrics', async (req, res, next) => {
+  try {
+    const resolved = resolveRepoWindow(req, res);
+    if (!resolved) return;
+    const { repoUrl, window } = resolved;
+
+    const { repoData, cached } = await loadRepoData(repoUrl, window);
+
+    res.json({
+      window: repoData.window,
+      // Pulses cached before flow metrics existed don't carry them
+      flowMetrics: repoData.flowMetrics || computeFlowMetrics(repoData.closedPullRequests),
+      partial: Boolean(repoData.partial),
+      cached
+    });
+  } catch (error) {
+    console.error('Error computing flow metrics:', error.message);
+    sendRepoError(res, error, next);
+  }
+});
+
+/**
+ * GET /api/repos/:owner/:repo/issue-metrics
+ * Time to first maintainer reply, unlabeled share, open-issue age per label, issues
+ * opened and closed, and open issues waiting on a maintainer's reply
+ * Query: ?repoUrl=... (non-github.com hosts), ?window=14 | 30d (default 7 days), ?since=&until= (ISO dates), ?timeZone=
+ * Reuses a cached pulse for the same window, otherwise fetches the repo's data
+ */
+router.get('/repos/:owner/:repo/issue-metrics', async (req, res, next) => {
+  try {
+    const resolved = resolveRepoWindow(req, res);
+    if (!resolved) return;
+    const { repoUrl, window } = resolved;
+
+    // Pulses cached before issue metrics existed don't have the comment history to compute them from
+    const { repoData, cached } = await loadRepoData(repoUrl, window, 'issueMetrics');
+
+    res.json({
+      window: repoData.window,
+      issueMetrics: repoData.issueMetrics,
+      partial: Boolean(repoData.partial),
+      cached
+    });
+  } catch (error) {
+    console.error('Error computing issue metrics:', error.message);
+    sendRepoError(res, error, next);
+  }
+});
+
+/**
+ * GET /api/repos/:owner/:repo/branches/cleanup
+ * Every branch with its divergence from the default branch, and the branches ready to
+ * delete: fully merged into the default branch but not deleted, and abandoned (no open
+ * PR, idle longer than BRANCH_ABANDONED_DAYS)
+ * Query: ?repoUrl=... (non-github.com hosts), ?window=14 | 30d (default 7 days), ?since=&until= (ISO dates), ?timeZone=
+ * Reuses a cached pulse for the same window, otherwise fetches the repo's data. The
+ * divergence is cached separately, and only branches with new commits are compared again
+ */
+router.get('/repos/:owner/:repo/branches/cleanup', async (req, res, next) => {
+  try {
+    const resolved = resolveRepoWindow(req, res);
+    if (!resolved) return;
+    const { repoUrl, window } = resolved;
+
+    // Pulses cached before the branch report existed don't have the branch authors and PRs
+    const { repoData, cached } = await loadRepoData(repoUrl, window, 'branchCleanup');
+    const defaultBranch = repoData.meta.defaultBranch;
+
+    const cacheKey = `branch-divergence:${getRepoKey(repoUrl)}`;
+    const divergence = await fetchBranchDivergence(repoUrl, {
+      defaultBranch,
+      branches: repoData.branches,
+      previous: getCachedData(cacheKey)
+    });
+    setCachedData(cacheKey, divergence, { ttlSeconds: BRANCH_DIVERGENCE_TTL_SECONDS });
+
+    const report = buildBranchReport(repoData.branches, {
+      defaultBranch,
+      pullRequests: repoData.pullRequests,
+      closedPullRequests: repoData.closedPullRequests,
+      comparisons: divergence.comparisons,
+      truncated: divergence.truncated
+    });
+
+    res.json({
+      defaultBranch,
+      branches: report.branches,
+      branchCleanup: report.cleanup,
+      partial: Boolean(repoData.partial) || divergence.skipped.length > 0,
+      skipped: divergence.skipped,
+      cached
+    });
+  } catch (error) {
+    console.error('Error building the branch cleanup report:', error.message);
+    sendRepoError(res, error, next);
+  }
+});
+
+/**
+ * Validate the repoUrl of an acknowledgement request, sending the 400 itself
+ * @returns {boolean} Whether the request can go ahead
+ */
+function checkAcknowledgementRepo(repoUrl, res) {
+  if (!repoUrl || typeof repoUrl !== 'string') {
+    res.status(400).json({ error: 'Missing or invalid repoUrl parameter', code: 'INVALID_INPUT' });
+    return false;
+  }
+  try {
+    getRepoKey(repoUrl);
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: 'INVALID_URL' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/blockers/acknowledgements?repoUrl=...
+ * Stored blocker acknowledgements for a repo, keyed by blocker key
+ */
+router.get('/blockers/acknowledgements', async (req, res, next) => {
+  try {
+    const { repoUrl } = req.query;
+    if (!checkAcknowledgementRepo(repoUrl, res)) return;
+
+    res.json({ acknowledgements: await getAcknowledgements(repoUrl) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/blockers/acknowledgements
+ * Acknowledge a blocker; it is hidden until snoozeUntil unless its PR or issue changes
+ * Body: { repoUrl, blockerKey: "STALE_PR:pr:42", fingerprint?, snoozeUntil?: ISO date, owner?, note? }
+ */
+router.post('/blockers/acknowledgements', async (req, res, next) => {
+  try {
+    const { repoUrl, ...acknowledgement } = req.body;
+    if (!checkAcknowledgementRepo(repoUrl, res)) return;
+
+    let stored;
+    try {
+      stored = await setAcknowledgement(repoUrl, acknowledgement);
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({ error: error.message, code: 'INVALID_INPUT' });
       }
-      throw new Error(`GitHub API error: ${response.status}`);
+      throw error;
     }
 
-    const data = await response.json();
-    const commits = data.map(c => ({
-      sha: c.sha,
-      message: c.commit.message.split('\n')[0],
-      date: c.commit.author?.date || c.commit.committer?.date,
-      author: c.author?.login || c.commit.author?.name || username
-    }));
+    // Cached pulses carry the old acknowledgement and an AI summary that may list the blocker
+    invalidateRepoCache(repoUrl);
+    res.json({ blockerKey: acknowledgement.blockerKey, acknowledgement: stored });
+  } catch (error) {
+    console.error('Error saving blocker acknowledgement:', error.message);
+    next(error);
+  }
+});
 
-    setCachedData(cacheKey, commits);
-    res.json(commits);
+/**
+ * DELETE /api/blockers/acknowledgements?repoUrl=...&blockerKey=...
+ * Remove a blocker's acknowledgement (un-snoozes it)
+ */
+router.delete('/blockers/acknowledgements', async (req, res, next) => {
+  try {
+    const { repoUrl, blockerKey } = req.query;
+    if (!checkAcknowledgementRepo(repoUrl, res)) return;
+    if (!blockerKey || typeof blockerKey !== 'string') {
+      return res.status(400).json({ error: 'Missing or invalid blockerKey parameter', code: 'INVALID_INPUT' });
+    }
 
+    if (!(await removeAcknowledgement(repoUrl, blockerKey))) {
+      return res.status(404).json({ error: `No acknowledgement for ${blockerKey}`, code: 'NOT_FOUND' });
+    }
+
+    invalidateRepoCache(repoUrl);
+    res.json({ blockerKey, removed: true });
   } catch (error) {
-    console.error('Error fetching contributor commits:', error.message);
+    console.error('Error removing blocker acknowledgement:', error.message);
     next(error);
   }
 });
 
+/**
+ * GET /api/cache/stats
+ * Pulse cache hits/misses and GitHub conditional request outcomes (304s vs. full fetches)
+ */
+router.get('/cache/stats', (req, res) => {
+  const { hits, misses, keys } = getCacheStats();
+  res.json({
+    pulseCache: { hits, misses, keys },
+    conditionalRequests: getConditionalStats()
+  });
+});
+
+/**
+ * GET /api/rate-limit
+ * Last known GitHub rate-limit budget per host and resource (core, graphql, ...)
+ */
+router.get('/rate-limit', (req, res) => {
+  res.json({ budgets: getBudgets() });
+});
+
 export default router;
@@ -0,0 +1,159 @@
+/**
+ * Acknowledgement Service
+ * Persists what people have said about a blocker (an owner, a note, a snooze-until date)
+ * and applies it to each pulse's blockers. A snooze lifts itself once the blocker's
+ * PR or issue changes, so "waiting on vendor" doesn't hide new trouble.
+ */
+
+import { getRepoKey } from './providerService.js';
+import { createJsonStore } from '../utils/jsonStore.js';
+
+const BLOCKER_KEY = /^[A-Z][A-Z0-9_]*:((pr|issue|milestone):\d+|area:.+)$/;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_OWNER_LENGTH = 100;
+
+const store = createJsonStore('acknowledgements.json');
+
+/**
+ * Check and normalize an acknowledgement from a request body
+ * @throws {Error} "Invalid ..." when a field is malformed
+ */
+function validateAcknowledgement({ blockerKey, fingerprint, snoozeUntil, owner, note }) {
+  if (typeof blockerKey !== 'string' || !BLOCKER_KEY.test(blockerKey)) {
+    throw new Error('Invalid blockerKey: expected TYPE:pr:<number>, TYPE:issue:<number>, TYPE:area:<path> or TYPE:milestone:<number>');
+  }
+  if (fingerprint !== undefined && fingerprint !== null && typeof fingerprint !== 'string') {
+    throw new Error('Invalid fingerprint: expected a string');
+  }
+
+  let snoozeDate = null;
+  if (snoozeUntil) {
+    snoozeDate = new Date(snoozeUntil);
+    if (Number.isNaN(snoozeDate.getTime())) {
+      throw new Error('Invalid snoozeUntil: expected an ISO date');
+    }
+    if (snoozeDate.getTime() <= Date.now()) {
+      throw new Error('Invalid snoozeUntil: must be in the future');
+    }
+  }
+
+  if (owner && (typeof owner !== 'string' || owner.length > MAX_OWNER_LENGTH)) {
+    throw new Error(`Invalid owner: expected a login of at most ${MAX_OWNER_LENGTH} characters`);
+  }
+  if (note && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw new Error(`Invalid note: expected text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  return {
+    fingerprint: fingerprint || null,
+    snoozeUntil: snoozeDate ? snoozeDate.toISOString() : null,
+    owner: owner?.trim() || null,
+    note: note?.trim() || null
+  };
+}
+
+/**
+ * Acknowledgements for a repo
+ * @param {string} repoUrl
+ * @returns {Promise<object>} Blocker key -> { fingerprint, snoozeUntil, owner, note, acknowledgedAt, unsnoozedAt?, unsnoozeReason? }
+ */
+export async function getAcknowledgements(repoUrl) {
+  const data = await store.read();
+  return { ...data[getRepoKey(repoUrl)] };
+}
+
+/**
+ * Acknowledge a blocker, replacing any earlier acknowledgement for it
+ * @param {string} repoUrl
+ * @param {object} acknowledgement
+ * @param {string} acknowledgement.blockerKey - From the blocker's key
+ * @param {string} [acknowledgement.fingerprint] - The blocker's fingerprint when acknowledged
+ * @param {string} [acknowledgement.snoozeUntil] - ISO date to hide the blocker until
+ * @param {string} [acknowledgement.owner] - Who is on it
+ * @param {string} [acknowledgement.note] - e.g. "waiting on vendor"
+ * @returns {Promise<object>} The stored acknowledgement
+ */
+export async function setAcknowledgement(repoUrl, acknowledgement) {
+  const repoKey = getRepoKey(repoUrl);
+  const stored = {
+    ...validateAcknowledgement(acknowledgement),
+    acknowledgedAt: new Date().toISOString()
+  };
+
+  await store.update(data => {
+    data[repoKey] = { ...data[repoKey], [acknowledgement.blockerKey]: stored };
+  });
+  return stored;
+}
+
+/**
+ * Remove a blocker's acknowledgement
+ * @param {string} repoUrl
+ * @param {string} blockerKey
+ * @returns {Promise<boolean>} Whether there was one to remove
+ */
+export async function removeAcknowledgement(repoUrl, blockerKey) {
+  const repoKey = getRepoKey(repoUrl);
+
+  return store.update(data => {
+    if (!data[repoKey]?.[blockerKey]) return false;
+    delete data[repoKey][blockerKey];
+    if (Object.keys(data[repoKey]).length === 0) delete data[repoKey];
+    return true;
+  });
+}
+
+/**
+ * Attach acknowledgements to a pulse's blockers
+ * A snooze is active until its date passes; it is lifted (and the lift persisted)
+ * when the blocker's fingerprint no longer matches the one acknowledged.
+ * @param {string} repoUrl
+ * @param {object[]} blockers - From detectBlockers
+ * @returns {Promise<object[]>} Blockers with acknowledgement (or null) and snoozed
+ */
+export async function applyAcknowledgements(repoUrl, blockers = []) {
+  const acknowledgements = await getAcknowledgements(repoUrl);
+  const now = Date.now();
+  const lifted = {};
+
+  const result = blockers.map(blocker => {
+    let acknowledgement = acknowledgements[blocker.key] || null;
+    if (!acknowledgement) return { ...blocker, acknowledgement: null, snoozed: false };
+
+    const snoozeActive = Boolean(acknowledgement.snoozeUntil) && Date.parse(acknowledgement.snoozeUntil) > now;
+    const changed = Boolean(acknowledgement.fingerprint) && acknowledgement.fingerprint !== blocker.fingerprint;
+
+    if (snoozeActive && changed) {
+      acknowledgement = {
+        ...acknowledgement,
+        fingerprint: blocker.fingerprint,
+        snoozeUntil: null,
+        unsnoozedAt: new Date(now).toISOString(),
+        unsnoozeReason: `${blocker.relatedPR ? 'PR' : blocker.relatedArea ? 'Code area' : blocker.relatedMilestone ? 'Milestone' : 'Issue'} changed since it was snoozed`
+      };
+      lifted[blocker.key] = acknowledgement;
+    }
+
+    return {
+      ...blocker,
+      acknowledgement,
+      snoozed: snoozeActive && !changed
+    };
+  });
+
+  if (Object.keys(lifted).length > 0) {
+    const repoKey = getRepoKey(repoUrl);
+    await store.update(data => {
+      data[repoKey] = { ...data[repoKey], ...lifted };
+    });
+  }
+
+  return result;
+}
+
+export default {
+  getAcknowledgements,
+  setAcknowledgement,
+  removeAcknowledgement,
+  applyAcknowledgements
+};
@@ -0,0 +1,330 @@
+/**
+ * Blocker Rule Service
+ * Resolves the blocker rules for a repo (built-in defaults, then the server-side
+ * BLOCKER_RULES_PATH file, then the repo's own .projectpulse.json) and runs them
+ * over a pulse's branches, pull requests, issues and single-owner code areas
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { matches, runRules, validateCondition, validateRule } from '../utils/ruleEngine.js';
+import { DEFAULT_BLOCKER_RULES, DEFAULT_STALE_BRANCH } from '../utils/defaultBlockerRules.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const INPUTS = ['pullRequests', 'issues', 'areas', 'milestones'];
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Read the server-side rules file, if one is configured
+ * @returns {Promise<object|null>}
+ */
+async function loadServerConfig() {
+  const rulesPath = process.env.BLOCKER_RULES_PATH;
+  if (!rulesPath) return null;
+
+  try {
+    return JSON.parse(await readFile(rulesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read BLOCKER_RULES_PATH (${rulesPath}): ${error.message}`);
+  }
+}
+
+/**
+ * Layer one config's overrides onto the current rules
+ * Rules are overridden by type: params merge key by key, other fields replace.
+ * An override that doesn't validate is reported and the previous rule kept.
+ * @param {{ rules: object[], staleBranch: object }} current
+ * @param {{ rules?: object, staleBranch?: object }} config
+ * @param {string} source - "server" or "repo", for error messages
+ * @param {string[]} errors - Collects problems
+ */
+function applyConfig(current, config, source, errors) {
+  if (!config || typeof config !== 'object') return current;
+
+  let { rules, staleBranch } = current;
+
+  Object.entries(config.rules || {}).forEach(([type, override]) => {
+    const index = rules.findIndex(rule => rule.type === type);
+    const base = index >= 0 ? rules[index] : {};
+    const merged = { ...base, ...override, type, params: { ...base.params, ...override.params } };
+
+    try {
+      validateRule(merged, INPUTS);
+    } catch (error) {
+      errors.push(`${source} config: ${error.message}`);
+      return;
+    }
+
+    rules = index >= 0
+      ? rules.map((rule, i) => (i === index ? merged : rule))
+      : [...rules, merged];
+  });
+
+  if (config.staleBranch) {
+    const merged = {
+      ...staleBranch,
+      ...config.staleBranch,
+      params: { ...staleBranch.params, ...config.staleBranch.params }
+    };
+    try {
+      validateCondition(merged.when, merged.params, 'staleBranch.when');
+      staleBranch = merged;
+    } catch (error) {
+      errors.push(`${source} config: ${error.message}`);
+    }
+  }
+
+  return { rules, staleBranch };
+}
+
+/**
+ * Resolve the rules that apply to a repo
+ * The server file may hold shared settings plus per-repo ones under repos["owner/repo"]
+ * @param {object} options
+ * @param {string} options.fullName - "owner/repo", to find server-side per-repo settings
+ * @param {object|null} [options.repoConfig] - The repo's parsed .projectpulse.json
+ * @returns {Promise<{ rules: object[], staleBranch: object, sources: string[], errors: string[] }>}
+ */
+export async function resolveBlockerRules({ fullName, repoConfig = null }) {
+  const errors = [];
+  const sources = ['default'];
+  let resolved = { rules: DEFAULT_BLOCKER_RULES, staleBranch: DEFAULT_STALE_BRANCH };
+
+  let serverConfig = null;
+  try {
+    serverConfig = await loadServerConfig();
+  } catch (error) {
+    console.warn(error.message);
+    errors.push(error.message);
+  }
+
+  if (serverConfig) {
+    resolved = applyConfig(resolved, serverConfig, 'server', errors);
+    resolved = applyConfig(resolved, serverConfig.repos?.[fullName], 'server', errors);
+    sources.push('server');
+  }
+
+  if (repoConfig?.blockerRules) {
+    resolved = applyConfig(resolved, repoConfig.blockerRules, 'repo', errors);
+    sources.push('repo');
+  }
+
+  errors.forEach(error => console.warn(`Blocker rules for ${fullName}: ${error}`));
+  return { ...resolved, sources, errors };
+}
+
+/**
+ * Hours from a timestamp to now, or null if unknown
+ */
+function hoursSince(date, now) {
+  return date ? (now - new Date(date).getTime()) / HOUR_MS : null;
+}
+
+/**
+ * Facts a pull request rule can test and template
+ */
+function getPullRequestFacts(pr, branches, now) {
+  const branch = branches.find(b => b.name === pr.branch);
+  const changeRequests = (pr.reviews || []).filter(review => review.state === 'changes_requested');
+  // Some providers don't timestamp reviewer states; the PR's last update is the closest bound
+  const changesRequestedAt = changeRequests
+    .map(review => review.submittedAt)
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(b) - Date.parse(a))[0] || pr.updatedAt;
+
+  return {
+    ...pr,
+    approved: pr.reviewDecision === 'approved',
+    hasBranch: Boolean(branch),
+    reviewers: [...(pr.requestedReviewers || []), ...(pr.requestedTeams || [])],
+    reviewCount: (pr.reviews || []).length,
+    changesRequestedBy: changeRequests.map(review => review.reviewer),
+    pushedSinceChangesRequested: Boolean(pr.headCommittedAt) &&
+      Date.parse(pr.headCommittedAt) > Date.parse(changesRequestedAt),
+    age: {
+      created: hoursSince(pr.createdAt, now),
+      updated: hoursSince(pr.updatedAt, now),
+      branchIdle: hoursSince(branch?.lastCommitDate, now),
+      ciFailing: pr.ciStatus === 'failure'
+        ? hoursSince(pr.ciUpdatedAt || pr.headCommittedAt || pr.updatedAt, now)
+        : null,
+      changesRequested: changeRequests.length > 0 ? hoursSince(changesRequestedAt, now) : null
+    }
+  };
+}
+
+/**
+ * Facts an issue rule can test and template
+ * Work facts come from the issue's entry in the work-item graph
+ */
+function getIssueFacts(issue, now, workItem) {
+  const linked = Boolean(workItem?.lastActivityAt);
+  return {
+    ...issue,
+    assigneeCount: issue.assignees.length,
+    assigneeLogins: issue.assignees.map(assignee => assignee.login),
+    labelNames: issue.labels.map(label => label.name),
+    work: {
+      status: workItem?.status || 'not_started',
+      linked,
+      branches: (workItem?.branches || []).map(branch => branch.name),
+      pullRequests: (workItem?.pullRequests || []).map(pr => pr.number)
+    },
+    age: {
+      created: hoursSince(issue.createdAt, now),
+      updated: hoursSince(issue.updatedAt, now),
+      // With nothing linked, the issue's own last update is the best sign of life
+      workIdle: hoursSince(linked ? workItem.lastActivityAt : issue.updatedAt, now)
+    }
+  };
+}
+
+/**
+ * Facts an area rule can test and template
+ */
+function getAreaFacts(area, now) {
+  return {
+    ...area,
+    age: {
+      lastCommit: hoursSince(area.lastCommitAt, now),
+      ownerInactive: hoursSince(area.ownerLastActiveAt, now)
+    }
+  };
+}
+
+/**
+ * Facts a milestone rule can test and template
+ */
+function getMilestoneFacts(milestone, now) {
+  const overdue = milestone.dueOn ? hoursSince(`${milestone.dueOn}T23:59:59.999Z`, now) : null;
+  return {
+    ...milestone,
+    age: { overdue: overdue > 0 ? overdue : null }
+  };
+}
+
+/**
+ * Short hash of the fields whose change means a blocker's item moved on,
+ * so an acknowledgement made against an older state can be lifted
+ */
+function fingerprint(fields) {
+  return createHash('sha1').update(JSON.stringify(fields)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Mark branches as stale with the resolved staleBranch condition
+ * @param {object[]} branches - Branches with lastCommitDate
+ * @param {object[]} pullRequests - Open PRs
+ * @param {{ staleBranch: object }} settings - From resolveBlockerRules
+ * @returns {object[]} Branches with isStale and hasOpenPR
+ */
+export function markStaleBranches(branches, pullRequests, { staleBranch }) {
+  const now = Date.now();
+  const prBranches = new Set(pullRequests.map(pr => pr.branch).filter(Boolean));
+
+  return branches.map(branch => {
+    const hasOpenPR = prBranches.has(branch.name);
+    const facts = { ...branch, hasOpenPR, age: { lastCommit: hoursSince(branch.lastCommitDate, now) } };
+
+    return {
+      ...branch,
+      isStale: matches(staleBranch.when, facts, staleBranch.params),
+      hasOpenPR
+    };
+  });
+}
+
+/**
+ * Stable identity of a blocker across pulses: its type plus the PR, issue, code area or milestone it is about
+ * @param {object} blocker
+ * @returns {string} e.g. "STALE_PR:pr:42", "UNASSIGNED_OLD_ISSUE:issue:7", "INACTIVE_SOLE_OWNER:area:server/services"
+ *   or "MILESTONE_AT_RISK:milestone:3"
+ */
+export function getBlockerKey(blocker) {
+  if (blocker.relatedPR) return `${blocker.type}:pr:${blocker.relatedPR.number}`;
+  if (blocker.relatedArea) return `${blocker.type}:area:${blocker.relatedArea.path}`;
+  if (blocker.relatedMilestone) return `${blocker.type}:milestone:${blocker.relatedMilestone.number}`;
+  return `${blocker.type}:issue:${blocker.relatedIssue?.number}`;
+}
+
+/**
+ * Detect blockers by running the resolved rules over PRs, issues, code areas and milestones
+ * @param {object[]} branches
+ * @param {object[]} pullRequests - Open PRs with review and CI status
+ * @param {object[]} issues
+ * @param {{ rules: object[] }} settings - From resolveBlockerRules
+ * @param {object} [extra]
+ * @param {object[]} [extra.areas] - Single-owner areas from computeOwnership
+ * @param {object[]} [extra.milestones] - Milestones from computeMilestones
+ * @param {object[]} [extra.workItems] - Open issues' linked work from buildWorkItems
+ * @returns {object[]} Blockers with key and fingerprint, high severity first, then longest stalled
+ */
+export function detectBlockers(branches, pullRequests, issues, { rules }, { areas = [], milestones = [], workItems = [] } = {}) {
+  const now = Date.now();
+  const workByIssue = new Map(workItems.map(item => [item.number, item]));
+
+  const blockers = runRules(rules, {
+    pullRequests: {
+      items: pullRequests.map(pr => getPullRequestFacts(pr, branches, now)),
+      key: facts => facts.number,
+      related: facts => ({
+        relatedBranch: facts.branch,
+        relatedPR: { number: facts.number, title: facts.title, author: facts.author },
+        relatedIssue: null,
+        relatedArea: null,
+        relatedMilestone: null,
+        fingerprint: fingerprint([facts.updatedAt, facts.headSha, facts.ciStatus, facts.reviewDecision, facts.hasConflicts])
+      })
+    },
+    issues: {
+      items: issues.map(issue => getIssueFacts(issue, now, workByIssue.get(issue.number))),
+      key: facts => facts.number,
+      related: facts => ({
+        relatedBranch: null,
+        relatedPR: null,
+        relatedIssue: { number: facts.number, title: facts.title },
+        relatedArea: null,
+        relatedMilestone: null,
+        // Work on a linked branch or PR moves it on too; unlinked issues keep their old fingerprint
+        fingerprint: fingerprint([facts.updatedAt, facts.assignees, ...(facts.work.linked ? [workByIssue.get(facts.number).lastActivityAt] : [])])
+      })
+    },
+    areas: {
+      items: areas.map(area => getAreaFacts(area, now)),
+      key: facts => facts.path,
+      related: facts => ({
+        relatedBranch: null,
+        relatedPR: null,
+        relatedIssue: null,
+        relatedArea: { path: facts.path, owner: facts.owner },
+        relatedMilestone: null,
+        // Anyone else committing there, or the owner coming back, moves it on
+        fingerprint: fingerprint([facts.owner, facts.ownerLastActiveAt])
+      })
+    },
+    milestones: {
+      items: milestones.map(milestone => getMilestoneFacts(milestone, now)),
+      key: facts => facts.number,
+      related: facts => ({
+        relatedBranch: null,
+        relatedPR: null,
+        relatedIssue: null,
+        relatedArea: null,
+        relatedMilestone: { number: facts.number, title: facts.title },
+        // Closing items, adding scope or moving the due date moves it on
+        fingerprint: fingerprint([facts.open, facts.closed, facts.dueOn])
+      })
+    }
+  }).map(blocker => ({ key: getBlockerKey(blocker), ...blocker }));
+
+  blockers.sort((a, b) => {
+    if (SEVERITY_ORDER[a.severity] !== SEVERITY_ORDER[b.severity]) {
+      return SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
+    }
+    return b.staleDays - a.staleDays;
+  });
+
+  return blockers;
+}
+
+export default { resolveBlockerRules, markStaleBranches, getBlockerKey, detectBlockers };
@@ -0,0 +1,125 @@
+/**
+ * Branch Service
+ * Each branch's divergence from the default branch, whether its work is already
+ * merged or its PR was closed unmerged, who it belongs to, and the branches that
+ * are ready to be deleted
+ */
+
+// Branches without an open PR idle for longer than this are abandoned
+const BRANCH_ABANDONED_DAYS = parseInt(process.env.BRANCH_ABANDONED_DAYS, 10) || 30;
+
+/**
+ * The newest merged or closed PR from each branch
+ * @returns {Map<string, object>}
+ */
+function getLastPullRequests(closedPullRequests) {
+  const byBranch = new Map();
+  closedPullRequests.forEach(pr => {
+    if (!pr.branch) return;
+    const seen = byBranch.get(pr.branch);
+    if (!seen || Date.parse(pr.closedAt) > Date.parse(seen.closedAt)) byBranch.set(pr.branch, pr);
+  });
+  return byBranch;
+}
+
+/**
+ * Whether everything on a branch has reached the default branch
+ * Either no commit is left only on the branch, or its last PR merged after its last
+ * commit (squash and rebase merges leave the branch's own commits behind)
+ * @returns {boolean|null} null when neither the divergence nor a merged PR is known
+ */
+function isMerged(branch, comparison, lastPullRequest) {
+  if (comparison?.aheadBy === 0) return true;
+  if (lastPullRequest?.state === 'merged' &&
+    (!branch.lastCommitDate || Date.parse(branch.lastCommitDate) <= Date.parse(lastPullRequest.closedAt))) {
+    return true;
+  }
+  return comparison ? false : null;
+}
+
+/**
+ * Why a branch could be deleted, or null if it should stay
+ */
+function getCleanupReason(branch) {
+  if (branch.isDefault || branch.hasOpenPR) return null;
+  if (branch.isMerged) return 'merged';
+  if (branch.daysSinceLastCommit !== null && branch.daysSinceLastCommit > BRANCH_ABANDONED_DAYS) return 'abandoned';
+  return null;
+}
+
+/**
+ * Add divergence, merge state and author to each branch, and list the cleanup candidates
+ * @param {object[]} branches - With daysSinceLastCommit, isStale and hasOpenPR
+ * @param {object} data
+ * @param {string} data.defaultBranch
+ * @param {object[]} data.pullRequests - Open PRs
+ * @param {object[]} data.closedPullRequests - PRs merged or closed in the window
+ * @param {Object<string, { aheadBy: number, behindBy: number }>} [data.comparisons] - Branch name to its
+ *   divergence from the default branch, from fetchBranchDivergence; the pulse itself leaves it out
+ * @param {boolean} [data.truncated] - Whether some branches weren't compared
+ * @returns {{ branches: object[], cleanup: object }}
+ */
+export function buildBranchReport(branches, { defaultBranch, pullRequests, closedPullRequests, comparisons = {}, truncated = false }) {
+  const lastPullRequests = getLastPullRequests(closedPullRequests);
+  const openPullRequests = new Map(pullRequests.filter(pr => pr.branch).map(pr => [pr.branch, pr]));
+
+  const reported = branches.map(branch => {
+    const isDefault = branch.name === defaultBranch;
+    const comparison = isDefault
+      ? { aheadBy: 0, behindBy: 0 }
+      : Object.hasOwn(comparisons, branch.name) ? comparisons[branch.name] : null;
+    const openPullRequest = openPullRequests.get(branch.name);
+    const lastPullRequest = lastPullRequests.get(branch.name) || null;
+
+    const enriched = {
+      ...branch,
+      isDefault,
+      author: openPullRequest?.author || lastPullRequest?.author || branch.lastCommitAuthor || 'unknown',
+      aheadBy: comparison?.aheadBy ?? null,
+      behindBy: comparison?.behindBy ?? null,
+      isMerged: isDefault ? false : isMerged(branch, comparison, lastPullRequest),
+      lastPullRequest: lastPullRequest && {
+        number: lastPullRequest.number,
+        title: lastPullRequest.title,
+        state: lastPullRequest.state,
+        closedAt: lastPullRequest.closedAt
+      },
+      // An open PR means the work was picked up again
+      prClosedUnmerged: !openPullRequest && lastPullRequest?.state === 'closed'
+    };
+    return { ...enriched, cleanupReason: getCleanupReason(enriched) };
+  });
+
+  const candidates = reported
+    .filter(branch => branch.cleanupReason)
+    .map(branch => ({
+      name: branch.name,
+      reason: branch.cleanupReason,
+      author: branch.author,
+      lastCommitDate: branch.lastCommitDate,
+      daysSinceLastCommit: branch.daysSinceLastCommit,
+      aheadBy: branch.aheadBy,
+      behindBy: branch.behindBy,
+      prClosedUnmerged: branch.prClosedUnmerged,
+      lastPullRequest: branch.lastPullRequest
+    }))
+    .sort((a, b) => (b.daysSinceLastCommit ?? -1) - (a.daysSinceLastCommit ?? -1) || a.name.localeCompare(b.name));
+
+  return {
+    branches: reported,
+    cleanup: {
+      abandonedAfterDays: BRANCH_ABANDONED_DAYS,
+      merged: candidates.filter(branch => branch.reason === 'merged'),
+      abandoned: candidates.filter(branch => branch.reason === 'abandoned'),
+      counts: {
+        branches: reported.length,
+        compared: reported.filter(branch => !branch.isDefault && branch.aheadBy !== null).length,
+        merged: candidates.filter(branch => branch.reason === 'merged').length,
+        abandoned: candidates.filter(branch => branch.reason === 'abandoned').length
+      },
+      truncated
+    }
+  };
+}
+
+export default { buildBranchReport };
@@ -4,6 +4,7 @@
  */
 
 import NodeCache from 'node-cache';
+import { getRepoKey } from './providerService.js';
 
 // 5 minute TTL for repo data
 const CACHE_TTL_SECONDS = 5 * 60;
@@ -17,41 +18,25 @@ const cache = new NodeCache({
 
 /**
  * Generate a cache key from a repo URL
- * Normalizes different URL formats to the same key
+ * Normalizes different URL formats (and providers) to the same key; the optional
+ * variant (e.g. the analysis window) keeps differently-shaped pulses apart
  */
-function getCacheKey(repoUrl) {
-  // Extract owner/repo from various formats
-  const urlPattern = /github\.com\/([^\/]+)\/([^\/]+)/;
-  const shortPattern = /^([^\/]+)\/([^\/]+)$/;
-
-  let owner, repo;
-
-  let match = repoUrl.match(urlPattern);
-  if (match) {
-    owner = match[1].toLowerCase();
-    repo = match[2].replace(/\.git$/, '').toLowerCase();
-  } else {
-    match = repoUrl.trim().match(shortPattern);
-    if (match) {
-      owner = match[1].toLowerCase();
-      repo = match[2].replace(/\.git$/, '').toLowerCase();
-    }
-  }
-
-  if (!owner || !repo) {
-    return repoUrl; // Fallback to raw URL
+function getCacheKey(repoUrl, variant) {
+  try {
+    return `repo:${getRepoKey(repoUrl)}${variant ? `#${variant}` : ''}`;
+  } catch (error) {
+    return repoUrl; // Fallback to raw key for non-repo entries
   }
-
-  return `repo:${owner}/${repo}`;
 }
 
 /**
  * Get cached data for a repository
  * @param {string} repoUrl 
+ * @param {string} [variant] - e.g. the analysis window key
  * @returns {object|null}
  */
-export function getCachedData(repoUrl) {
-  const key = getCacheKey(repoUrl);
+export function getCachedData(repoUrl, variant) {
+  const key = getCacheKey(repoUrl, variant);
   const data = cache.get(key);
   
   if (data) {
@@ -67,23 +52,38 @@ export function getCachedData(repoUrl) {
  * Store data in cache
  * @param {string} repoUrl 
  * @param {object} data 
+ * @param {object} [options]
+ * @param {string} [options.variant] - e.g. the analysis window key
+ * @param {number} [options.ttlSeconds] - Overrides the default 5-minute TTL
  */
-export function setCachedData(repoUrl, data) {
-  const key = getCacheKey(repoUrl);
-  cache.set(key, data);
-  console.log(`Cached data for ${key} (TTL: ${CACHE_TTL_SECONDS}s)`);
+export function setCachedData(repoUrl, data, { variant, ttlSeconds = CACHE_TTL_SECONDS } = {}) {
+  const key = getCacheKey(repoUrl, variant);
+  cache.set(key, data, ttlSeconds);
+  console.log(`Cached data for ${key} (TTL: ${ttlSeconds}s)`);
 }
 
 /**
  * Invalidate cache for a repository
  * @param {string} repoUrl 
+ * @param {string} [variant] - e.g. the analysis window key
  */
-export function invalidateCache(repoUrl) {
-  const key = getCacheKey(repoUrl);
+export function invalidateCache(repoUrl, variant) {
+  const key = getCacheKey(repoUrl, variant);
   cache.del(key);
   console.log(`Invalidated cache for ${key}`);
 }
 
+/**
+ * Invalidate every cached variant of a repository's pulse
+ * @param {string} repoUrl
+ */
+export function invalidateRepoCache(repoUrl) {
+  const key = getCacheKey(repoUrl);
+  const keys = cache.keys().filter(k => k === key || k.startsWith(`${key}#`));
+  cache.del(keys);
+  console.log(`Invalidated ${keys.length} cached pulse(s) for ${key}`);
+}
+
 /**
  * Get cache statistics
  */
@@ -103,6 +103,7 @@ export default {
   getCachedData,
   setCachedData,
   invalidateCache,
+  invalidateRepoCache,
   getCacheStats,
   clearCache
 };
@@ -3,15 +3,209 @@
  * Handles conversational AI about repository data using Ollama cloud models
  */
 
+import { parseAnalysisWindow, describeWindow } from '../utils/analysisWindow.js';
+
 const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
 const CHAT_MODEL = process.env.OLLAMA_CHAT_MODEL || 'kimi-k2.5:cloud';
 const CHAT_TIMEOUT = 180000; // 3 minutes for cloud model
 
+const WAITING_ON_LABELS = {
+  author: 'waiting on author',
+  ci: 'waiting on CI',
+  review: 'waiting on review',
+  merge: 'approved, waiting to be merged'
+};
+
+/**
+ * Review, CI and conflict state of an open PR as a prompt suffix, e.g. " — waiting on review from alice; CI failing"
+ */
+function describePullRequestStatus(pr) {
+  if (!pr.waitingOn) return '';
+
+  const parts = [WAITING_ON_LABELS[pr.waitingOn]];
+  const requested = [...(pr.requestedReviewers || []), ...(pr.requestedTeams || [])];
+  if (pr.waitingOn === 'review' && requested.length > 0) parts[0] += ` from ${requested.join(', ')}`;
+
+  const changesBy = (pr.reviews || []).filter(r => r.state === 'changes_requested').map(r => r.reviewer);
+  const approvedBy = (pr.reviews || []).filter(r => r.state === 'approved').map(r => r.reviewer);
+  if (changesBy.length > 0) parts.push(`changes requested by ${changesBy.join(', ')}`);
+  if (approvedBy.length > 0) parts.push(`approved by ${approvedBy.join(', ')}`);
+  if (pr.ciStatus) parts.push(`CI ${pr.ciStatus === 'failure' ? 'failing' : pr.ciStatus}`);
+  if (pr.hasConflicts) parts.push('merge conflicts');
+
+  return ` — ${parts.join('; ')}`;
+}
+
+/**
+ * Computed health score as a context line, e.g. "Health score: 68/100 (At Risk) — Blockers 40: ..."
+ */
+function describeHealthScore(healthScore) {
+  if (!healthScore) return '';
+  const factors = healthScore.factors.map(f => `${f.label} ${f.score}: ${f.detail}`).join('; ');
+  return `\nHealth score: ${healthScore.score}/100 (${healthScore.verdict}) — ${factors}`;
+}
+
+/**
+ * Delivery metrics as a context line, or '' when the pulse saw no deployments, releases or tags
+ */
+function describeDeliveryMetrics(deliveryMetrics) {
+  if (!deliveryMetrics?.source) return '';
+  const { source, deploymentFrequency, leadTimeHours, changeFailureRate, timeToRestoreHours } = deliveryMetrics;
+  const hours = value => (value === null ? 'n/a' : `${value}h`);
+  const failureRate = changeFailureRate.rate === null ? 'n/a' : `${Math.round(changeFailureRate.rate * 100)}%`;
+
+  return `\nDelivery (from ${source}): ${deploymentFrequency.count} in the window (${deploymentFrequency.perWeek}/week, ${deploymentFrequency.rating}); ` +
+    `median lead time ${hours(leadTimeHours.median)}; change failure rate ${failureRate} (${changeFailureRate.failed} of ${changeFailureRate.total}); ` +
+    `median time to restore ${hours(timeToRestoreHours.median)}`;
+}
+
+/**
+ * Issue flow as a context line, or '' when the pulse has no issue metrics
+ */
+function describeIssueMetrics(issueMetrics) {
+  if (!issueMetrics) return '';
+  const { firstResponseHours, triage, throughput, awaitingReply } = issueMetrics;
+  const waiting = awaitingReply.issues.slice(0, 10).map(issue => `#${issue.number} (${issue.lastCommentBy}, ${issue.waitingHours}h)`);
+
+  return `\nIssue flow: ${throughput.opened} opened and ${throughput.closed} closed in the window; ` +
+    `median first response ${firstResponseHours.median === null ? 'n/a' : `${firstResponseHours.median}h`} (${firstResponseHours.unanswered} unanswered); ` +
+    `${triage.unlabeled} of ${triage.open} open issues unlabeled; ` +
+    `${awaitingReply.count} awaiting a maintainer reply${waiting.length > 0 ? `: ${waiting.join(', ')}` : ''}`;
+}
+
+/**
+ * Code ownership as a context line, or '' when there was no file history to go on
+ */
+function describeOwnership(ownership) {
+  if (!ownership?.fileCount) return '';
+  const areas = ownership.areas.slice(0, 10)
+    .map(area => `${area.path} (${area.owners.slice(0, 2).map(o => `${o.login} ${Math.round(o.share * 100)}%`).join(', ')})`);
+  const singleOwner = ownership.singleOwnerAreas.slice(0, 10).map(area => `${area.path} (${area.owner})`);
+
+  return `\nCode ownership: bus factor ${ownership.busFactor ?? 'n/a'}${ownership.keyPeople.length > 0 ? ` (${ownership.keyPeople.join(', ')})` : ''}; ` +
+    `areas by owner share: ${areas.join(', ')}` +
+    (singleOwner.length > 0 ? `; single-owner areas: ${singleOwner.join(', ')}` : '');
+}
+
+/**
+ * Open milestones as a context line, or '' when the repo has none
+ */
+function describeMilestones(milestones) {
+  if (!milestones?.length) return '';
+  const lines = milestones.slice(0, 10).map(m =>
+    `"${m.title}" ${m.closed}/${m.total} closed, due ${m.dueOn || 'n/a'}, projected ${m.projectedCompletion || 'n/a'}` +
+    (m.overdue ? ' (overdue)' : m.willMiss ? ' (at risk)' : ''));
+  return `\nMilestones: ${lines.join('; ')}`;
+}
+
+const WORK_STATUS_LABELS = {
+  not_started: 'no linked work',
+  in_progress: 'in progress',
+  in_review: 'in review',
+  merged: 'fix merged, issue still open'
+};
+
+// Issues and PRs named in a question that get a detailed status block
+const MAX_REFERENCED_ITEMS = 5;
+
+/**
+ * An issue's linked work as a prompt suffix, e.g. " — in review: PR #45 (open), branch feat/12-login"
+ */
+function describeWorkItem(workItem) {
+  if (!workItem) return '';
+  const parts = [
+    ...workItem.pullRequests.map(pr => `PR #${pr.number} (${pr.state})`),
+    ...workItem.branches.map(branch => `branch ${branch.name}`)
+  ];
+  if (workItem.commitCount > 0) parts.push(`${workItem.commitCount} commit${workItem.commitCount !== 1 ? 's' : ''}`);
+  return ` — ${WORK_STATUS_LABELS[workItem.status]}${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+}
+
+/**
+ * Full status of the issues and PRs the latest question names with "#N", so
+ * "what's the status of #123" can be answered beyond the top-10 lists
+ */
+function describeReferencedItems(repoContext, messages) {
+  const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  const numbers = [...new Set(Array.from(question.matchAll(/#(\d+)\b/g), match => Number(match[1])))].slice(0, MAX_REFERENCED_ITEMS);
+  if (numbers.length === 0) return '';
+
+  const workItems = repoContext.workItems || [];
+  const closedPullRequests = repoContext.closedPullRequests || [];
+  const lines = numbers.map(number => {
+    const issue = repoContext.issues.find(item => item.number === number);
+    if (issue) {
+      const workItem = workItems.find(item => item.number === number);
+      const commits = (workItem?.commits || []).slice(0, 5).map(commit => `${commit.sha.slice(0, 7)} "${commit.message}" by ${commit.author}`);
+      return `- Issue #${number}: "${issue.title}" by ${issue.author}, open since ${issue.createdAt}, ` +
+        `assignees ${issue.assignees.map(a => a.login).join(', ') || 'none'}, labels ${issue.labels.map(l => l.name).join(', ') || 'none'}` +
+        `${describeWorkItem(workItem)}${workItem?.lastActivityAt ? `; last linked activity ${workItem.lastActivityAt}` : ''}` +
+        (commits.length > 0 ? `; commits: ${commits.join('; ')}` : '');
+    }
+    const pr = repoContext.pullRequests.find(item => item.number === number);
+    const closed = closedPullRequests.find(item => item.number === number);
+    const fixes = workItems.filter(item => item.pullRequests.some(linked => linked.number === number)).map(item => `#${item.number}`);
+    const fixesText = fixes.length > 0 ? `; linked to issue ${fixes.join(', ')}` : '';
+    if (pr) {
+      return `- PR #${number}: "${pr.title}" by ${pr.author}, open since ${pr.createdAt}${pr.isDraft ? ', DRAFT' : ''}${describePullRequestStatus(pr)}${fixesText}`;
+    }
+    if (closed) {
+      return `- PR #${number}: "${closed.title}" by ${closed.author}, ${closed.state} ${closed.closedAt}${fixesText}`;
+    }
+    return `- #${number}: not an open issue, open PR or PR closed in the window; its status isn't in this data`;
+  });
+
+  return `\n--- Referenced Items ---\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Owner and acknowledgement of a blocker as a prompt suffix
+ */
+function describeBlockerOwner(blocker) {
+  const { owner, acknowledgement } = blocker;
+  let text = '';
+  if (acknowledgement?.owner) text += ` Assigned to ${acknowledgement.owner}.`;
+  else if (owner) text += ` Owner (${owner.role}): ${owner.logins.join(', ')}.`;
+  if (acknowledgement?.note) text += ` Note: ${acknowledgement.note}`;
+  if (blocker.snoozed) text += ` Snoozed until ${acknowledgement.snoozeUntil}.`;
+  return text;
+}
+
+/**
+ * How far a branch is ahead of and behind the default branch, when it was compared
+ */
+function describeDivergence(branch, defaultBranch) {
+  if (branch.isDefault || branch.aheadBy === null || branch.aheadBy === undefined) return '';
+  return `, ${branch.aheadBy} ahead / ${branch.behindBy} behind ${defaultBranch}`;
+}
+
+/**
+ * Branches that could be deleted
+ */
+function describeBranchCleanup(cleanup) {
+  if (!cleanup || (cleanup.merged.length === 0 && cleanup.abandoned.length === 0)) return '';
+  const names = branches => branches.slice(0, 10).map(branch => branch.name).join(', ') || 'none';
+  return `\nCleanup candidates: merged but not deleted: ${names(cleanup.merged)}; abandoned (no open PR, idle over ${cleanup.abandonedAfterDays} days): ${names(cleanup.abandoned)}`;
+}
+
+/**
+ * Bot accounts, which are left out of the contributor list
+ */
+function describeBots(identities) {
+  const bots = identities?.bots || [];
+  if (bots.length === 0) return '';
+  return `\nBots (automation, not people; never recommend them for tasks): ${bots.map(bot =>
+    `${bot.login} (${bot.pullRequests.length} PRs, ${bot.commits} commits in the window)`
+  ).join(', ')}`;
+}
+
 /**
  * Build the system prompt with repo context
  */
-function buildSystemPrompt(repoContext) {
+function buildSystemPrompt(repoContext, messages = []) {
   const { meta, commits, branches, pullRequests, issues, contributors, blockers } = repoContext;
+  const workItems = repoContext.workItems || [];
+  const window = repoContext.window || parseAnalysisWindow();
 
   const recentCommitters = [...new Set(commits.slice(0, 20).map(c => c.author))];
 
@@ -23,35 +217,36 @@ Be direct, specific, and mention actual names/numbers. Do not hedge or use fille
 Repository: ${meta.fullName} (${meta.language || 'Unknown language'})
 Description: ${meta.description || 'No description'}
 Stars: ${meta.stars} | Forks: ${meta.forks}
-Default Branch: ${meta.defaultBranch}
+Default Branch: ${meta.defaultBranch}${describeHealthScore(repoContext.healthScore)}
 
---- Recent Activity (last 7 days) ---
+--- Recent Activity (${describeWindow(window)}) ---
 Total commits: ${commits.length}
-Active committers: ${recentCommitters.join(', ') || 'None'}
+Active committers: ${recentCommitters.join(', ') || 'None'}${describeDeliveryMetrics(repoContext.deliveryMetrics)}${describeOwnership(repoContext.ownership)}${describeIssueMetrics(repoContext.issueMetrics)}${describeMilestones(repoContext.milestones)}
 
 --- Branches (${branches.length} total) ---
 ${branches.slice(0, 15).map(b =>
-    `- ${b.name}: last commit ${b.daysSinceLastCommit ?? '?'} days ago by ${b.lastCommitAuthor || 'unknown'}${b.isStale ? ' [STALE]' : ''}${b.hasOpenPR ? ' [HAS PR]' : ''}`
-  ).join('\n')}
+    `- ${b.name}: last commit ${b.daysSinceLastCommit ?? '?'} days ago by ${b.lastCommitAuthor || 'unknown'}${describeDivergence(b, meta.defaultBranch)}${b.isStale ? ' [STALE]' : ''}${b.hasOpenPR ? ' [HAS PR]' : ''}${b.isMerged ? ' [MERGED]' : ''}${b.prClosedUnmerged ? ' [PR CLOSED UNMERGED]' : ''}`
+  ).join('\n')}${describeBranchCleanup(repoContext.branchCleanup)}
 
 --- Open Pull Requests (${pullRequests.length} total) ---
 ${pullRequests.slice(0, 10).map(pr =>
-    `- PR #${pr.number}: "${pr.title}" by ${pr.author} (opened ${pr.createdAt}${pr.isDraft ? ', DRAFT' : ''})`
+    `- PR #${pr.number}: "${pr.title}" by ${pr.author} (opened ${pr.createdAt}${pr.isDraft ? ', DRAFT' : ''})${pr.isBot ? ' [BOT]' : ''}${describePullRequestStatus(pr)}`
   ).join('\n') || 'None'}
 
 --- Open Issues (${issues.length} total) ---
 ${issues.slice(0, 10).map(issue =>
-    `- Issue #${issue.number}: "${issue.title}" [${issue.labels.map(l => l.name).join(', ')}] by ${issue.author} (opened ${issue.createdAt})`
+    `- Issue #${issue.number}: "${issue.title}" [${issue.labels.map(l => l.name).join(', ')}] by ${issue.author} (opened ${issue.createdAt})` +
+    describeWorkItem(workItems.find(item => item.number === issue.number))
   ).join('\n') || 'None'}
-
+${describeReferencedItems(repoContext, messages)}
 --- Contributors ---
 ${contributors.slice(0, 10).map(c =>
-    `- ${c.login}: ${c.totalCommits} total commits`
-  ).join('\n')}
+    `- ${c.login}: ${c.totalCommits} total commits${c.aliases?.length ? ` (also commits as ${c.aliases.join(', ')})` : ''}`
+  ).join('\n')}${describeBots(repoContext.identities)}
 
 --- Detected Blockers ---
 ${(blockers || []).length === 0 ? 'No blockers detected.' :
-    blockers.map(b => `- [${b.severity.toUpperCase()}] ${b.title}: ${b.description}`).join('\n')}
+    blockers.map(b => `- [${b.severity.toUpperCase()}]${b.snoozed ? ' [SNOOZED]' : ''} ${b.title}: ${b.description}${describeBlockerOwner(b)}`).join('\n')}
 
 === END CONTEXT ===
 
@@ -77,7 +272,7 @@ function cleanResponse(text) {
  * @returns {Promise<string>} Complete response text
  */
 export async function streamChatResponse(messages, repoContext, onChunk) {
-  const systemPrompt = buildSystemPrompt(repoContext);
+  const systemPrompt = buildSystemPrompt(repoContext, messages);
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), CHAT_TIMEOUT);
@@ -144,7 +339,7 @@ export async function streamChatResponse(messages, repoContext, onChunk) {
  * Non-streaming version (fallback)
  */
 export async function sendChatMessage(messages, repoContext) {
-  const systemPrompt = buildSystemPrompt(repoContext);
+  const systemPrompt = buildSystemPrompt(repoContext, messages);
 
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), CHAT_TIMEOUT);
@@ -1,9 +1,10 @@
 /**
  * Commit Analyzer Service
- * Fetches a single commit's diff from GitHub and uses AI to analyze what changed
+ * Fetches a single commit's diff from the repo's provider and uses AI to analyze what changed
  */
 
-const GITHUB_API_BASE = 'https://api.github.com';
+import { fetchCommitDetail } from './pulseService.js';
+
 const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'kimi-k2.5:cloud';
 const OLLAMA_TIMEOUT = 120000;
@@ -43,47 +44,6 @@ const IGNORED_PATTERNS = [
   /\.map$/
 ];
 
-/**
- * Fetch a single commit with full diff data from GitHub API
- */
-async function fetchCommitDetail(owner, repo, sha, token) {
-  const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/commits/${sha}`;
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'ProjectPulse'
-  };
-
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-
-  const response = await fetch(url, { headers });
-
-  if (response.status === 404) {
-    throw new Error('Commit not found. Make sure the SHA is correct and the repository is public.');
-  }
-
-  if (response.status === 403) {
-    const rateLimitRemaining = response.headers.get('X-RateLimit-Remaining');
-    if (rateLimitRemaining === '0') {
-      const resetTime = response.headers.get('X-RateLimit-Reset');
-      const resetDate = new Date(resetTime * 1000);
-      throw new Error(`GitHub API rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}.`);
-    }
-    throw new Error('Access forbidden. The repository may be private.');
-  }
-
-  if (response.status === 422) {
-    throw new Error('Invalid commit SHA. Please provide a valid commit hash.');
-  }
-
-  if (!response.ok) {
-    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-  }
-
-  return response.json();
-}
-
 /**
  * Filter out irrelevant files from the commit's file list
  */
@@ -288,23 +248,22 @@ function mergeChunkResults(chunkResults) {
 
 /**
  * Main entry point: analyze a commit
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
+ * @param {string} repoUrl - Repository URL or owner/repo
  * @param {string} sha - Commit SHA
- * @param {string} token - GitHub API token (optional)
+ * @param {string} token - Provider API token (optional)
  * @returns {Promise<object>} Structured analysis result
  */
-export async function analyzeCommit(owner, repo, sha, token) {
-  console.log(`Analyzing commit ${sha.substring(0, 7)} in ${owner}/${repo}...`);
+export async function analyzeCommit(repoUrl, sha, token) {
+  console.log(`Analyzing commit ${sha.substring(0, 7)} in ${repoUrl}...`);
 
-  // 1. Fetch commit detail from GitHub
-  const commitData = await fetchCommitDetail(owner, repo, sha, token);
+  // 1. Fetch commit detail from the repo's provider
+  const commitData = await fetchCommitDetail(repoUrl, sha, token);
 
   const commitMeta = {
     sha: commitData.sha,
-    message: commitData.commit?.message?.split('\n')[0] || 'No message',
-    author: commitData.author?.login || commitData.commit?.author?.name || 'unknown',
-    date: commitData.commit?.author?.date || commitData.commit?.committer?.date || ''
+    message: commitData.message.split('\n')[0] || 'No message',
+    author: commitData.author,
+    date: commitData.date
   };
 
   // 2. Check if commit has files
@@ -0,0 +1,109 @@
+/**
+ * Conditional Cache Service
+ * Remembers ETag / Last-Modified validators and bodies per API endpoint so
+ * repeat requests can be sent conditionally and answered from memory on 304
+ */
+
+import { createHash } from 'crypto';
+
+// Upper bound on remembered responses; the oldest entry is evicted first
+const MAX_ENTRIES = 1000;
+
+// Map preserves insertion order, so re-inserting on use gives LRU eviction
+const entries = new Map();
+
+const stats = {
+  notModified: 0,  // 304 served from the stored body (free against the rate limit)
+  fullFetches: 0,  // 200 responses, stored when they carried a validator
+  conditional: 0   // requests sent with If-None-Match / If-Modified-Since
+};
+
+/**
+ * Responses can differ per token (private repos), so the token is part of the key
+ */
+function getEntryKey(url, token) {
+  const tokenPart = token
+    ? createHash('sha256').update(token).digest('hex').slice(0, 12)
+    : 'anonymous';
+  return `${tokenPart}:${url}`;
+}
+
+/**
+ * Conditional request headers for a URL, or {} if nothing is stored
+ * @param {string} url
+ * @param {string} [token]
+ * @returns {object}
+ */
+export function getConditionalHeaders(url, token) {
+  const entry = entries.get(getEntryKey(url, token));
+  if (!entry) return {};
+
+  stats.conditional++;
+  const headers = {};
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Stored body for a URL after a 304, refreshing its LRU position
+ * @param {string} url
+ * @param {string} [token]
+ * @returns {*} The stored body, or undefined if it was evicted
+ */
+export function getStoredBody(url, token) {
+  const key = getEntryKey(url, token);
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.notModified++;
+  return entry.body;
+}
+
+/**
+ * Remember a 200 response's validators and body
+ * @param {string} url
+ * @param {string} [token]
+ * @param {Headers} headers - Response headers
+ * @param {*} body - Parsed response body
+ */
+export function storeResponse(url, token, headers, body) {
+  stats.fullFetches++;
+
+  const etag = headers.get('ETag');
+  const lastModified = headers.get('Last-Modified');
+  if (!etag && !lastModified) return;
+
+  const key = getEntryKey(url, token);
+  entries.delete(key);
+  entries.set(key, { etag, lastModified, body });
+
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Counts of 304s vs. full fetches since startup
+ */
+export function getConditionalStats() {
+  return { ...stats, entries: entries.size };
+}
+
+/**
+ * Forget all stored validators and bodies
+ */
+export function clearConditionalCache() {
+  entries.clear();
+  console.log('Conditional cache cleared');
+}
+
+export default {
+  getConditionalHeaders,
+  getStoredBody,
+  storeResponse,
+  getConditionalStats,
+  clearConditionalCache
+};
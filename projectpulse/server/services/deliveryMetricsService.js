@@ -0,0 +1,263 @@
+/**
+ * Delivery Metrics Service
+ * DORA-style delivery metrics for a pulse's window: deployment frequency, lead
+ * time for changes, change failure rate and time to restore, computed from
+ * deployments, releases or tags (whichever the repo has) and the window's commits
+ */
+
+import { hoursBetween, summarize } from '../utils/stats.js';
+
+// Commits that undo or patch a shipped change mark the delivery before them as failed
+const FIX_COMMIT_PATTERN = /^revert\b|\bhotfix\b/i;
+const HOTFIX_BRANCH_PATTERN = /^hotfix[/-]/i;
+const PRODUCTION_PATTERN = /prod/i;
+
+// Bounds of each rating, roughly the DORA report's performance bands; anything past them is 'low'
+const RATINGS = {
+  deploymentsPerWeek: [{ rating: 'elite', min: 7 }, { rating: 'high', min: 1 }, { rating: 'medium', min: 0.25 }],
+  leadTimeHours: [{ rating: 'elite', max: 24 }, { rating: 'high', max: 168 }, { rating: 'medium', max: 720 }],
+  changeFailureRate: [{ rating: 'elite', max: 0.15 }, { rating: 'high', max: 0.3 }, { rating: 'medium', max: 0.45 }],
+  timeToRestoreHours: [{ rating: 'elite', max: 1 }, { rating: 'high', max: 24 }, { rating: 'medium', max: 168 }]
+};
+
+// Events listed in the response, newest first
+const MAX_EVENTS = 50;
+
+function rate(metric, value) {
+  if (value === null || value === undefined) return null;
+  const band = RATINGS[metric].find(b => (b.min !== undefined ? value >= b.min : value <= b.max));
+  return band ? band.rating : 'low';
+}
+
+const byTime = (a, b) => Date.parse(a.at) - Date.parse(b.at);
+
+/**
+ * The repo's delivery events, oldest first
+ * Deployments win when there are any (production environments only, if the repo
+ * has one), then published releases, then tags
+ */
+function getDeliveryEvents({ deployments = [], releases = [], tags = [] }, commitsBySha, window) {
+  const finished = deployments.filter(d => d.status === 'success' || d.status === 'failure');
+  if (finished.length > 0) {
+    const production = finished.filter(d => PRODUCTION_PATTERN.test(d.environment || ''));
+    const chosen = production.length > 0 ? production : finished;
+    return {
+      source: 'deployments',
+      environments: [...new Set(chosen.map(d => d.environment).filter(Boolean))],
+      events: chosen.map(d => ({
+        name: `${d.environment || 'deploy'} ${d.sha ? d.sha.slice(0, 7) : d.id}`,
+        at: d.createdAt,
+        status: d.status,
+        environment: d.environment || null,
+        sha: d.sha || null,
+        url: null
+      })).sort(byTime)
+    };
+  }
+
+  const published = releases.filter(release => !release.isPrerelease);
+  if (published.length > 0) {
+    // Some providers only name a release's tag; the tag list has its commit
+    const tagShas = new Map(tags.map(tag => [tag.name, tag.sha]));
+    return {
+      source: 'releases',
+      environments: [],
+      events: published.map(release => ({
+        name: release.name,
+        at: release.publishedAt,
+        status: 'success',
+        environment: null,
+        sha: release.sha || tagShas.get(release.tag) || null,
+        url: release.url
+      })).sort(byTime)
+    };
+  }
+
+  const [from, to] = [Date.parse(window.since), Date.parse(window.until)];
+  const dated = tags
+    // Tags without a date of their own are dated by their commit, when the pulse saw it
+    .map(tag => ({ ...tag, date: tag.date || commitsBySha.get(tag.sha)?.date || null }))
+    .filter(tag => tag.date && Date.parse(tag.date) >= from && Date.parse(tag.date) <= to);
+  if (dated.length > 0) {
+    return {
+      source: 'tags',
+      environments: [],
+      events: dated.map(tag => ({
+        name: tag.name,
+        at: tag.date,
+        status: 'success',
+        environment: null,
+        sha: tag.sha,
+        url: null
+      })).sort(byTime)
+    };
+  }
+
+  return { source: null, environments: [], events: [] };
+}
+
+/**
+ * Commits that revert or hotfix something, oldest first
+ */
+function getFixCommits(commits) {
+  return commits
+    .filter(commit =>
+      FIX_COMMIT_PATTERN.test(commit.message || '') ||
+      (commit.branches || [commit.branch]).some(branch => HOTFIX_BRANCH_PATTERN.test(branch || ''))
+    )
+    .map(commit => ({ sha: commit.sha, message: commit.message, at: commit.date }))
+    .sort(byTime);
+}
+
+/**
+ * Failed changes and when service was restored
+ * A failed deployment is a failure in itself; any delivery followed by a revert or
+ * hotfix commit before the next one failed too. Service is restored by the next
+ * successful delivery (to the same environment) after the failure or the fix.
+ */
+function findFailures(events, fixCommits) {
+  const successes = events.filter(event => event.status === 'success');
+  const failures = [];
+
+  events.forEach(event => {
+    let cause = null;
+    if (event.status === 'failure') {
+      cause = { reason: 'failed', at: event.at, commit: null };
+    } else {
+      // A fix after a failed delivery belongs to that one, so stop at the next delivery of any kind
+      const next = events.find(e => Date.parse(e.at) > Date.parse(event.at));
+      const fix = fixCommits.find(commit =>
+        Date.parse(commit.at) > Date.parse(event.at) && (!next || Date.parse(commit.at) <= Date.parse(next.at))
+      );
+      if (fix) {
+        cause = {
+          reason: /^revert\b/i.test(fix.message || '') ? 'revert' : 'hotfix',
+          at: fix.at,
+          commit: { sha: fix.sha, message: fix.message }
+        };
+      }
+    }
+    if (!cause) return;
+
+    const restoredBy = successes.find(e =>
+      Date.parse(e.at) > Date.parse(cause.at) && e.environment === event.environment
+    );
+    failures.push({
+      name: event.name,
+      at: event.at,
+      reason: cause.reason,
+      commit: cause.commit,
+      restoredAt: restoredBy?.at || null,
+      timeToRestoreHours: restoredBy ? hoursBetween(event.at, restoredBy.at) : null
+    });
+  });
+
+  return failures;
+}
+
+/**
+ * Which delivery first shipped each commit, keyed by SHA
+ * A delivery ships its target commit and every ancestor of it the pulse saw that
+ * no earlier delivery shipped. Walking stops at a shipped commit, since its
+ * ancestors were shipped with it.
+ */
+function findShippingEvents(successes, commitsBySha) {
+  const shippedBy = new Map();
+  successes.forEach(event => {
+    const pending = [event.sha];
+    while (pending.length > 0) {
+      const commit = commitsBySha.get(pending.pop());
+      if (!commit || shippedBy.has(commit.sha)) continue;
+      shippedBy.set(commit.sha, event);
+      pending.push(...commit.parents);
+    }
+  });
+  return shippedBy;
+}
+
+/**
+ * Lead time from each default-branch commit to the first delivery that contains it
+ * Containment follows commit parents from each delivery's target SHA. When a
+ * delivery has no SHA or the provider gave no parents, commits are matched by
+ * time instead: the first delivery at or after the commit shipped it.
+ * @returns {object} { leadTimes, unreleased, method } - method is 'ancestry' or 'time-approx'
+ */
+function measureLeadTimes(events, commits, commitsBySha, defaultBranch) {
+  const successes = events.filter(event => event.status === 'success');
+  const mainline = defaultBranch
+    ? commits.filter(commit => (commit.branches || [commit.branch]).includes(defaultBranch))
+    : commits;
+
+  const method = successes.every(event => event.sha) && commits.every(commit => Array.isArray(commit.parents))
+    ? 'ancestry'
+    : 'time-approx';
+  const shippedBy = method === 'ancestry' ? findShippingEvents(successes, commitsBySha) : null;
+
+  const leadTimes = [];
+  let unreleased = 0;
+  mainline.forEach(commit => {
+    const event = shippedBy
+      ? shippedBy.get(commit.sha)
+      : successes.find(e => Date.parse(e.at) >= Date.parse(commit.date));
+    if (event) {
+      leadTimes.push(hoursBetween(commit.date, event.at));
+    } else {
+      unreleased++;
+    }
+  });
+
+  return { leadTimes, unreleased, method };
+}
+
+/**
+ * Compute a pulse's delivery metrics
+ * @param {object} input
+ * @param {object[]} [input.deployments] - Normalized deployments in the window
+ * @param {object[]} [input.releases] - Normalized releases in the window
+ * @param {object[]} [input.tags] - Newest tags, dated or not
+ * @param {object[]} input.commits - The pulse's commits
+ * @param {string|null} input.defaultBranch
+ * @param {object} input.window - Parsed analysis window
+ * @returns {object} { source, environments, deploymentFrequency, leadTimeHours, changeFailureRate, timeToRestoreHours, failures, events }
+ */
+export function computeDeliveryMetrics({ deployments, releases, tags, commits, defaultBranch, window }) {
+  const commitsBySha = new Map(commits.map(commit => [commit.sha, commit]));
+  const { source, environments, events } = getDeliveryEvents({ deployments, releases, tags }, commitsBySha, window);
+
+  const weeks = Math.max(window.days, 1) / 7;
+  const delivered = events.filter(event => event.status === 'success').length;
+  const perWeek = Math.round((delivered / weeks) * 10) / 10;
+
+  const failures = findFailures(events, getFixCommits(commits));
+  const failureRate = events.length > 0 ? Math.round((failures.length / events.length) * 100) / 100 : null;
+
+  const { leadTimes, unreleased, method } = measureLeadTimes(events, commits, commitsBySha, defaultBranch);
+  const leadTime = summarize(leadTimes);
+  const restore = summarize(failures.map(failure => failure.timeToRestoreHours));
+
+  return {
+    source,
+    environments,
+    deploymentFrequency: {
+      count: delivered,
+      perWeek,
+      rating: source ? rate('deploymentsPerWeek', perWeek) : null
+    },
+    leadTimeHours: { ...leadTime, unreleased, method, rating: rate('leadTimeHours', leadTime.median) },
+    changeFailureRate: {
+      failed: failures.length,
+      total: events.length,
+      rate: failureRate,
+      rating: rate('changeFailureRate', failureRate)
+    },
+    timeToRestoreHours: {
+      ...restore,
+      unrestored: failures.filter(failure => !failure.restoredAt).length,
+      rating: rate('timeToRestoreHours', restore.median)
+    },
+    failures,
+    events: events.slice(-MAX_EVENTS).reverse()
+  };
+}
+
+export default { computeDeliveryMetrics };
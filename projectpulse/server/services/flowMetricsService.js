@@ -0,0 +1,78 @@
+/**
+ * Flow Metrics Service
+ * How merged PRs moved through review: cycle time, time to first review, review
+ * rounds and approval-to-merge, as medians and p90s per author and base branch
+ */
+
+import { hoursBetween, summarize } from '../utils/stats.js';
+
+export const FLOW_METRICS = [
+  { id: 'cycleTimeHours', label: 'Cycle time', unit: 'hours' },
+  { id: 'timeToFirstReviewHours', label: 'Time to first review', unit: 'hours' },
+  { id: 'reviewRounds', label: 'Review rounds', unit: 'rounds' },
+  { id: 'approvalToMergeHours', label: 'Approval to merge', unit: 'hours' }
+];
+
+/**
+ * Per-PR flow figures
+ * Cycle time starts at the first commit, or at the PR's creation when that's
+ * earlier or the provider couldn't say
+ */
+function measurePullRequest(pr) {
+  const started = pr.firstCommitAt && Date.parse(pr.firstCommitAt) < Date.parse(pr.createdAt)
+    ? pr.firstCommitAt
+    : pr.createdAt;
+  return {
+    cycleTimeHours: hoursBetween(started, pr.mergedAt),
+    timeToFirstReviewHours: hoursBetween(pr.createdAt, pr.firstReviewAt),
+    reviewRounds: pr.reviewRounds ?? null,
+    approvalToMergeHours: hoursBetween(pr.approvedAt, pr.mergedAt)
+  };
+}
+
+function summarizeAll(measured) {
+  const metrics = {};
+  FLOW_METRICS.forEach(({ id }) => {
+    metrics[id] = summarize(measured.map(entry => entry[id]));
+  });
+  return metrics;
+}
+
+/**
+ * Group measured PRs by a field, busiest group first
+ */
+function breakDown(measured, field) {
+  const groups = new Map();
+  measured.forEach(entry => {
+    const key = entry.pr[field] || 'unknown';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  return Array.from(groups.entries())
+    .map(([key, entries]) => ({ key, pullRequests: entries.length, metrics: summarizeAll(entries) }))
+    .sort((a, b) => b.pullRequests - a.pullRequests || a.key.localeCompare(b.key));
+}
+
+/**
+ * Compute flow metrics over the PRs merged in a pulse's window
+ * Figures a provider couldn't supply (e.g. review rounds on GitLab) are left out
+ * of that metric's count rather than counted as zero
+ * @param {object[]} closedPullRequests - From fetchRepoData, already limited to the window
+ * @returns {{ merged: number, unreviewed: number, metrics: object, byAuthor: object[], byBaseBranch: object[] }}
+ */
+export function computeFlowMetrics(closedPullRequests = []) {
+  const measured = closedPullRequests
+    .filter(pr => pr.mergedAt)
+    .map(pr => ({ pr, ...measurePullRequest(pr) }));
+
+  return {
+    merged: measured.length,
+    unreviewed: measured.filter(entry => !entry.pr.firstReviewAt).length,
+    metrics: summarizeAll(measured),
+    byAuthor: breakDown(measured, 'author'),
+    byBaseBranch: breakDown(measured, 'baseBranch')
+  };
+}
+
+export default { FLOW_METRICS, computeFlowMetrics };
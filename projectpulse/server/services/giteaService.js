@@ -0,0 +1,577 @@
+/**
+ * Gitea Provider
+ * Fetches and normalizes repository data from the Gitea REST API (also serves Forgejo/Codeberg)
+ */
+
+import { parseUnifiedDiff } from '../utils/diffParser.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { PROJECT_CONFIG_FILE, parseProjectConfig } from '../utils/projectConfig.js';
+import { getLatestReviews, getReviewDecision, getReviewTimeline, combineCiResults } from '../utils/pullRequestStatus.js';
+import { getIssueTimeline } from '../utils/issueStatus.js';
+import { getClosingReferences } from '../utils/issueReferences.js';
+
+const GITEA_HOSTS = ['codeberg.org', 'gitea.com'];
+const PAGE_SIZE = 50; // Gitea's default MAX_RESPONSE_ITEMS
+
+/**
+ * Hosts served by this provider: known public instances plus any listed in GITEA_HOSTS
+ */
+function getGiteaHosts() {
+  const extra = (process.env.GITEA_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return [...GITEA_HOSTS, ...extra];
+}
+
+/**
+ * Make an authenticated request to the Gitea API
+ * Pass { raw: true } to receive the response body as text
+ */
+async function giteaFetch(ref, endpoint, token, { raw = false } = {}) {
+  const url = `${ref.protocol || 'https'}://${ref.host}/api/v1${endpoint}`;
+  const headers = {
+    'Accept': raw ? 'text/plain' : 'application/json',
+    'User-Agent': 'ProjectPulse'
+  };
+
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+
+  const response = await fetch(url, { headers });
+  if (ref.usage) ref.usage.restCalls++;
+
+  if (response.status === 404) {
+    throw new Error('Repository not found. Make sure the repository exists and is public, or set GITEA_TOKEN.');
+  }
+
+  if (response.status === 429) {
+    throw new Error('Gitea API rate limit exceeded. Try again shortly.');
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Access forbidden. The repository may be private.');
+  }
+
+  if (!response.ok) {
+    throw new Error(`Gitea API error: ${response.status} ${response.statusText}`);
+  }
+
+  return raw ? response.text() : response.json();
+}
+
+/**
+ * Fetch all pages of a paginated Gitea API endpoint
+ */
+async function fetchAllPages(ref, endpoint, token, maxPages = 10) {
+  const results = [];
+  let page = 1;
+
+  while (page <= maxPages) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    const data = await giteaFetch(ref, `${endpoint}${separator}limit=${PAGE_SIZE}&page=${page}`, token);
+
+    if (!Array.isArray(data) || data.length === 0) break;
+
+    results.push(...data);
+
+    if (data.length < PAGE_SIZE) break;
+    page++;
+  }
+
+  return results;
+}
+
+async function fetchMetadata(ref, token) {
+  const data = await giteaFetch(ref, `/repos/${ref.owner}/${ref.repo}`, token);
+
+  return {
+    name: data.name,
+    fullName: data.full_name,
+    description: data.description,
+    owner: data.owner?.login,
+    ownerAvatar: data.owner?.avatar_url,
+    defaultBranch: data.default_branch,
+    language: data.language || null,
+    stars: data.stars_count,
+    forks: data.forks_count,
+    openIssues: data.open_issues_count,
+    createdAt: data.created_at,
+    updatedAt: data.updated_at,
+    pushedAt: data.updated_at,
+    htmlUrl: data.html_url
+  };
+}
+
+async function fetchBranches(ref, token) {
+  const branches = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/branches`, token, 10);
+
+  // Gitea includes the head commit inline, so no per-branch lookups are needed
+  return branches.map(branch => ({
+    name: branch.name,
+    lastCommitDate: branch.commit?.timestamp || null,
+    lastCommitAuthor: branch.commit?.author?.username || branch.commit?.author?.name || 'unknown'
+  }));
+}
+
+/**
+ * How far a branch has diverged from a base branch
+ * Gitea's compare counts the commits one way, so this takes a call in each direction
+ * @returns {Promise<{ aheadBy: number, behindBy: number }>}
+ */
+async function compareBranch(ref, base, head, token) {
+  const compare = (from, to) => giteaFetch(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/compare/${encodeURIComponent(from)}...${encodeURIComponent(to)}`,
+    token
+  );
+  const [ahead, behind] = await Promise.all([compare(base, head), compare(head, base)]);
+  return { aheadBy: ahead.total_commits, behindBy: behind.total_commits };
+}
+
+/**
+ * Fetch open PRs with reviewers, reviews, commit status and mergeability
+ * Reviews and the head commit's status take two calls per PR
+ */
+async function fetchPullRequests(ref, token) {
+  const prs = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/pulls?state=open`, token, 6);
+
+  return mapWithConcurrency(prs, 4, async (pr) => {
+    const pullRequest = {
+      number: pr.number,
+      title: pr.title,
+      author: pr.user?.login || 'unknown',
+      authorAvatar: pr.user?.avatar_url || null,
+      state: pr.state,
+      createdAt: pr.created_at,
+      updatedAt: pr.updated_at,
+      mergedAt: pr.merged_at,
+      branch: pr.head?.ref || null,
+      baseBranch: pr.base?.ref || null,
+      issueRefs: getClosingReferences(pr.body),
+      // Older Gitea versions mark drafts only through a WIP title prefix
+      isDraft: pr.draft ?? /^\s*(\[?WIP\]?|Draft)[:\s]/i.test(pr.title),
+      headSha: pr.head?.sha || null,
+      headCommittedAt: null,
+      requestedReviewers: (pr.requested_reviewers || []).map(user => user.login),
+      requestedTeams: (pr.requested_reviewers_teams || []).map(team => team.name),
+      reviews: [],
+      reviewDecision: null,
+      ciStatus: null,
+      ciUpdatedAt: null,
+      mergeable: pr.mergeable ?? null,
+      // Gitea has no separate conflict flag; mergeable is also false briefly while it re-checks
+      hasConflicts: pr.mergeable === false
+    };
+
+    try {
+      const [reviews, status] = await Promise.all([
+        giteaFetch(ref, `/repos/${ref.owner}/${ref.repo}/pulls/${pr.number}/reviews`, token),
+        giteaFetch(ref, `/repos/${ref.owner}/${ref.repo}/commits/${pr.head.sha}/status`, token)
+      ]);
+
+      const latestReviews = getLatestReviews(reviews.map(review => ({
+        reviewer: review.user?.login,
+        state: review.dismissed ? 'dismissed' : review.state,
+        submittedAt: review.submitted_at
+      })));
+
+      return {
+        ...pullRequest,
+        reviews: latestReviews,
+        reviewDecision: getReviewDecision(latestReviews),
+        ...combineCiResults((status.statuses || []).map(entry => ({
+          state: entry.status || entry.state,
+          updatedAt: entry.updated_at
+        })))
+      };
+    } catch (error) {
+      console.warn(`Could not fetch review and CI status for PR #${pr.number}:`, error.message);
+      return pullRequest;
+    }
+  });
+}
+
+/**
+ * Fetch merged and closed PRs whose close time falls in a date range
+ * Review rounds and the review timeline need one /reviews call per PR; merged PRs
+ * also get a /commits call for their first commit
+ */
+async function fetchClosedPullRequests(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+
+  // Sorted by last update, so stop paging once a page ends before the range
+  const prs = [];
+  for (let page = 1; page <= 6; page++) {
+    const data = await giteaFetch(
+      ref,
+      `/repos/${ref.owner}/${ref.repo}/pulls?state=closed&sort=recentupdate&limit=${PAGE_SIZE}&page=${page}`,
+      token
+    );
+    prs.push(...data);
+    if (data.length < PAGE_SIZE || Date.parse(data[data.length - 1].updated_at) < from) break;
+  }
+
+  const closed = prs
+    .map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.user?.login || 'unknown',
+      authorAvatar: pr.user?.avatar_url || null,
+      state: pr.merged ? 'merged' : 'closed',
+      createdAt: pr.created_at,
+      closedAt: pr.merged_at || pr.closed_at,
+      mergedAt: pr.merged_at || null,
+      mergedBy: pr.merged_by?.login || null,
+      branch: pr.head?.ref || null,
+      baseBranch: pr.base?.ref || null,
+      issueRefs: getClosingReferences(pr.body),
+      additions: pr.additions ?? null,
+      deletions: pr.deletions ?? null,
+      changedFiles: pr.changed_files ?? null,
+      reviewRounds: null,
+      firstCommitAt: null,
+      firstReviewAt: null,
+      approvedAt: null
+    }))
+    .filter(pr => pr.closedAt && Date.parse(pr.closedAt) >= from && Date.parse(pr.closedAt) <= to);
+
+  return mapWithConcurrency(closed, 4, async (pr) => {
+    try {
+      const base = `/repos/${ref.owner}/${ref.repo}/pulls/${pr.number}`;
+      const [reviews, commits] = await Promise.all([
+        giteaFetch(ref, `${base}/reviews`, token),
+        pr.mergedAt ? giteaFetch(ref, `${base}/commits?limit=${PAGE_SIZE}`, token) : []
+      ]);
+      const firstCommitAt = commits
+        .map(commit => commit.commit?.author?.date || commit.created)
+        .filter(Boolean)
+        .sort((a, b) => Date.parse(a) - Date.parse(b))[0] || null;
+      return {
+        ...pr,
+        // A round is a pushed revision that drew at least one review
+        reviewRounds: new Set(reviews.map(review => review.commit_id)).size,
+        firstCommitAt,
+        ...getReviewTimeline(
+          reviews.map(review => ({ reviewer: review.user?.login, state: review.state, submittedAt: review.submitted_at })),
+          { author: pr.author, mergedAt: pr.mergedAt }
+        )
+      };
+    } catch (error) {
+      console.warn(`Could not fetch reviews for PR #${pr.number}:`, error.message);
+      return pr;
+    }
+  });
+}
+
+/**
+ * Fetch published releases in a date range, newest first (drafts left out)
+ */
+async function fetchReleases(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const releases = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/releases?draft=false`, token, 2);
+
+  return releases
+    .filter(release => !release.draft && release.published_at)
+    .map(release => ({
+      name: release.name || release.tag_name,
+      tag: release.tag_name,
+      sha: null,
+      publishedAt: release.published_at,
+      isPrerelease: release.prerelease,
+      url: release.html_url
+    }))
+    .filter(release => Date.parse(release.publishedAt) >= from && Date.parse(release.publishedAt) <= to);
+}
+
+/**
+ * Fetch the newest tags, dated by their commit
+ */
+async function fetchTags(ref, range, token) {
+  const tags = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/tags`, token, 2);
+
+  return tags.map(tag => ({ name: tag.name, sha: tag.commit?.sha || null, date: tag.commit?.created || null }));
+}
+
+async function fetchIssues(ref, token) {
+  const issues = await fetchAllPages(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/issues?state=open&type=issues`,
+    token,
+    6
+  );
+
+  return issues.map(issue => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    labels: (issue.labels || []).map(label => ({
+      name: label.name,
+      color: (label.color || '6b7280').replace(/^#/, '')
+    })),
+    assignees: (issue.assignees || []).map(assignee => ({
+      login: assignee.login,
+      avatarUrl: assignee.avatar_url
+    })),
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at,
+    author: issue.user?.login || 'unknown'
+  }));
+}
+
+/**
+ * Fetch open issues and those closed in a date range, with each one's comment timeline
+ * Maintainers are the repo's owner and collaborators; listing collaborators needs a
+ * token with access, and without one any comment by someone other than the issue's
+ * author counts. Comments take one call per issue, so only the 50 most recently
+ * updated issues with comments are looked up.
+ */
+async function fetchIssueActivity(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const base = `/repos/${ref.owner}/${ref.repo}/issues`;
+  const [open, closed, maintainers] = await Promise.all([
+    fetchAllPages(ref, `${base}?state=open&type=issues`, token, 6),
+    fetchAllPages(ref, `${base}?state=closed&type=issues&since=${since}`, token, 6),
+    fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/collaborators`, token, 2)
+      .then(collaborators => new Set([ref.owner, ...collaborators.map(user => user.login)]))
+      .catch(error => {
+        console.warn('Could not fetch collaborators:', error.message);
+        return null;
+      })
+  ]);
+  const isMaintainer = login => (maintainers ? maintainers.has(login) : null);
+
+  const issues = [...open, ...closed]
+    .map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      author: issue.user?.login || 'unknown',
+      authorIsMaintainer: isMaintainer(issue.user?.login),
+      state: issue.state === 'open' ? 'open' : 'closed',
+      labels: (issue.labels || []).map(label => ({
+        name: label.name,
+        color: (label.color || '6b7280').replace(/^#/, '')
+      })),
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      closedAt: issue.closed_at || null,
+      commentCount: issue.comments,
+      commentsChecked: issue.comments === 0,
+      firstResponseAt: null,
+      lastComment: null
+    }))
+    .filter(issue => issue.state === 'open' || (Date.parse(issue.closedAt) >= from && Date.parse(issue.closedAt) <= to));
+
+  const lookups = new Set(issues
+    .filter(issue => issue.commentCount > 0)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, 50)
+    .map(issue => issue.number));
+
+  return mapWithConcurrency(issues, 4, async (issue) => {
+    if (!lookups.has(issue.number)) return issue;
+    try {
+      const comments = await giteaFetch(ref, `${base}/${issue.number}/comments`, token);
+      return {
+        ...issue,
+        commentsChecked: true,
+        ...getIssueTimeline(
+          comments.map(comment => ({
+            author: comment.user?.login,
+            createdAt: comment.created_at,
+            isMaintainer: isMaintainer(comment.user?.login)
+          })),
+          { author: issue.author }
+        )
+      };
+    } catch (error) {
+      console.warn(`Could not fetch comments for issue #${issue.number}:`, error.message);
+      return issue;
+    }
+  });
+}
+
+/**
+ * Fetch open milestones with their issues and PRs (open and closed), soonest due first
+ * Items take a paged call per milestone, so only the first 10 milestones are looked at
+ */
+async function fetchMilestones(ref, token) {
+  const base = `/repos/${ref.owner}/${ref.repo}`;
+  const milestones = (await fetchAllPages(ref, `${base}/milestones?state=open`, token, 1))
+    .sort((a, b) => (a.due_on || '9999').localeCompare(b.due_on || '9999'))
+    .slice(0, 10);
+
+  return mapWithConcurrency(milestones, 4, async (milestone) => {
+    // Without a type filter the issues endpoint lists PRs too
+    const items = await fetchAllPages(ref, `${base}/issues?state=all&milestones=${milestone.id}`, token, 6);
+    return {
+      number: milestone.id,
+      title: milestone.title,
+      createdAt: milestone.created_at,
+      startOn: null,
+      dueOn: milestone.due_on || null,
+      url: `${ref.protocol || 'https'}://${ref.host}/${ref.owner}/${ref.repo}/milestone/${milestone.id}`,
+      items: items.map(item => ({
+        type: item.pull_request ? 'pullRequest' : 'issue',
+        number: item.number,
+        title: item.title,
+        state: item.state === 'open' ? 'open' : 'closed',
+        createdAt: item.created_at,
+        closedAt: item.closed_at || null
+      }))
+    };
+  });
+}
+
+/**
+ * Gitea has no contributors endpoint, so tally authors over recent default-branch history
+ */
+async function fetchContributors(ref, token) {
+  const commits = await fetchAllPages(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/commits?stat=false&verification=false&files=false`,
+    token,
+    6
+  );
+
+  const byLogin = new Map();
+  commits.forEach(commit => {
+    const login = commit.author?.login || commit.commit?.author?.name || 'unknown';
+    // Commits not linked to an account carry the git name and email instead
+    const email = commit.author?.login ? null : commit.commit?.author?.email || null;
+    const entry = byLogin.get(login) || { login, email, avatarUrl: commit.author?.avatar_url || null, totalCommits: 0 };
+    entry.totalCommits++;
+    byLogin.set(login, entry);
+  });
+
+  return Array.from(byLogin.values()).sort((a, b) => b.totalCommits - a.totalCommits);
+}
+
+/**
+ * Read .projectpulse.json from the default branch, or null if the repo has none
+ */
+async function fetchProjectConfig(ref, branch, token) {
+  let text;
+  try {
+    text = await giteaFetch(
+      ref,
+      `/repos/${ref.owner}/${ref.repo}/raw/${PROJECT_CONFIG_FILE}?ref=${encodeURIComponent(branch)}`,
+      token,
+      { raw: true }
+    );
+  } catch (error) {
+    if (error.message.includes('not found')) return null;
+    throw error;
+  }
+  return parseProjectConfig(text);
+}
+
+async function fetchCommits(ref, branch, { since, until }, token) {
+  const commits = await fetchAllPages(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/commits?sha=${encodeURIComponent(branch)}&since=${since}&until=${until}&stat=false&verification=false&files=false`,
+    token,
+    5
+  );
+
+  return commits.map(commit => ({
+    sha: commit.sha,
+    author: commit.author?.login || commit.commit?.author?.name || 'unknown',
+    authorLogin: commit.author?.login || null,
+    authorName: commit.commit?.author?.name || null,
+    authorEmail: commit.commit?.author?.email || null,
+    authorAvatar: commit.author?.avatar_url || null,
+    date: commit.commit?.author?.date || commit.created,
+    message: (commit.commit?.message || '').split('\n')[0],
+    issueRefs: getClosingReferences(commit.commit?.message),
+    parents: (commit.parents || []).map(parent => parent.sha),
+    branch
+  }));
+}
+
+async function fetchCommitDetail(ref, sha, token) {
+  let commit;
+  try {
+    commit = await giteaFetch(
+      ref,
+      `/repos/${ref.owner}/${ref.repo}/git/commits/${sha}?stat=false&verification=false&files=false`,
+      token
+    );
+  } catch (error) {
+    if (error.message.startsWith('Repository not found')) {
+      throw new Error('Commit not found. Make sure the SHA is correct and the repository is public.');
+    }
+    throw error;
+  }
+
+  // Per-file patches are only available from the raw .diff rendering
+  const diffText = await giteaFetch(ref, `/repos/${ref.owner}/${ref.repo}/git/commits/${sha}.diff`, token, { raw: true });
+
+  return {
+    sha: commit.sha,
+    message: commit.commit?.message || '',
+    author: commit.author?.login || commit.commit?.author?.name || 'unknown',
+    date: commit.commit?.author?.date || commit.created || '',
+    files: parseUnifiedDiff(diffText)
+  };
+}
+
+/**
+ * Gitea can't filter commits by author, so scan recent default-branch history
+ */
+async function fetchCommitsByAuthor(ref, author, limit, token) {
+  const commits = await fetchAllPages(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/commits?stat=false&verification=false&files=false`,
+    token,
+    4
+  );
+
+  return commits
+    .filter(commit => (commit.author?.login || commit.commit?.author?.name) === author)
+    .slice(0, limit)
+    .map(commit => ({
+      sha: commit.sha,
+      message: (commit.commit?.message || '').split('\n')[0],
+      date: commit.commit?.author?.date || commit.created,
+      author
+    }));
+}
+
+export const giteaProvider = {
+  id: 'gitea',
+  label: 'Gitea',
+  defaultHost: GITEA_HOSTS[0],
+
+  matchesHost(host) {
+    return getGiteaHosts().includes(host);
+  },
+
+  parsePath(segments) {
+    if (segments.length < 2) return null;
+    return { owner: segments[0], repo: segments[1] };
+  },
+
+  getToken() {
+    return process.env.GITEA_TOKEN;
+  },
+
+  fetchMetadata,
+  fetchBranches,
+  compareBranch,
+  fetchPullRequests,
+  fetchClosedPullRequests,
+  fetchReleases,
+  fetchTags,
+  fetchIssues,
+  fetchIssueActivity,
+  fetchMilestones,
+  fetchContributors,
+  fetchProjectConfig,
+  fetchCommits,
+  fetchCommitsByAuthor,
+  fetchCommitDetail
+};
+
+export default giteaProvider;
@@ -1,41 +1,136 @@
 /**
- * GitHub Data Service
- * Fetches and normalizes repository data from GitHub REST API
+ * GitHub Provider
+ * Fetches and normalizes repository data from the GitHub REST API (github.com or GitHub Enterprise Server)
  */
 
+import { getConditionalHeaders, getStoredBody, storeResponse } from './conditionalCacheService.js';
+import { acquireBudget, recordBudget, recordHeaders } from './rateLimitService.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { PROJECT_CONFIG_FILE, parseProjectConfig } from '../utils/projectConfig.js';
+import { normalizeDeploymentStatus } from '../utils/deploymentStatus.js';
+import { isMaintainerAssociation, getIssueTimeline } from '../utils/issueStatus.js';
+import { getClosingReferences } from '../utils/issueReferences.js';
+import {
+  getLatestReviews,
+  getReviewDecision,
+  getReviewTimeline,
+  combineCiResults,
+  normalizeCiStatus
+} from '../utils/pullRequestStatus.js';
+
 const GITHUB_API_BASE = 'https://api.github.com';
+const GITHUB_HOST = 'github.com';
+
+// Open PRs, newest first, whose reviews, CI and mergeability are looked up over REST (four calls each)
+const MAX_PR_DETAILS = parseInt(process.env.MAX_PR_DETAILS, 10) || 20;
+
+/**
+ * GitHub Enterprise hosts from GITHUB_ENTERPRISE_HOSTS
+ * Entries are "host" (API at https://host/api/v3) or "host=https://api.base/url"
+ * @returns {Map<string, string>} host -> REST API base URL
+ */
+function getEnterpriseHosts() {
+  const hosts = new Map();
+  (process.env.GITHUB_ENTERPRISE_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [host, apiBase] = entry.split('=').map(part => part.trim());
+      hosts.set(host.toLowerCase(), (apiBase || `https://${host}/api/v3`).replace(/\/+$/, ''));
+    });
+  return hosts;
+}
+
+/**
+ * Whether a host is github.com itself (a missing host defaults to it); www.github.com is the same site
+ */
+function isGithubDotCom(host) {
+  return !host || host === GITHUB_HOST || host === `www.${GITHUB_HOST}`;
+}
 
 /**
- * Parse a GitHub repo URL or owner/repo string into owner and repo
- * @param {string} repoUrl - The repo URL or owner/repo format
- * @returns {{ owner: string, repo: string }}
+ * REST API base URL for the host a repo lives on
  */
-export function parseRepoUrl(repoUrl) {
-  // Handle both https://github.com/owner/repo and owner/repo formats
-  const urlPattern = /github\.com\/([^\/]+)\/([^\/]+)/;
-  const shortPattern = /^([^\/]+)\/([^\/]+)$/;
-
-  let match = repoUrl.match(urlPattern);
-  if (match) {
-    return { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+function getApiBase(ref) {
+  if (isGithubDotCom(ref?.host)) return GITHUB_API_BASE;
+
+  const apiBase = getEnterpriseHosts().get(ref.host);
+  if (!apiBase) {
+    throw new Error(`Invalid repository URL. GitHub host "${ref.host}" is not listed in GITHUB_ENTERPRISE_HOSTS.`);
   }
+  return apiBase;
+}
 
-  match = repoUrl.trim().match(shortPattern);
-  if (match) {
-    return { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+/**
+ * Token for a host: GITHUB_TOKEN for github.com, GITHUB_TOKEN_<HOST> for Enterprise
+ * (e.g. GITHUB_TOKEN_GHE_CORP_EXAMPLE). The github.com token is never sent elsewhere.
+ */
+function getToken(ref) {
+  if (isGithubDotCom(ref?.host)) return process.env.GITHUB_TOKEN;
+  return process.env[`GITHUB_TOKEN_${ref.host.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+}
+
+/**
+ * GraphQL endpoint for a host: /graphql beside the REST root, or /api/graphql on Enterprise
+ */
+function getGraphqlUrl(ref) {
+  const apiBase = getApiBase(ref);
+  return apiBase.endsWith('/api/v3')
+    ? apiBase.replace(/\/api\/v3$/, '/api/graphql')
+    : `${apiBase}/graphql`;
+}
+
+/**
+ * Tally a REST call against the pulse's usage report (ref.usage, when present)
+ */
+function recordRestCall(ref, response) {
+  if (!ref.usage) return;
+  ref.usage.restCalls++;
+  if (response.status === 304) ref.usage.notModified++;
+  const remaining = response.headers.get('X-RateLimit-Remaining');
+  if (remaining !== null) {
+    ref.usage.rateLimitRemaining = parseInt(remaining, 10);
+    ref.usage.rateLimitResetAt = new Date(response.headers.get('X-RateLimit-Reset') * 1000).toISOString();
   }
+}
 
-  throw new Error('Invalid repository URL. Use https://github.com/owner/repo or owner/repo format.');
+/**
+ * The rate-limit error behind a 403 or 429, or null if the request was refused for another reason
+ * Covers the primary limit (no calls remaining) and the secondary limit, which GitHub
+ * signals with Retry-After or "secondary rate limit" in the body
+ * @param {Response} response
+ * @returns {Promise<Error|null>}
+ */
+async function getRateLimitError(response) {
+  if (response.headers.get('X-RateLimit-Remaining') === '0') {
+    const resetTime = response.headers.get('X-RateLimit-Reset');
+    const resetDate = resetTime ? new Date(resetTime * 1000) : null;
+    return new Error(`GitHub API rate limit exceeded.${resetDate ? ` Resets at ${resetDate.toLocaleTimeString()}.` : ''}`);
+  }
+
+  const retryAfter = response.headers.get('Retry-After');
+  const body = await response.text().catch(() => '');
+  if (response.status === 429 || retryAfter || /secondary rate limit/i.test(body)) {
+    return new Error(`GitHub API secondary rate limit exceeded.${retryAfter ? ` Retry after ${retryAfter}s.` : ''}`);
+  }
+  return null;
 }
 
 /**
  * Make an authenticated request to the GitHub API
+ * Requests are sent conditionally when a previous response left an ETag or
+ * Last-Modified; a 304 reuses the stored body and costs no rate limit.
+ * ref.priority = 'optional' lets the budget manager delay or skip the call.
  */
-async function githubFetch(endpoint, token) {
-  const url = `${GITHUB_API_BASE}${endpoint}`;
+async function githubFetch(ref, endpoint, token, { conditional = true } = {}) {
+  const url = `${getApiBase(ref)}${endpoint}`;
+  await acquireBudget(ref.host, 'core', ref.priority);
+
   const headers = {
     'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'ProjectPulse'
+    'User-Agent': 'ProjectPulse',
+    ...(conditional ? getConditionalHeaders(url, token) : {})
   };
 
   if (token) {
@@ -43,43 +138,51 @@ async function githubFetch(endpoint, token) {
   }
 
   const response = await fetch(url, { headers });
+  recordRestCall(ref, response);
+  recordHeaders(ref.host, response.headers);
+
+  if (response.status === 304) {
+    const body = getStoredBody(url, token);
+    // Evicted between sending the validator and getting the reply: ask again in full
+    return body !== undefined ? body : githubFetch(ref, endpoint, token, { conditional: false });
+  }
 
   if (response.status === 404) {
     throw new Error('Repository not found. Make sure the repository exists and is public.');
   }
 
-  if (response.status === 403) {
-    const rateLimitRemaining = response.headers.get('X-RateLimit-Remaining');
-    if (rateLimitRemaining === '0') {
-      const resetTime = response.headers.get('X-RateLimit-Reset');
-      const resetDate = new Date(resetTime * 1000);
-      throw new Error(`GitHub API rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}.`);
-    }
-    throw new Error('Access forbidden. The repository may be private.');
+  if (response.status === 403 || response.status === 429) {
+    throw (await getRateLimitError(response)) || new Error('Access forbidden. The repository may be private.');
+  }
+
+  if (response.status === 422) {
+    throw new Error('Invalid commit SHA. Please provide a valid commit hash.');
   }
 
   if (!response.ok) {
     throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
   }
 
-  return response.json();
+  const body = await response.json();
+  storeResponse(url, token, response.headers, body);
+  return body;
 }
 
 /**
  * Fetch all pages of a paginated GitHub API endpoint
  */
-async function fetchAllPages(endpoint, token, maxPages = 10) {
+async function fetchAllPages(ref, endpoint, token, maxPages = 10) {
   const results = [];
   let page = 1;
 
   while (page <= maxPages) {
     const separator = endpoint.includes('?') ? '&' : '?';
-    const data = await githubFetch(`${endpoint}${separator}per_page=100&page=${page}`, token);
-    
+    const data = await githubFetch(ref, `${endpoint}${separator}per_page=100&page=${page}`, token);
+
     if (!Array.isArray(data) || data.length === 0) break;
-    
+
     results.push(...data);
-    
+
     if (data.length < 100) break;
     page++;
   }
@@ -88,40 +191,36 @@ async function fetchAllPages(endpoint, token, maxPages = 10) {
 }
 
 /**
- * Fetch commits from the last 7 days for a branch
+ * Fetch commits on a branch within a date range
  */
-async function fetchRecentCommits(owner, repo, branch, token) {
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-  const since = sevenDaysAgo.toISOString();
-
-  try {
-    const commits = await fetchAllPages(
-      `/repos/${owner}/${repo}/commits?sha=${branch}&since=${since}`,
-      token,
-      5
-    );
+async function fetchCommits(ref, branch, { since, until }, token) {
+  const commits = await fetchAllPages(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/commits?sha=${encodeURIComponent(branch)}&since=${since}&until=${until}`,
+    token,
+    5
+  );
 
-    return commits.map(commit => ({
-      sha: commit.sha,
-      author: commit.author?.login || commit.commit.author?.name || 'unknown',
-      authorAvatar: commit.author?.avatar_url || null,
-      date: commit.commit.author?.date || commit.commit.committer?.date,
-      message: commit.commit.message.split('\n')[0], // First line only
-      branch
-    }));
-  } catch (error) {
-    // Branch might not exist or have no commits in the time range
-    console.warn(`Could not fetch commits for branch ${branch}:`, error.message);
-    return [];
-  }
+  return commits.map(commit => ({
+    sha: commit.sha,
+    author: commit.author?.login || commit.commit.author?.name || 'unknown',
+    authorLogin: commit.author?.login || null,
+    authorName: commit.commit.author?.name || null,
+    authorEmail: commit.commit.author?.email || null,
+    authorAvatar: commit.author?.avatar_url || null,
+    date: commit.commit.author?.date || commit.commit.committer?.date,
+    message: commit.commit.message.split('\n')[0], // First line only
+    issueRefs: getClosingReferences(commit.commit.message),
+    parents: (commit.parents || []).map(parent => parent.sha),
+    branch
+  }));
 }
 
 /**
  * Fetch all branches with their last commit info
  */
-async function fetchBranches(owner, repo, token) {
-  const branches = await fetchAllPages(`/repos/${owner}/${repo}/branches`, token, 5);
+async function fetchBranches(ref, token) {
+  const branches = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/branches`, token, 5);
 
   return Promise.all(branches.map(async (branch) => {
     // Get detailed commit info for the branch's last commit
@@ -130,55 +229,301 @@ async function fetchBranches(owner, repo, token) {
 
     try {
       const commitData = await githubFetch(
-        `/repos/${owner}/${repo}/commits/${branch.commit.sha}`,
+        { ...ref, priority: 'optional' },
+        `/repos/${ref.owner}/${ref.repo}/commits/${branch.commit.sha}`,
         token
       );
       lastCommitDate = commitData.commit.author?.date || commitData.commit.committer?.date;
       lastCommitAuthor = commitData.author?.login || commitData.commit.author?.name || 'unknown';
     } catch (error) {
       console.warn(`Could not fetch commit details for branch ${branch.name}`);
+      if (error.budgetExhausted && !ref.skipped?.some(entry => entry.section === 'branchDetails')) {
+        ref.skipped?.push({ section: 'branchDetails', reason: error.message });
+      }
     }
 
-    const daysSinceLastCommit = lastCommitDate
-      ? Math.floor((Date.now() - new Date(lastCommitDate).getTime()) / (1000 * 60 * 60 * 24))
-      : null;
-
     return {
       name: branch.name,
       lastCommitDate,
-      lastCommitAuthor,
-      daysSinceLastCommit,
-      isStale: false // Will be calculated after we have PRs/issues
+      lastCommitAuthor
     };
   }));
 }
 
 /**
- * Fetch open pull requests
+ * How far a branch has diverged from a base branch
+ * @returns {Promise<{ aheadBy: number, behindBy: number }>} Commits on head but not base, and on base but not head
  */
-async function fetchPullRequests(owner, repo, token) {
-  const prs = await fetchAllPages(`/repos/${owner}/${repo}/pulls?state=open`, token, 3);
+async function compareBranch(ref, base, head, token) {
+  // The counts don't depend on the commit list, so ask for as little of it as possible
+  const data = await githubFetch(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}?per_page=1`,
+    token
+  );
+  return { aheadBy: data.ahead_by, behindBy: data.behind_by };
+}
 
-  return prs.map(pr => ({
-    number: pr.number,
-    title: pr.title,
-    author: pr.user?.login || 'unknown',
-    authorAvatar: pr.user?.avatar_url || null,
-    state: pr.state,
-    createdAt: pr.created_at,
-    updatedAt: pr.updated_at,
-    mergedAt: pr.merged_at,
-    branch: pr.head?.ref || null,
-    baseBranch: pr.base?.ref || null,
-    isDraft: pr.draft || false
-  }));
+/**
+ * Fetch open pull requests with reviewers, reviews, CI state and mergeability
+ * The list endpoint leaves out reviews, checks and mergeability, so each PR costs
+ * a few optional calls; only the newest MAX_PR_DETAILS get them, and they are the
+ * first to go when the budget runs low. With a token, fetchSnapshot covers every PR
+ */
+async function fetchPullRequests(ref, token) {
+  // Listed newest first
+  const prs = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/pulls?state=open`, token, 3);
+  const optionalRef = { ...ref, priority: 'optional' };
+
+  return mapWithConcurrency(prs, 4, async (pr, index) => {
+    const pullRequest = {
+      number: pr.number,
+      title: pr.title,
+      author: pr.user?.login || 'unknown',
+      authorAvatar: pr.user?.avatar_url || null,
+      state: pr.state,
+      createdAt: pr.created_at,
+      updatedAt: pr.updated_at,
+      mergedAt: pr.merged_at,
+      branch: pr.head?.ref || null,
+      baseBranch: pr.base?.ref || null,
+      issueRefs: getClosingReferences(pr.body),
+      isDraft: pr.draft || false,
+      headSha: pr.head?.sha || null,
+      headCommittedAt: null,
+      requestedReviewers: (pr.requested_reviewers || []).map(user => user.login),
+      requestedTeams: (pr.requested_teams || []).map(team => team.slug),
+      reviews: [],
+      reviewDecision: null,
+      ciStatus: null,
+      ciUpdatedAt: null,
+      mergeable: null,
+      hasConflicts: false
+    };
+
+    if (index >= MAX_PR_DETAILS) return pullRequest;
+
+    try {
+      const base = `/repos/${ref.owner}/${ref.repo}`;
+      const [detail, reviews, checks, status] = await Promise.all([
+        githubFetch(optionalRef, `${base}/pulls/${pr.number}`, token),
+        fetchAllPages(optionalRef, `${base}/pulls/${pr.number}/reviews`, token, 1),
+        githubFetch(optionalRef, `${base}/commits/${pr.head.sha}/check-runs?per_page=100`, token),
+        githubFetch(optionalRef, `${base}/commits/${pr.head.sha}/status`, token)
+      ]);
+
+      const latestReviews = getLatestReviews(reviews.map(review => ({
+        reviewer: review.user?.login,
+        state: review.state,
+        submittedAt: review.submitted_at
+      })));
+
+      return {
+        ...pullRequest,
+        reviews: latestReviews,
+        reviewDecision: getReviewDecision(latestReviews),
+        // The combined status reports "pending" when nothing posted one, so use its entries
+        ...combineCiResults([
+          ...checks.check_runs.map(run => ({
+            state: run.status === 'completed' ? run.conclusion : run.status,
+            updatedAt: run.completed_at || run.started_at
+          })),
+          ...status.statuses.map(entry => ({ state: entry.state, updatedAt: entry.updated_at }))
+        ]),
+        // GitHub computes mergeability lazily; null means it hasn't yet
+        mergeable: detail.mergeable,
+        hasConflicts: detail.mergeable_state === 'dirty'
+      };
+    } catch (error) {
+      console.warn(`Could not fetch review and CI status for PR #${pr.number}:`, error.message);
+      if (error.budgetExhausted && !ref.skipped?.some(entry => entry.section === 'pullRequestDetails')) {
+        ref.skipped?.push({ section: 'pullRequestDetails', reason: error.message });
+      }
+      return pullRequest;
+    }
+  });
+}
+
+/**
+ * Fetch merged and closed PRs whose close time falls in a date range
+ * Uses one GraphQL walk with a token; otherwise REST, with optional per-PR lookups
+ * for merged-by, line counts, reviews and the first commit that the list endpoint leaves out
+ */
+async function fetchClosedPullRequests(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const inRange = pr => pr.closedAt && Date.parse(pr.closedAt) >= from && Date.parse(pr.closedAt) <= to;
+
+  if (token) {
+    const { nodes } = await fetchAllGraphqlPages(
+      ref,
+      CLOSED_PULL_REQUESTS_QUERY,
+      'pullRequests',
+      token,
+      5,
+      page => page.length > 0 && Date.parse(page[page.length - 1].updatedAt) < from
+    );
+    return nodes.map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.author?.login || 'unknown',
+      authorAvatar: pr.author?.avatarUrl || null,
+      state: pr.state === 'MERGED' ? 'merged' : 'closed',
+      createdAt: pr.createdAt,
+      closedAt: pr.closedAt,
+      mergedAt: pr.mergedAt,
+      mergedBy: pr.mergedBy?.login || null,
+      branch: pr.headRefName || null,
+      baseBranch: pr.baseRefName || null,
+      issueRefs: getClosingReferences(pr.body),
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changedFiles: pr.changedFiles,
+      // A round is a pushed revision that drew at least one review
+      reviewRounds: new Set(pr.reviews.nodes.map(review => review.commit?.oid)).size,
+      firstCommitAt: pr.commits.nodes[0]?.commit.authoredDate || null,
+      ...getReviewTimeline(
+        pr.reviews.nodes.map(review => ({ reviewer: review.author?.login, state: review.state, submittedAt: review.submittedAt })),
+        { author: pr.author?.login, mergedAt: pr.mergedAt }
+      )
+    })).filter(inRange);
+  }
+
+  // The list is sorted by last update, so stop paging once a page ends before the range
+  const prs = [];
+  for (let page = 1; page <= 3; page++) {
+    const data = await githubFetch(
+      ref,
+      `/repos/${ref.owner}/${ref.repo}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=${page}`,
+      token
+    );
+    prs.push(...data);
+    if (data.length < 100 || Date.parse(data[data.length - 1].updated_at) < from) break;
+  }
+
+  const closed = prs
+    .map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.user?.login || 'unknown',
+      authorAvatar: pr.user?.avatar_url || null,
+      state: pr.merged_at ? 'merged' : 'closed',
+      createdAt: pr.created_at,
+      closedAt: pr.closed_at,
+      mergedAt: pr.merged_at,
+      mergedBy: null,
+      branch: pr.head?.ref || null,
+      baseBranch: pr.base?.ref || null,
+      issueRefs: getClosingReferences(pr.body),
+      additions: null,
+      deletions: null,
+      changedFiles: null,
+      reviewRounds: null,
+      firstCommitAt: null,
+      firstReviewAt: null,
+      approvedAt: null
+    }))
+    .filter(inRange);
+
+  const optionalRef = { ...ref, priority: 'optional' };
+  return mapWithConcurrency(closed, 4, async (pr) => {
+    try {
+      const base = `/repos/${ref.owner}/${ref.repo}/pulls/${pr.number}`;
+      const [detail, reviews, commits] = await Promise.all([
+        githubFetch(optionalRef, base, token),
+        fetchAllPages(optionalRef, `${base}/reviews`, token, 1),
+        // PR commits are listed oldest first
+        githubFetch(optionalRef, `${base}/commits?per_page=1`, token)
+      ]);
+      return {
+        ...pr,
+        mergedBy: detail.merged_by?.login || null,
+        additions: detail.additions,
+        deletions: detail.deletions,
+        changedFiles: detail.changed_files,
+        reviewRounds: new Set(reviews.filter(r => r.state !== 'PENDING').map(r => r.commit_id)).size,
+        firstCommitAt: commits[0]?.commit.author?.date || null,
+        ...getReviewTimeline(
+          reviews.map(review => ({ reviewer: review.user?.login, state: review.state, submittedAt: review.submitted_at })),
+          { author: pr.author, mergedAt: pr.mergedAt }
+        )
+      };
+    } catch (error) {
+      console.warn(`Could not fetch details for PR #${pr.number}:`, error.message);
+      return pr;
+    }
+  });
+}
+
+/**
+ * Fetch published releases in a date range, newest first (drafts left out)
+ */
+async function fetchReleases(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const releases = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/releases`, token, 2);
+
+  return releases
+    .filter(release => !release.draft && release.published_at)
+    .map(release => ({
+      name: release.name || release.tag_name,
+      tag: release.tag_name,
+      sha: null,
+      publishedAt: release.published_at,
+      isPrerelease: release.prerelease,
+      url: release.html_url
+    }))
+    .filter(release => Date.parse(release.publishedAt) >= from && Date.parse(release.publishedAt) <= to);
+}
+
+/**
+ * Fetch the newest tags
+ * The tags endpoint has no dates; the pulse dates tags by their commit when it saw it
+ */
+async function fetchTags(ref, range, token) {
+  const tags = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/tags`, token, 1);
+
+  return tags.map(tag => ({ name: tag.name, sha: tag.commit?.sha || null, date: null }));
+}
+
+/**
+ * Fetch deployments created in a date range with their latest status
+ * The status takes one call per deployment, so only the newest 50 are looked at
+ */
+async function fetchDeployments(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const deployments = (await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/deployments`, token, 2))
+    .filter(deployment => Date.parse(deployment.created_at) >= from && Date.parse(deployment.created_at) <= to)
+    .slice(0, 50);
+
+  return mapWithConcurrency(deployments, 4, async (deployment) => {
+    const base = {
+      id: deployment.id,
+      environment: deployment.environment,
+      sha: deployment.sha,
+      ref: deployment.ref,
+      createdAt: deployment.created_at,
+      status: null,
+      statusAt: null
+    };
+    try {
+      // Statuses are listed newest first
+      const [status] = await githubFetch(
+        ref,
+        `/repos/${ref.owner}/${ref.repo}/deployments/${deployment.id}/statuses?per_page=1`,
+        token
+      );
+      return status ? { ...base, status: normalizeDeploymentStatus(status.state), statusAt: status.created_at } : base;
+    } catch (error) {
+      console.warn(`Could not fetch the status of deployment ${deployment.id}:`, error.message);
+      return base;
+    }
+  });
 }
 
 /**
  * Fetch open issues (excluding pull requests)
  */
-async function fetchIssues(owner, repo, token) {
-  const issues = await fetchAllPages(`/repos/${owner}/${repo}/issues?state=open`, token, 3);
+async function fetchIssues(ref, token) {
+  const issues = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/issues?state=open`, token, 3);
 
   // Filter out pull requests (they show up in issues API too)
   return issues
@@ -197,15 +542,169 @@ async function fetchIssues(owner, repo, token) {
       })),
       createdAt: issue.created_at,
       updatedAt: issue.updated_at,
-      author: issue.user?.login || 'unknown'
+      author: issue.user?.login || 'unknown',
+      authorIsMaintainer: isMaintainerAssociation(issue.author_association),
+      commentCount: issue.comments
     }));
 }
 
+/**
+ * Fetch open issues and those closed in a date range, with each one's comment timeline
+ * The pulse's open issues are reused when given, so only the closed ones are listed.
+ * The comments take one call per issue, so only the 50 most recently updated issues
+ * with comments are looked up; the rest come back with commentsChecked false
+ * @param {object[]} [openIssues] - Open issues from fetchIssues or fetchSnapshot
+ */
+async function fetchIssueActivity(ref, { since, until }, token, openIssues) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const base = `/repos/${ref.owner}/${ref.repo}/issues`;
+  const [open, closed] = await Promise.all([
+    openIssues ? [] : fetchAllPages(ref, `${base}?state=open&sort=updated&direction=desc`, token, 3),
+    fetchAllPages(ref, `${base}?state=closed&sort=updated&direction=desc&since=${since}`, token, 3)
+  ]);
+
+  const known = (openIssues || []).map(issue => ({
+    number: issue.number,
+    title: issue.title,
+    author: issue.author,
+    authorIsMaintainer: issue.authorIsMaintainer ?? null,
+    state: 'open',
+    labels: issue.labels,
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    closedAt: null,
+    commentCount: issue.commentCount ?? null,
+    commentsChecked: issue.commentCount === 0,
+    firstResponseAt: null,
+    lastComment: null
+  }));
+
+  const issues = [...known, ...[...open, ...closed]
+    .filter(issue => !issue.pull_request)
+    .map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      author: issue.user?.login || 'unknown',
+      authorIsMaintainer: isMaintainerAssociation(issue.author_association),
+      state: issue.state === 'open' ? 'open' : 'closed',
+      labels: issue.labels.map(label => ({ name: label.name, color: label.color })),
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      closedAt: issue.closed_at,
+      commentCount: issue.comments,
+      commentsChecked: issue.comments === 0,
+      firstResponseAt: null,
+      lastComment: null
+    }))
+    .filter(issue => issue.state === 'open' || (Date.parse(issue.closedAt) >= from && Date.parse(issue.closedAt) <= to))];
+
+  const lookups = new Set(issues
+    // An unknown count still gets a lookup
+    .filter(issue => issue.commentCount !== 0)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, 50)
+    .map(issue => issue.number));
+
+  const optionalRef = { ...ref, priority: 'optional' };
+  return mapWithConcurrency(issues, 4, async (issue) => {
+    if (!lookups.has(issue.number)) return issue;
+    try {
+      const comments = await fetchAllPages(optionalRef, `${base}/${issue.number}/comments`, token, 3);
+      return {
+        ...issue,
+        commentsChecked: true,
+        ...getIssueTimeline(
+          comments.map(comment => ({
+            author: comment.user?.login,
+            createdAt: comment.created_at,
+            isMaintainer: isMaintainerAssociation(comment.author_association)
+          })),
+          { author: issue.author }
+        )
+      };
+    } catch (error) {
+      console.warn(`Could not fetch comments for issue #${issue.number}:`, error.message);
+      return issue;
+    }
+  });
+}
+
+/**
+ * Fetch open milestones with their issues and PRs (open and closed), soonest due first
+ * Items take a paged call per milestone, so only the first 10 milestones are looked at
+ */
+async function fetchMilestones(ref, token) {
+  const base = `/repos/${ref.owner}/${ref.repo}`;
+  const milestones = (await fetchAllPages(ref, `${base}/milestones?state=open&sort=due_on&direction=asc`, token, 1)).slice(0, 10);
+
+  return mapWithConcurrency(milestones, 4, async (milestone) => {
+    // The issues endpoint lists a milestone's PRs too
+    const items = await fetchAllPages(ref, `${base}/issues?milestone=${milestone.number}&state=all`, token, 3);
+    return {
+      number: milestone.number,
+      title: milestone.title,
+      createdAt: milestone.created_at,
+      startOn: null,
+      dueOn: milestone.due_on,
+      url: milestone.html_url,
+      items: items.map(item => ({
+        type: item.pull_request ? 'pullRequest' : 'issue',
+        number: item.number,
+        title: item.title,
+        state: item.state === 'open' ? 'open' : 'closed',
+        createdAt: item.created_at,
+        closedAt: item.closed_at
+      }))
+    };
+  });
+}
+
+/**
+ * Pull requests tied to open issues by timeline events: PRs linked from the issue's
+ * Development sidebar, or PRs in this repo that mention the issue
+ * With a token this is one paged GraphQL walk; over REST each issue's timeline is a
+ * call of its own, so only the 30 most recently updated issues are looked at
+ * @returns {Promise<Array<{ issue: number, pullRequests: number[] }>>}
+ */
+async function fetchIssueLinks(ref, issues, token) {
+  const fullName = `${ref.owner}/${ref.repo}`.toLowerCase();
+  const isLocalPr = pr => pr?.number && (!pr.repository || pr.repository.nameWithOwner.toLowerCase() === fullName);
+
+  if (token) {
+    const { nodes } = await fetchAllGraphqlPages(ref, ISSUE_LINKS_QUERY, 'issues', token, 3);
+    return nodes.map(issue => {
+      // Events come oldest first, so a later disconnect undoes an earlier connect
+      const linked = new Set();
+      issue.timelineItems.nodes.forEach(event => {
+        const pr = event.subject || event.source;
+        if (!isLocalPr(pr)) return;
+        if (event.__typename === 'DisconnectedEvent') linked.delete(pr.number);
+        else linked.add(pr.number);
+      });
+      return { issue: issue.number, pullRequests: [...linked] };
+    }).filter(link => link.pullRequests.length > 0);
+  }
+
+  const recent = [...issues]
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, 30);
+  const links = await mapWithConcurrency(recent, 4, async (issue) => {
+    const events = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/issues/${issue.number}/timeline`, token, 1);
+    // REST connect events don't name the PR; cross-references from PRs do
+    const pullRequests = events
+      .filter(event => event.event === 'cross-referenced' && event.source?.issue?.pull_request)
+      .filter(event => event.source.issue.repository?.full_name?.toLowerCase() === fullName)
+      .map(event => event.source.issue.number);
+    return { issue: issue.number, pullRequests: [...new Set(pullRequests)] };
+  });
+  return links.filter(link => link.pullRequests.length > 0);
+}
+
 /**
  * Fetch repository metadata
  */
-async function fetchRepoMetadata(owner, repo, token) {
-  const data = await githubFetch(`/repos/${owner}/${repo}`, token);
+async function fetchMetadata(ref, token) {
+  const data = await githubFetch(ref, `/repos/${ref.owner}/${ref.repo}`, token);
 
   return {
     name: data.name,
@@ -228,220 +727,480 @@ async function fetchRepoMetadata(owner, repo, token) {
 /**
  * Fetch contributors with their commit counts
  */
-async function fetchContributors(owner, repo, token) {
-  try {
-    const contributors = await fetchAllPages(`/repos/${owner}/${repo}/contributors`, token, 3);
+async function fetchContributors(ref, token) {
+  const contributors = await fetchAllPages(ref, `/repos/${ref.owner}/${ref.repo}/contributors`, token, 3);
 
-    return contributors.map(contributor => ({
-      login: contributor.login,
-      avatarUrl: contributor.avatar_url,
-      totalCommits: contributor.contributions,
-      commitsByDay: {} // Will be populated from commits data
-    }));
+  return contributors.map(contributor => ({
+    login: contributor.login,
+    avatarUrl: contributor.avatar_url,
+    totalCommits: contributor.contributions
+  }));
+}
+
+/**
+ * Read .projectpulse.json from the default branch, or null if the repo has none
+ */
+async function fetchProjectConfig(ref, branch, token) {
+  let file;
+  try {
+    file = await githubFetch(
+      { ...ref, priority: 'optional' },
+      `/repos/${ref.owner}/${ref.repo}/contents/${PROJECT_CONFIG_FILE}?ref=${encodeURIComponent(branch)}`,
+      token
+    );
   } catch (error) {
-    console.warn('Could not fetch contributors:', error.message);
-    return [];
+    if (error.message.includes('not found')) return null;
+    throw error;
   }
+  return parseProjectConfig(Buffer.from(file.content, 'base64').toString('utf8'));
 }
 
 /**
- * Calculate contributor activity from commits
- * Ensures all 7 days are present in commitsByDay (with 0 for missing days)
+ * Run a GraphQL query against the GitHub API
+ * Every query selects rateLimit { limit cost remaining used resetAt } so points can be reported
  */
-function enrichContributorsWithActivity(contributors, commits) {
-  // Generate last 7 days array (oldest to newest)
-  const last7Days = [];
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    last7Days.push(date.toISOString().split('T')[0]);
+async function githubGraphql(ref, query, variables, token) {
+  await acquireBudget(ref.host, 'graphql', ref.priority);
+
+  const response = await fetch(getGraphqlUrl(ref), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ProjectPulse',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ query, variables })
+  });
+
+  if (response.status === 401) {
+    throw new Error('Access forbidden. The GitHub token was rejected.');
   }
 
-  // Count commits per author per day
-  const activityByAuthor = {};
-  commits.forEach(commit => {
-    const author = commit.author;
-    if (!activityByAuthor[author]) {
-      activityByAuthor[author] = {};
+  // Primary and secondary rate limits, so the pulse falls back to REST or skips the section
+  if (response.status === 403 || response.status === 429) {
+    const rateLimitError = await getRateLimitError(response);
+    if (rateLimitError) {
+      recordHeaders(ref.host, response.headers);
+      throw rateLimitError;
     }
-    const date = new Date(commit.date).toISOString().split('T')[0];
-    activityByAuthor[author][date] = (activityByAuthor[author][date] || 0) + 1;
-  });
+  }
 
-  // Build commitsByDay with all 7 days (0 for missing days)
-  return contributors.map(contributor => {
-    const authorActivity = activityByAuthor[contributor.login] || {};
-    const commitsByDay = {};
-    last7Days.forEach(day => {
-      commitsByDay[day] = authorActivity[day] || 0;
-    });
-    return {
-      ...contributor,
-      commitsByDay
-    };
-  });
+  if (!response.ok) {
+    throw new Error(`GitHub GraphQL error: ${response.status} ${response.statusText}`);
+  }
+
+  const { data, errors } = await response.json();
+
+  if (data?.rateLimit) {
+    recordBudget(ref.host, 'graphql', data.rateLimit);
+  }
+
+  if (data?.rateLimit && ref.usage) {
+    ref.usage.graphqlQueries++;
+    ref.usage.graphqlPoints += data.rateLimit.cost;
+    ref.usage.rateLimitRemaining = data.rateLimit.remaining;
+    ref.usage.rateLimitResetAt = data.rateLimit.resetAt;
+  }
+
+  if (errors?.length) {
+    const [error] = errors;
+    if (error.type === 'NOT_FOUND') {
+      throw new Error('Repository not found. Make sure the repository exists and is public.');
+    }
+    if (error.type === 'RATE_LIMITED') {
+      const resetAt = data?.rateLimit?.resetAt ? new Date(data.rateLimit.resetAt) : null;
+      throw new Error(`GitHub API rate limit exceeded.${resetAt ? ` Resets at ${resetAt.toLocaleTimeString()}.` : ''}`);
+    }
+    if (error.type === 'FORBIDDEN') {
+      throw new Error('Access forbidden. The repository may be private.');
+    }
+    throw new Error(`GitHub GraphQL error: ${error.message}`);
+  }
+
+  return data;
 }
 
 /**
- * Mark branches as stale based on inactivity and linked PRs/issues
+ * Walk a paginated repository connection, e.g. "pullRequests"
+ * The query must take $cursor and select pageInfo { hasNextPage endCursor } and nodes.
+ * Pass isDone(pageNodes) to stop early, e.g. once results are older than a window.
  */
-function markStaleBranches(branches, pullRequests, issues) {
-  const prBranches = new Set(pullRequests.map(pr => pr.branch).filter(Boolean));
-  
-  // A branch is stale if:
-  // 1. No commits in last 48 hours (2 days)
-  // 2. AND has open PRs or is linked to issues
-  return branches.map(branch => {
-    const hasOpenPR = prBranches.has(branch.name);
-    const isInactive = branch.daysSinceLastCommit !== null && branch.daysSinceLastCommit >= 2;
-    
-    return {
-      ...branch,
-      isStale: isInactive && hasOpenPR,
-      hasOpenPR
-    };
-  });
+async function fetchAllGraphqlPages(ref, query, connection, token, maxPages = 10, isDone = () => false) {
+  const nodes = [];
+  let cursor = null;
+  let first = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const data = await githubGraphql(ref, query, { owner: ref.owner, name: ref.repo, cursor }, token);
+    if (!data.repository) {
+      throw new Error('Repository not found. Make sure the repository exists and is public.');
+    }
+    if (page === 1) first = data.repository;
+
+    const conn = data.repository[connection];
+    nodes.push(...conn.nodes);
+
+    if (!conn.pageInfo.hasNextPage || isDone(conn.nodes)) break;
+    cursor = conn.pageInfo.endCursor;
+  }
+
+  return { nodes, repository: first };
 }
 
-/**
- * Detect potential blockers by cross-referencing branches, PRs, and issues
- */
-function detectBlockers(branches, pullRequests, issues) {
-  const blockers = [];
-  const now = new Date();
-
-  // Type 1: STALE_PR — Non-draft PR's branch inactive 2+ days
-  pullRequests.forEach(pr => {
-    if (pr.isDraft) return;
-    const branch = branches.find(b => b.name === pr.branch);
-    if (!branch) return;
-    if (branch.daysSinceLastCommit >= 2) {
-      const daysSinceUpdate = Math.floor((now - new Date(pr.updatedAt)) / (1000 * 60 * 60 * 24));
-      blockers.push({
-        type: 'STALE_PR',
-        severity: daysSinceUpdate >= 7 ? 'high' : 'medium',
-        title: `PR #${pr.number} "${pr.title}" — branch inactive ${branch.daysSinceLastCommit} days`,
-        description: `Branch ${pr.branch} last had a commit ${branch.daysSinceLastCommit} days ago. PR was opened by ${pr.author}.`,
-        relatedBranch: pr.branch,
-        relatedPR: { number: pr.number, title: pr.title, author: pr.author },
-        relatedIssue: null,
-        staleDays: branch.daysSinceLastCommit,
-        suggestedAction: `Review or merge PR #${pr.number}, or close if work is abandoned.`
-      });
+const BRANCHES_QUERY = `
+  query ($owner: String!, $name: String!, $cursor: String) {
+    rateLimit { limit cost remaining used resetAt }
+    repository(owner: $owner, name: $name) {
+      name
+      nameWithOwner
+      description
+      url
+      createdAt
+      updatedAt
+      pushedAt
+      stargazerCount
+      forkCount
+      owner { login avatarUrl }
+      defaultBranchRef { name }
+      primaryLanguage { name }
+      openIssues: issues(states: OPEN) { totalCount }
+      openPullRequests: pullRequests(states: OPEN) { totalCount }
+      refs(refPrefix: "refs/heads/", first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          name
+          target {
+            ... on Commit {
+              authoredDate
+              committedDate
+              author { name user { login } }
+            }
+          }
+        }
+      }
     }
-  });
+  }
+`;
 
-  // Type 2: LONG_RUNNING_PR — PR open 7+ days with no update in 3+ days
-  pullRequests.forEach(pr => {
-    const daysSinceCreated = Math.floor((now - new Date(pr.createdAt)) / (1000 * 60 * 60 * 24));
-    const daysSinceUpdated = Math.floor((now - new Date(pr.updatedAt)) / (1000 * 60 * 60 * 24));
-    if (daysSinceCreated >= 7 && daysSinceUpdated >= 3) {
-      const alreadyCaught = blockers.some(b => b.relatedPR?.number === pr.number);
-      if (!alreadyCaught) {
-        blockers.push({
-          type: 'LONG_RUNNING_PR',
-          severity: daysSinceCreated >= 14 ? 'high' : 'medium',
-          title: `PR #${pr.number} open for ${daysSinceCreated} days with no recent activity`,
-          description: `"${pr.title}" by ${pr.author} was last updated ${daysSinceUpdated} days ago.`,
-          relatedBranch: pr.branch,
-          relatedPR: { number: pr.number, title: pr.title, author: pr.author },
-          relatedIssue: null,
-          staleDays: daysSinceUpdated,
-          suggestedAction: `Follow up with ${pr.author} on PR #${pr.number}.`
-        });
+const PULL_REQUESTS_QUERY = `
+  query ($owner: String!, $name: String!, $cursor: String) {
+    rateLimit { limit cost remaining used resetAt }
+    repository(owner: $owner, name: $name) {
+      pullRequests(states: OPEN, first: 50, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          body
+          state
+          isDraft
+          createdAt
+          updatedAt
+          mergedAt
+          headRefName
+          baseRefName
+          author { login avatarUrl }
+          reviewDecision
+          mergeable
+          reviewRequests(first: 20) {
+            nodes { requestedReviewer { ... on User { login } ... on Bot { login } ... on Team { slug } } }
+          }
+          latestReviews(first: 20) { nodes { author { login } state submittedAt } }
+          commits(last: 1) {
+            nodes {
+              commit {
+                oid
+                committedDate
+                statusCheckRollup {
+                  state
+                  contexts(first: 50) {
+                    nodes {
+                      ... on CheckRun { status conclusion startedAt completedAt }
+                      ... on StatusContext { state createdAt }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
       }
     }
-  });
+  }
+`;
 
-  // Type 3: UNASSIGNED_OLD_ISSUE — Issue open 14+ days with no assignee
-  issues.forEach(issue => {
-    const daysSinceCreated = Math.floor((now - new Date(issue.createdAt)) / (1000 * 60 * 60 * 24));
-    if (daysSinceCreated >= 14 && issue.assignees.length === 0) {
-      blockers.push({
-        type: 'UNASSIGNED_OLD_ISSUE',
-        severity: daysSinceCreated >= 30 ? 'high' : 'low',
-        title: `Issue #${issue.number} unassigned for ${daysSinceCreated} days`,
-        description: `"${issue.title}" has been open with no assignee.`,
-        relatedBranch: null,
-        relatedPR: null,
-        relatedIssue: { number: issue.number, title: issue.title },
-        staleDays: daysSinceCreated,
-        suggestedAction: `Assign issue #${issue.number} or triage into the backlog.`
-      });
+const CLOSED_PULL_REQUESTS_QUERY = `
+  query ($owner: String!, $name: String!, $cursor: String) {
+    rateLimit { limit cost remaining used resetAt }
+    repository(owner: $owner, name: $name) {
+      pullRequests(states: [MERGED, CLOSED], first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          body
+          state
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          headRefName
+          baseRefName
+          author { login avatarUrl }
+          mergedBy { login }
+          additions
+          deletions
+          changedFiles
+          reviews(first: 100) { nodes { commit { oid } state submittedAt author { login } } }
+          commits(first: 1) { nodes { commit { authoredDate } } }
+        }
+      }
     }
-  });
+  }
+`;
 
-  // Sort by severity (high first), then by staleDays descending
-  const severityOrder = { high: 0, medium: 1, low: 2 };
-  blockers.sort((a, b) => {
-    if (severityOrder[a.severity] !== severityOrder[b.severity]) {
-      return severityOrder[a.severity] - severityOrder[b.severity];
+const ISSUES_QUERY = `
+  query ($owner: String!, $name: String!, $cursor: String) {
+    rateLimit { limit cost remaining used resetAt }
+    repository(owner: $owner, name: $name) {
+      issues(states: OPEN, first: 100, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          state
+          createdAt
+          updatedAt
+          author { login }
+          authorAssociation
+          comments { totalCount }
+          labels(first: 20) { nodes { name color } }
+          assignees(first: 10) { nodes { login avatarUrl } }
+        }
+      }
     }
-    return b.staleDays - a.staleDays;
-  });
+  }
+`;
+
+const ISSUE_LINKS_QUERY = `
+  query ($owner: String!, $name: String!, $cursor: String) {
+    rateLimit { limit cost remaining used resetAt }
+    repository(owner: $owner, name: $name) {
+      issues(states: OPEN, first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          timelineItems(last: 25, itemTypes: [CONNECTED_EVENT, DISCONNECTED_EVENT, CROSS_REFERENCED_EVENT]) {
+            nodes {
+              __typename
+              ... on ConnectedEvent { subject { ... on PullRequest { number repository { nameWithOwner } } } }
+              ... on DisconnectedEvent { subject { ... on PullRequest { number repository { nameWithOwner } } } }
+              ... on CrossReferencedEvent { source { ... on PullRequest { number repository { nameWithOwner } } } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
 
-  return blockers;
+/**
+ * Reviewers, reviews, CI state and mergeability of a GraphQL pull request node
+ */
+function getPullRequestStatus(pr) {
+  const requested = pr.reviewRequests.nodes.map(node => node.requestedReviewer).filter(Boolean);
+  const head = pr.commits.nodes[0]?.commit;
+  const rollup = head?.statusCheckRollup;
+  const latestReviews = getLatestReviews(pr.latestReviews.nodes.map(review => ({
+    reviewer: review.author?.login,
+    state: review.state,
+    submittedAt: review.submittedAt
+  })));
+  const { ciUpdatedAt } = combineCiResults((rollup?.contexts.nodes || []).map(context => ({
+    state: context.conclusion || context.status || context.state,
+    updatedAt: context.completedAt || context.startedAt || context.createdAt
+  })));
+
+  return {
+    headSha: head?.oid || null,
+    headCommittedAt: head?.committedDate || null,
+    requestedReviewers: requested.filter(reviewer => reviewer.login).map(reviewer => reviewer.login),
+    requestedTeams: requested.filter(reviewer => reviewer.slug).map(reviewer => reviewer.slug),
+    reviews: latestReviews,
+    // reviewDecision is null when the repo doesn't require reviews; fall back to the reviews themselves
+    reviewDecision: pr.reviewDecision?.toLowerCase() || getReviewDecision(latestReviews),
+    // The rollup already weighs required checks, so prefer its state over our own combination
+    ciStatus: normalizeCiStatus(rollup?.state),
+    ciUpdatedAt,
+    mergeable: pr.mergeable === 'UNKNOWN' ? null : pr.mergeable === 'MERGEABLE',
+    hasConflicts: pr.mergeable === 'CONFLICTING'
+  };
 }
 
 /**
- * Main function to fetch all repository data in parallel
- * @param {string} repoUrl - The GitHub repository URL or owner/repo
- * @param {string} token - GitHub API token (optional but recommended)
- * @returns {Promise<object>} Normalized repository data
+ * Fetch metadata, branches, PRs, issues and contributors in a few batched queries
+ * GraphQL requires authentication, so this returns null without a token and the
+ * caller falls back to the per-resource REST fetchers
  */
-export async function fetchRepoData(repoUrl, token) {
-  const { owner, repo } = parseRepoUrl(repoUrl);
-
-  // Fetch metadata first to get default branch
-  const meta = await fetchRepoMetadata(owner, repo, token);
-
-  // Fetch all other data in parallel
-  const [branches, pullRequests, issues, contributors] = await Promise.all([
-    fetchBranches(owner, repo, token),
-    fetchPullRequests(owner, repo, token),
-    fetchIssues(owner, repo, token),
-    fetchContributors(owner, repo, token)
+async function fetchSnapshot(ref, token) {
+  if (!token) return null;
+
+  const [branchData, prData, issueData, contributors] = await Promise.all([
+    fetchAllGraphqlPages(ref, BRANCHES_QUERY, 'refs', token, 5),
+    fetchAllGraphqlPages(ref, PULL_REQUESTS_QUERY, 'pullRequests', token, 6),
+    fetchAllGraphqlPages(ref, ISSUES_QUERY, 'issues', token, 3),
+    // Contributor commit totals aren't exposed over GraphQL; this stays a single REST page walk
+    fetchContributors({ ...ref, priority: 'optional' }, token).catch(error => {
+      console.warn('Could not fetch contributors:', error.message);
+      if (error.budgetExhausted) ref.skipped?.push({ section: 'contributors', reason: error.message });
+      return [];
+    })
   ]);
 
-  // Fetch commits from default branch and active PR branches
-  const branchesToFetch = new Set([meta.defaultBranch]);
-  pullRequests.forEach(pr => {
-    if (pr.branch) branchesToFetch.add(pr.branch);
-  });
+  const repo = branchData.repository;
+  const meta = {
+    name: repo.name,
+    fullName: repo.nameWithOwner,
+    description: repo.description,
+    owner: repo.owner?.login,
+    ownerAvatar: repo.owner?.avatarUrl,
+    defaultBranch: repo.defaultBranchRef?.name || null,
+    language: repo.primaryLanguage?.name || null,
+    stars: repo.stargazerCount,
+    forks: repo.forkCount,
+    // Match REST's open_issues_count, which includes open PRs
+    openIssues: repo.openIssues.totalCount + repo.openPullRequests.totalCount,
+    createdAt: repo.createdAt,
+    updatedAt: repo.updatedAt,
+    pushedAt: repo.pushedAt,
+    htmlUrl: repo.url
+  };
 
-  // Limit to 5 branches to avoid too many API calls
-  const branchArray = Array.from(branchesToFetch).slice(0, 5);
-  
-  const commitArrays = await Promise.all(
-    branchArray.map(branch => fetchRecentCommits(owner, repo, branch, token))
-  );
+  const branches = branchData.nodes.map(node => ({
+    name: node.name,
+    lastCommitDate: node.target?.authoredDate || node.target?.committedDate || null,
+    lastCommitAuthor: node.target?.author?.user?.login || node.target?.author?.name || 'unknown'
+  }));
 
-  // Flatten and dedupe commits by SHA
-  const commitMap = new Map();
-  commitArrays.flat().forEach(commit => {
-    if (!commitMap.has(commit.sha)) {
-      commitMap.set(commit.sha, commit);
-    }
-  });
-  const commits = Array.from(commitMap.values()).sort(
-    (a, b) => new Date(b.date) - new Date(a.date)
-  );
+  const pullRequests = prData.nodes.map(pr => ({
+    number: pr.number,
+    title: pr.title,
+    author: pr.author?.login || 'unknown',
+    authorAvatar: pr.author?.avatarUrl || null,
+    state: pr.state.toLowerCase(),
+    createdAt: pr.createdAt,
+    updatedAt: pr.updatedAt,
+    mergedAt: pr.mergedAt,
+    branch: pr.headRefName || null,
+    baseBranch: pr.baseRefName || null,
+    issueRefs: getClosingReferences(pr.body),
+    isDraft: pr.isDraft,
+    ...getPullRequestStatus(pr)
+  }));
 
-  // Enrich data
-  const enrichedContributors = enrichContributorsWithActivity(contributors, commits);
-  const enrichedBranches = markStaleBranches(branches, pullRequests, issues);
-  const blockers = detectBlockers(enrichedBranches, pullRequests, issues);
+  const issues = issueData.nodes.map(issue => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state.toLowerCase(),
+    labels: issue.labels.nodes.map(label => ({
+      name: label.name,
+      color: label.color
+    })),
+    assignees: issue.assignees.nodes.map(assignee => ({
+      login: assignee.login,
+      avatarUrl: assignee.avatarUrl
+    })),
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    author: issue.author?.login || 'unknown',
+    authorIsMaintainer: isMaintainerAssociation(issue.authorAssociation),
+    commentCount: issue.comments.totalCount
+  }));
+
+  return { meta, branches, pullRequests, issues, contributors };
+}
+
+/**
+ * Fetch a single commit with per-file patches
+ */
+async function fetchCommitDetail(ref, sha, token) {
+  let data;
+  try {
+    data = await githubFetch(ref, `/repos/${ref.owner}/${ref.repo}/commits/${sha}`, token);
+  } catch (error) {
+    if (error.message.startsWith('Repository not found')) {
+      throw new Error('Commit not found. Make sure the SHA is correct and the repository is public.');
+    }
+    throw error;
+  }
 
   return {
-    meta,
-    commits,
-    branches: enrichedBranches,
-    pullRequests,
-    issues,
-    contributors: enrichedContributors,
-    blockers,
-    fetchedAt: new Date().toISOString()
+    sha: data.sha,
+    message: data.commit?.message || '',
+    author: data.author?.login || data.commit?.author?.name || 'unknown',
+    date: data.commit?.author?.date || data.commit?.committer?.date || '',
+    files: (data.files || []).map(file => ({
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      patch: file.patch || null
+    }))
   };
 }
 
-export default { fetchRepoData, parseRepoUrl };
+/**
+ * Fetch the latest commits by one author
+ */
+async function fetchCommitsByAuthor(ref, author, limit, token) {
+  const commits = await githubFetch(
+    ref,
+    `/repos/${ref.owner}/${ref.repo}/commits?author=${encodeURIComponent(author)}&per_page=${limit}`,
+    token
+  );
+
+  return commits.map(commit => ({
+    sha: commit.sha,
+    message: commit.commit.message.split('\n')[0],
+    date: commit.commit.author?.date || commit.commit.committer?.date,
+    author: commit.author?.login || commit.commit.author?.name || author
+  }));
+}
+
+export const githubProvider = {
+  id: 'github',
+  label: 'GitHub',
+  defaultHost: GITHUB_HOST,
+
+  matchesHost(host) {
+    return isGithubDotCom(host) || getEnterpriseHosts().has(host);
+  },
+
+  parsePath(segments) {
+    if (segments.length < 2) return null;
+    return { owner: segments[0], repo: segments[1] };
+  },
+
+  getToken,
+
+  fetchSnapshot,
+  fetchMetadata,
+  fetchBranches,
+  compareBranch,
+  fetchPullRequests,
+  fetchClosedPullRequests,
+  fetchReleases,
+  fetchTags,
+  fetchDeployments,
+  fetchIssues,
+  fetchIssueActivity,
+  fetchMilestones,
+  fetchIssueLinks,
+  fetchContributors,
+  fetchProjectConfig,
+  fetchCommits,
+  fetchCommitsByAuthor,
+  fetchCommitDetail
+};
+
+export default githubProvider;
@@ -0,0 +1,626 @@
+/**
+ * GitLab Provider
+ * Fetches and normalizes repository data from the GitLab REST API (gitlab.com or self-hosted)
+ */
+
+import { countPatchLines } from '../utils/diffParser.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { PROJECT_CONFIG_FILE } from '../utils/projectConfig.js';
+import { normalizeDeploymentStatus } from '../utils/deploymentStatus.js';
+import { getGitlabMaintainers, getIssueTimeline } from '../utils/issueStatus.js';
+import { getClosingReferences } from '../utils/issueReferences.js';
+import { getLatestReviews, getReviewDecision, getReviewTimeline, normalizeCiStatus } from '../utils/pullRequestStatus.js';
+
+const GITLAB_HOST = 'gitlab.com';
+
+/**
+ * Hosts served by this provider: gitlab.com plus any listed in GITLAB_HOSTS
+ */
+function getGitlabHosts() {
+  const extra = (process.env.GITLAB_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return [GITLAB_HOST, ...extra];
+}
+
+/**
+ * URL-encoded "namespace/project" path, which GitLab accepts in place of a numeric project id
+ */
+function projectId({ owner, repo }) {
+  return encodeURIComponent(`${owner}/${repo}`);
+}
+
+/**
+ * Make an authenticated request to the GitLab API
+ */
+async function gitlabFetch(ref, endpoint, token) {
+  const url = `${ref.protocol || 'https'}://${ref.host}/api/v4${endpoint}`;
+  const headers = {
+    'Accept': 'application/json',
+    'User-Agent': 'ProjectPulse'
+  };
+
+  if (token) {
+    headers['PRIVATE-TOKEN'] = token;
+  }
+
+  const response = await fetch(url, { headers });
+  if (ref.usage) ref.usage.restCalls++;
+
+  if (response.status === 404) {
+    throw new Error('Repository not found. Make sure the project exists and is public, or set GITLAB_TOKEN.');
+  }
+
+  if (response.status === 429) {
+    const resetTime = response.headers.get('RateLimit-Reset');
+    const resetNote = resetTime ? ` Resets at ${new Date(resetTime * 1000).toLocaleTimeString()}.` : '';
+    throw new Error(`GitLab API rate limit exceeded.${resetNote}`);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Access forbidden. The project may be private.');
+  }
+
+  if (!response.ok) {
+    throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch all pages of a paginated GitLab API endpoint
+ */
+async function fetchAllPages(ref, endpoint, token, maxPages = 10) {
+  const results = [];
+  let page = 1;
+
+  while (page <= maxPages) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    const data = await gitlabFetch(ref, `${endpoint}${separator}per_page=100&page=${page}`, token);
+
+    if (!Array.isArray(data) || data.length === 0) break;
+
+    results.push(...data);
+
+    if (data.length < 100) break;
+    page++;
+  }
+
+  return results;
+}
+
+async function fetchMetadata(ref, token) {
+  const data = await gitlabFetch(ref, `/projects/${projectId(ref)}`, token);
+
+  // GitLab reports languages as percentages; take the dominant one
+  let language = null;
+  try {
+    const languages = await gitlabFetch(ref, `/projects/${projectId(ref)}/languages`, token);
+    language = Object.entries(languages).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  } catch (error) {
+    console.warn('Could not fetch project languages:', error.message);
+  }
+
+  return {
+    name: data.path,
+    fullName: data.path_with_namespace,
+    description: data.description,
+    owner: data.namespace?.full_path || ref.owner,
+    ownerAvatar: data.namespace?.avatar_url || data.avatar_url || null,
+    defaultBranch: data.default_branch,
+    language,
+    stars: data.star_count,
+    forks: data.forks_count,
+    openIssues: data.open_issues_count ?? null,
+    createdAt: data.created_at,
+    updatedAt: data.last_activity_at,
+    pushedAt: data.last_activity_at,
+    htmlUrl: data.web_url
+  };
+}
+
+async function fetchBranches(ref, token) {
+  const branches = await fetchAllPages(ref, `/projects/${projectId(ref)}/repository/branches`, token, 5);
+
+  // GitLab includes the head commit inline, so no per-branch lookups are needed
+  return branches.map(branch => ({
+    name: branch.name,
+    lastCommitDate: branch.commit?.authored_date || branch.commit?.committed_date || null,
+    lastCommitAuthor: branch.commit?.author_name || 'unknown'
+  }));
+}
+
+/**
+ * How far a branch has diverged from a base branch
+ * GitLab's compare only lists the commits one way, so this takes a call in each direction
+ * @returns {Promise<{ aheadBy: number, behindBy: number }>}
+ */
+async function compareBranch(ref, base, head, token) {
+  const compare = (from, to) => gitlabFetch(
+    ref,
+    `/projects/${projectId(ref)}/repository/compare?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`,
+    token
+  );
+  const [ahead, behind] = await Promise.all([compare(base, head), compare(head, base)]);
+  return { aheadBy: ahead.commits.length, behindBy: behind.commits.length };
+}
+
+/**
+ * Fetch open MRs with reviewers, reviews, pipeline state and mergeability
+ * Pipelines, reviewer states and approvals take three calls per MR
+ */
+async function fetchPullRequests(ref, token) {
+  const base = `/projects/${projectId(ref)}/merge_requests`;
+  const mrs = await fetchAllPages(ref, `${base}?state=opened`, token, 3);
+
+  return mapWithConcurrency(mrs, 4, async (mr) => {
+    const pullRequest = {
+      number: mr.iid,
+      title: mr.title,
+      author: mr.author?.username || 'unknown',
+      authorAvatar: mr.author?.avatar_url || null,
+      state: 'open',
+      createdAt: mr.created_at,
+      updatedAt: mr.updated_at,
+      mergedAt: mr.merged_at,
+      branch: mr.source_branch || null,
+      baseBranch: mr.target_branch || null,
+      issueRefs: getClosingReferences(mr.description),
+      isDraft: mr.draft ?? mr.work_in_progress ?? false,
+      headSha: mr.sha || null,
+      headCommittedAt: null,
+      requestedReviewers: (mr.reviewers || []).map(user => user.username),
+      requestedTeams: [],
+      reviews: [],
+      reviewDecision: null,
+      ciStatus: null,
+      ciUpdatedAt: null,
+      // GitLab is still computing mergeability while the status is checking/unchecked
+      mergeable: mr.has_conflicts
+        ? false
+        : ['checking', 'unchecked', 'preparing'].includes(mr.detailed_merge_status || mr.merge_status) ? null : true,
+      hasConflicts: mr.has_conflicts || false
+    };
+
+    try {
+      const [detail, reviewers, approvals] = await Promise.all([
+        gitlabFetch(ref, `${base}/${mr.iid}`, token),
+        gitlabFetch(ref, `${base}/${mr.iid}/reviewers`, token),
+        gitlabFetch(ref, `${base}/${mr.iid}/approvals`, token)
+      ]);
+
+      // Reviewer states carry no timestamps; approvals also count approvers who weren't asked
+      const latestReviews = getLatestReviews([
+        ...reviewers.map(entry => ({ reviewer: entry.user?.username, state: entry.state, submittedAt: null })),
+        ...(approvals.approved_by || [])
+          .filter(({ user }) => !reviewers.some(entry => entry.user?.username === user.username))
+          .map(({ user }) => ({ reviewer: user.username, state: 'approved', submittedAt: null }))
+      ]);
+
+      return {
+        ...pullRequest,
+        requestedReviewers: reviewers
+          .filter(entry => entry.state === 'unreviewed')
+          .map(entry => entry.user?.username),
+        reviews: latestReviews,
+        reviewDecision: getReviewDecision(latestReviews),
+        ciStatus: normalizeCiStatus(detail.head_pipeline?.status),
+        ciUpdatedAt: detail.head_pipeline?.updated_at || null
+      };
+    } catch (error) {
+      console.warn(`Could not fetch review and pipeline status for MR !${mr.iid}:`, error.message);
+      return pullRequest;
+    }
+  });
+}
+
+/**
+ * Review history of an MR from its notes: approvals and change requests are
+ * system notes, and any other comment by someone else counts as a review comment
+ */
+function getNoteReviews(notes) {
+  return notes.map(note => {
+    let state = note.system ? null : 'commented';
+    if (note.system && /^approved this merge request/i.test(note.body)) state = 'approved';
+    if (note.system && /^requested changes/i.test(note.body)) state = 'changes_requested';
+    return { reviewer: note.author?.username, state, submittedAt: note.created_at };
+  }).filter(review => review.state);
+}
+
+/**
+ * Fetch merged and closed MRs whose close time falls in a date range
+ * GitLab's list endpoint has no line counts or review rounds, so those stay null.
+ * Merged MRs get two optional calls (commits, notes) for their flow timeline.
+ */
+async function fetchClosedPullRequests(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const mrBase = `/projects/${projectId(ref)}/merge_requests`;
+  const base = `${mrBase}?updated_after=${since}&order_by=updated_at`;
+  const [merged, closed] = await Promise.all([
+    fetchAllPages(ref, `${base}&state=merged`, token, 3),
+    fetchAllPages(ref, `${base}&state=closed`, token, 3)
+  ]);
+
+  const pullRequests = [...merged, ...closed]
+    .map(mr => ({
+      number: mr.iid,
+      title: mr.title,
+      author: mr.author?.username || 'unknown',
+      authorAvatar: mr.author?.avatar_url || null,
+      state: mr.state === 'merged' ? 'merged' : 'closed',
+      createdAt: mr.created_at,
+      closedAt: mr.merged_at || mr.closed_at,
+      mergedAt: mr.merged_at || null,
+      mergedBy: mr.merge_user?.username || mr.merged_by?.username || null,
+      branch: mr.source_branch || null,
+      baseBranch: mr.target_branch || null,
+      issueRefs: getClosingReferences(mr.description),
+      additions: null,
+      deletions: null,
+      changedFiles: null,
+      reviewRounds: null,
+      firstCommitAt: null,
+      firstReviewAt: null,
+      approvedAt: null
+    }))
+    .filter(pr => pr.closedAt && Date.parse(pr.closedAt) >= from && Date.parse(pr.closedAt) <= to);
+
+  const optionalRef = { ...ref, priority: 'optional' };
+  return mapWithConcurrency(pullRequests, 4, async (pr) => {
+    if (!pr.mergedAt) return pr;
+    try {
+      const [commits, notes] = await Promise.all([
+        fetchAllPages(optionalRef, `${mrBase}/${pr.number}/commits`, token, 3),
+        fetchAllPages(optionalRef, `${mrBase}/${pr.number}/notes?sort=asc&order_by=created_at`, token, 3)
+      ]);
+      const firstCommitAt = commits
+        .map(commit => commit.authored_date || commit.created_at)
+        .filter(Boolean)
+        .sort((a, b) => Date.parse(a) - Date.parse(b))[0] || null;
+      return {
+        ...pr,
+        firstCommitAt,
+        ...getReviewTimeline(getNoteReviews(notes), { author: pr.author, mergedAt: pr.mergedAt })
+      };
+    } catch (error) {
+      console.warn(`Could not fetch the timeline for MR !${pr.number}:`, error.message);
+      return pr;
+    }
+  });
+}
+
+/**
+ * Fetch releases in a date range, newest first (upcoming releases left out)
+ */
+async function fetchReleases(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const releases = await fetchAllPages(ref, `/projects/${projectId(ref)}/releases?order_by=released_at`, token, 2);
+
+  return releases
+    .filter(release => !release.upcoming_release && release.released_at)
+    .map(release => ({
+      name: release.name || release.tag_name,
+      tag: release.tag_name,
+      sha: release.commit?.id || null,
+      publishedAt: release.released_at,
+      isPrerelease: false,
+      url: release._links?.self || null
+    }))
+    .filter(release => Date.parse(release.publishedAt) >= from && Date.parse(release.publishedAt) <= to);
+}
+
+/**
+ * Fetch the most recently updated tags, dated by their commit
+ */
+async function fetchTags(ref, range, token) {
+  const tags = await fetchAllPages(ref, `/projects/${projectId(ref)}/repository/tags?order_by=updated`, token, 1);
+
+  return tags.map(tag => ({
+    name: tag.name,
+    sha: tag.commit?.id || null,
+    date: tag.created_at || tag.commit?.committed_date || null
+  }));
+}
+
+/**
+ * Fetch deployments updated in a date range
+ */
+async function fetchDeployments(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const deployments = await fetchAllPages(
+    ref,
+    `/projects/${projectId(ref)}/deployments?updated_after=${since}&updated_before=${until}&order_by=updated_at&sort=desc`,
+    token,
+    2
+  );
+
+  return deployments
+    .map(deployment => ({
+      id: deployment.id,
+      environment: deployment.environment?.name || null,
+      sha: deployment.sha,
+      ref: deployment.ref,
+      createdAt: deployment.created_at,
+      status: normalizeDeploymentStatus(deployment.status),
+      statusAt: deployment.finished_at || deployment.updated_at || null
+    }))
+    .filter(deployment => Date.parse(deployment.createdAt) >= from && Date.parse(deployment.createdAt) <= to);
+}
+
+async function fetchIssues(ref, token) {
+  const issues = await fetchAllPages(
+    ref,
+    `/projects/${projectId(ref)}/issues?state=opened&with_labels_details=true`,
+    token,
+    3
+  );
+
+  return issues.map(issue => ({
+    number: issue.iid,
+    title: issue.title,
+    state: 'open',
+    labels: (issue.labels || []).map(label => ({
+      name: label.name ?? label,
+      color: (label.color || '#6b7280').replace(/^#/, '')
+    })),
+    assignees: (issue.assignees || []).map(assignee => ({
+      login: assignee.username,
+      avatarUrl: assignee.avatar_url
+    })),
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at,
+    author: issue.author?.username || 'unknown'
+  }));
+}
+
+/**
+ * Fetch open issues and those closed in a date range, with each one's comment timeline
+ * Maintainers are project members with Developer access or above; when the member
+ * list can't be read, any comment by someone other than the issue's author counts.
+ * Notes take one call per issue, so only the 50 most recently updated issues with
+ * comments are looked up.
+ */
+async function fetchIssueActivity(ref, { since, until }, token) {
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const base = `/projects/${projectId(ref)}/issues`;
+  const optionalRef = { ...ref, priority: 'optional' };
+  const [open, closed, maintainers] = await Promise.all([
+    fetchAllPages(ref, `${base}?state=opened&with_labels_details=true&order_by=updated_at`, token, 3),
+    fetchAllPages(ref, `${base}?state=closed&with_labels_details=true&order_by=updated_at&updated_after=${since}`, token, 3),
+    fetchAllPages(optionalRef, `/projects/${projectId(ref)}/members/all`, token, 3)
+      .then(getGitlabMaintainers)
+      .catch(error => {
+        console.warn('Could not fetch project members:', error.message);
+        return null;
+      })
+  ]);
+  const isMaintainer = login => (maintainers ? maintainers.has(login) : null);
+
+  const issues = [...open, ...closed]
+    .map(issue => ({
+      number: issue.iid,
+      title: issue.title,
+      author: issue.author?.username || 'unknown',
+      authorIsMaintainer: isMaintainer(issue.author?.username),
+      state: issue.state === 'opened' ? 'open' : 'closed',
+      labels: (issue.labels || []).map(label => ({
+        name: label.name ?? label,
+        color: (label.color || '#6b7280').replace(/^#/, '')
+      })),
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      closedAt: issue.closed_at || null,
+      commentCount: issue.user_notes_count,
+      commentsChecked: issue.user_notes_count === 0,
+      firstResponseAt: null,
+      lastComment: null
+    }))
+    .filter(issue => issue.state === 'open' || (Date.parse(issue.closedAt) >= from && Date.parse(issue.closedAt) <= to));
+
+  const lookups = new Set(issues
+    .filter(issue => issue.commentCount > 0)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, 50)
+    .map(issue => issue.number));
+
+  return mapWithConcurrency(issues, 4, async (issue) => {
+    if (!lookups.has(issue.number)) return issue;
+    try {
+      const notes = await fetchAllPages(optionalRef, `${base}/${issue.number}/notes?sort=asc&order_by=created_at`, token, 3);
+      return {
+        ...issue,
+        commentsChecked: true,
+        ...getIssueTimeline(
+          // System notes record label, assignee and state changes, not replies
+          notes.filter(note => !note.system).map(note => ({
+            author: note.author?.username,
+            createdAt: note.created_at,
+            isMaintainer: isMaintainer(note.author?.username)
+          })),
+          { author: issue.author }
+        )
+      };
+    } catch (error) {
+      console.warn(`Could not fetch notes for issue #${issue.number}:`, error.message);
+      return issue;
+    }
+  });
+}
+
+/**
+ * Fetch active milestones with their issues and MRs (open and closed), soonest due first
+ * Items take two paged calls per milestone, so only the first 10 milestones are looked at
+ */
+async function fetchMilestones(ref, token) {
+  const base = `/projects/${projectId(ref)}/milestones`;
+  const milestones = (await fetchAllPages(ref, `${base}?state=active`, token, 1))
+    .sort((a, b) => (a.due_date || '9999').localeCompare(b.due_date || '9999'))
+    .slice(0, 10);
+
+  return mapWithConcurrency(milestones, 4, async (milestone) => {
+    const [issues, mergeRequests] = await Promise.all([
+      fetchAllPages(ref, `${base}/${milestone.id}/issues`, token, 3),
+      fetchAllPages(ref, `${base}/${milestone.id}/merge_requests`, token, 3)
+    ]);
+    const toItem = type => item => ({
+      type,
+      number: item.iid,
+      title: item.title,
+      state: item.state === 'opened' ? 'open' : 'closed',
+      createdAt: item.created_at,
+      closedAt: item.merged_at || item.closed_at || null
+    });
+    return {
+      number: milestone.iid,
+      title: milestone.title,
+      createdAt: milestone.created_at,
+      startOn: milestone.start_date || null,
+      dueOn: milestone.due_date || null,
+      url: milestone.web_url || null,
+      items: [...issues.map(toItem('issue')), ...mergeRequests.map(toItem('pullRequest'))]
+    };
+  });
+}
+
+async function fetchContributors(ref, token) {
+  const contributors = await fetchAllPages(
+    ref,
+    `/projects/${projectId(ref)}/repository/contributors?order_by=commits&sort=desc`,
+    token,
+    3
+  );
+
+  // GitLab only knows git author names here, not account logins
+  return contributors.map(contributor => ({
+    login: contributor.name,
+    email: contributor.email || null,
+    avatarUrl: null,
+    totalCommits: contributor.commits
+  }));
+}
+
+/**
+ * Read .projectpulse.json from the default branch, or null if the project has none
+ */
+async function fetchProjectConfig(ref, branch, token) {
+  try {
+    return await gitlabFetch(
+      ref,
+      `/projects/${projectId(ref)}/repository/files/${PROJECT_CONFIG_FILE}/raw?ref=${encodeURIComponent(branch)}`,
+      token
+    );
+  } catch (error) {
+    if (error.message.includes('not found')) return null;
+    if (error instanceof SyntaxError) throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+    throw error;
+  }
+}
+
+async function fetchCommits(ref, branch, { since, until }, token) {
+  const commits = await fetchAllPages(
+    ref,
+    `/projects/${projectId(ref)}/repository/commits?ref_name=${encodeURIComponent(branch)}&since=${since}&until=${until}`,
+    token,
+    5
+  );
+
+  return commits.map(commit => ({
+    sha: commit.id,
+    author: commit.author_name || 'unknown',
+    authorLogin: null,
+    authorName: commit.author_name || null,
+    authorEmail: commit.author_email || null,
+    authorAvatar: null,
+    date: commit.authored_date || commit.committed_date,
+    message: commit.title || commit.message.split('\n')[0],
+    issueRefs: getClosingReferences(commit.message),
+    parents: commit.parent_ids || [],
+    branch
+  }));
+}
+
+async function fetchCommitDetail(ref, sha, token) {
+  const base = `/projects/${projectId(ref)}/repository/commits/${sha}`;
+  let commit;
+  try {
+    commit = await gitlabFetch(ref, base, token);
+  } catch (error) {
+    if (error.message.startsWith('Repository not found')) {
+      throw new Error('Commit not found. Make sure the SHA is correct and the project is public.');
+    }
+    throw error;
+  }
+
+  const diffs = await fetchAllPages(ref, `${base}/diff`, token, 3);
+
+  return {
+    sha: commit.id,
+    message: commit.message || '',
+    author: commit.author_name || 'unknown',
+    date: commit.authored_date || commit.committed_date || '',
+    files: diffs.map(diff => ({
+      filename: diff.new_path,
+      status: diff.new_file ? 'added' : diff.deleted_file ? 'removed' : diff.renamed_file ? 'renamed' : 'modified',
+      ...countPatchLines(diff.diff),
+      patch: diff.diff || null
+    }))
+  };
+}
+
+async function fetchCommitsByAuthor(ref, author, limit, token) {
+  const commits = await gitlabFetch(
+    ref,
+    `/projects/${projectId(ref)}/repository/commits?author=${encodeURIComponent(author)}&per_page=${limit}`,
+    token
+  );
+
+  return commits.map(commit => ({
+    sha: commit.id,
+    message: commit.title || commit.message.split('\n')[0],
+    date: commit.authored_date || commit.committed_date,
+    author: commit.author_name || author
+  }));
+}
+
+export const gitlabProvider = {
+  id: 'gitlab',
+  label: 'GitLab',
+  defaultHost: GITLAB_HOST,
+
+  matchesHost(host) {
+    return getGitlabHosts().includes(host);
+  },
+
+  // Projects can live in nested groups: group/subgroup/project
+  parsePath(segments) {
+    const end = segments.indexOf('-');
+    const path = end === -1 ? segments : segments.slice(0, end);
+    if (path.length < 2) return null;
+    return { owner: path.slice(0, -1).join('/'), repo: path[path.length - 1] };
+  },
+
+  getToken() {
+    return process.env.GITLAB_TOKEN;
+  },
+
+  fetchMetadata,
+  fetchBranches,
+  compareBranch,
+  fetchPullRequests,
+  fetchClosedPullRequests,
+  fetchReleases,
+  fetchTags,
+  fetchDeployments,
+  fetchIssues,
+  fetchIssueActivity,
+  fetchMilestones,
+  fetchContributors,
+  fetchProjectConfig,
+  fetchCommits,
+  fetchCommitsByAuthor,
+  fetchCommitDetail
+};
+
+export default gitlabProvider;
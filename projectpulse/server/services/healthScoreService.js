@@ -0,0 +1,180 @@
+/**
+ * Health Score Service
+ * A deterministic 0-100 health score computed from a pulse, with a per-factor
+ * breakdown, so the verdict is stable run to run and available without the AI
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores at or above these map to the verdicts the AI summary uses
+export const VERDICT_THRESHOLDS = { Healthy: 75, 'At Risk': 50 };
+
+// Open PR age bands (days) and how much each counts against the score
+const PR_AGE_BANDS = [
+  { maxDays: 2, label: 'under 2 days', penalty: 0 },
+  { maxDays: 7, label: '2-7 days', penalty: 0.3 },
+  { maxDays: 14, label: '1-2 weeks', penalty: 0.6 },
+  { maxDays: Infinity, label: 'over 2 weeks', penalty: 1 }
+];
+
+const BLOCKER_PENALTY = { high: 20, medium: 10, low: 4 };
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+
+/**
+ * Commits in the later half of the window against the earlier half
+ */
+function scoreActivity(repoData) {
+  const counts = Object.keys(repoData.activity?.byDay || {}).sort().map(day => repoData.activity.byDay[day]);
+  const half = Math.floor(counts.length / 2);
+  const earlier = counts.slice(0, half).reduce((sum, n) => sum + n, 0);
+  const recent = counts.slice(counts.length - half).reduce((sum, n) => sum + n, 0);
+  const total = repoData.commits.length;
+
+  if (total === 0) {
+    return { score: 0, detail: 'No commits in the window', data: { total, earlier, recent } };
+  }
+
+  // Holding steady or growing scores full marks; a slowdown scores its ratio
+  const ratio = (recent + 1) / (earlier + 1);
+  const direction = ratio >= 1.2 ? 'rising' : ratio <= 0.8 ? 'slowing' : 'steady';
+  return {
+    score: clamp(Math.round(100 * Math.min(1, ratio)), 20),
+    detail: `${total} commits, ${direction} (${earlier} in the first half, ${recent} in the second)`,
+    data: { total, earlier, recent }
+  };
+}
+
+/**
+ * How long ready-for-review PRs have been open
+ */
+function scorePullRequestAge(repoData, now) {
+  const ready = repoData.pullRequests.filter(pr => !pr.isDraft);
+  const bands = PR_AGE_BANDS.map(band => ({ label: band.label, count: 0 }));
+
+  if (ready.length === 0) {
+    return { score: 100, detail: 'No open PRs waiting', data: { open: 0, bands } };
+  }
+
+  let penalty = 0;
+  ready.forEach(pr => {
+    const days = (now - new Date(pr.createdAt).getTime()) / DAY_MS;
+    const index = PR_AGE_BANDS.findIndex(band => days < band.maxDays);
+    bands[index].count++;
+    penalty += PR_AGE_BANDS[index].penalty;
+  });
+
+  const old = bands.slice(2).reduce((sum, band) => sum + band.count, 0);
+  return {
+    score: Math.round(100 * (1 - penalty / ready.length)),
+    detail: `${ready.length} open PR${ready.length !== 1 ? 's' : ''}, ${old} older than a week`,
+    data: { open: ready.length, bands }
+  };
+}
+
+/**
+ * Active (not snoozed) blockers, weighted by severity
+ */
+function scoreBlockers(repoData) {
+  const active = (repoData.blockers || []).filter(b => !b.snoozed);
+  const bySeverity = { high: 0, medium: 0, low: 0 };
+  active.forEach(b => { bySeverity[b.severity] = (bySeverity[b.severity] || 0) + 1; });
+
+  const penalty = Object.entries(bySeverity).reduce((sum, [severity, n]) => sum + n * (BLOCKER_PENALTY[severity] || 0), 0);
+  return {
+    score: clamp(100 - penalty),
+    detail: active.length === 0
+      ? 'No active blockers'
+      : `${active.length} blocker${active.length !== 1 ? 's' : ''} (${bySeverity.high} high, ${bySeverity.medium} medium, ${bySeverity.low} low)`,
+    data: bySeverity
+  };
+}
+
+/**
+ * Share of open issues that have a label or an assignee
+ */
+function scoreIssueTriage(repoData) {
+  const { issues } = repoData;
+  if (issues.length === 0) {
+    return { score: 100, detail: 'No open issues', data: { open: 0, triaged: 0 } };
+  }
+
+  const triaged = issues.filter(issue => issue.labels.length > 0 || issue.assignees.length > 0).length;
+  return {
+    score: Math.round((100 * triaged) / issues.length),
+    detail: `${triaged} of ${issues.length} open issues labelled or assigned`,
+    data: { open: issues.length, triaged }
+  };
+}
+
+/**
+ * Fewest authors who wrote over half the window's commits
+ */
+function scoreBusFactor(repoData) {
+  const byAuthor = {};
+  repoData.commits.forEach(commit => {
+    byAuthor[commit.author] = (byAuthor[commit.author] || 0) + 1;
+  });
+  const counts = Object.values(byAuthor).sort((a, b) => b - a);
+  const total = repoData.commits.length;
+
+  // Not enough activity to judge concentration
+  if (total === 0) return null;
+
+  let covered = 0;
+  let busFactor = 0;
+  while (covered * 2 <= total) covered += counts[busFactor++];
+
+  const score = busFactor >= 3 ? 100 : busFactor === 2 ? 70 : 30;
+  return {
+    score,
+    detail: `${busFactor} contributor${busFactor !== 1 ? 's' : ''} wrote over half of ${total} commits (${counts.length} active)`,
+    data: { busFactor, activeAuthors: counts.length }
+  };
+}
+
+const FACTORS = [
+  { id: 'activity', label: 'Activity trend', weight: 0.2, compute: scoreActivity },
+  { id: 'pullRequestAge', label: 'PR age', weight: 0.2, compute: scorePullRequestAge },
+  { id: 'blockers', label: 'Blockers', weight: 0.25, compute: scoreBlockers },
+  { id: 'issueTriage', label: 'Issue triage', weight: 0.15, compute: scoreIssueTriage },
+  { id: 'busFactor', label: 'Bus factor', weight: 0.2, compute: scoreBusFactor }
+];
+
+/**
+ * Verdict for a score, matching the AI summary's overallHealth values
+ * @param {number} score
+ * @returns {"Healthy"|"At Risk"|"Critical"}
+ */
+export function getVerdict(score) {
+  if (score >= VERDICT_THRESHOLDS.Healthy) return 'Healthy';
+  if (score >= VERDICT_THRESHOLDS['At Risk']) return 'At Risk';
+  return 'Critical';
+}
+
+/**
+ * Compute a pulse's health score
+ * Factors that can't be judged (e.g. bus factor with no commits) are left out and
+ * the remaining weights scaled up
+ * @param {object} repoData - From fetchRepoData, with acknowledgements applied
+ * @returns {{ score: number, verdict: string, factors: Array<{ id, label, weight, score, detail, data }> }}
+ */
+export function computeHealthScore(repoData) {
+  const now = Date.now();
+  const factors = FACTORS
+    .map(({ compute, ...factor }) => {
+      const result = compute(repoData, now);
+      return result && { ...factor, ...result };
+    })
+    .filter(Boolean);
+
+  const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+  const score = Math.round(factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight);
+  factors.forEach(factor => {
+    factor.weight = Math.round((factor.weight / totalWeight) * 100) / 100;
+  });
+
+  return { score, verdict: getVerdict(score), factors };
+}
+
+export default { VERDICT_THRESHOLDS, getVerdict, computeHealthScore };
@@ -0,0 +1,132 @@
+/**
+ * Identity Service
+ * Puts every commit, contributor and PR of a pulse under one canonical identity per
+ * person, and separates bot accounts so they stay out of the contributor stats while
+ * their PRs are still listed
+ */
+
+import { createIdentityResolver } from '../utils/identity.js';
+
+/**
+ * Drop the raw identity fields once an author is resolved; emails stay out of the pulse
+ */
+function withIdentity(commit, resolver) {
+  const { authorLogin, authorName, authorEmail, ...rest } = commit;
+  const raw = { login: authorLogin, name: authorName || commit.author, email: authorEmail };
+  const author = resolver.resolve(raw);
+  return {
+    commit: { ...rest, author, isBot: resolver.isBot(raw) || resolver.isBot({ login: author }) },
+    // What the provider would have listed the author as
+    alias: commit.author !== author && commit.author !== 'unknown' ? commit.author : null
+  };
+}
+
+function pullRequestState(pr) {
+  if (pr.state === 'merged' || pr.state === 'closed') return pr.state;
+  return pr.isDraft ? 'draft' : 'open';
+}
+
+/**
+ * Resolve the identities of a pulse
+ * @param {object} data
+ * @param {object[]} data.commits - Window commits with authorLogin, authorName and authorEmail
+ * @param {object[]} data.fileCommits - Ownership history commits, same fields
+ * @param {object[]} data.contributors - Provider contributors with totalCommits
+ * @param {object[]} data.pullRequests - Open PRs
+ * @param {object[]} data.closedPullRequests - PRs merged or closed in the window
+ * @param {object|null} [data.config] - The identities key of the repo's .projectpulse.json
+ * @returns {object} { commits, humanCommits, fileCommits, contributors, pullRequests, closedPullRequests, identities }
+ *   where commits keeps bots (for delivery and work-item links) and identities is
+ *   { merged: [{ login, aliases }], bots: [{ login, commits, totalCommits, pullRequests }], errors }
+ */
+export function resolveIdentities({ commits, fileCommits, contributors, pullRequests, closedPullRequests, config = null }) {
+  const resolver = createIdentityResolver({ commits: [...commits, ...fileCommits], contributors, config });
+  const aliasesByAuthor = new Map();
+  const addAliases = (author, aliases) => {
+    if (!aliasesByAuthor.has(author)) aliasesByAuthor.set(author, new Set());
+    aliases.forEach(alias => aliasesByAuthor.get(author).add(alias));
+  };
+
+  const resolvedCommits = commits.map(commit => {
+    const resolved = withIdentity(commit, resolver);
+    addAliases(resolved.commit.author, [resolved.alias].filter(Boolean));
+    return resolved.commit;
+  });
+  const resolvedFileCommits = fileCommits.map(commit => withIdentity(commit, resolver).commit);
+
+  // Contributors listed under several names are summed under their canonical identity
+  const contributorMap = new Map();
+  contributors.forEach(contributor => {
+    const raw = { login: contributor.email ? null : contributor.login, name: contributor.login, email: contributor.email };
+    const login = resolver.resolve(raw);
+    const entry = contributorMap.get(login) || {
+      login,
+      avatarUrl: null,
+      totalCommits: 0,
+      isBot: false,
+      commitsByDay: contributor.commitsByDay
+    };
+    entry.totalCommits += contributor.totalCommits || 0;
+    entry.avatarUrl = entry.avatarUrl || contributor.avatarUrl || null;
+    entry.isBot = entry.isBot || resolver.isBot(raw) || resolver.isBot({ login });
+    if (contributor.login !== login) addAliases(login, [contributor.login]);
+    contributorMap.set(login, entry);
+  });
+
+  const markPullRequest = pr => {
+    const author = resolver.resolve({ login: pr.author });
+    return { ...pr, author, isBot: resolver.isBot({ login: pr.author }) || resolver.isBot({ login: author }) };
+  };
+  const markedPullRequests = pullRequests.map(markPullRequest);
+  const markedClosedPullRequests = closedPullRequests.map(markPullRequest);
+
+  // Bots: any account with a bot commit, contributor entry or PR
+  const bots = new Map();
+  const getBot = login => {
+    if (!bots.has(login)) bots.set(login, { login, commits: 0, totalCommits: 0, pullRequests: [] });
+    return bots.get(login);
+  };
+  resolvedCommits.filter(commit => commit.isBot).forEach(commit => {
+    getBot(commit.author).commits++;
+  });
+  Array.from(contributorMap.values()).filter(contributor => contributor.isBot).forEach(contributor => {
+    getBot(contributor.login).totalCommits += contributor.totalCommits;
+  });
+  [...markedPullRequests, ...markedClosedPullRequests].filter(pr => pr.isBot).forEach(pr => {
+    getBot(pr.author).pullRequests.push({
+      number: pr.number,
+      title: pr.title,
+      state: pullRequestState(pr),
+      createdAt: pr.createdAt
+    });
+  });
+
+  const humanContributors = Array.from(contributorMap.values())
+    .filter(contributor => !contributor.isBot)
+    .map(({ isBot, ...contributor }) => ({
+      ...contributor,
+      aliases: Array.from(aliasesByAuthor.get(contributor.login) || []).sort()
+    }))
+    .sort((a, b) => b.totalCommits - a.totalCommits);
+
+  return {
+    commits: resolvedCommits,
+    humanCommits: resolvedCommits.filter(commit => !commit.isBot),
+    fileCommits: resolvedFileCommits.filter(commit => !commit.isBot),
+    contributors: humanContributors,
+    pullRequests: markedPullRequests,
+    closedPullRequests: markedClosedPullRequests,
+    identities: {
+      merged: Array.from(aliasesByAuthor.entries())
+        .filter(([login, aliases]) => aliases.size > 0 && !bots.has(login))
+        .map(([login, aliases]) => ({ login, aliases: Array.from(aliases).sort() }))
+        .sort((a, b) => a.login.localeCompare(b.login)),
+      bots: Array.from(bots.values()).sort((a, b) =>
+        b.pullRequests.length - a.pullRequests.length || b.commits - a.commits || a.login.localeCompare(b.login)
+      ),
+      errors: resolver.errors
+    }
+  };
+}
+
+export default { resolveIdentities };
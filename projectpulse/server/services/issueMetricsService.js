@@ -0,0 +1,137 @@
+/**
+ * Issue Metrics Service
+ * Issue-side flow for a pulse's window: time to a maintainer's first reply, the
+ * triage backlog, how old open issues are per label, issues opened against closed,
+ * and open issues whose last comment is still waiting on a maintainer
+ */
+
+import { hoursBetween, summarize } from '../utils/stats.js';
+import { getWindowDays, isInWindow } from '../utils/analysisWindow.js';
+import { getDayKey } from '../utils/timeZone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_LABEL = '(no label)';
+
+// Open-issue age buckets, in days; an issue falls in the first bucket it is younger than
+const AGE_BUCKETS = [
+  { id: 'week', maxDays: 7 },
+  { id: 'month', maxDays: 30 },
+  { id: 'quarter', maxDays: 90 },
+  { id: 'older', maxDays: Infinity }
+];
+
+const MAX_LABELS = 15;
+const MAX_AWAITING = 20;
+
+/**
+ * Time from opening to a maintainer's first reply, for issues opened in the window
+ * Issues opened by maintainers aren't waiting on anyone, and issues whose comments
+ * weren't looked up can't be measured, so both are left out
+ */
+function measureFirstResponse(opened) {
+  const measurable = opened.filter(issue => issue.commentsChecked && issue.authorIsMaintainer !== true);
+  const hours = measurable
+    .filter(issue => issue.firstResponseAt)
+    .map(issue => hoursBetween(issue.createdAt, issue.firstResponseAt));
+
+  return {
+    ...summarize(hours),
+    unanswered: measurable.filter(issue => !issue.firstResponseAt && issue.state === 'open').length
+  };
+}
+
+/**
+ * Open issues per label (and without one), with age stats and buckets, largest first
+ */
+function ageByLabel(open, now) {
+  const groups = new Map();
+  open.forEach(issue => {
+    const ageDays = Math.max(0, (now - Date.parse(issue.createdAt)) / DAY_MS);
+    const labels = issue.labels.length > 0 ? issue.labels : [{ name: NO_LABEL, color: null }];
+    labels.forEach(label => {
+      if (!groups.has(label.name)) groups.set(label.name, { label: label.name, color: label.color || null, ages: [] });
+      groups.get(label.name).ages.push(ageDays);
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(({ label, color, ages }) => {
+      const buckets = Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.id, 0]));
+      ages.forEach(age => { buckets[AGE_BUCKETS.find(bucket => age < bucket.maxDays).id]++; });
+      const { median, p90 } = summarize(ages.map(age => Math.round(age * 10) / 10));
+      return { label, color, count: ages.length, medianAgeDays: median, p90AgeDays: p90, buckets };
+    })
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, MAX_LABELS);
+}
+
+/**
+ * Issues opened and closed per day of the window, in its time zone
+ */
+function countByDay(issues, window) {
+  const byDay = new Map(getWindowDays(window).map(day => [day, { day, opened: 0, closed: 0 }]));
+  issues.forEach(issue => {
+    if (isInWindow(window, issue.createdAt)) {
+      const entry = byDay.get(getDayKey(issue.createdAt, window.timeZone));
+      if (entry) entry.opened++;
+    }
+    if (issue.closedAt && isInWindow(window, issue.closedAt)) {
+      const entry = byDay.get(getDayKey(issue.closedAt, window.timeZone));
+      if (entry) entry.closed++;
+    }
+  });
+  return Array.from(byDay.values());
+}
+
+/**
+ * Compute a pulse's issue metrics
+ * @param {object[]} issues - From a provider's fetchIssueActivity: open issues and those closed in the window
+ * @param {object} window - Parsed analysis window
+ * @returns {object} { firstResponseHours, triage, labelAging, throughput, awaitingReply, coverage }
+ */
+export function computeIssueMetrics(issues, window) {
+  const now = Date.now();
+  const open = issues.filter(issue => issue.state === 'open');
+  const opened = issues.filter(issue => isInWindow(window, issue.createdAt));
+  const closed = issues.filter(issue => issue.closedAt && isInWindow(window, issue.closedAt));
+  const weeks = Math.max(window.days, 1) / 7;
+
+  // Longest waiting first
+  const awaiting = open
+    .filter(issue => issue.lastComment && !issue.lastComment.fromMaintainer)
+    .sort((a, b) => Date.parse(a.lastComment.createdAt) - Date.parse(b.lastComment.createdAt));
+  const unlabeled = open.filter(issue => issue.labels.length === 0).length;
+  const checked = issues.filter(issue => issue.commentsChecked).length;
+
+  return {
+    firstResponseHours: measureFirstResponse(opened),
+    triage: {
+      open: open.length,
+      unlabeled,
+      unlabeledShare: open.length > 0 ? Math.round((unlabeled / open.length) * 100) / 100 : null
+    },
+    labelAging: ageByLabel(open, now),
+    throughput: {
+      opened: opened.length,
+      closed: closed.length,
+      net: opened.length - closed.length,
+      openedPerWeek: Math.round((opened.length / weeks) * 10) / 10,
+      closedPerWeek: Math.round((closed.length / weeks) * 10) / 10,
+      byDay: countByDay(issues, window)
+    },
+    awaitingReply: {
+      count: awaiting.length,
+      issues: awaiting.slice(0, MAX_AWAITING).map(issue => ({
+        number: issue.number,
+        title: issue.title,
+        author: issue.author,
+        lastCommentBy: issue.lastComment.author,
+        lastCommentAt: issue.lastComment.createdAt,
+        waitingHours: hoursBetween(issue.lastComment.createdAt, new Date(now).toISOString())
+      }))
+    },
+    coverage: { issues: issues.length, commentsChecked: checked, truncated: checked < issues.length }
+  };
+}
+
+export default { computeIssueMetrics };
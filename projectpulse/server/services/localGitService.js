@@ -0,0 +1,633 @@
+/**
+ * Local Git Provider
+ * Builds repository data from a clone or mirror on disk using git plumbing — no network access
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFile, stat } from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { parseUnifiedDiff } from '../utils/diffParser.js';
+import { getLatestReviews, getReviewDecision, getReviewTimeline, normalizeCiStatus } from '../utils/pullRequestStatus.js';
+import { normalizeDeploymentStatus } from '../utils/deploymentStatus.js';
+import { getIssueTimeline } from '../utils/issueStatus.js';
+import { getClosingReferences } from '../utils/issueReferences.js';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT = 30000;
+const GIT_MAX_BUFFER = 50 * 1024 * 1024;
+// Separators as they appear in output, and as git format placeholders that produce them
+const FIELD_SEP = '\x00';
+const RECORD_SEP = '\x1e';
+const LOG_FIELD = '%x00';
+const LOG_RECORD = '%x1e';
+const REF_FIELD = '%00';
+const REF_RECORD = '%1e';
+
+// Optional sidecar with PRs/issues for repos that don't live on a forge
+const LOCAL_DATA_FILE = '.projectpulse.json';
+
+// Where each repo path's sidecar lives, and the last parse of each sidecar with the
+// mtime and size it was read at; a pulse calls readLocalData once per provider method
+const sidecarPaths = new Map();
+const sidecarReads = new Map();
+
+/**
+ * Directories that local pulses may read from (LOCAL_REPO_ROOTS, comma-separated)
+ */
+function getAllowedRoots() {
+  return (process.env.LOCAL_REPO_ROOTS || '')
+    .split(',')
+    .map(root => root.trim())
+    .filter(Boolean)
+    .map(root => path.resolve(expandHome(root)));
+}
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * Whether the input names a filesystem path rather than a hosted repo
+ */
+export function isLocalPath(repoUrl) {
+  return /^(file:\/\/|\/|~\/|\.{1,2}\/|[a-zA-Z]:[\\\/])/.test(repoUrl.trim());
+}
+
+/**
+ * Resolve a path or file:// URL to a repo reference, enforcing LOCAL_REPO_ROOTS
+ */
+export function resolveLocalPath(repoUrl) {
+  let input = repoUrl.trim();
+  if (input.startsWith('file://')) {
+    input = decodeURIComponent(new URL(input).pathname);
+  }
+  const absolutePath = path.resolve(expandHome(input)).replace(/[\\\/]+$/, '') || '/';
+
+  const roots = getAllowedRoots();
+  if (roots.length === 0) {
+    throw new Error('Invalid repository URL. Local repositories are disabled — set LOCAL_REPO_ROOTS on the server.');
+  }
+  const allowed = roots.some(root => absolutePath === root || absolutePath.startsWith(root + path.sep));
+  if (!allowed) {
+    throw new Error('Invalid repository URL. Path is outside the directories listed in LOCAL_REPO_ROOTS.');
+  }
+
+  return {
+    owner: path.basename(path.dirname(absolutePath)) || 'local',
+    repo: path.basename(absolutePath),
+    path: absolutePath
+  };
+}
+
+/**
+ * Run a git command against the repository
+ */
+async function git(ref, args) {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', ref.path, ...args], {
+      timeout: GIT_TIMEOUT,
+      maxBuffer: GIT_MAX_BUFFER
+    });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('git executable not found on the server.');
+    }
+    const stderr = error.stderr || error.message;
+    if (/not a git repository|cannot change to/i.test(stderr)) {
+      throw new Error('Repository not found. Make sure the path points to a git clone or mirror.');
+    }
+    if (/bad object|unknown revision|bad revision|ambiguous argument/i.test(stderr)) {
+      throw new Error('Commit not found. Make sure the SHA exists in the local clone.');
+    }
+    throw new Error(`git error: ${stderr.trim().split('\n')[0]}`);
+  }
+}
+
+/**
+ * Split `git --format` output built from FIELD_SEP / RECORD_SEP delimiters
+ */
+function parseRecords(stdout) {
+  return stdout
+    .split(RECORD_SEP)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(record => record.split(FIELD_SEP));
+}
+
+/**
+ * The sidecar's path: in the work tree, or the git dir for bare mirrors
+ */
+async function findSidecar(ref) {
+  let root;
+  try {
+    root = (await git(ref, ['rev-parse', '--show-toplevel'])).trim();
+  } catch (error) {
+    root = path.resolve(ref.path, (await git(ref, ['rev-parse', '--git-dir'])).trim());
+  }
+  return path.join(root, LOCAL_DATA_FILE);
+}
+
+async function parseSidecar(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    console.warn(`Could not read ${LOCAL_DATA_FILE}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Read the optional sidecar file, parsing it again only once it has changed on disk
+ * Callers share the parsed object and must not modify it
+ */
+async function readLocalData(ref) {
+  if (!sidecarPaths.has(ref.path)) {
+    sidecarPaths.set(ref.path, findSidecar(ref).catch(error => {
+      sidecarPaths.delete(ref.path);
+      throw error;
+    }));
+  }
+  const file = await sidecarPaths.get(ref.path);
+
+  let stats;
+  try {
+    stats = await stat(file);
+  } catch (error) {
+    sidecarReads.delete(file);
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not read ${LOCAL_DATA_FILE}:`, error.message);
+    }
+    return {};
+  }
+
+  // Concurrent calls share the first one's read
+  const cached = sidecarReads.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) return cached.data;
+  const data = parseSidecar(file);
+  sidecarReads.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, data });
+  return data;
+}
+
+async function fetchMetadata(ref) {
+  const gitDir = path.resolve(ref.path, (await git(ref, ['rev-parse', '--git-dir'])).trim());
+
+  let defaultBranch = null;
+  try {
+    defaultBranch = (await git(ref, ['symbolic-ref', '--short', 'HEAD'])).trim();
+  } catch (error) {
+    console.warn('Detached HEAD in local repository, no default branch');
+  }
+
+  // git init writes a placeholder description; only surface a real one
+  let description = null;
+  try {
+    const text = (await readFile(path.join(gitDir, 'description'), 'utf8')).trim();
+    if (text && !text.startsWith('Unnamed repository')) description = text;
+  } catch (error) {
+    // No description file
+  }
+
+  const [firstCommitDate] = (await git(ref, ['log', '--reverse', '--format=%aI', '--max-parents=0', 'HEAD']))
+    .split('\n')
+    .filter(Boolean);
+  const lastCommitDate = (await git(ref, ['log', '-1', '--format=%cI', '--all'])).trim();
+
+  return {
+    name: ref.repo,
+    fullName: ref.path,
+    description,
+    owner: ref.owner,
+    ownerAvatar: null,
+    defaultBranch,
+    language: null,
+    stars: 0,
+    forks: 0,
+    openIssues: null,
+    createdAt: firstCommitDate || null,
+    updatedAt: lastCommitDate || null,
+    pushedAt: lastCommitDate || null,
+    htmlUrl: `file://${ref.path}`
+  };
+}
+
+/**
+ * Local branches plus origin's remote-tracking branches (a plain clone only has one local branch)
+ */
+async function fetchBranches(ref) {
+  const stdout = await git(ref, [
+    'for-each-ref',
+    `--format=%(refname)${REF_FIELD}%(authordate:iso-strict)${REF_FIELD}%(authorname)${REF_RECORD}`,
+    'refs/heads',
+    'refs/remotes/origin'
+  ]);
+
+  const branches = new Map();
+  parseRecords(stdout).forEach(([refname, date, author]) => {
+    if (refname.endsWith('/HEAD')) return;
+    const name = refname.replace(/^refs\/heads\//, '').replace(/^refs\/remotes\/origin\//, '');
+    if (branches.has(name) && refname.startsWith('refs/remotes/')) return;
+    branches.set(name, { name, lastCommitDate: date || null, lastCommitAuthor: author || 'unknown' });
+  });
+
+  return Array.from(branches.values());
+}
+
+/**
+ * Resolve a branch name to a ref git can log, falling back to the remote-tracking ref
+ */
+async function resolveBranchRef(ref, branch) {
+  try {
+    await git(ref, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+    return `refs/heads/${branch}`;
+  } catch (error) {
+    return `refs/remotes/origin/${branch}`;
+  }
+}
+
+/**
+ * How far a branch has diverged from a base branch
+ * @returns {Promise<{ aheadBy: number, behindBy: number }>}
+ */
+async function compareBranch(ref, base, head) {
+  const [baseRef, headRef] = await Promise.all([resolveBranchRef(ref, base), resolveBranchRef(ref, head)]);
+  // Left counts commits only on the base, right those only on the head
+  const stdout = await git(ref, ['rev-list', '--left-right', '--count', `${baseRef}...${headRef}`]);
+  const [behindBy, aheadBy] = stdout.trim().split(/\s+/).map(Number);
+  return { aheadBy, behindBy };
+}
+
+async function fetchPullRequests(ref) {
+  const { pullRequests = [] } = await readLocalData(ref);
+
+  return pullRequests.filter(pr => (pr.state || 'open') === 'open').map(pr => {
+    const latestReviews = getLatestReviews(pr.reviews || []);
+    return {
+      number: pr.number,
+      title: pr.title,
+      author: pr.author || 'unknown',
+      authorAvatar: null,
+      state: pr.state || 'open',
+      createdAt: pr.createdAt,
+      updatedAt: pr.updatedAt || pr.createdAt,
+      mergedAt: pr.mergedAt || null,
+      branch: pr.branch || null,
+      baseBranch: pr.baseBranch || null,
+      issueRefs: getClosingReferences(pr.body),
+      isDraft: pr.isDraft || false,
+      headSha: null,
+      headCommittedAt: null,
+      requestedReviewers: pr.requestedReviewers || [],
+      requestedTeams: [],
+      reviews: latestReviews,
+      reviewDecision: pr.reviews ? getReviewDecision(latestReviews) : null,
+      ciStatus: normalizeCiStatus(pr.ciStatus),
+      ciUpdatedAt: pr.ciUpdatedAt || null,
+      mergeable: pr.hasConflicts ? false : null,
+      hasConflicts: pr.hasConflicts || false
+    };
+  });
+}
+
+/**
+ * Merged and closed PRs from the sidecar whose close time falls in a date range
+ */
+async function fetchClosedPullRequests(ref, { since, until }) {
+  const { pullRequests = [] } = await readLocalData(ref);
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+
+  return pullRequests
+    .filter(pr => pr.state === 'merged' || pr.state === 'closed')
+    .map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.author || 'unknown',
+      authorAvatar: null,
+      state: pr.state,
+      createdAt: pr.createdAt,
+      closedAt: pr.closedAt || pr.mergedAt || null,
+      mergedAt: pr.mergedAt || null,
+      mergedBy: pr.mergedBy || null,
+      branch: pr.branch || null,
+      baseBranch: pr.baseBranch || null,
+      issueRefs: getClosingReferences(pr.body),
+      additions: pr.additions ?? null,
+      deletions: pr.deletions ?? null,
+      changedFiles: pr.changedFiles ?? null,
+      reviewRounds: pr.reviewRounds ?? null,
+      firstCommitAt: pr.firstCommitAt || null,
+      // The sidecar may give the timeline directly or the review history to derive it from
+      ...getReviewTimeline(pr.reviews || [], { author: pr.author, mergedAt: pr.mergedAt }),
+      ...(pr.firstReviewAt && { firstReviewAt: pr.firstReviewAt }),
+      ...(pr.approvedAt && { approvedAt: pr.approvedAt })
+    }))
+    .filter(pr => pr.closedAt && Date.parse(pr.closedAt) >= from && Date.parse(pr.closedAt) <= to);
+}
+
+/**
+ * Releases from the sidecar whose publish time falls in a date range
+ */
+async function fetchReleases(ref, { since, until }) {
+  const { releases = [] } = await readLocalData(ref);
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+
+  return releases
+    .map(release => ({
+      name: release.name || release.tag,
+      tag: release.tag || null,
+      sha: release.sha || null,
+      publishedAt: release.publishedAt,
+      isPrerelease: Boolean(release.isPrerelease),
+      url: release.url || null
+    }))
+    .filter(release => Date.parse(release.publishedAt) >= from && Date.parse(release.publishedAt) <= to);
+}
+
+/**
+ * Tags with the commit they point at, dated by the tagger (or the commit, for lightweight tags)
+ */
+async function fetchTags(ref) {
+  const stdout = await git(ref, [
+    'for-each-ref',
+    '--sort=-creatordate',
+    '--count=100',
+    `--format=%(refname:short)${REF_FIELD}%(objectname)${REF_FIELD}%(*objectname)${REF_FIELD}%(creatordate:iso-strict)${REF_RECORD}`,
+    'refs/tags'
+  ]);
+
+  return parseRecords(stdout).map(([name, sha, peeledSha, date]) => ({
+    name,
+    // Annotated tags point at a tag object; the peeled name is the commit
+    sha: peeledSha || sha,
+    date: date || null
+  }));
+}
+
+/**
+ * Deployments from the sidecar created in a date range
+ */
+async function fetchDeployments(ref, { since, until }) {
+  const { deployments = [] } = await readLocalData(ref);
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+
+  return deployments
+    .map((deployment, index) => ({
+      id: deployment.id ?? index + 1,
+      environment: deployment.environment || null,
+      sha: deployment.sha || null,
+      ref: deployment.ref || null,
+      createdAt: deployment.createdAt,
+      status: normalizeDeploymentStatus(deployment.status),
+      statusAt: deployment.statusAt || null
+    }))
+    .filter(deployment => Date.parse(deployment.createdAt) >= from && Date.parse(deployment.createdAt) <= to);
+}
+
+async function fetchIssues(ref) {
+  const { issues = [] } = await readLocalData(ref);
+
+  return issues.filter(issue => issue.state !== 'closed').map(issue => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state || 'open',
+    labels: (issue.labels || []).map(label =>
+      typeof label === 'string' ? { name: label, color: '6b7280' } : label
+    ),
+    assignees: (issue.assignees || []).map(assignee =>
+      typeof assignee === 'string' ? { login: assignee, avatarUrl: null } : assignee
+    ),
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt || issue.createdAt,
+    author: issue.author || 'unknown'
+  }));
+}
+
+/**
+ * Open issues from the sidecar and those closed in a date range, with each one's comment timeline
+ * Maintainers are the sidecar's "maintainers" list; without one, any comment by
+ * someone other than the issue's author counts
+ */
+async function fetchIssueActivity(ref, { since, until }) {
+  const { issues = [], maintainers } = await readLocalData(ref);
+  const [from, to] = [Date.parse(since), Date.parse(until)];
+  const isMaintainer = login => (maintainers ? maintainers.includes(login) : null);
+
+  return issues
+    .map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      author: issue.author || 'unknown',
+      authorIsMaintainer: isMaintainer(issue.author),
+      state: issue.state === 'closed' ? 'closed' : 'open',
+      labels: (issue.labels || []).map(label =>
+        typeof label === 'string' ? { name: label, color: '6b7280' } : label
+      ),
+      createdAt: issue.createdAt,
+      updatedAt: issue.updatedAt || issue.createdAt,
+      closedAt: issue.closedAt || null,
+      commentCount: (issue.comments || []).length,
+      commentsChecked: true,
+      ...getIssueTimeline(
+        (issue.comments || []).map(comment => ({ ...comment, isMaintainer: isMaintainer(comment.author) })),
+        { author: issue.author }
+      )
+    }))
+    .filter(issue => issue.state === 'open' || (Date.parse(issue.closedAt) >= from && Date.parse(issue.closedAt) <= to));
+}
+
+/**
+ * Open milestones from the sidecar, with the sidecar issues and PRs that name them in "milestone"
+ */
+async function fetchMilestones(ref) {
+  const { milestones = [], issues = [], pullRequests = [] } = await readLocalData(ref);
+
+  return milestones.filter(milestone => milestone.state !== 'closed').map(milestone => ({
+    number: milestone.number,
+    title: milestone.title,
+    createdAt: milestone.createdAt || null,
+    startOn: milestone.startOn || null,
+    dueOn: milestone.dueOn || null,
+    url: null,
+    items: [
+      ...issues.filter(issue => issue.milestone === milestone.number).map(issue => ({
+        type: 'issue',
+        number: issue.number,
+        title: issue.title,
+        state: issue.state === 'closed' ? 'closed' : 'open',
+        createdAt: issue.createdAt,
+        closedAt: issue.closedAt || null
+      })),
+      ...pullRequests.filter(pr => pr.milestone === milestone.number).map(pr => ({
+        type: 'pullRequest',
+        number: pr.number,
+        title: pr.title,
+        state: pr.state === 'merged' || pr.state === 'closed' ? 'closed' : 'open',
+        createdAt: pr.createdAt,
+        closedAt: pr.closedAt || pr.mergedAt || null
+      }))
+    ]
+  }));
+}
+
+async function fetchContributors(ref) {
+  // shortlog applies the repo's .mailmap
+  const stdout = await git(ref, ['shortlog', '-sne', '--no-merges', 'HEAD']);
+
+  return stdout
+    .split('\n')
+    .map(line => line.match(/^\s*(\d+)\t(.+?)(?:\s+<([^>]*)>)?$/))
+    .filter(Boolean)
+    .map(([, count, name, email]) => ({
+      login: name,
+      email: email || null,
+      avatarUrl: null,
+      totalCommits: parseInt(count, 10)
+    }));
+}
+
+/**
+ * The sidecar file doubles as the repo's ProjectPulse config
+ */
+async function fetchProjectConfig(ref) {
+  return readLocalData(ref);
+}
+
+async function fetchCommits(ref, branch, { since, until }) {
+  const branchRef = await resolveBranchRef(ref, branch);
+  const stdout = await git(ref, [
+    'log',
+    branchRef,
+    `--since=${since}`,
+    `--until=${until}`,
+    // %aN and %aE honour the repo's .mailmap
+    `--format=%H${LOG_FIELD}%P${LOG_FIELD}%aN${LOG_FIELD}%aE${LOG_FIELD}%aI${LOG_FIELD}%s${LOG_FIELD}%b${LOG_RECORD}`
+  ]);
+
+  return parseRecords(stdout).map(([sha, parents, author, email, date, message, body]) => ({
+    sha,
+    author: author || 'unknown',
+    authorLogin: null,
+    authorName: author || null,
+    authorEmail: email || null,
+    authorAvatar: null,
+    date,
+    message,
+    issueRefs: getClosingReferences(`${message}\n${body || ''}`),
+    parents: parents ? parents.split(' ') : [],
+    branch
+  }));
+}
+
+/**
+ * Commits on a branch since a date with the paths each one touched, newest first
+ * One git log replaces the per-commit detail lookups the network providers need
+ */
+async function fetchFileHistory(ref, branch, { since, until }) {
+  const branchRef = await resolveBranchRef(ref, branch);
+  const stdout = await git(ref, [
+    'log',
+    branchRef,
+    `--since=${since}`,
+    `--until=${until}`,
+    '--name-only',
+    '--no-renames',
+    `--format=${LOG_RECORD}%H${LOG_FIELD}%aN${LOG_FIELD}%aE${LOG_FIELD}%aI`
+  ]);
+
+  return stdout
+    .split(RECORD_SEP)
+    .filter(Boolean)
+    .map(record => {
+      const [header, ...paths] = record.split('\n');
+      const [sha, author, email, date] = header.split(FIELD_SEP);
+      return {
+        sha,
+        author: author || 'unknown',
+        authorLogin: null,
+        authorName: author || null,
+        authorEmail: email || null,
+        date,
+        files: paths.filter(Boolean)
+      };
+    });
+}
+
+async function fetchCommitsByAuthor(ref, author, limit) {
+  const stdout = await git(ref, [
+    'log',
+    '--all',
+    `--author=${author}`,
+    `--max-count=${limit}`,
+    `--format=%H${LOG_FIELD}%an${LOG_FIELD}%aI${LOG_FIELD}%s${LOG_RECORD}`
+  ]);
+
+  return parseRecords(stdout).map(([sha, name, date, message]) => ({
+    sha,
+    message,
+    date,
+    author: name || author
+  }));
+}
+
+async function fetchCommitDetail(ref, sha) {
+  if (!/^[0-9a-f]{7,40}$/i.test(sha)) {
+    throw new Error('Invalid commit SHA. Please provide a valid commit hash.');
+  }
+
+  const header = await git(ref, ['show', '-s', `--format=%H${LOG_FIELD}%an${LOG_FIELD}%aI${LOG_FIELD}%B`, sha]);
+  const [fullSha, author, date, message] = header.split(FIELD_SEP);
+
+  // --root so the initial commit diffs against the empty tree
+  // --diff-merges=first-parent so a merge diffs against its first parent, as the hosted APIs do
+  const diffText = await git(ref, ['diff-tree', '-p', '-M', '--root', '--diff-merges=first-parent', '--no-color', '--no-commit-id', fullSha]);
+
+  return {
+    sha: fullSha,
+    message: (message || '').trim(),
+    author: author || 'unknown',
+    date: date || '',
+    files: parseUnifiedDiff(diffText)
+  };
+}
+
+export const localGitProvider = {
+  id: 'local',
+  label: 'Local git',
+  defaultHost: 'local',
+
+  // Local repos are matched by path (see isLocalPath), never by host
+  matchesHost() {
+    return false;
+  },
+
+  parsePath() {
+    return null;
+  },
+
+  getToken() {
+    return null;
+  },
+
+  fetchMetadata,
+  fetchBranches,
+  compareBranch,
+  fetchPullRequests,
+  fetchClosedPullRequests,
+  fetchReleases,
+  fetchTags,
+  fetchDeployments,
+  fetchIssues,
+  fetchIssueActivity,
+  fetchMilestones,
+  fetchContributors,
+  fetchProjectConfig,
+  fetchCommits,
+  fetchFileHistory,
+  fetchCommitsByAuthor,
+  fetchCommitDetail
+};
+
+export default localGitProvider;
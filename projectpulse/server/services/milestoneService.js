@@ -0,0 +1,145 @@
+/**
+ * Milestone Service
+ * Burndown for each open milestone: remaining items per day, the ideal line to the
+ * due date, the open counts earlier pulses recorded, and a completion date projected
+ * from the recent close rate
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The close rate is measured over this many days (or since the milestone started, if later)
+const RATE_DAYS = 14;
+// Longest burndown charted; older days are dropped
+const MAX_CHART_DAYS = 120;
+
+/**
+ * UTC calendar day of a timestamp, YYYY-MM-DD
+ */
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Last millisecond of a UTC calendar day; a milestone is due by the end of its due day
+ */
+function endOfDay(day) {
+  return Date.parse(`${day}T23:59:59.999Z`);
+}
+
+/**
+ * Each milestone's open count at the last pulse of every day, from stored snapshots
+ * @returns {Map<number, Map<string, number>>} milestone number -> day -> open items
+ */
+function getRecordedOpen(history) {
+  const recorded = new Map();
+  history.forEach(snapshot => {
+    (snapshot.milestones || []).forEach(milestone => {
+      if (!recorded.has(milestone.number)) recorded.set(milestone.number, new Map());
+      // Snapshots are oldest first, so the day's last pulse wins
+      recorded.get(milestone.number).set(toDay(Date.parse(snapshot.takenAt)), milestone.open);
+    });
+  });
+  return recorded;
+}
+
+/**
+ * Day-by-day burndown from the milestone's start to whichever is latest of today,
+ * its due day and its projected completion
+ */
+function buildBurndown(items, { startDay, dueDay, projectedDay, today, open, total }, recorded) {
+  const days = [];
+  const last = [today, dueDay, projectedDay].filter(Boolean).sort().at(-1);
+  for (let time = Date.parse(startDay); toDay(time) <= last; time += DAY_MS) days.push(toDay(time));
+  const charted = days.slice(-MAX_CHART_DAYS);
+
+  const dueIndex = dueDay ? days.indexOf(dueDay) : -1;
+  const todayIndex = days.indexOf(today);
+  const projectedIndex = projectedDay ? days.indexOf(projectedDay) : -1;
+
+  return charted.map(day => {
+    const index = days.indexOf(day);
+    const end = endOfDay(day);
+    const point = { day, remaining: null, ideal: null, projected: null, recorded: recorded?.get(day) ?? null };
+
+    if (day <= today) {
+      // Scope as of that day: items created by then, less those closed by then
+      const scope = items.filter(item => Date.parse(item.createdAt) <= end).length;
+      const closed = items.filter(item => item.closedAt && Date.parse(item.closedAt) <= end).length;
+      point.remaining = scope - closed;
+    }
+    if (dueIndex > 0 && index <= dueIndex) {
+      point.ideal = Math.round(total * (1 - index / dueIndex) * 10) / 10;
+    }
+    if (projectedIndex >= todayIndex && index >= todayIndex && index <= projectedIndex) {
+      const progress = projectedIndex === todayIndex ? 1 : (index - todayIndex) / (projectedIndex - todayIndex);
+      point.projected = Math.round(open * (1 - progress) * 10) / 10;
+    }
+    return point;
+  });
+}
+
+/**
+ * Burndown and projection for one milestone
+ */
+function computeMilestone(milestone, recorded, now) {
+  const { items } = milestone;
+  const closedItems = items.filter(item => item.state === 'closed');
+  const open = items.length - closedItems.length;
+  const today = toDay(now);
+  const dueDay = milestone.dueOn ? toDay(Date.parse(milestone.dueOn)) : null;
+
+  const created = items.map(item => Date.parse(item.createdAt)).filter(Number.isFinite);
+  const start = Date.parse(milestone.startOn || milestone.createdAt) || Math.min(now, ...created);
+  const startDay = toDay(Math.min(start, now));
+
+  const rateDays = Math.max(1, Math.min(RATE_DAYS, (now - start) / DAY_MS));
+  const recentCloses = closedItems.filter(item => Date.parse(item.closedAt) >= now - rateDays * DAY_MS).length;
+  const closeRatePerDay = recentCloses / rateDays;
+
+  // Done milestones finished on their last close; stalled ones have no projection
+  let projectedDay = null;
+  if (open === 0) {
+    const lastClose = Math.max(...closedItems.map(item => Date.parse(item.closedAt)).filter(Number.isFinite));
+    projectedDay = Number.isFinite(lastClose) ? toDay(lastClose) : null;
+  } else if (closeRatePerDay > 0) {
+    projectedDay = toDay(now + (open / closeRatePerDay) * DAY_MS);
+  }
+
+  const overdue = open > 0 && Boolean(dueDay) && now > endOfDay(dueDay);
+  const willMiss = open > 0 && Boolean(dueDay) && (!projectedDay || projectedDay > dueDay);
+
+  return {
+    number: milestone.number,
+    title: milestone.title,
+    url: milestone.url,
+    startOn: startDay,
+    dueOn: dueDay,
+    total: items.length,
+    open,
+    closed: closedItems.length,
+    percentComplete: items.length > 0 ? Math.round((closedItems.length / items.length) * 100) / 100 : null,
+    closeRatePerWeek: Math.round(closeRatePerDay * 7 * 10) / 10,
+    projectedCompletion: projectedDay,
+    overdue,
+    willMiss,
+    daysLate: willMiss && projectedDay ? Math.round((Date.parse(projectedDay) - Date.parse(dueDay)) / DAY_MS) : null,
+    burndown: buildBurndown(items, { startDay, dueDay, projectedDay, today, open, total: items.length }, recorded)
+  };
+}
+
+/**
+ * Compute burndowns for a pulse's milestones
+ * @param {object[]} milestones - From a provider's fetchMilestones
+ * @param {object[]} [history] - The repo's stored snapshots, oldest first
+ * @returns {object[]} Milestones with counts, close rate, projection and a daily burndown, soonest due first
+ */
+export function computeMilestones(milestones, history = []) {
+  const now = Date.now();
+  const recorded = getRecordedOpen(history);
+
+  return milestones
+    .map(milestone => computeMilestone(milestone, recorded.get(milestone.number), now))
+    .sort((a, b) => (a.dueOn || '9999').localeCompare(b.dueOn || '9999') || a.number - b.number);
+}
+
+export default { computeMilestones };
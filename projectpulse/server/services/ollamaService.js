@@ -3,6 +3,9 @@
  * Generates AI-powered health summaries using local Ollama instance
  */
 
+import { parseAnalysisWindow, isInWindow, describeWindow } from '../utils/analysisWindow.js';
+import { summarize } from '../utils/stats.js';
+
 const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'kimi-k2.5:cloud';
 const OLLAMA_TIMEOUT = 120000; // 120 seconds for local LLM (large prompts need more time)
@@ -28,26 +31,35 @@ function extractJSON(rawContent) {
  * Condense repoData into only what matters for the summary
  */
 function condenseRepoData(repoData) {
-  const now = new Date();
-  const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  // repoData without a window (e.g. sent by an older client) covers the last 7 days
+  const window = repoData.window || parseAnalysisWindow();
 
-  // Filter commits from last 7 days
+  // Filter commits inside the analysis window
   const recentCommits = repoData.commits.filter(
-    commit => new Date(commit.date) >= sevenDaysAgo
+    commit => isInWindow(window, commit.date)
   );
 
-  // Count commits per contributor in last 7 days
+  // Count commits per contributor in the window
   const contributorCommits = {};
   recentCommits.forEach(commit => {
     const author = commit.author;
     contributorCommits[author] = (contributorCommits[author] || 0) + 1;
   });
 
-  // Get active contributors (at least 1 commit in last 7 days)
+  // Get active contributors (at least 1 commit in the window)
   const activeContributors = Object.entries(contributorCommits)
     .map(([name, commits]) => ({ name, commits }))
     .sort((a, b) => b.commits - a.commits);
 
+  // Bot PRs (dependency bumps and the like) are counted but not summarized
+  const openPRs = repoData.pullRequests.filter(pr => !pr.isBot);
+  const botPRs = [...repoData.pullRequests, ...(repoData.closedPullRequests || [])].filter(pr => pr.isBot);
+
+  // Merge throughput over the window
+  const closedPRs = (repoData.closedPullRequests || []).filter(pr => !pr.isBot);
+  const mergedPRs = closedPRs.filter(pr => pr.state === 'merged');
+  const mergeTimes = summarize(mergedPRs.map(pr => pr.timeToMergeHours ?? null));
+
   // Condense branch info
   const branchSummary = repoData.branches.map(branch => ({
     name: branch.name,
@@ -66,20 +78,41 @@ function condenseRepoData(repoData) {
       stars: repoData.meta.stars,
       forks: repoData.meta.forks
     },
+    analysisWindow: {
+      description: describeWindow(window),
+      days: window.days,
+      since: window.since,
+      until: window.until
+    },
     activity: {
-      totalCommitsLast7Days: recentCommits.length,
+      totalCommitsInWindow: recentCommits.length,
       activeContributorCount: activeContributors.length,
       contributorActivity: activeContributors.slice(0, 10), // Top 10 contributors
-      openPRCount: repoData.pullRequests.length,
-      openIssueCount: repoData.issues.length
+      openPRCount: openPRs.length,
+      botPRCount: botPRs.length,
+      openIssueCount: repoData.issues.length,
+      mergedPRCount: mergedPRs.length,
+      closedUnmergedPRCount: closedPRs.length - mergedPRs.length,
+      medianTimeToMergeHours: mergeTimes.median
     },
     branches: branchSummary.slice(0, 15), // Limit to 15 branches
-    openPRs: repoData.pullRequests.slice(0, 10).map(pr => ({
+    openPRs: openPRs.slice(0, 10).map(pr => ({
       number: pr.number,
       title: pr.title,
       author: pr.author,
       createdAt: pr.createdAt,
-      isDraft: pr.isDraft
+      isDraft: pr.isDraft,
+      waitingOn: pr.waitingOn,
+      reviewDecision: pr.reviewDecision,
+      ciStatus: pr.ciStatus,
+      hasConflicts: pr.hasConflicts
+    })),
+    mergedPRs: mergedPRs.slice(0, 10).map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.author,
+      mergedBy: pr.mergedBy,
+      timeToMergeHours: pr.timeToMergeHours
     })),
     openIssues: repoData.issues.slice(0, 10).map(issue => ({
       number: issue.number,
@@ -87,22 +120,94 @@ function condenseRepoData(repoData) {
       labels: issue.labels.map(l => l.name),
       createdAt: issue.createdAt
     })),
-    blockers: (repoData.blockers || []).map(b => ({
+    delivery: condenseDeliveryMetrics(repoData.deliveryMetrics),
+    // Snoozed blockers were acknowledged as known and parked, so they stay out of the summary
+    blockers: (repoData.blockers || []).filter(b => !b.snoozed).map(b => ({
       type: b.type,
       severity: b.severity,
       title: b.title,
+      owner: b.acknowledgement?.owner
+        ? `assigned: ${b.acknowledgement.owner}`
+        : b.owner ? `${b.owner.role}: ${b.owner.logins.join(', ')}` : null,
+      note: b.acknowledgement?.note || null,
       suggestedAction: b.suggestedAction
     }))
   };
 }
 
+/**
+ * Condense delivery metrics to the four figures and their ratings, or null when
+ * the repo shipped nothing the pulse could see (no deployments, releases or tags)
+ */
+function condenseDeliveryMetrics(deliveryMetrics) {
+  if (!deliveryMetrics?.source) return null;
+  const { source, deploymentFrequency, leadTimeHours, changeFailureRate, timeToRestoreHours, failures } = deliveryMetrics;
+
+  return {
+    measuredFrom: source,
+    deploymentsInWindow: deploymentFrequency.count,
+    deploymentsPerWeek: deploymentFrequency.perWeek,
+    medianLeadTimeHours: leadTimeHours.median,
+    unreleasedCommits: leadTimeHours.unreleased,
+    changeFailureRate: changeFailureRate.rate,
+    medianTimeToRestoreHours: timeToRestoreHours.median,
+    ratings: {
+      deploymentFrequency: deploymentFrequency.rating,
+      leadTime: leadTimeHours.rating,
+      changeFailureRate: changeFailureRate.rating,
+      timeToRestore: timeToRestoreHours.rating
+    },
+    recentFailures: failures.slice(-3).map(failure => ({
+      delivery: failure.name,
+      reason: failure.reason,
+      fixCommit: failure.commit?.message || null,
+      restored: Boolean(failure.restoredAt)
+    }))
+  };
+}
+
+/**
+ * Condense a pulse diff into what the summary should talk about
+ */
+function condenseDiff(diff) {
+  const titles = list => list.slice(0, 10);
+  const changedCounts = Object.fromEntries(
+    Object.entries(diff.counts).filter(([, count]) => count.delta !== 0).map(([name, count]) => [name, count.delta])
+  );
+
+  return {
+    since: diff.baseline.takenAt,
+    previousHealth: diff.baseline.health,
+    previousHeadline: diff.baseline.headline,
+    countChanges: changedCounts,
+    openedPRs: diff.pullRequests && titles(diff.pullRequests.opened),
+    closedPRs: diff.pullRequests && titles(diff.pullRequests.closed),
+    newBlockers: titles(diff.blockers.new.filter(b => !b.snoozed)).map(b => ({ type: b.type, severity: b.severity, title: b.title })),
+    resolvedBlockers: titles(diff.blockers.resolved).map(b => ({ type: b.type, title: b.title })),
+    newlyStaleBranches: diff.staleBranches && titles(diff.staleBranches.newlyStale),
+    contributorsBecameActive: diff.contributors && titles(diff.contributors.becameActive),
+    contributorsBecameInactive: diff.contributors && titles(diff.contributors.becameInactive)
+  };
+}
+
 /**
  * Generate a health summary using Ollama
  * @param {object} repoData - The full normalized repo data from GitHub
+ * @param {object} [options]
+ * @param {object|null} [options.diff] - Changes since the previous pulse, from diffSnapshots
  * @returns {Promise<object|null>} The summary object or null if generation fails
  */
-export async function generatePulseSummary(repoData) {
+export async function generatePulseSummary(repoData, { diff = null } = {}) {
   const condensedData = condenseRepoData(repoData);
+  if (diff) condensedData.changesSinceLastPulse = condenseDiff(diff);
+  const { healthScore } = repoData;
+  if (healthScore) {
+    condensedData.healthScore = {
+      score: healthScore.score,
+      verdict: healthScore.verdict,
+      factors: healthScore.factors.map(({ id, score, detail }) => ({ factor: id, score, detail }))
+    };
+  }
 
   const systemPrompt = `You are an intelligent project health analyzer for software teams. You receive structured data about a GitHub repository and produce a concise, plain-English health summary. You write like a sharp technical lead giving a quick standup update — clear, honest, and specific. Never use filler phrases. Never say 'it appears' or 'it seems'. Be direct. Always respond with valid JSON only — no markdown, no code fences, no explanation outside the JSON.`;
 
@@ -111,14 +216,22 @@ export async function generatePulseSummary(repoData) {
 {
   "overallHealth": "Healthy" | "At Risk" | "Critical",
   "headline": "One punchy sentence summarizing the project state right now. Max 15 words.",
-  "summary": "3-5 sentences covering: overall activity level, who is driving the work, any concerning patterns, and general momentum. Be specific — mention contributor names and numbers.",
+  "summary": "3-5 sentences covering: overall activity level over the analysis window, who is driving the work, any concerning patterns, and general momentum. Be specific — mention contributor names and numbers.",
   "highlights": ["array of 2-3 positive things happening in the repo"],
   "concerns": ["array of 1-3 specific concerns, or empty array if none"],
   "blockers": ["array of 0-3 specific blocker descriptions in plain English. Each should name the PR/issue number and explain why it's blocked. Empty array if no blockers detected in the data."],
   "recommendation": "One actionable sentence the team should act on today."
 }
 
-If the "blockers" array in the project data below is non-empty, you MUST mention them in the summary and populate the blockers field. These are the most important signals for team health.
+Activity figures cover the ${condensedData.analysisWindow.description} (see "analysisWindow"); describe them over that period, not as a week.
+
+${healthScore ? `The project data includes a computed "healthScore" (${healthScore.score}/100, verdict "${healthScore.verdict}") with a per-factor breakdown. Set overallHealth to "${healthScore.verdict}" and don't contradict the factor numbers; explain the verdict using the weakest factors.
+
+` : ''}${condensedData.delivery ? `The project data includes "delivery": DORA-style delivery metrics measured from the repo's ${condensedData.delivery.measuredFrom}. Mention delivery pace in the summary, and raise a low rating or an unrestored failure as a concern.
+
+` : ''}${diff ? `The project data includes "changesSinceLastPulse": what changed since the previous pulse at ${diff.baseline.takenAt}. The headline must be about that change (new or resolved blockers, PRs opened or closed, health moving) rather than restating the overall state; if nothing meaningful changed, say the project is holding steady. Open the summary with the change too.
+
+` : ''}If the "blockers" array in the project data below is non-empty, you MUST mention them in the summary and populate the blockers field. These are the most important signals for team health.
 
 Return only valid JSON. No markdown. No code fences. No explanation outside the JSON.
 
@@ -184,6 +297,12 @@ ${JSON.stringify(condensedData, null, 2)}`;
         summary.overallHealth = 'At Risk';
       }
 
+      // The computed score decides the verdict; the model explains it
+      if (healthScore && summary.overallHealth !== healthScore.verdict) {
+        console.warn(`Model verdict "${summary.overallHealth}" contradicts the health score ${healthScore.score} ("${healthScore.verdict}"); using the score`);
+        summary.overallHealth = healthScore.verdict;
+      }
+
       // Ensure arrays are arrays
       if (!Array.isArray(summary.highlights)) {
         summary.highlights = [];
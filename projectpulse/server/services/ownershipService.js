@@ -0,0 +1,173 @@
+/**
+ * Ownership Service
+ * Who knows which parts of the code: per-path ownership from commit history
+ * (weighted toward recent commits), the repo's bus factor, and areas only one
+ * person has touched over the ownership period
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A commit's weight halves every this many days, so recent work counts for more
+const HALF_LIFE_DAYS = 60;
+// Authors with at least this share of a file's weighted commits are taken to know it
+const KNOWLEDGE_SHARE = 0.25;
+// Areas are directories this many levels deep (server/services, client/src, ...)
+const AREA_DEPTH = 2;
+const ROOT_AREA = '(root)';
+const MAX_AREAS = 30;
+const MAX_PEOPLE = 10;
+
+/**
+ * The area a file belongs to: its directory, cut to AREA_DEPTH levels
+ */
+function getArea(file) {
+  const directories = file.split('/').slice(0, -1);
+  return directories.length > 0 ? directories.slice(0, AREA_DEPTH).join('/') : ROOT_AREA;
+}
+
+function addCommit(authors, commit, weight) {
+  const entry = authors.get(commit.author) || { weight: 0, commits: 0, lastCommitAt: null };
+  entry.weight += weight;
+  entry.commits++;
+  if (!entry.lastCommitAt || Date.parse(commit.date) > Date.parse(entry.lastCommitAt)) {
+    entry.lastCommitAt = commit.date;
+  }
+  authors.set(commit.author, entry);
+}
+
+/**
+ * Authors by share of the weighted commits, largest first
+ */
+function rankOwners(authors) {
+  const total = Array.from(authors.values()).reduce((sum, entry) => sum + entry.weight, 0);
+  return Array.from(authors.entries())
+    .map(([login, entry]) => ({
+      login,
+      share: total > 0 ? Math.round((entry.weight / total) * 100) / 100 : 0,
+      commits: entry.commits,
+      lastCommitAt: entry.lastCommitAt,
+      weight: entry.weight
+    }))
+    .sort((a, b) => b.weight - a.weight || a.login.localeCompare(b.login));
+}
+
+/**
+ * Fewest people whose departure would leave over half the files with nobody who knows them
+ * Removes the person who knows the most still-covered files until that happens
+ * @returns {{ busFactor: number|null, keyPeople: string[] }}
+ */
+function computeBusFactor(fileOwners) {
+  const knowers = fileOwners
+    .map(owners => new Set(owners.filter(owner => owner.share >= KNOWLEDGE_SHARE).map(owner => owner.login)))
+    .filter(set => set.size > 0);
+  if (knowers.length === 0) return { busFactor: null, keyPeople: [] };
+
+  const removed = new Set();
+  const orphaned = () => knowers.filter(set => [...set].every(login => removed.has(login))).length;
+
+  while (orphaned() * 2 <= knowers.length) {
+    const counts = new Map();
+    knowers.forEach(set => {
+      if ([...set].every(login => removed.has(login))) return;
+      set.forEach(login => {
+        if (!removed.has(login)) counts.set(login, (counts.get(login) || 0) + 1);
+      });
+    });
+    const [next] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    removed.add(next);
+  }
+
+  return { busFactor: removed.size, keyPeople: [...removed] };
+}
+
+/**
+ * Compute ownership from commit history
+ * @param {Array<{ sha: string, author: string, date: string, files: string[] }>} commits - Default-branch history
+ * @param {object} range
+ * @param {string} range.since - ISO date the history starts at
+ * @param {string} range.until - ISO date the history ends at; recency is measured from it
+ * @param {boolean} [range.truncated] - Whether only the newest commits in the range were looked at
+ * @returns {object} { since, until, commitsAnalyzed, truncated, fileCount, busFactor, keyPeople, areas, singleOwnerAreas, people }
+ */
+export function computeOwnership(commits, { since, until, truncated = false }) {
+  const end = Date.parse(until);
+  const files = new Map();
+  const areas = new Map();
+  const lastActive = new Map();
+
+  commits.forEach(commit => {
+    if (!commit.author || !commit.date) return;
+    const ageDays = Math.max(0, (end - Date.parse(commit.date)) / DAY_MS);
+    const weight = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+
+    const seen = lastActive.get(commit.author);
+    if (!seen || Date.parse(commit.date) > Date.parse(seen)) lastActive.set(commit.author, commit.date);
+
+    const touchedAreas = new Set();
+    commit.files.forEach(file => {
+      if (!files.has(file)) files.set(file, new Map());
+      addCommit(files.get(file), commit, weight);
+
+      const path = getArea(file);
+      if (!areas.has(path)) areas.set(path, { files: new Set(), authors: new Map() });
+      areas.get(path).files.add(file);
+      touchedAreas.add(path);
+    });
+    // A commit counts once per area, however many of its files it touched
+    touchedAreas.forEach(path => addCommit(areas.get(path).authors, commit, weight));
+  });
+
+  const fileOwners = Array.from(files.values()).map(rankOwners);
+  const { busFactor, keyPeople } = computeBusFactor(fileOwners);
+
+  const rankedAreas = Array.from(areas.entries()).map(([path, area]) => {
+    const owners = rankOwners(area.authors);
+    return {
+      path,
+      files: area.files.size,
+      commits: owners.reduce((sum, owner) => sum + owner.commits, 0),
+      lastCommitAt: owners.map(owner => owner.lastCommitAt).sort((a, b) => Date.parse(a) - Date.parse(b)).at(-1) || null,
+      owners: owners.map(({ weight, ...owner }) => owner)
+    };
+  });
+
+  const singleOwnerAreas = rankedAreas
+    .filter(area => area.owners.length === 1)
+    .map(area => ({
+      path: area.path,
+      owner: area.owners[0].login,
+      files: area.files,
+      commits: area.commits,
+      lastCommitAt: area.lastCommitAt,
+      ownerLastActiveAt: lastActive.get(area.owners[0].login) || null
+    }))
+    .sort((a, b) => b.files - a.files || a.path.localeCompare(b.path));
+
+  // Each file and area counts toward whoever holds the largest share of it
+  const people = new Map();
+  const person = login => {
+    if (!people.has(login)) {
+      people.set(login, { login, filesOwned: 0, areasOwned: 0, lastCommitAt: lastActive.get(login) || null });
+    }
+    return people.get(login);
+  };
+  fileOwners.forEach(owners => { if (owners[0]) person(owners[0].login).filesOwned++; });
+  rankedAreas.forEach(area => { if (area.owners[0]) person(area.owners[0].login).areasOwned++; });
+
+  return {
+    since,
+    until,
+    commitsAnalyzed: commits.length,
+    truncated,
+    fileCount: files.size,
+    busFactor,
+    keyPeople,
+    areas: rankedAreas.sort((a, b) => b.commits - a.commits || a.path.localeCompare(b.path)).slice(0, MAX_AREAS),
+    singleOwnerAreas,
+    people: Array.from(people.values())
+      .sort((a, b) => b.filesOwned - a.filesOwned || a.login.localeCompare(b.login))
+      .slice(0, MAX_PEOPLE)
+  };
+}
+
+export default { computeOwnership };
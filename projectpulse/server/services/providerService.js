@@ -0,0 +1,129 @@
+/**
+ * Provider Service
+ * Resolves a repository URL to the source provider (GitHub, GitLab, Gitea, local git) that serves it
+ */
+
+import { githubProvider } from './githubService.js';
+import { gitlabProvider } from './gitlabService.js';
+import { giteaProvider } from './giteaService.js';
+import { localGitProvider, isLocalPath, resolveLocalPath } from './localGitService.js';
+
+// Order matters: the first provider that claims a host wins
+const PROVIDERS = [githubProvider, gitlabProvider, giteaProvider];
+
+/**
+ * Split a repo URL into host and path segments
+ * Accepts https://host/a/b, host/a/b, git@host:a/b.git and bare owner/repo
+ */
+function splitRepoUrl(repoUrl) {
+  const input = repoUrl.trim();
+
+  // SSH form: git@host:owner/repo.git
+  const sshMatch = input.match(/^[\w.-]+@([^:\/]+):(.+)$/);
+  if (sshMatch) {
+    return { protocol: 'https', host: sshMatch[1].toLowerCase(), segments: toSegments(sshMatch[2]) };
+  }
+
+  // Without a scheme, only treat the first segment as a host if it looks like one
+  const urlMatch = input.match(/^(?:(https?):\/\/)?([^\/\s]+)\/(.+)$/i);
+  if (urlMatch && (urlMatch[1] || /[.:]/.test(urlMatch[2]))) {
+    return {
+      protocol: (urlMatch[1] || 'https').toLowerCase(),
+      host: urlMatch[2].toLowerCase(),
+      segments: toSegments(urlMatch[3])
+    };
+  }
+
+  // Bare owner/repo defaults to github.com
+  const shortMatch = input.match(/^([^\/\s]+)\/([^\/\s]+)$/);
+  if (shortMatch) {
+    return { protocol: 'https', host: null, segments: [shortMatch[1], shortMatch[2]] };
+  }
+
+  return null;
+}
+
+function toSegments(path) {
+  return path
+    .split(/[?#]/)[0]
+    .split('/')
+    .filter(Boolean);
+}
+
+/**
+ * One host name per site, so "www.github.com" and "github.com" share cache and history entries
+ */
+function canonicalHost(provider, host) {
+  if (!host) return provider.defaultHost;
+  return host === `www.${provider.defaultHost}` ? provider.defaultHost : host;
+}
+
+/**
+ * Resolve a repo URL to its provider and a normalized repo reference
+ * @param {string} repoUrl - Repository URL, SSH remote, owner/repo, or local path / file:// URL
+ * @returns {{ provider: object, ref: { provider: string, protocol: string, host: string, owner: string, repo: string, path?: string } }}
+ */
+export function resolveRepo(repoUrl) {
+  if (typeof repoUrl === 'string' && isLocalPath(repoUrl)) {
+    return {
+      provider: localGitProvider,
+      ref: { provider: localGitProvider.id, protocol: 'file', host: localGitProvider.defaultHost, ...resolveLocalPath(repoUrl) }
+    };
+  }
+
+  const parts = typeof repoUrl === 'string' ? splitRepoUrl(repoUrl) : null;
+  if (!parts) {
+    throw new Error('Invalid repository URL. Use https://<host>/owner/repo or owner/repo format.');
+  }
+
+  const provider = parts.host
+    ? PROVIDERS.find(p => p.matchesHost(parts.host))
+    : githubProvider;
+
+  if (!provider) {
+    throw new Error(`Invalid repository URL. Unsupported host "${parts.host}" — add it to GITHUB_ENTERPRISE_HOSTS, GITLAB_HOSTS or GITEA_HOSTS.`);
+  }
+
+  const path = provider.parsePath(parts.segments);
+  if (!path) {
+    throw new Error(`Invalid repository URL. Expected ${provider.label} URL in owner/repo form.`);
+  }
+
+  return {
+    provider,
+    ref: {
+      provider: provider.id,
+      protocol: parts.protocol,
+      host: canonicalHost(provider, parts.host),
+      owner: path.owner,
+      repo: path.repo.replace(/\.git$/, '')
+    }
+  };
+}
+
+/**
+ * Parse a repo URL or owner/repo string into owner and repo
+ * @param {string} repoUrl - The repo URL or owner/repo format
+ * @returns {{ provider: string, host: string, owner: string, repo: string }}
+ */
+export function parseRepoUrl(repoUrl) {
+  const { ref } = resolveRepo(repoUrl);
+  return { provider: ref.provider, host: ref.host, owner: ref.owner, repo: ref.repo };
+}
+
+/**
+ * Build a stable, case-insensitive identity for a repository
+ * Used for cache keys so different URL formats share one entry
+ * @param {string} repoUrl
+ * @returns {string} e.g. "github:github.com/owner/repo"
+ */
+export function getRepoKey(repoUrl) {
+  const { ref } = resolveRepo(repoUrl);
+  if (ref.path) {
+    // Filesystem paths may be case-sensitive
+    return `${ref.provider}:${ref.path}`;
+  }
+  return `${ref.provider}:${ref.host}/${ref.owner}/${ref.repo}`.toLowerCase();
+}
+
+export default { resolveRepo, parseRepoUrl, getRepoKey };
@@ -0,0 +1,106 @@
+/**
+ * Pulse Diff Service
+ * Compares a pulse snapshot with an earlier one: PRs opened and closed, blockers
+ * raised and resolved, branches gone stale, contributors gone active or quiet,
+ * and health verdict changes
+ */
+
+import { getHistory, findSnapshotBefore } from './snapshotService.js';
+
+/**
+ * Items in one list and not the other, by key
+ */
+function diffLists(before, after, getKey = item => item) {
+  const beforeKeys = new Set(before.map(getKey));
+  const afterKeys = new Set(after.map(getKey));
+  return {
+    added: after.filter(item => !beforeKeys.has(getKey(item))),
+    removed: before.filter(item => !afterKeys.has(getKey(item)))
+  };
+}
+
+/**
+ * Diff two snapshots
+ * Sections the baseline predates (snapshots stored before item lists were kept) come back null
+ * @param {object} baseline - The earlier snapshot
+ * @param {object} current - The later snapshot
+ * @returns {object} { baseline, pullRequests, blockers, staleBranches, contributors, health, counts, hasChanges }
+ */
+export function diffSnapshots(baseline, current) {
+  const before = baseline.items;
+  const after = current.items;
+
+  let pullRequests = null;
+  if (before && after) {
+    const { added, removed } = diffLists(before.pullRequests, after.pullRequests, pr => pr.number);
+    const merged = new Set([...before.mergedPullRequests, ...after.mergedPullRequests]);
+    pullRequests = {
+      opened: added,
+      closed: removed.map(pr => ({ ...pr, merged: merged.has(pr.number) }))
+    };
+  }
+
+  const blockerChanges = diffLists(baseline.blockers, current.blockers, blocker => blocker.key);
+  const staleChanges = before && after ? diffLists(before.staleBranches, after.staleBranches) : null;
+  const contributorChanges = before && after
+    ? diffLists(before.activeContributors, after.activeContributors)
+    : null;
+
+  const counts = {};
+  Object.entries(current.counts).forEach(([name, to]) => {
+    const from = baseline.counts[name];
+    if (from === undefined) return;
+    counts[name] = { from, to, delta: to - from };
+  });
+
+  const health = {
+    from: baseline.health,
+    to: current.health,
+    changed: Boolean(baseline.health && current.health && baseline.health !== current.health),
+    scoreFrom: baseline.healthScore ?? null,
+    scoreTo: current.healthScore ?? null
+  };
+
+  const diff = {
+    baseline: { takenAt: baseline.takenAt, health: baseline.health, headline: baseline.headline },
+    takenAt: current.takenAt,
+    pullRequests,
+    blockers: { new: blockerChanges.added, resolved: blockerChanges.removed },
+    staleBranches: staleChanges && { newlyStale: staleChanges.added, noLongerStale: staleChanges.removed },
+    contributors: contributorChanges && {
+      becameActive: contributorChanges.added,
+      becameInactive: contributorChanges.removed
+    },
+    health,
+    counts
+  };
+
+  diff.hasChanges = health.changed ||
+    diff.blockers.new.length + diff.blockers.resolved.length > 0 ||
+    [pullRequests?.opened, pullRequests?.closed, diff.staleBranches?.newlyStale, diff.contributors?.becameActive, diff.contributors?.becameInactive]
+      .some(list => list?.length > 0);
+
+  return diff;
+}
+
+/**
+ * Diff a repo's latest stored pulse against an earlier one
+ * @param {string} repoUrl
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO date; compare with the last pulse before it instead of the previous pulse
+ * @param {number} [options.windowDays] - Only consider pulses with this window as "latest"
+ * @returns {Promise<object|null>} The diff, or null when there is nothing to compare
+ */
+export async function getPulseDiff(repoUrl, { since, windowDays } = {}) {
+  const current = (await getHistory(repoUrl, { windowDays })).at(-1);
+  if (!current) return null;
+
+  // A date after the latest pulse would compare it with itself
+  const before = since && Date.parse(since) < Date.parse(current.takenAt) ? since : current.takenAt;
+  const baseline = await findSnapshotBefore(repoUrl, before, {
+    windowDays: current.window.relative ? current.window.days : undefined
+  });
+  return baseline ? diffSnapshots(baseline, current) : null;
+}
+
+export default { diffSnapshots, getPulseDiff };
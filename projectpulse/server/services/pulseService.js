@@ -0,0 +1,716 @@
+/**
+ * Pulse Service
+ * Builds the normalized repoData object from whichever source provider serves the repo
+ */
+
+import { resolveRepo } from './providerService.js';
+import { parseAnalysisWindow, getWindowDays, isInWindow, describeWindow } from '../utils/analysisWindow.js';
+import { getDayKey, getZonedParts } from '../utils/timeZone.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getWaitingOn } from '../utils/pullRequestStatus.js';
+import { resolveBlockerRules, markStaleBranches, detectBlockers } from './blockerRuleService.js';
+import { computeFlowMetrics } from './flowMetricsService.js';
+import { computeDeliveryMetrics } from './deliveryMetricsService.js';
+import { computeOwnership } from './ownershipService.js';
+import { computeIssueMetrics } from './issueMetricsService.js';
+import { computeMilestones } from './milestoneService.js';
+import { buildWorkItems } from './workItemService.js';
+import { resolveIdentities } from './identityService.js';
+import { buildBranchReport } from './branchService.js';
+import { getHistory } from './snapshotService.js';
+
+// How many branches' commit lists are fetched at once, and how many branches at most
+const COMMIT_FETCH_CONCURRENCY = parseInt(process.env.COMMIT_FETCH_CONCURRENCY, 10) || 4;
+const MAX_COMMIT_BRANCHES = parseInt(process.env.MAX_COMMIT_BRANCHES, 10) || 100;
+
+// How far back ownership looks, and how many commits' file lists the network providers look up
+const OWNERSHIP_MONTHS = parseInt(process.env.OWNERSHIP_MONTHS, 10) || 6;
+const OWNERSHIP_MAX_COMMITS = parseInt(process.env.OWNERSHIP_MAX_COMMITS, 10) || 100;
+
+// Files each commit touched, by repo and SHA; a commit never changes, so later pulses only
+// look up commits they haven't seen. Map order gives LRU eviction past the bound
+const MAX_COMMIT_FILE_ENTRIES = 5000;
+const commitFiles = new Map();
+
+// How many branches the cleanup report compares with the default branch, most recently committed first
+const MAX_BRANCH_COMPARISONS = parseInt(process.env.MAX_BRANCH_COMPARISONS, 10) || 100;
+
+/**
+ * Whether an error means the rate limit (or the budget reserve) stopped a call
+ */
+function isRateLimitError(error) {
+  return Boolean(error.budgetExhausted) || error.message.includes('rate limit');
+}
+
+/**
+ * Note a section left out of a partial pulse; other errors propagate
+ */
+function skipSection(ref, section, error) {
+  if (!isRateLimitError(error)) throw error;
+  console.warn(`Skipped ${section}: ${error.message}`);
+  ref.skipped.push({ section, reason: error.message });
+}
+
+/**
+ * Await a pulse section, substituting [] if the rate limit stopped it
+ */
+async function sectionOrEmpty(ref, section, promise) {
+  try {
+    return await promise;
+  } catch (error) {
+    skipSection(ref, section, error);
+    return [];
+  }
+}
+
+/**
+ * Pick the branches to collect commits from: the default branch, then every branch
+ * whose head commit is inside the window (newest first). Branches with an unknown
+ * head date are only included when an open PR points at them.
+ */
+function selectCommitBranches(ref, defaultBranch, branches, pullRequests, window) {
+  const prBranches = new Set(pullRequests.map(pr => pr.branch).filter(Boolean));
+  const since = new Date(window.since).getTime();
+
+  const active = branches
+    .filter(branch => branch.name !== defaultBranch)
+    .filter(branch => branch.lastCommitDate
+      ? new Date(branch.lastCommitDate).getTime() >= since
+      : prBranches.has(branch.name))
+    .sort((a, b) => new Date(b.lastCommitDate || 0) - new Date(a.lastCommitDate || 0))
+    .map(branch => branch.name);
+
+  // Without a branch list (the section was skipped), fall back to the PR branches
+  if (branches.length === 0) {
+    active.push(...[...prBranches].filter(name => name !== defaultBranch));
+  }
+
+  const selected = [defaultBranch, ...active].filter(Boolean);
+  if (selected.length > MAX_COMMIT_BRANCHES) {
+    const reason = `${selected.length - MAX_COMMIT_BRANCHES} of ${selected.length} active branches were not scanned (MAX_COMMIT_BRANCHES=${MAX_COMMIT_BRANCHES}).`;
+    console.warn(`Skipped commits: ${reason}`);
+    ref.skipped.push({ section: 'commits', reason });
+    return selected.slice(0, MAX_COMMIT_BRANCHES);
+  }
+  return selected;
+}
+
+/**
+ * Fetch commits inside the analysis window for a branch
+ */
+async function fetchRecentCommits(provider, ref, branch, window, token) {
+  const range = { since: window.since, until: window.until };
+
+  try {
+    return await provider.fetchCommits({ ...ref, priority: 'optional' }, branch, range, token);
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, `commits:${branch}`, error);
+      return [];
+    }
+    // Branch might not exist or have no commits in the time range
+    console.warn(`Could not fetch commits for branch ${branch}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch all branches and compute days since their last commit
+ */
+async function fetchBranches(provider, ref, token) {
+  return withBranchAge(await provider.fetchBranches(ref, token));
+}
+
+/**
+ * Read the repo's .projectpulse.json; a missing or unreadable file leaves the defaults in place
+ * @returns {Promise<{ config: object|null, error: string|null }>}
+ */
+async function fetchProjectConfig(provider, ref, defaultBranch, token) {
+  try {
+    return { config: await provider.fetchProjectConfig(ref, defaultBranch, token), error: null };
+  } catch (error) {
+    console.warn('Could not read the repo config:', error.message);
+    return { config: null, error: error.message };
+  }
+}
+
+/**
+ * Add daysSinceLastCommit to each branch
+ */
+function withBranchAge(branches) {
+  return branches.map(branch => {
+    const daysSinceLastCommit = branch.lastCommitDate
+      ? Math.floor((Date.now() - new Date(branch.lastCommitDate).getTime()) / (1000 * 60 * 60 * 24))
+      : null;
+
+    return {
+      ...branch,
+      daysSinceLastCommit,
+      isStale: false // Will be calculated after we have PRs/issues
+    };
+  });
+}
+
+/**
+ * Add waitingOn to each open PR, filling the head commit date from its branch
+ * when the provider didn't report one
+ */
+function withReviewStatus(pullRequests, branches) {
+  return pullRequests.map(pr => {
+    const headCommittedAt = pr.headCommittedAt
+      ?? branches.find(branch => branch.name === pr.branch)?.lastCommitDate
+      ?? null;
+
+    return { ...pr, headCommittedAt, waitingOn: getWaitingOn(pr) };
+  });
+}
+
+/**
+ * Empty API usage counters, filled in by the provider fetch helpers
+ */
+function createUsage() {
+  return {
+    restCalls: 0,
+    notModified: 0,
+    graphqlQueries: 0,
+    graphqlPoints: 0,
+    rateLimitRemaining: null,
+    rateLimitResetAt: null
+  };
+}
+
+/**
+ * Fetch PRs merged or closed inside the window, newest first, with time to merge in hours
+ */
+async function fetchClosedPullRequests(provider, ref, window, token) {
+  if (!provider.fetchClosedPullRequests) return [];
+
+  const range = { since: window.since, until: window.until };
+  let pullRequests;
+  try {
+    pullRequests = await provider.fetchClosedPullRequests({ ...ref, priority: 'optional' }, range, token);
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, 'closedPullRequests', error);
+      return [];
+    }
+    console.warn('Could not fetch closed pull requests:', error.message);
+    return [];
+  }
+
+  return pullRequests
+    .map(pr => ({
+      ...pr,
+      timeToMergeHours: pr.mergedAt
+        ? Math.round((new Date(pr.mergedAt) - new Date(pr.createdAt)) / (1000 * 60 * 6)) / 10
+        : null
+    }))
+    .sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+}
+
+/**
+ * Fetch what the repo shipped in the window: releases, tags and deployments
+ * Each is optional; a provider without one, or a failed call, leaves it empty
+ */
+async function fetchDeliveries(provider, ref, window, token) {
+  const range = { since: window.since, until: window.until };
+  const optionalRef = { ...ref, priority: 'optional' };
+
+  const fetchSection = async (section, fetcher) => {
+    if (!fetcher) return [];
+    try {
+      return await fetcher(optionalRef, range, token);
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        skipSection(ref, section, error);
+        return [];
+      }
+      console.warn(`Could not fetch ${section}:`, error.message);
+      return [];
+    }
+  };
+
+  const [releases, tags, deployments] = await Promise.all([
+    fetchSection('releases', provider.fetchReleases),
+    fetchSection('tags', provider.fetchTags),
+    fetchSection('deployments', provider.fetchDeployments)
+  ]);
+  return { releases, tags, deployments };
+}
+
+/**
+ * Fetch open issues and those closed in the window with their comment timelines
+ * The open issues already fetched are handed over so a provider needn't list them again;
+ * if that fails, they stand in without closes or comments
+ */
+async function fetchIssueActivity(provider, ref, window, issues, token) {
+  const fallback = () => issues.map(issue => ({
+    ...issue,
+    authorIsMaintainer: null,
+    closedAt: null,
+    commentsChecked: false,
+    firstResponseAt: null,
+    lastComment: null
+  }));
+  if (!provider.fetchIssueActivity) return fallback();
+
+  try {
+    return await provider.fetchIssueActivity({ ...ref, priority: 'optional' }, { since: window.since, until: window.until }, token, issues);
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, 'issueActivity', error);
+    } else {
+      console.warn('Could not fetch issue activity:', error.message);
+    }
+    return fallback();
+  }
+}
+
+/**
+ * Fetch open milestones with their issues and PRs, and the open counts earlier pulses
+ * recorded for them, which the burndowns chart alongside what the items' dates imply
+ */
+async function fetchMilestones(provider, ref, repoUrl, token) {
+  if (!provider.fetchMilestones) return { milestones: [], history: [] };
+
+  let milestones;
+  try {
+    milestones = await provider.fetchMilestones({ ...ref, priority: 'optional' }, token);
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, 'milestones', error);
+    } else {
+      console.warn('Could not fetch milestones:', error.message);
+    }
+    return { milestones: [], history: [] };
+  }
+  if (milestones.length === 0) return { milestones, history: [] };
+
+  try {
+    return { milestones, history: await getHistory(repoUrl) };
+  } catch (error) {
+    console.warn('Could not read pulse history for milestones:', error.message);
+    return { milestones, history: [] };
+  }
+}
+
+/**
+ * Fetch the provider's own links between open issues and PRs (GitHub's timeline events)
+ * Closing references and branch names cover the other providers, so failing here only
+ * loses the extra links
+ */
+async function fetchIssueLinks(provider, ref, issues, token) {
+  if (!provider.fetchIssueLinks || issues.length === 0) return [];
+
+  try {
+    return await provider.fetchIssueLinks({ ...ref, priority: 'optional' }, issues, token);
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, 'issueLinks', error);
+    } else {
+      console.warn('Could not fetch issue links:', error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Paths a commit touched, from memory or with one optional detail call
+ */
+async function fetchCommitFiles(provider, ref, sha, token) {
+  const key = `${ref.provider}:${ref.host}/${ref.owner}/${ref.repo}:${sha}`.toLowerCase();
+  let files = commitFiles.get(key);
+
+  if (files) {
+    commitFiles.delete(key);
+  } else {
+    const detail = await provider.fetchCommitDetail(ref, sha, token);
+    files = detail.files.map(file => file.filename);
+  }
+  commitFiles.set(key, files);
+  if (commitFiles.size > MAX_COMMIT_FILE_ENTRIES) commitFiles.delete(commitFiles.keys().next().value);
+  return files;
+}
+
+/**
+ * Default-branch commits over the ownership period with the paths each touched
+ * Providers without a bulk history take one detail call per commit the server hasn't
+ * seen before, and only the newest OWNERSHIP_MAX_COMMITS are looked at
+ * @returns {Promise<{ commits: object[], since: string, until: string, truncated: boolean }>}
+ */
+async function fetchFileHistory(provider, ref, branch, token) {
+  const until = new Date();
+  const since = new Date(until);
+  since.setMonth(since.getMonth() - OWNERSHIP_MONTHS);
+  const range = { since: since.toISOString(), until: until.toISOString() };
+  const optionalRef = { ...ref, priority: 'optional' };
+
+  if (!branch) return { ...range, commits: [], truncated: false };
+
+  try {
+    if (provider.fetchFileHistory) {
+      return { ...range, commits: await provider.fetchFileHistory(optionalRef, branch, range, token), truncated: false };
+    }
+
+    // Commit lists come newest first
+    const listed = await provider.fetchCommits(optionalRef, branch, range, token);
+    const newest = listed.slice(0, OWNERSHIP_MAX_COMMITS);
+    const commits = await mapWithConcurrency(newest, COMMIT_FETCH_CONCURRENCY, async (commit) => {
+      try {
+        const files = await fetchCommitFiles(provider, optionalRef, commit.sha, token);
+        return {
+          sha: commit.sha,
+          author: commit.author,
+          authorLogin: commit.authorLogin,
+          authorName: commit.authorName,
+          authorEmail: commit.authorEmail,
+          date: commit.date,
+          files
+        };
+      } catch (error) {
+        if (isRateLimitError(error)) throw error;
+        console.warn(`Could not fetch the files of commit ${commit.sha.slice(0, 7)}:`, error.message);
+        return null;
+      }
+    });
+    return { ...range, commits: commits.filter(Boolean), truncated: listed.length > newest.length };
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, 'ownership', error);
+    } else {
+      console.warn('Could not fetch file history:', error.message);
+    }
+    return { ...range, commits: [], truncated: false };
+  }
+}
+
+/**
+ * Fetch contributors with their commit counts
+ */
+async function fetchContributors(provider, ref, token) {
+  try {
+    const contributors = await provider.fetchContributors({ ...ref, priority: 'optional' }, token);
+    return contributors.map(contributor => ({
+      ...contributor,
+      commitsByDay: {} // Will be populated from commits data
+    }));
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      skipSection(ref, 'contributors', error);
+      return [];
+    }
+    console.warn('Could not fetch contributors:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Calculate contributor activity from commits
+ * Ensures every day of the window is present in commitsByDay (with 0 for missing days)
+ */
+function enrichContributorsWithActivity(contributors, commits, window) {
+  // Days covered by the window (oldest to newest)
+  const windowDays = getWindowDays(window);
+
+  // Count commits per author per day
+  const activityByAuthor = {};
+  commits.forEach(commit => {
+    const author = commit.author;
+    if (!activityByAuthor[author]) {
+      activityByAuthor[author] = {};
+    }
+    const date = getDayKey(commit.date, window.timeZone);
+    activityByAuthor[author][date] = (activityByAuthor[author][date] || 0) + 1;
+  });
+
+  // Build commitsByDay with every window day (0 for missing days)
+  return contributors.map(contributor => {
+    const authorActivity = activityByAuthor[contributor.login] || {};
+    const commitsByDay = {};
+    windowDays.forEach(day => {
+      commitsByDay[day] = authorActivity[day] || 0;
+    });
+    return {
+      ...contributor,
+      commitsByDay
+    };
+  });
+}
+
+/**
+ * Team activity over the window in the window's time zone: per calendar day,
+ * per hour of day (0-23), per day of week (0 = Sunday) and per weekday/hour cell
+ */
+function buildActivityProfile(commits, window) {
+  const byDay = {};
+  getWindowDays(window).forEach(day => {
+    byDay[day] = 0;
+  });
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0);
+  const byWeekdayHour = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+  commits.forEach(commit => {
+    const { day, hour, weekday } = getZonedParts(commit.date, window.timeZone);
+    if (byDay[day] !== undefined) byDay[day]++;
+    byHour[hour]++;
+    byWeekday[weekday]++;
+    byWeekdayHour[weekday][hour]++;
+  });
+
+  return { timeZone: window.timeZone, byDay, byHour, byWeekday, byWeekdayHour };
+}
+
+/**
+ * Main function to fetch all repository data in parallel
+ * @param {string} repoUrl - Repository URL (GitHub, GitLab or Gitea) or owner/repo
+ * @param {object} [options]
+ * @param {string} [options.token] - API token for the provider; defaults to the provider's env token
+ * @param {object} [options.window] - Parsed analysis window; defaults to the last 7 days
+ * @returns {Promise<object>} Normalized repository data
+ */
+export async function fetchRepoData(repoUrl, { token, window = parseAnalysisWindow() } = {}) {
+  const resolved = resolveRepo(repoUrl);
+  const { provider } = resolved;
+  const authToken = token ?? provider.getToken(resolved.ref);
+
+  // Providers tally their calls into ref.usage for the apiUsage report, and sections
+  // dropped to stay within the rate-limit budget (or other caps) into ref.skipped
+  const usage = createUsage();
+  const ref = { ...resolved.ref, usage, skipped: [] };
+
+  // Batched snapshot (GitHub GraphQL) when the provider supports it; otherwise REST fan-out
+  let snapshot = null;
+  if (provider.fetchSnapshot) {
+    try {
+      snapshot = await provider.fetchSnapshot(ref, authToken);
+    } catch (error) {
+      if (!isRateLimitError(error)) throw error;
+      console.warn('GraphQL budget exhausted, falling back to REST:', error.message);
+    }
+  }
+
+  let meta, branches, pullRequests, issues, contributors;
+
+  if (snapshot) {
+    meta = snapshot.meta;
+    pullRequests = snapshot.pullRequests;
+    issues = snapshot.issues;
+    branches = withBranchAge(snapshot.branches);
+    contributors = snapshot.contributors.map(contributor => ({ ...contributor, commitsByDay: {} }));
+  } else {
+    // Fetch metadata first to get default branch
+    meta = await provider.fetchMetadata(ref, authToken);
+
+    // Fetch all other data in parallel; a rate-limited section comes back empty
+    [branches, pullRequests, issues, contributors] = await Promise.all([
+      sectionOrEmpty(ref, 'branches', fetchBranches(provider, ref, authToken)),
+      sectionOrEmpty(ref, 'pullRequests', provider.fetchPullRequests(ref, authToken)),
+      sectionOrEmpty(ref, 'issues', provider.fetchIssues(ref, authToken)),
+      fetchContributors(provider, ref, authToken)
+    ]);
+  }
+
+  meta = { ...meta, provider: provider.id, host: ref.host };
+  pullRequests = withReviewStatus(pullRequests, branches);
+
+  // Fetch commits from every branch that saw activity in the window
+  const branchArray = selectCommitBranches(ref, meta.defaultBranch, branches, pullRequests, window);
+
+  // Merged/closed PR history, the repo's own config, its releases and deployments, issue
+  // comments and closes, milestones, issue/PR links and the longer file history for
+  // ownership are fetched alongside the commit lists
+  const [commitArrays, closedPullRequests, repoConfig, deliveries, issueActivity, milestoneData, issueLinks, fileHistory] = await Promise.all([
+    mapWithConcurrency(
+      branchArray,
+      COMMIT_FETCH_CONCURRENCY,
+      branch => fetchRecentCommits(provider, ref, branch, window, authToken)
+    ),
+    fetchClosedPullRequests(provider, ref, window, authToken),
+    fetchProjectConfig(provider, ref, meta.defaultBranch, authToken),
+    fetchDeliveries(provider, ref, window, authToken),
+    fetchIssueActivity(provider, ref, window, issues, authToken),
+    fetchMilestones(provider, ref, repoUrl, authToken),
+    fetchIssueLinks(provider, ref, issues, authToken),
+    fetchFileHistory(provider, ref, meta.defaultBranch, authToken)
+  ]);
+
+  // Flatten and dedupe commits by SHA, remembering every branch each was seen on
+  const commitMap = new Map();
+  commitArrays.flat().forEach(commit => {
+    // Providers filter by committer date; the window is about authored dates
+    if (!isInWindow(window, commit.date)) return;
+    const seen = commitMap.get(commit.sha);
+    if (!seen) {
+      commitMap.set(commit.sha, { ...commit, branches: [commit.branch] });
+    } else if (!seen.branches.includes(commit.branch)) {
+      seen.branches.push(commit.branch);
+    }
+  });
+  const windowCommits = Array.from(commitMap.values()).sort(
+    (a, b) => new Date(b.date) - new Date(a.date)
+  );
+
+  // One identity per person; bots stay out of the commit list, contributors, heatmaps
+  // and ownership, but their commits still count as delivered changes
+  const people = resolveIdentities({
+    commits: windowCommits,
+    fileCommits: fileHistory.commits,
+    contributors,
+    pullRequests,
+    closedPullRequests,
+    config: repoConfig.config?.identities ?? null
+  });
+  const commits = people.humanCommits;
+  pullRequests = people.pullRequests;
+
+  const apiUsage = {
+    provider: provider.id,
+    mode: snapshot ? 'graphql' : 'rest',
+    ...usage
+  };
+  console.log(
+    `API usage for ${meta.fullName} (${describeWindow(window)}): ${apiUsage.restCalls} REST calls (${apiUsage.notModified} not modified), ` +
+    `${apiUsage.graphqlQueries} GraphQL queries (${apiUsage.graphqlPoints} points)` +
+    (apiUsage.rateLimitRemaining !== null ? `, ${apiUsage.rateLimitRemaining} remaining` : '')
+  );
+
+  // Enrich data
+  const enrichedContributors = enrichContributorsWithActivity(people.contributors, commits, window);
+  const blockerRules = await resolveBlockerRules({ fullName: meta.fullName, repoConfig: repoConfig.config });
+  if (repoConfig.error) blockerRules.errors.unshift(repoConfig.error);
+  // Divergence takes a call or two per branch, so only the cleanup report asks for it
+  const branchReport = buildBranchReport(markStaleBranches(branches, pullRequests, blockerRules), {
+    defaultBranch: meta.defaultBranch,
+    pullRequests,
+    closedPullRequests: people.closedPullRequests
+  });
+  const enrichedBranches = branchReport.branches;
+  const ownership = computeOwnership(people.fileCommits, fileHistory);
+  const milestones = computeMilestones(milestoneData.milestones, milestoneData.history);
+  const workItems = buildWorkItems({
+    issues,
+    pullRequests,
+    closedPullRequests: people.closedPullRequests,
+    branches,
+    commits: people.commits,
+    defaultBranch: meta.defaultBranch,
+    issueLinks
+  });
+  const blockers = detectBlockers(enrichedBranches, pullRequests, issues, blockerRules, {
+    areas: ownership.singleOwnerAreas,
+    milestones,
+    workItems
+  });
+
+  return {
+    meta,
+    commits,
+    branches: enrichedBranches,
+    branchCleanup: branchReport.cleanup,
+    pullRequests,
+    closedPullRequests: people.closedPullRequests,
+    flowMetrics: computeFlowMetrics(people.closedPullRequests),
+    deliveryMetrics: computeDeliveryMetrics({ ...deliveries, commits: people.commits, defaultBranch: meta.defaultBranch, window }),
+    ownership,
+    issues,
+    issueMetrics: computeIssueMetrics(issueActivity, window),
+    workItems,
+    milestones,
+    contributors: enrichedContributors,
+    identities: people.identities,
+    blockers,
+    blockerRules: { sources: blockerRules.sources, errors: blockerRules.errors },
+    activity: buildActivityProfile(commits, window),
+    apiUsage,
+    window,
+    partial: ref.skipped.length > 0,
+    skipped: ref.skipped,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fetch a single commit's per-file diff through the repo's provider
+ * @param {string} repoUrl - Repository URL or owner/repo
+ * @param {string} sha - Commit SHA
+ * @param {string} [token] - API token; defaults to the provider's env token
+ * @returns {Promise<{ sha: string, message: string, author: string, date: string, files: Array }>}
+ */
+export async function fetchCommitDetail(repoUrl, sha, token) {
+  const { provider, ref } = resolveRepo(repoUrl);
+  return provider.fetchCommitDetail(ref, sha, token ?? provider.getToken(ref));
+}
+
+/**
+ * Each branch's divergence from the default branch, for the branch cleanup report
+ * One or two calls per branch, up to MAX_BRANCH_COMPARISONS most recently committed
+ * first; a branch whose last commit and the default branch's are unchanged since the
+ * previous result keeps its counts without a call
+ * @param {string} repoUrl - Repository URL or owner/repo
+ * @param {object} data
+ * @param {string} data.defaultBranch
+ * @param {object[]} data.branches - The pulse's branches, with lastCommitDate
+ * @param {object|null} [data.previous] - An earlier result for the repo
+ * @param {string} [data.token] - API token; defaults to the provider's env token
+ * @returns {Promise<object>} { defaultBranch, baseCommitDate, comparisons, truncated, skipped } where
+ *   comparisons maps branch names to { aheadBy, behindBy, lastCommitDate }
+ */
+export async function fetchBranchDivergence(repoUrl, { defaultBranch, branches, previous = null, token } = {}) {
+  const { provider, ref: resolvedRef } = resolveRepo(repoUrl);
+  const authToken = token ?? provider.getToken(resolvedRef);
+  const ref = { ...resolvedRef, usage: createUsage(), skipped: [] };
+  const optionalRef = { ...ref, priority: 'optional' };
+
+  const baseCommitDate = branches.find(branch => branch.name === defaultBranch)?.lastCommitDate || null;
+  const reusable = previous?.defaultBranch === defaultBranch && baseCommitDate && previous.baseCommitDate === baseCommitDate
+    ? previous.comparisons
+    : {};
+  const others = branches
+    .filter(branch => branch.name !== defaultBranch)
+    .sort((a, b) => (Date.parse(b.lastCommitDate) || 0) - (Date.parse(a.lastCommitDate) || 0));
+  const compared = defaultBranch && provider.compareBranch ? others.slice(0, MAX_BRANCH_COMPARISONS) : [];
+
+  // The first rate-limited call stops the rest; other failures only lose that branch
+  let rateLimited = null;
+  const results = await mapWithConcurrency(compared, COMMIT_FETCH_CONCURRENCY, async (branch) => {
+    const known = Object.hasOwn(reusable, branch.name) ? reusable[branch.name] : null;
+    if (known && branch.lastCommitDate && known.lastCommitDate === branch.lastCommitDate) return [branch.name, known];
+    if (rateLimited) return null;
+
+    try {
+      const { aheadBy, behindBy } = await provider.compareBranch(optionalRef, defaultBranch, branch.name, authToken);
+      return [branch.name, { aheadBy, behindBy, lastCommitDate: branch.lastCommitDate || null }];
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        rateLimited = rateLimited || error;
+      } else {
+        console.warn(`Could not fetch the divergence of branch ${branch.name}:`, error.message);
+      }
+      return null;
+    }
+  });
+
+  if (rateLimited) skipSection(ref, 'branchDivergence', rateLimited);
+  return {
+    defaultBranch,
+    baseCommitDate,
+    comparisons: Object.fromEntries(results.filter(Boolean)),
+    truncated: compared.length < others.length || Boolean(rateLimited),
+    skipped: ref.skipped
+  };
+}
+
+/**
+ * Fetch the latest commits by one contributor through the repo's provider
+ * @param {string} repoUrl - Repository URL or owner/repo
+ * @param {string} author - Contributor login (or git author name for providers without logins)
+ * @param {number} [limit=5] - Maximum commits to return
+ * @returns {Promise<Array<{ sha: string, message: string, date: string, author: string }>>}
+ */
+export async function fetchContributorCommits(repoUrl, author, limit = 5) {
+  const { provider, ref } = resolveRepo(repoUrl);
+  return provider.fetchCommitsByAuthor(ref, author, limit, provider.getToken(ref));
+}
+
+export default { fetchRepoData, fetchCommitDetail, fetchBranchDivergence, fetchContributorCommits };
@@ -0,0 +1,119 @@
+/**
+ * Rate Limit Service
+ * Tracks the GitHub rate-limit budget per host and resource from API responses,
+ * and holds back non-essential calls when the budget runs low
+ */
+
+// Keep this many calls in reserve for essential requests (metadata, PRs, issues)
+const RESERVE = parseInt(process.env.GITHUB_RATE_LIMIT_RESERVE, 10) || 100;
+
+// Longest a non-essential call may wait for the window to reset before it is skipped
+const MAX_WAIT_MS = (parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS, 10) || 30) * 1000;
+
+// host -> resource ("core", "graphql", ...) -> { limit, remaining, used, resetAt, updatedAt }
+const budgets = new Map();
+
+/**
+ * Error thrown when a call is held back to protect the budget
+ * Carries "rate limit" in its message so routes map it to 429 if it escapes
+ */
+function budgetError(host, resource, resetAt) {
+  const error = new Error(
+    `GitHub API rate limit budget low on ${host} (${resource}). Resets at ${new Date(resetAt).toLocaleTimeString()}.`
+  );
+  error.budgetExhausted = true;
+  return error;
+}
+
+/**
+ * Record the budget a response reported
+ * @param {string} host
+ * @param {string} resource - e.g. "core" or "graphql"
+ * @param {{ limit?: number, remaining: number, used?: number, resetAt: string }} budget
+ */
+export function recordBudget(host, resource, { limit = null, remaining, used = null, resetAt }) {
+  if (!Number.isFinite(remaining)) return;
+
+  if (!budgets.has(host)) budgets.set(host, new Map());
+  budgets.get(host).set(resource, {
+    limit,
+    remaining,
+    used,
+    resetAt,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Record the X-RateLimit-* headers of a REST response
+ * @param {string} host
+ * @param {Headers} headers
+ */
+export function recordHeaders(host, headers) {
+  const remaining = headers.get('X-RateLimit-Remaining');
+  const reset = headers.get('X-RateLimit-Reset');
+  if (remaining === null || reset === null) return;
+
+  recordBudget(host, headers.get('X-RateLimit-Resource') || 'core', {
+    limit: parseInt(headers.get('X-RateLimit-Limit'), 10) || null,
+    remaining: parseInt(remaining, 10),
+    used: parseInt(headers.get('X-RateLimit-Used'), 10) || null,
+    resetAt: new Date(reset * 1000).toISOString()
+  });
+}
+
+/**
+ * Last known budget for a host/resource, or null if none (or the window has reset)
+ */
+function getCurrentBudget(host, resource) {
+  const budget = budgets.get(host)?.get(resource);
+  if (!budget || new Date(budget.resetAt) <= new Date()) return null;
+  return budget;
+}
+
+/**
+ * Wait for budget before making a call
+ * Essential calls only fail fast when the budget is fully spent. Non-essential calls
+ * give up the reserve: they wait for the reset if it is close, otherwise they are skipped.
+ * @param {string} host
+ * @param {string} resource
+ * @param {'essential'|'optional'} [priority='essential']
+ * @throws {Error} With budgetExhausted set when the call should not be made
+ */
+export async function acquireBudget(host, resource, priority = 'essential') {
+  const budget = getCurrentBudget(host, resource);
+  if (!budget) return;
+
+  const floor = priority === 'optional' ? RESERVE : 0;
+  if (budget.remaining > floor) {
+    // Claim one call up front so parallel requests see the shrinking budget
+    budget.remaining--;
+    return;
+  }
+
+  const waitMs = new Date(budget.resetAt) - Date.now();
+  if (priority === 'optional' && waitMs <= MAX_WAIT_MS) {
+    console.log(`Delaying non-essential ${resource} call on ${host} ${Math.ceil(waitMs / 1000)}s for rate-limit reset`);
+    await new Promise(resolve => setTimeout(resolve, waitMs + 1000));
+    return;
+  }
+
+  throw budgetError(host, resource, budget.resetAt);
+}
+
+/**
+ * Current budgets, for the /api/rate-limit endpoint
+ * @returns {object} host -> resource -> { limit, remaining, used, resetAt, updatedAt, low }
+ */
+export function getBudgets() {
+  const result = {};
+  budgets.forEach((resources, host) => {
+    result[host] = {};
+    resources.forEach((budget, resource) => {
+      result[host][resource] = { ...budget, low: budget.remaining <= RESERVE };
+    });
+  });
+  return result;
+}
+
+export default { recordBudget, recordHeaders, acquireBudget, getBudgets };
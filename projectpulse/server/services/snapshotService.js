@@ -0,0 +1,111 @@
+/**
+ * Snapshot Service
+ * Persists a compact, timestamped snapshot of every fresh pulse (counts, blockers,
+ * the health score and verdict) so trends can be charted across weeks
+ */
+
+import { getRepoKey } from './providerService.js';
+import { createJsonStore } from '../utils/jsonStore.js';
+
+// Oldest snapshots beyond this many per repo are dropped
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION, 10) || 1000;
+
+const store = createJsonStore('snapshots.json');
+
+/**
+ * Reduce a pulse to what the trends view needs
+ * @param {object} repoData - From fetchRepoData, with acknowledgements applied
+ * @param {object|null} summary - AI summary, if one was generated
+ * @returns {object} Snapshot
+ */
+export function buildSnapshot(repoData, summary) {
+  const { window } = repoData;
+  const blockers = repoData.blockers || [];
+
+  return {
+    takenAt: repoData.fetchedAt,
+    window: { days: window.days, relative: window.relative, since: window.since, until: window.until },
+    partial: Boolean(repoData.partial),
+    counts: {
+      commits: repoData.commits.length,
+      branches: repoData.branches.length,
+      staleBranches: repoData.branches.filter(b => b.isStale).length,
+      openPullRequests: repoData.pullRequests.length,
+      mergedPullRequests: (repoData.closedPullRequests || []).filter(pr => pr.mergedAt).length,
+      openIssues: repoData.issues.length,
+      contributors: repoData.contributors.length,
+      blockers: blockers.filter(b => !b.snoozed).length,
+      highBlockers: blockers.filter(b => !b.snoozed && b.severity === 'high').length,
+      snoozedBlockers: blockers.filter(b => b.snoozed).length
+    },
+    blockers: blockers.map(b => ({ key: b.key, type: b.type, severity: b.severity, title: b.title, snoozed: Boolean(b.snoozed) })),
+    // Identities, so the next pulse can say what opened, closed, went stale or went quiet
+    items: {
+      pullRequests: repoData.pullRequests.map(pr => ({ number: pr.number, title: pr.title, author: pr.author })),
+      mergedPullRequests: (repoData.closedPullRequests || []).filter(pr => pr.mergedAt).map(pr => pr.number),
+      staleBranches: repoData.branches.filter(b => b.isStale).map(b => b.name),
+      activeContributors: [...new Set(repoData.commits.map(commit => commit.author).filter(Boolean))]
+    },
+    // Open counts over time feed the milestone burndowns
+    milestones: (repoData.milestones || []).map(m => ({ number: m.number, title: m.title, open: m.open, closed: m.closed })),
+    healthScore: repoData.healthScore?.score ?? null,
+    health: summary?.overallHealth || repoData.healthScore?.verdict || null,
+    headline: summary?.headline || null
+  };
+}
+
+/**
+ * Store a pulse's snapshot
+ * @param {string} repoUrl
+ * @param {object} snapshot - From buildSnapshot
+ * @returns {Promise<object>} The stored snapshot
+ */
+export async function recordSnapshot(repoUrl, snapshot) {
+  const repoKey = getRepoKey(repoUrl);
+
+  await store.update(data => {
+    const snapshots = [...(data[repoKey] || []), snapshot];
+    data[repoKey] = snapshots.slice(-SNAPSHOT_RETENTION);
+  });
+  return snapshot;
+}
+
+/**
+ * A repo's snapshots, oldest first
+ * @param {string} repoUrl
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO date; only snapshots taken at or after it
+ * @param {string} [options.until] - ISO date; only snapshots taken at or before it
+ * @param {number} [options.windowDays] - Only relative-window pulses of this length, so commit counts compare
+ * @returns {Promise<object[]>}
+ */
+export async function getHistory(repoUrl, { since, until, windowDays } = {}) {
+  const data = await store.read();
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+  const untilTime = until ? Date.parse(until) : Infinity;
+
+  return (data[getRepoKey(repoUrl)] || []).filter(snapshot => {
+    const time = Date.parse(snapshot.takenAt);
+    if (time < sinceTime || time > untilTime) return false;
+    return !windowDays || (snapshot.window.relative && snapshot.window.days === windowDays);
+  });
+}
+
+/**
+ * The latest snapshot taken before a date
+ * Prefers pulses with the same relative window, whose commit and contributor figures compare
+ * @param {string} repoUrl
+ * @param {string} before - ISO date; snapshots taken strictly before it
+ * @param {object} [options]
+ * @param {number} [options.windowDays] - Preferred window length
+ * @returns {Promise<object|null>}
+ */
+export async function findSnapshotBefore(repoUrl, before, { windowDays } = {}) {
+  const earlier = await getHistory(repoUrl, { until: before });
+  const candidates = earlier.filter(snapshot => Date.parse(snapshot.takenAt) < Date.parse(before));
+  const sameWindow = candidates.filter(s => s.window.relative && s.window.days === windowDays);
+
+  return (sameWindow.length > 0 ? sameWindow : candidates).at(-1) || null;
+}
+
+export default { buildSnapshot, recordSnapshot, getHistory, findSnapshotBefore };
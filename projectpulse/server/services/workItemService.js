@@ -0,0 +1,110 @@
+/**
+ * Work Item Service
+ * Ties each open issue to the branches, PRs and commits working on it, from closing
+ * references ("fixes #12") in PR descriptions and commit messages, branches named
+ * after the issue ("feat/12-login") and the provider's own issue/PR links
+ */
+
+import { getBranchIssueNumber } from '../utils/issueReferences.js';
+
+// Commits listed per issue; commitCount has the full number
+const MAX_ITEM_COMMITS = 10;
+
+/**
+ * Latest of a list of ISO dates, or null
+ */
+function latest(dates) {
+  const times = dates.filter(Boolean).map(date => Date.parse(date)).filter(Number.isFinite);
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Where an issue stands, from the most advanced work tied to it
+ * A closing commit pushed straight to the default branch counts as a merged fix
+ */
+function getStatus(pullRequests, branches, commits, fixedOnDefault) {
+  if (fixedOnDefault || pullRequests.some(pr => pr.state === 'merged')) return 'merged';
+  if (pullRequests.some(pr => pr.state === 'open')) return 'in_review';
+  if (pullRequests.some(pr => pr.state === 'draft') || branches.length > 0 || commits.length > 0) return 'in_progress';
+  return 'not_started';
+}
+
+/**
+ * Build the work-item graph of a pulse
+ * @param {object} data
+ * @param {object[]} data.issues - Open issues
+ * @param {object[]} data.pullRequests - Open PRs, with issueRefs
+ * @param {object[]} data.closedPullRequests - PRs merged or closed in the window, with issueRefs
+ * @param {object[]} data.branches
+ * @param {object[]} data.commits - Commits in the window, with issueRefs and the branches each was seen on
+ * @param {string} [data.defaultBranch] - Its commits only count when they name the issue
+ * @param {Array<{ issue: number, pullRequests: number[] }>} [data.issueLinks] - From the provider's fetchIssueLinks
+ * @returns {object[]} One entry per open issue: { number, title, status, branches, pullRequests, commits, commitCount, lastActivityAt }
+ */
+export function buildWorkItems({ issues, pullRequests, closedPullRequests = [], branches, commits, defaultBranch, issueLinks = [] }) {
+  const providerLinks = new Map(issueLinks.map(link => [link.issue, new Set(link.pullRequests)]));
+  const allPullRequests = [
+    ...pullRequests.map(pr => ({ ...pr, linkState: pr.isDraft ? 'draft' : 'open', activityAt: pr.updatedAt })),
+    ...closedPullRequests.map(pr => ({ ...pr, linkState: pr.state, activityAt: pr.closedAt }))
+  ];
+
+  return issues.map(issue => {
+    const linkedPullRequests = allPullRequests
+      .map(pr => {
+        const via = [];
+        if ((pr.issueRefs || []).includes(issue.number)) via.push('reference');
+        if (getBranchIssueNumber(pr.branch) === issue.number) via.push('branch');
+        if (providerLinks.get(issue.number)?.has(pr.number)) via.push('link');
+        return via.length > 0 ? { pr, via } : null;
+      })
+      .filter(Boolean);
+
+    const prBranches = new Set(linkedPullRequests.map(({ pr }) => pr.branch).filter(Boolean));
+    const linkedBranches = branches.filter(branch =>
+      branch.name !== defaultBranch && (getBranchIssueNumber(branch.name) === issue.number || prBranches.has(branch.name))
+    );
+    const branchNames = new Set(linkedBranches.map(branch => branch.name));
+
+    // Commits on a linked branch count unless they're already on the default branch
+    const linkedCommits = commits.filter(commit =>
+      (commit.issueRefs || []).includes(issue.number) ||
+      (commit.branches.some(name => branchNames.has(name)) && !commit.branches.includes(defaultBranch))
+    );
+
+    const itemPullRequests = linkedPullRequests.map(({ pr, via }) => ({
+      number: pr.number,
+      title: pr.title,
+      author: pr.author,
+      state: pr.linkState,
+      branch: pr.branch,
+      via
+    }));
+
+    return {
+      number: issue.number,
+      title: issue.title,
+      status: getStatus(
+        itemPullRequests,
+        linkedBranches,
+        linkedCommits,
+        linkedCommits.some(commit => (commit.issueRefs || []).includes(issue.number) && commit.branches.includes(defaultBranch))
+      ),
+      branches: linkedBranches.map(branch => ({ name: branch.name, lastCommitDate: branch.lastCommitDate })),
+      pullRequests: itemPullRequests,
+      commits: linkedCommits.slice(0, MAX_ITEM_COMMITS).map(commit => ({
+        sha: commit.sha,
+        message: commit.message,
+        author: commit.author,
+        date: commit.date
+      })),
+      commitCount: linkedCommits.length,
+      lastActivityAt: latest([
+        ...linkedBranches.map(branch => branch.lastCommitDate),
+        ...linkedPullRequests.map(({ pr }) => pr.activityAt),
+        ...linkedCommits.map(commit => commit.date)
+      ])
+    };
+  });
+}
+
+export default { buildWorkItems };
@@ -0,0 +1,324 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resolveBlockerRules, markStaleBranches, detectBlockers } from '../services/blockerRuleService.js';
+import { DEFAULT_BLOCKER_RULES, DEFAULT_STALE_BRANCH } from '../utils/defaultBlockerRules.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULTS = { rules: DEFAULT_BLOCKER_RULES, staleBranch: DEFAULT_STALE_BRANCH };
+
+const tempDirs = [];
+after(async () => {
+  delete process.env.BLOCKER_RULES_PATH;
+  await Promise.all(tempDirs.map(dir => rm(dir, { recursive: true, force: true })));
+});
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR_MS).toISOString();
+}
+
+function daysAgo(days) {
+  return hoursAgo(days * 24);
+}
+
+function pullRequest(fields = {}) {
+  return {
+    number: 1,
+    title: 'Add export',
+    author: 'alice',
+    branch: 'feature',
+    baseBranch: 'main',
+    isDraft: false,
+    createdAt: hoursAgo(1),
+    updatedAt: hoursAgo(1),
+    headCommittedAt: null,
+    requestedReviewers: [],
+    requestedTeams: [],
+    reviews: [],
+    reviewDecision: 'review_required',
+    waitingOn: 'author',
+    ciStatus: null,
+    ciUpdatedAt: null,
+    hasConflicts: false,
+    ...fields
+  };
+}
+
+function issue(fields = {}) {
+  return {
+    number: 10,
+    title: 'Crash on save',
+    author: 'carol',
+    createdAt: hoursAgo(1),
+    updatedAt: hoursAgo(1),
+    assignees: [],
+    labels: [],
+    ...fields
+  };
+}
+
+/**
+ * Blocker types and severities the given settings raise for one PR or issue
+ */
+function detect({ pullRequests = [], issues = [], branches = [] }, settings = DEFAULTS) {
+  return detectBlockers(branches, pullRequests, issues, settings)
+    .map(blocker => `${blocker.type}:${blocker.severity}`);
+}
+
+async function writeRulesFile(config) {
+  const dir = await mkdtemp(join(tmpdir(), 'projectpulse-rules-'));
+  tempDirs.push(dir);
+  const file = join(dir, 'rules.json');
+  await writeFile(file, JSON.stringify(config));
+  return file;
+}
+
+test('AWAITING_REVIEW: 2 days without a review is medium, 5 days is high', () => {
+  const waiting = fields => pullRequest({ waitingOn: 'review', ...fields });
+
+  assert.deepEqual(detect({ pullRequests: [waiting({ createdAt: hoursAgo(47) })] }), []);
+  assert.deepEqual(detect({ pullRequests: [waiting({ createdAt: hoursAgo(49) })] }), ['AWAITING_REVIEW:medium']);
+  assert.deepEqual(detect({ pullRequests: [waiting({ createdAt: daysAgo(5.1) })] }), ['AWAITING_REVIEW:high']);
+  // Unknown review state, drafts and PRs with a review are left alone
+  assert.deepEqual(detect({ pullRequests: [waiting({ createdAt: daysAgo(3), reviewDecision: null })] }), []);
+  assert.deepEqual(detect({ pullRequests: [waiting({ createdAt: daysAgo(3), isDraft: true })] }), []);
+  assert.deepEqual(detect({
+    pullRequests: [waiting({ createdAt: daysAgo(3), reviews: [{ reviewer: 'bob', state: 'commented', submittedAt: daysAgo(1) }] })]
+  }), []);
+});
+
+test('AWAITING_REVIEW: requested reviewers own the blocker', () => {
+  const [blocker] = detectBlockers([], [pullRequest({ waitingOn: 'review', createdAt: hoursAgo(49), requestedReviewers: ['bob'] })], [], DEFAULTS);
+
+  assert.equal(blocker.title, 'PR #1 waiting 2 days for a first review');
+  assert.deepEqual(blocker.owner, { role: 'reviewer', logins: ['bob'] });
+  assert.equal(blocker.suggestedAction, 'Ask bob to review PR #1.');
+  assert.equal(blocker.staleDays, 2);
+});
+
+test('FAILING_CI: a day of red checks is medium, 3 days is high', () => {
+  const failing = hours => pullRequest({ ciStatus: 'failure', ciUpdatedAt: hoursAgo(hours) });
+
+  assert.deepEqual(detect({ pullRequests: [failing(23)] }), []);
+  assert.deepEqual(detect({ pullRequests: [failing(25)] }), ['FAILING_CI:medium']);
+  assert.deepEqual(detect({ pullRequests: [failing(73)] }), ['FAILING_CI:high']);
+});
+
+test('MERGE_CONFLICT: medium, high once approved or 3 days without an update', () => {
+  const conflicted = fields => pullRequest({ hasConflicts: true, ...fields });
+
+  assert.deepEqual(detect({ pullRequests: [conflicted()] }), ['MERGE_CONFLICT:medium']);
+  assert.deepEqual(detect({ pullRequests: [conflicted({ reviewDecision: 'approved' })] }), ['MERGE_CONFLICT:high']);
+  assert.deepEqual(detect({ pullRequests: [conflicted({ updatedAt: daysAgo(3.1) })] }), ['MERGE_CONFLICT:high']);
+});
+
+test('CHANGES_REQUESTED_LIMBO: 2 days without a push is medium, 7 days is high', () => {
+  const limbo = (hours, fields) => pullRequest({
+    reviewDecision: 'changes_requested',
+    reviews: [{ reviewer: 'bob', state: 'changes_requested', submittedAt: hoursAgo(hours) }],
+    ...fields
+  });
+
+  assert.deepEqual(detect({ pullRequests: [limbo(47)] }), []);
+  assert.deepEqual(detect({ pullRequests: [limbo(49)] }), ['CHANGES_REQUESTED_LIMBO:medium']);
+  assert.deepEqual(detect({ pullRequests: [limbo(24 * 7 + 1)] }), ['CHANGES_REQUESTED_LIMBO:high']);
+  assert.deepEqual(detect({ pullRequests: [limbo(49, { headCommittedAt: hoursAgo(2) })] }), []);
+});
+
+test('STALE_PR: a branch idle 2 days is medium, high once the PR is 7 days without an update', () => {
+  const branch = hours => [{ name: 'feature', lastCommitDate: hoursAgo(hours) }];
+
+  assert.deepEqual(detect({ pullRequests: [pullRequest()], branches: branch(47) }), []);
+  assert.deepEqual(detect({ pullRequests: [pullRequest()], branches: branch(49) }), ['STALE_PR:medium']);
+  assert.deepEqual(detect({ pullRequests: [pullRequest({ updatedAt: daysAgo(7.1) })], branches: branch(49) }), ['STALE_PR:high']);
+  assert.deepEqual(detect({ pullRequests: [pullRequest({ isDraft: true })], branches: branch(49) }), []);
+});
+
+test('LONG_RUNNING_PR: open 7 days and quiet 3 is medium, open 14 days is high', () => {
+  const running = (createdDays, updatedDays, fields) =>
+    pullRequest({ createdAt: daysAgo(createdDays), updatedAt: daysAgo(updatedDays), ...fields });
+
+  assert.deepEqual(detect({ pullRequests: [running(6.9, 3.1)] }), []);
+  assert.deepEqual(detect({ pullRequests: [running(7.1, 2.9)] }), []);
+  assert.deepEqual(detect({ pullRequests: [running(7.1, 3.1)] }), ['LONG_RUNNING_PR:medium']);
+  assert.deepEqual(detect({ pullRequests: [running(14.1, 3.1)] }), ['LONG_RUNNING_PR:high']);
+  // Drafts count too, but not PRs a more specific rule already flagged
+  assert.deepEqual(detect({ pullRequests: [running(7.1, 3.1, { isDraft: true })] }), ['LONG_RUNNING_PR:medium']);
+  assert.deepEqual(detect({ pullRequests: [running(14.1, 3.1, { hasConflicts: true })] }), ['MERGE_CONFLICT:high']);
+});
+
+test('UNASSIGNED_OLD_ISSUE: 14 days without an assignee is low, 30 days is high', () => {
+  assert.deepEqual(detect({ issues: [issue({ createdAt: daysAgo(13.9) })] }), []);
+  assert.deepEqual(detect({ issues: [issue({ createdAt: daysAgo(14.1) })] }), ['UNASSIGNED_OLD_ISSUE:low']);
+  assert.deepEqual(detect({ issues: [issue({ createdAt: daysAgo(30.1) })] }), ['UNASSIGNED_OLD_ISSUE:high']);
+  assert.deepEqual(detect({ issues: [issue({ createdAt: daysAgo(30.1), assignees: [{ login: 'dan' }] })] }), []);
+});
+
+test('staleBranch: a branch with an open PR and no commit for 2 days is stale', () => {
+  const branches = [
+    { name: 'feature', lastCommitDate: hoursAgo(49) },
+    { name: 'fresh', lastCommitDate: hoursAgo(47) },
+    { name: 'no-pr', lastCommitDate: daysAgo(10) }
+  ];
+  const pullRequests = [pullRequest(), pullRequest({ number: 2, branch: 'fresh' })];
+
+  const marked = markStaleBranches(branches, pullRequests, DEFAULTS);
+
+  assert.deepEqual(marked.map(branch => [branch.name, branch.isStale, branch.hasOpenPR]), [
+    ['feature', true, true],
+    ['fresh', false, true],
+    ['no-pr', false, false]
+  ]);
+});
+
+test('blockers sort high severity first, then longest stalled', () => {
+  const blockers = detectBlockers([], [
+    pullRequest({ number: 1, hasConflicts: true }),
+    pullRequest({ number: 2, ciStatus: 'failure', ciUpdatedAt: daysAgo(4) }),
+    pullRequest({ number: 3, ciStatus: 'failure', ciUpdatedAt: daysAgo(6) })
+  ], [issue({ createdAt: daysAgo(20) })], DEFAULTS);
+
+  assert.deepEqual(blockers.map(blocker => blocker.key), [
+    'FAILING_CI:pr:3',
+    'FAILING_CI:pr:2',
+    'MERGE_CONFLICT:pr:1',
+    'UNASSIGNED_OLD_ISSUE:issue:10'
+  ]);
+});
+
+test('resolveBlockerRules returns the defaults with no config', async () => {
+  delete process.env.BLOCKER_RULES_PATH;
+
+  const resolved = await resolveBlockerRules({ fullName: 'acme/app' });
+
+  assert.equal(resolved.rules, DEFAULT_BLOCKER_RULES);
+  assert.equal(resolved.staleBranch, DEFAULT_STALE_BRANCH);
+  assert.deepEqual(resolved.sources, ['default']);
+  assert.deepEqual(resolved.errors, []);
+});
+
+test('resolveBlockerRules layers the server file, its per-repo settings, then the repo config', async () => {
+  process.env.BLOCKER_RULES_PATH = await writeRulesFile({
+    rules: {
+      AWAITING_REVIEW: { params: { after: '24h' } },
+      FAILING_CI: { params: { after: '12h' } },
+      UNASSIGNED_OLD_ISSUE: { enabled: false }
+    },
+    repos: {
+      'acme/app': { rules: { FAILING_CI: { params: { after: '6h' } } } }
+    }
+  });
+
+  const resolved = await resolveBlockerRules({
+    fullName: 'acme/app',
+    repoConfig: { blockerRules: { rules: { AWAITING_REVIEW: { params: { highAfter: '2d' } } } } }
+  });
+  const rule = type => resolved.rules.find(r => r.type === type);
+
+  assert.deepEqual(resolved.sources, ['default', 'server', 'repo']);
+  assert.deepEqual(resolved.errors, []);
+  // Params merge key by key across layers
+  assert.deepEqual(rule('AWAITING_REVIEW').params, { after: '24h', highAfter: '2d' });
+  assert.deepEqual(rule('FAILING_CI').params, { after: '6h', highAfter: '72h' });
+  assert.equal(rule('UNASSIGNED_OLD_ISSUE').enabled, false);
+  // Rules keep their evaluation order
+  assert.deepEqual(resolved.rules.map(r => r.type), DEFAULT_BLOCKER_RULES.map(r => r.type));
+
+  const other = await resolveBlockerRules({ fullName: 'acme/other' });
+  assert.deepEqual(other.rules.find(r => r.type === 'FAILING_CI').params, { after: '12h', highAfter: '72h' });
+  delete process.env.BLOCKER_RULES_PATH;
+});
+
+test('resolveBlockerRules keeps the previous rule when an override does not validate', async () => {
+  delete process.env.BLOCKER_RULES_PATH;
+
+  const resolved = await resolveBlockerRules({
+    fullName: 'acme/app',
+    repoConfig: {
+      blockerRules: {
+        rules: {
+          STALE_PR: { params: { inactiveAfter: 'two days' } },
+          MERGE_CONFLICT: { severity: [{ level: 'urgent' }] }
+        },
+        staleBranch: { when: { 'age.lastCommit': { within: '1d' } } }
+      }
+    }
+  });
+
+  assert.equal(resolved.rules.find(r => r.type === 'STALE_PR').params.inactiveAfter, '2d');
+  assert.equal(resolved.rules.find(r => r.type === 'MERGE_CONFLICT').severity[0].level, 'high');
+  assert.equal(resolved.staleBranch, DEFAULT_STALE_BRANCH);
+  assert.equal(resolved.errors.length, 3);
+  assert.match(resolved.errors[0], /^repo config: .*Invalid duration "two days"/);
+});
+
+test('resolveBlockerRules reports an unreadable BLOCKER_RULES_PATH and falls back to the defaults', async () => {
+  process.env.BLOCKER_RULES_PATH = join(tmpdir(), 'projectpulse-no-such-rules.json');
+
+  const resolved = await resolveBlockerRules({ fullName: 'acme/app' });
+
+  assert.equal(resolved.rules, DEFAULT_BLOCKER_RULES);
+  assert.deepEqual(resolved.sources, ['default']);
+  assert.match(resolved.errors[0], /^Could not read BLOCKER_RULES_PATH/);
+  delete process.env.BLOCKER_RULES_PATH;
+});
+
+test('resolveBlockerRules adds a rule under a new type', async () => {
+  delete process.env.BLOCKER_RULES_PATH;
+
+  const resolved = await resolveBlockerRules({
+    fullName: 'acme/app',
+    repoConfig: {
+      blockerRules: {
+        rules: {
+          LINGERING_DRAFT: {
+            input: 'pullRequests',
+            when: { isDraft: true, 'age.updated': { gte: '$after' } },
+            params: { after: '3d' },
+            severity: [{ level: 'low' }],
+            owner: { role: 'author', logins: 'author' },
+            title: 'Draft PR #{number} untouched for {age.updated|duration}',
+            description: '"{title}" by {author} is still a draft.',
+            suggestedAction: 'Mark PR #{number} ready for review or close it.'
+          }
+        }
+      }
+    }
+  });
+
+  const [blocker] = detectBlockers([], [pullRequest({ isDraft: true, updatedAt: daysAgo(4) })], [], resolved);
+  assert.equal(blocker.type, 'LINGERING_DRAFT');
+  assert.equal(blocker.title, 'Draft PR #1 untouched for 4 days');
+});
+
+test('a repo config with hour-level thresholds overrides the defaults', async () => {
+  delete process.env.BLOCKER_RULES_PATH;
+  const repoConfig = {
+    blockerRules: {
+      staleBranch: { params: { inactiveAfter: '6h' } },
+      rules: {
+        AWAITING_REVIEW: { params: { after: '2h', highAfter: '8h' } },
+        STALE_PR: { params: { inactiveAfter: '12h', highAfter: '1d' } },
+        UNASSIGNED_OLD_ISSUE: { enabled: false }
+      }
+    }
+  };
+  const resolved = await resolveBlockerRules({ fullName: 'acme/hack', repoConfig });
+
+  const awaiting = hours => ({ pullRequests: [pullRequest({ waitingOn: 'review', createdAt: hoursAgo(hours) })] });
+  assert.deepEqual(detect(awaiting(3)), []);
+  assert.deepEqual(detect(awaiting(3), resolved), ['AWAITING_REVIEW:medium']);
+  assert.deepEqual(detect(awaiting(9), resolved), ['AWAITING_REVIEW:high']);
+
+  const idle = { pullRequests: [pullRequest({ updatedAt: hoursAgo(25) })], branches: [{ name: 'feature', lastCommitDate: hoursAgo(13) }] };
+  assert.deepEqual(detect(idle), []);
+  assert.deepEqual(detect(idle, resolved), ['STALE_PR:high']);
+
+  const [branch] = markStaleBranches(idle.branches, idle.pullRequests, resolved);
+  assert.equal(branch.isStale, true);
+  assert.equal(markStaleBranches(idle.branches, idle.pullRequests, DEFAULTS)[0].isStale, false);
+
+  assert.deepEqual(detect({ issues: [issue({ createdAt: daysAgo(40) })] }, resolved), []);
+});
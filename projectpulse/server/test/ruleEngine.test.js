@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, formatDuration, matches, renderTemplate, runRules, validateRule } from '../utils/ruleEngine.js';
+
+test('parseDuration reads minutes, hours, days and weeks as hours', () => {
+  assert.equal(parseDuration('30m'), 0.5);
+  assert.equal(parseDuration('48h'), 48);
+  assert.equal(parseDuration('2d'), 48);
+  assert.equal(parseDuration('1.5D'), 36);
+  assert.equal(parseDuration('1w'), 168);
+  assert.equal(parseDuration(' 6h '), 6);
+  assert.equal(parseDuration(12), 12);
+});
+
+test('parseDuration rejects anything without a unit', () => {
+  assert.throws(() => parseDuration('2'), /Invalid duration "2"/);
+  assert.throws(() => parseDuration('2 days'), /Invalid duration/);
+  assert.throws(() => parseDuration(NaN), /Invalid duration/);
+});
+
+test('formatDuration uses the largest whole unit', () => {
+  assert.equal(formatDuration(72), '3 days');
+  assert.equal(formatDuration(24), '1 day');
+  assert.equal(formatDuration(5.9), '5 hours');
+  assert.equal(formatDuration(1), '1 hour');
+  assert.equal(formatDuration(0.34), '20 minutes');
+});
+
+test('matches compares fact paths by equality and operators', () => {
+  const facts = { isDraft: false, reviewers: ['bob'], labels: ['Bug'], age: { created: 50, ciFailing: null } };
+
+  assert.equal(matches(undefined, facts), true);
+  assert.equal(matches({ isDraft: false }, facts), true);
+  assert.equal(matches({ isDraft: true }, facts), false);
+  assert.equal(matches({ 'age.created': { gte: '2d' } }, facts), true);
+  assert.equal(matches({ 'age.created': { gt: '50h' } }, facts), false);
+  assert.equal(matches({ 'age.created': { lt: 51, lte: '50h' } }, facts), true);
+  assert.equal(matches({ reviewers: { empty: false } }, facts), true);
+  assert.equal(matches({ labels: { hasAny: ['bug', 'chore'] } }, facts), true);
+  assert.equal(matches({ 'age.created': { in: [49, 50] } }, facts), true);
+  assert.equal(matches({ 'missing.path': { exists: false } }, facts), true);
+});
+
+test('matches never passes an ordering test on an unknown age', () => {
+  const facts = { age: { ciFailing: null } };
+  assert.equal(matches({ 'age.ciFailing': { gte: '0h' } }, facts), false);
+  assert.equal(matches({ 'age.ciFailing': { lt: '1w' } }, facts), false);
+});
+
+test('matches combines conditions with all, any and not', () => {
+  const facts = { approved: false, age: { updated: 80 } };
+
+  assert.equal(matches({ any: [{ approved: true }, { 'age.updated': { gte: '3d' } }] }, facts), true);
+  assert.equal(matches({ all: [{ approved: true }, { 'age.updated': { gte: '3d' } }] }, facts), false);
+  assert.equal(matches({ not: { approved: true } }, facts), true);
+});
+
+test('matches resolves $name references from params', () => {
+  const facts = { age: { created: 10 } };
+
+  assert.equal(matches({ 'age.created': { gte: '$after' } }, facts, { after: '8h' }), true);
+  assert.equal(matches({ 'age.created': { gte: '$after' } }, facts, { after: '12h' }), false);
+  assert.throws(() => matches({ 'age.created': { gte: '$after' } }, facts, {}), /Unknown param "\$after"/);
+});
+
+test('renderTemplate fills placeholders and applies filters', () => {
+  const facts = { number: 7, author: 'alice', reviewers: ['bob', 'carol'], branch: null, age: { created: 49 } };
+
+  assert.equal(renderTemplate('PR #{number} by {author}', facts), 'PR #7 by alice');
+  assert.equal(renderTemplate('waiting {age.created|duration}', facts), 'waiting 2 days');
+  assert.equal(renderTemplate('Ask {reviewers|list}', facts), 'Ask bob, carol');
+  assert.equal(renderTemplate('on {branch|default:the PR branch}', facts), 'on the PR branch');
+  assert.equal(renderTemplate('on {author|default:someone}', facts), 'on alice');
+  assert.equal(renderTemplate('[{missing}]', facts), '[]');
+});
+
+test('runRules renders matches with severity, owner and stale days', () => {
+  const rule = {
+    type: 'SLOW',
+    input: 'items',
+    params: { after: '1d', highAfter: '3d' },
+    when: { 'age.open': { gte: '$after' } },
+    severity: [{ when: { 'age.open': { gte: '$highAfter' } }, level: 'high' }, { level: 'medium' }],
+    staleFrom: 'age.open',
+    owner: [
+      { when: { reviewers: { empty: false } }, role: 'reviewer', logins: 'reviewers' },
+      { role: 'author', logins: 'author' }
+    ],
+    title: '#{id} open {age.open|duration}',
+    description: [{ when: { reviewers: { empty: false } }, text: 'Waiting on {reviewers|list}' }, { text: 'Nobody asked' }],
+    suggestedAction: 'Nudge {author}'
+  };
+  const inputs = {
+    items: {
+      items: [
+        { id: 1, author: 'alice', reviewers: [], age: { open: 12 } },
+        { id: 2, author: 'alice', reviewers: ['bob'], age: { open: 30 } },
+        { id: 3, author: 'dave', reviewers: [], age: { open: 100 } }
+      ],
+      key: facts => facts.id,
+      related: facts => ({ relatedId: facts.id })
+    }
+  };
+
+  const results = runRules([rule], inputs);
+
+  assert.deepEqual(results.map(result => [result.relatedId, result.severity, result.staleDays]), [[2, 'medium', 1], [3, 'high', 4]]);
+  assert.equal(results[0].title, '#2 open 1 day');
+  assert.equal(results[0].description, 'Waiting on bob');
+  assert.deepEqual(results[0].owner, { role: 'reviewer', logins: ['bob'] });
+  assert.equal(results[1].description, 'Nobody asked');
+  assert.deepEqual(results[1].owner, { role: 'author', logins: ['dave'] });
+  assert.equal(results[1].suggestedAction, 'Nudge dave');
+});
+
+test('runRules skips disabled rules and items an exclusive rule finds already flagged', () => {
+  const base = { input: 'items', severity: [{ level: 'low' }], title: '{id}', description: '', suggestedAction: '' };
+  const inputs = {
+    items: {
+      items: [{ id: 1, hot: true }, { id: 2, hot: false }],
+      key: facts => facts.id,
+      related: facts => ({ id: facts.id })
+    }
+  };
+
+  const results = runRules([
+    { ...base, type: 'HOT', when: { hot: true } },
+    { ...base, type: 'OFF', enabled: false },
+    { ...base, type: 'ANY', exclusive: true }
+  ], inputs);
+
+  assert.deepEqual(results.map(result => `${result.type}:${result.id}`), ['HOT:1', 'ANY:2']);
+});
+
+test('validateRule reports what is wrong with a definition', () => {
+  const rule = {
+    type: 'X',
+    input: 'pullRequests',
+    severity: [{ level: 'low' }],
+    title: 't',
+    description: 'd',
+    suggestedAction: 's'
+  };
+
+  assert.doesNotThrow(() => validateRule(rule, ['pullRequests']));
+  assert.throws(() => validateRule({ ...rule, input: 'commits' }, ['pullRequests']), /"input" must be one of pullRequests/);
+  assert.throws(() => validateRule({ ...rule, severity: [{ level: 'urgent' }] }, ['pullRequests']), /severity\[0\]\.level/);
+  assert.throws(() => validateRule({ ...rule, when: { age: { soon: 1 } } }, ['pullRequests']), /unknown operator "soon"/);
+  assert.throws(() => validateRule({ ...rule, when: { 'age.created': { gte: '2 days' } } }, ['pullRequests']), /Invalid duration/);
+  assert.throws(() => validateRule({ ...rule, when: { 'age.created': { gte: '$after' } } }, ['pullRequests']), /Unknown param/);
+});
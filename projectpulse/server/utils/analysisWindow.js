@@ -0,0 +1,148 @@
+/**
+ * Analysis Window
+ * Parses and describes the time range a pulse covers (default: the last 7 days)
+ */
+
+import { resolveTimeZone, getDayKey, addDays, getZonedDayStart } from './timeZone.js';
+
+export const DEFAULT_WINDOW_DAYS = 7;
+export const MAX_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalidWindow(detail) {
+  return new Error(`Invalid analysis window. ${detail}`);
+}
+
+function parseDays(value) {
+  const days = /^\d+d?$/i.test(String(value)) ? parseInt(value, 10) : NaN;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_WINDOW_DAYS) {
+    throw invalidWindow(`Use a whole number of days between 1 and ${MAX_WINDOW_DAYS}.`);
+  }
+  return days;
+}
+
+/**
+ * Parse a date bound; date-only values cover the whole day in the window's time zone
+ */
+function parseBound(value, name, endOfDay, timeZone) {
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    return endOfDay
+      ? new Date(getZonedDayStart(addDays(value, 1), timeZone).getTime() - 1)
+      : getZonedDayStart(value, timeZone);
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw invalidWindow(`"${name}" must be an ISO date such as 2024-01-15.`);
+  }
+  return date;
+}
+
+/**
+ * Normalize a window request into { days, since, until, relative, timeZone }
+ * Accepts nothing (last 7 days), a day count (14, "30d"), { days }, or { since, until? }
+ * @param {number|string|object} [input]
+ * @param {string} [timeZone] - IANA zone that days are bucketed in; defaults to UTC
+ * @returns {{ days: number, since: string, until: string, relative: boolean, timeZone: string }}
+ */
+export function parseAnalysisWindow(input, timeZone) {
+  const now = new Date();
+  timeZone = resolveTimeZone(timeZone);
+
+  if (input === undefined || input === null || input === '') {
+    input = DEFAULT_WINDOW_DAYS;
+  }
+
+  if (typeof input === 'number' || typeof input === 'string') {
+    input = { days: input };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw invalidWindow('Pass a number of days or { since, until }.');
+  }
+
+  if (input.since === undefined && input.until === undefined) {
+    const days = parseDays(input.days ?? DEFAULT_WINDOW_DAYS);
+    return {
+      days,
+      since: new Date(now.getTime() - days * DAY_MS).toISOString(),
+      until: now.toISOString(),
+      relative: true,
+      timeZone
+    };
+  }
+
+  if (input.since === undefined) {
+    throw invalidWindow('"since" is required when "until" is given.');
+  }
+
+  const since = parseBound(input.since, 'since', false, timeZone);
+  const until = input.until === undefined ? now : parseBound(input.until, 'until', true, timeZone);
+
+  if (since >= until) {
+    throw invalidWindow('"since" must be before "until".');
+  }
+
+  const days = Math.ceil((until - since) / DAY_MS);
+  if (days > MAX_WINDOW_DAYS) {
+    throw invalidWindow(`Ranges are limited to ${MAX_WINDOW_DAYS} days.`);
+  }
+
+  return {
+    days,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    relative: false,
+    timeZone
+  };
+}
+
+/**
+ * Stable cache-key fragment: relative windows by length, fixed ranges by their bounds
+ * @param {object} window - Parsed window
+ * @returns {string} e.g. "14d@Asia/Kolkata" or "2024-01-01T00:00:00.000Z..2024-01-14T23:59:59.999Z@UTC"
+ */
+export function getWindowKey(window) {
+  const range = window.relative ? `${window.days}d` : `${window.since}..${window.until}`;
+  return `${range}@${window.timeZone}`;
+}
+
+/**
+ * Calendar day keys (YYYY-MM-DD) covered by a window in its time zone, oldest first
+ * @param {object} window - Parsed window
+ * @returns {string[]}
+ */
+export function getWindowDays(window) {
+  const last = getDayKey(window.until, window.timeZone);
+
+  // Relative windows show exactly N days ending today, like the original 7-day grid
+  let day = window.relative
+    ? addDays(last, 1 - window.days)
+    : getDayKey(window.since, window.timeZone);
+
+  const days = [];
+  while (day <= last) {
+    days.push(day);
+    day = addDays(day, 1);
+  }
+  return days;
+}
+
+/**
+ * Whether a timestamp falls inside a window
+ */
+export function isInWindow(window, date) {
+  const time = new Date(date).getTime();
+  return time >= new Date(window.since).getTime() && time <= new Date(window.until).getTime();
+}
+
+/**
+ * Human label for prompts and logs, e.g. "last 14 days" or "2024-01-01 to 2024-01-14"
+ */
+export function describeWindow(window) {
+  if (window.relative) return `last ${window.days} days`;
+  return `${getDayKey(window.since, window.timeZone)} to ${getDayKey(window.until, window.timeZone)}`;
+}
+
+export default { parseAnalysisWindow, getWindowKey, getWindowDays, isInWindow, describeWindow };
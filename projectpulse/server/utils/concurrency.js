@@ -0,0 +1,30 @@
+/**
+ * Concurrency
+ * Run async work over a list with a cap on how many calls are in flight
+ */
+
+/**
+ * Map items through an async function, at most `limit` at a time
+ * Results keep the order of the input, like Promise.all
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {function(*, number): Promise<*>} fn - Called with (item, index)
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+export default { mapWithConcurrency };
@@ -0,0 +1,227 @@
+/**
+ * Default Blocker Rules
+ * The built-in blocker and stale-branch definitions, evaluated by the rule engine.
+ * Repos override them by type (thresholds live in params) through blockerRules config.
+ */
+
+/**
+ * When a branch counts as stale, over branch facts
+ */
+export const DEFAULT_STALE_BRANCH = {
+  params: { inactiveAfter: '2d' },
+  when: { hasOpenPR: true, 'age.lastCommit': { gte: '$inactiveAfter' } }
+};
+
+/**
+ * Blocker rules in evaluation order; the specific PR rules come first so the
+ * exclusive catch-all rules (STALE_PR, LONG_RUNNING_PR) skip PRs they already explain
+ */
+export const DEFAULT_BLOCKER_RULES = [
+  {
+    type: 'AWAITING_REVIEW',
+    input: 'pullRequests',
+    params: { after: '48h', highAfter: '5d' },
+    // reviewDecision is null when the provider couldn't report reviews
+    when: {
+      isDraft: false,
+      waitingOn: 'review',
+      reviewDecision: { ne: null },
+      reviewCount: 0,
+      'age.created': { gte: '$after' }
+    },
+    severity: [
+      { when: { 'age.created': { gte: '$highAfter' } }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.created',
+    owner: [
+      { when: { reviewers: { empty: false } }, role: 'reviewer', logins: 'reviewers' },
+      { role: 'author', logins: 'author' }
+    ],
+    title: 'PR #{number} waiting {age.created|duration} for a first review',
+    description: [
+      { when: { reviewers: { empty: false } }, text: '"{title}" by {author} has review requests out to {reviewers|list} but no reviews yet.' },
+      { text: '"{title}" by {author} has no reviews and no reviewer requested.' }
+    ],
+    suggestedAction: [
+      { when: { reviewers: { empty: false } }, text: 'Ask {reviewers|list} to review PR #{number}.' },
+      { text: '{author} should request a reviewer for PR #{number}.' }
+    ]
+  },
+  {
+    type: 'FAILING_CI',
+    input: 'pullRequests',
+    params: { after: '24h', highAfter: '72h' },
+    when: { isDraft: false, ciStatus: 'failure', 'age.ciFailing': { gte: '$after' } },
+    severity: [
+      { when: { 'age.ciFailing': { gte: '$highAfter' } }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.ciFailing',
+    owner: { role: 'author', logins: 'author' },
+    title: 'PR #{number} has had failing checks for {age.ciFailing|duration}',
+    description: 'CI on the head of {branch|default:the PR branch} is red and nothing has been pushed since. PR was opened by {author}.',
+    suggestedAction: '{author} should fix the failing checks on PR #{number}, or re-run them if they are flaky.'
+  },
+  {
+    type: 'MERGE_CONFLICT',
+    input: 'pullRequests',
+    params: { highAfter: '3d' },
+    when: { isDraft: false, hasConflicts: true },
+    // An approved PR is only held up by the conflict
+    severity: [
+      { when: { any: [{ approved: true }, { 'age.updated': { gte: '$highAfter' } }] }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.updated',
+    owner: { role: 'author', logins: 'author' },
+    title: 'PR #{number} has merge conflicts with {baseBranch|default:its base branch}',
+    description: [
+      { when: { approved: true }, text: '"{title}" by {author} can\'t be merged until {branch|default:its branch} is updated, even though it is approved.' },
+      { text: '"{title}" by {author} can\'t be merged until {branch|default:its branch} is updated.' }
+    ],
+    suggestedAction: '{author} should rebase {branch|default:the PR branch} onto {baseBranch|default:the base branch} and resolve the conflicts.'
+  },
+  {
+    type: 'CHANGES_REQUESTED_LIMBO',
+    input: 'pullRequests',
+    params: { after: '48h', highAfter: '7d' },
+    when: {
+      isDraft: false,
+      reviewDecision: 'changes_requested',
+      pushedSinceChangesRequested: false,
+      'age.changesRequested': { gte: '$after' }
+    },
+    severity: [
+      { when: { 'age.changesRequested': { gte: '$highAfter' } }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.changesRequested',
+    owner: { role: 'author', logins: 'author' },
+    title: 'PR #{number} has had requested changes unaddressed for {age.changesRequested|duration}',
+    description: '{changesRequestedBy|default:A reviewer} requested changes on "{title}" and {author} hasn\'t pushed since.',
+    suggestedAction: '{author} should address the review on PR #{number}, or close it if the work is abandoned.'
+  },
+  {
+    type: 'STALE_PR',
+    input: 'pullRequests',
+    params: { inactiveAfter: '2d', highAfter: '7d' },
+    // A more specific blocker already explains why the branch went quiet
+    exclusive: true,
+    when: { isDraft: false, hasBranch: true, 'age.branchIdle': { gte: '$inactiveAfter' } },
+    severity: [
+      { when: { 'age.updated': { gte: '$highAfter' } }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.branchIdle',
+    owner: { role: 'author', logins: 'author' },
+    title: 'PR #{number} "{title}" — branch inactive {age.branchIdle|duration}',
+    description: 'Branch {branch} last had a commit {age.branchIdle|duration} ago. PR was opened by {author}.',
+    suggestedAction: 'Review or merge PR #{number}, or close if work is abandoned.'
+  },
+  {
+    type: 'LONG_RUNNING_PR',
+    input: 'pullRequests',
+    params: { openFor: '7d', quietFor: '3d', highAfter: '14d' },
+    exclusive: true,
+    when: { 'age.created': { gte: '$openFor' }, 'age.updated': { gte: '$quietFor' } },
+    severity: [
+      { when: { 'age.created': { gte: '$highAfter' } }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.updated',
+    owner: { role: 'author', logins: 'author' },
+    title: 'PR #{number} open for {age.created|duration} with no recent activity',
+    description: '"{title}" by {author} was last updated {age.updated|duration} ago.',
+    suggestedAction: 'Follow up with {author} on PR #{number}.'
+  },
+  {
+    type: 'UNASSIGNED_OLD_ISSUE',
+    input: 'issues',
+    params: { after: '14d', highAfter: '30d' },
+    when: { assigneeCount: 0, 'age.created': { gte: '$after' } },
+    severity: [
+      { when: { 'age.created': { gte: '$highAfter' } }, level: 'high' },
+      { level: 'low' }
+    ],
+    staleFrom: 'age.created',
+    title: 'Issue #{number} unassigned for {age.created|duration}',
+    description: '"{title}" has been open with no assignee.',
+    suggestedAction: 'Assign issue #{number} or triage into the backlog.'
+  },
+  {
+    type: 'STALLED_IN_PROGRESS_ISSUE',
+    input: 'issues',
+    params: {
+      inProgressLabels: ['in progress', 'in-progress', 'status: in progress', 'doing', 'wip'],
+      inactiveAfter: '3d',
+      highAfter: '7d'
+    },
+    // Labeled as being worked on, but no linked branch, PR or commit has moved lately
+    when: {
+      labelNames: { hasAny: '$inProgressLabels' },
+      'work.status': { ne: 'merged' },
+      'age.workIdle': { gte: '$inactiveAfter' }
+    },
+    severity: [
+      { when: { 'age.workIdle': { gte: '$highAfter' } }, level: 'medium' },
+      { level: 'low' }
+    ],
+    staleFrom: 'age.workIdle',
+    owner: [
+      { when: { assigneeCount: { gt: 0 } }, role: 'assignee', logins: 'assigneeLogins' },
+      { role: 'author', logins: 'author' }
+    ],
+    title: [
+      { when: { 'work.linked': false }, text: 'Issue #{number} is marked in progress but has no branch or PR' },
+      { text: 'Issue #{number} is marked in progress but its work has been idle for {age.workIdle|duration}' }
+    ],
+    description: [
+      { when: { 'work.linked': false }, text: '"{title}" has no linked branch, PR or commit, and was last updated {age.workIdle|duration} ago.' },
+      { text: 'Nothing on the branches, PRs or commits linked to "{title}" has moved for {age.workIdle|duration}.' }
+    ],
+    suggestedAction: [
+      { when: { assigneeCount: { gt: 0 } }, text: 'Check in with {assigneeLogins|list} on issue #{number}, or take it out of progress.' },
+      { text: 'Assign issue #{number} to someone picking it up, or take it out of progress.' }
+    ]
+  },
+  {
+    type: 'INACTIVE_SOLE_OWNER',
+    input: 'areas',
+    params: { inactiveAfter: '30d', largeArea: 20 },
+    // Areas only one person has committed to over the ownership period, and that person has gone quiet
+    when: { 'age.ownerInactive': { gte: '$inactiveAfter' } },
+    severity: [
+      { when: { files: { gte: '$largeArea' } }, level: 'medium' },
+      { level: 'low' }
+    ],
+    staleFrom: 'age.ownerInactive',
+    owner: { role: 'owner', logins: 'owner' },
+    title: 'Only {owner} knows {path}, and has been inactive for {age.ownerInactive|duration}',
+    description: 'All {commits} recent commits to {path} ({files} files) are by {owner}, whose last commit was {age.ownerInactive|duration} ago.',
+    suggestedAction: 'Get a handover of {path} from {owner}, or have a teammate review and document it.'
+  },
+  {
+    type: 'MILESTONE_AT_RISK',
+    input: 'milestones',
+    params: { highLateDays: 7 },
+    // Open items left and, at the recent close rate, not done by the due date (or ever)
+    when: { willMiss: true },
+    severity: [
+      { when: { any: [{ overdue: true }, { projectedCompletion: null }, { daysLate: { gte: '$highLateDays' } }] }, level: 'high' },
+      { level: 'medium' }
+    ],
+    staleFrom: 'age.overdue',
+    title: [
+      { when: { overdue: true }, text: 'Milestone "{title}" is overdue by {age.overdue|duration} with {open} items open' },
+      { text: 'Milestone "{title}" is projected to miss its due date of {dueOn}' }
+    ],
+    description: [
+      { when: { projectedCompletion: null }, text: '{open} of {total} items are still open and none have closed recently, so there is no completion date in sight.' },
+      { text: '{open} of {total} items are still open; at {closeRatePerWeek} closed a week it would finish on {projectedCompletion}.' }
+    ],
+    suggestedAction: 'Cut scope from "{title}" or move its due date.'
+  }
+];
+
+export default { DEFAULT_STALE_BRANCH, DEFAULT_BLOCKER_RULES };
@@ -0,0 +1,33 @@
+/**
+ * Deployment Status
+ * Normalizes deployment states from the different providers into one set
+ */
+
+const DEPLOYMENT_STATES = {
+  success: 'success',
+  // GitHub marks a successful deployment inactive once a later one replaces it
+  inactive: 'success',
+  failure: 'failure',
+  failed: 'failure',
+  error: 'failure',
+  pending: 'pending',
+  queued: 'pending',
+  in_progress: 'pending',
+  running: 'pending',
+  created: 'pending',
+  blocked: 'pending',
+  waiting: 'pending',
+  canceled: 'canceled',
+  cancelled: 'canceled',
+  skipped: 'canceled'
+};
+
+/**
+ * Map a provider's deployment state to success / failure / pending / canceled
+ * @returns {string|null}
+ */
+export function normalizeDeploymentStatus(state) {
+  return DEPLOYMENT_STATES[String(state || '').toLowerCase()] || null;
+}
+
+export default { normalizeDeploymentStatus };
@@ -0,0 +1,61 @@
+/**
+ * Diff Parser
+ * Turns unified diff text into the per-file shape the commit analyzer expects
+ */
+
+/**
+ * Count added and removed lines in a single file's patch
+ * @param {string} patch - Unified diff hunks for one file
+ * @returns {{ additions: number, deletions: number }}
+ */
+export function countPatchLines(patch) {
+  let additions = 0;
+  let deletions = 0;
+
+  (patch || '').split('\n').forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return;
+    if (line.startsWith('+')) additions++;
+    else if (line.startsWith('-')) deletions++;
+  });
+
+  return { additions, deletions };
+}
+
+/**
+ * Split a multi-file unified diff (as produced by `git diff` / `git show`)
+ * @param {string} diffText - Raw diff output
+ * @returns {Array<{ filename: string, status: string, additions: number, deletions: number, patch: string|null }>}
+ */
+export function parseUnifiedDiff(diffText) {
+  const files = [];
+  let current = null;
+  let hunkLines = [];
+
+  const flush = () => {
+    if (!current) return;
+    const patch = hunkLines.length > 0 ? hunkLines.join('\n') : null;
+    files.push({ ...current, ...countPatchLines(patch), patch });
+    current = null;
+    hunkLines = [];
+  };
+
+  (diffText || '').split('\n').forEach(line => {
+    const header = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+    if (header) {
+      flush();
+      current = { filename: header[2], status: 'modified' };
+      return;
+    }
+    if (!current) return;
+
+    if (line.startsWith('new file mode')) current.status = 'added';
+    else if (line.startsWith('deleted file mode')) current.status = 'removed';
+    else if (line.startsWith('rename from')) current.status = 'renamed';
+    else if (line.startsWith('@@') || hunkLines.length > 0) hunkLines.push(line);
+  });
+
+  flush();
+  return files;
+}
+
+export default { countPatchLines, parseUnifiedDiff };
@@ -0,0 +1,189 @@
+/**
+ * Contributor Identity
+ * Folds the logins, git names and emails one person commits under into a single
+ * identity, and tells bot accounts apart from people
+ */
+
+// Automation accounts that don't end in "[bot]" or "-bot" everywhere they show up
+const KNOWN_BOTS = new Set([
+  'dependabot',
+  'dependabot-preview',
+  'renovate',
+  'renovate-bot',
+  'github-actions',
+  'greenkeeper',
+  'snyk-bot',
+  'mergify',
+  'imgbot',
+  'allcontributors',
+  'pre-commit-ci',
+  'codecov',
+  'semantic-release-bot',
+  'gitlab-bot',
+  'gitea-actions'
+]);
+
+const BOT_SUFFIX = /(?:\[bot\]|-bot|\sbot)$/i;
+
+// "12345+alice@users.noreply.github.com" and "alice@users.noreply.github.com"
+const GITHUB_NOREPLY = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+function normalize(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * A name with spaces, dots, dashes and underscores dropped, so "Alice Smith" meets "alicesmith"
+ */
+function compact(value) {
+  return normalize(value).replace(/[\s._-]+/g, '');
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Validate the identities key of a repo's .projectpulse.json
+ * Parts that don't validate are dropped with a message in errors
+ * @param {object|null} config - { aliases: { canonical: [login|name|email, ...] }, bots: [...], humans: [...] }
+ * @returns {{ aliases: Map<string, string>, bots: Set<string>, humans: Set<string>, errors: string[] }}
+ */
+export function parseIdentityConfig(config) {
+  const aliases = new Map();
+  const bots = new Set();
+  const humans = new Set();
+  const errors = [];
+
+  if (config === null || config === undefined) return { aliases, bots, humans, errors };
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    errors.push('identities: expected an object');
+    return { aliases, bots, humans, errors };
+  }
+
+  if (config.aliases !== undefined) {
+    if (!config.aliases || typeof config.aliases !== 'object' || Array.isArray(config.aliases)) {
+      errors.push('identities.aliases: expected an object of canonical name to a list of aliases');
+    } else {
+      Object.entries(config.aliases).forEach(([canonical, list]) => {
+        if (!isStringList(list)) {
+          errors.push(`identities.aliases.${canonical}: expected a list of logins, names or emails`);
+          return;
+        }
+        [canonical, ...list].forEach(alias => aliases.set(normalize(alias), canonical));
+      });
+    }
+  }
+
+  [['bots', bots], ['humans', humans]].forEach(([key, set]) => {
+    if (config[key] === undefined) return;
+    if (!isStringList(config[key])) {
+      errors.push(`identities.${key}: expected a list of logins, names or emails`);
+      return;
+    }
+    config[key].forEach(value => set.add(normalize(value)));
+  });
+
+  return { aliases, bots, humans, errors };
+}
+
+/**
+ * Whether an account is automation rather than a person
+ * A name listed under humans wins over every other signal
+ * @param {{ login?: string, name?: string, email?: string }} identity
+ * @param {{ bots?: Set<string>, humans?: Set<string> }} [lists] - From parseIdentityConfig
+ * @returns {boolean}
+ */
+export function isBotIdentity({ login, name, email } = {}, { bots = new Set(), humans = new Set() } = {}) {
+  const values = [login, name, email].map(normalize).filter(Boolean);
+  if (values.some(value => humans.has(value))) return false;
+  if (values.some(value => bots.has(value))) return true;
+
+  const noreply = normalize(email).match(GITHUB_NOREPLY);
+  const names = [login, name, noreply?.[1]].map(normalize).filter(Boolean);
+  return names.some(value => BOT_SUFFIX.test(value) || KNOWN_BOTS.has(value.replace(/\[bot\]$/, '')));
+}
+
+/**
+ * Build a resolver for one pulse that maps any login, git name or email to its canonical identity
+ * Canonical identities are, in order: a configured alias, the account login (given, from a
+ * GitHub noreply email, or learned from other commits with the same email or name), a known
+ * login matching the email's local part or the compacted name, and for commits with no login
+ * the name most used with that email
+ * @param {object} data
+ * @param {object[]} [data.commits] - Commits with authorLogin, authorName and authorEmail
+ * @param {object[]} [data.contributors] - Provider contributors, whose logins count as known
+ * @param {object|null} [data.config] - The identities key of the repo's .projectpulse.json
+ * @returns {{ resolve: Function, isBot: Function, errors: string[] }}
+ */
+export function createIdentityResolver({ commits = [], contributors = [], config = null } = {}) {
+  const { aliases, bots, humans, errors } = parseIdentityConfig(config);
+
+  const knownLogins = new Map();
+  const loginByEmail = new Map();
+  const loginByName = new Map();
+  const namesByEmail = new Map();
+
+  const addLogin = login => {
+    if (login && !knownLogins.has(normalize(login))) knownLogins.set(normalize(login), login);
+  };
+
+  commits.forEach(commit => {
+    const email = normalize(commit.authorEmail);
+    const name = normalize(commit.authorName);
+    if (commit.authorLogin) {
+      addLogin(commit.authorLogin);
+      if (email && !loginByEmail.has(email)) loginByEmail.set(email, commit.authorLogin);
+      if (name && !loginByName.has(name)) loginByName.set(name, commit.authorLogin);
+    } else if (email && commit.authorName) {
+      const counts = namesByEmail.get(email) || new Map();
+      counts.set(commit.authorName, (counts.get(commit.authorName) || 0) + 1);
+      namesByEmail.set(email, counts);
+    }
+  });
+  // GitLab and the local provider list git names as logins; only real accounts count here
+  contributors.filter(contributor => !contributor.email).forEach(contributor => addLogin(contributor.login));
+
+  const byCompactLogin = new Map(Array.from(knownLogins.values(), login => [compact(login), login]));
+
+  function matchLogin({ login, name, email }) {
+    if (login) return knownLogins.get(normalize(login)) || login;
+
+    const normalizedEmail = normalize(email);
+    const noreply = normalizedEmail.match(GITHUB_NOREPLY);
+    if (noreply) return knownLogins.get(noreply[1]) || noreply[1];
+
+    return loginByEmail.get(normalizedEmail) ||
+      loginByName.get(normalize(name)) ||
+      (normalizedEmail && knownLogins.get(normalizedEmail.split('@')[0])) ||
+      (name && byCompactLogin.get(compact(name))) ||
+      null;
+  }
+
+  /**
+   * Canonical identity of an author
+   * @param {{ login?: string, name?: string, email?: string }} identity
+   * @returns {string}
+   */
+  function resolve({ login, name, email } = {}) {
+    const configured = [login, email, name].map(normalize).find(value => value && aliases.has(value));
+    if (configured) return aliases.get(configured);
+
+    let canonical = matchLogin({ login, name, email });
+    if (!canonical) {
+      const counts = namesByEmail.get(normalize(email));
+      canonical = counts
+        ? Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0]
+        : name || email || 'unknown';
+    }
+    return aliases.get(normalize(canonical)) || canonical;
+  }
+
+  return {
+    resolve,
+    isBot: identity => isBotIdentity(identity, { bots, humans }),
+    errors
+  };
+}
+
+export default { parseIdentityConfig, isBotIdentity, createIdentityResolver };
@@ -0,0 +1,33 @@
+/**
+ * Issue References
+ * Finds the issues a PR description, commit message or branch name points at
+ */
+
+// GitHub's closing keywords, which GitLab and Gitea honour too; "owner/repo#N" points elsewhere
+const CLOSING_REFERENCE = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\b:?\s+#(\d+)\b/gi;
+
+// "123-foo", "feat/123-foo", "fix/issue-123", "gh-123_bar", "issues/123"
+const BRANCH_ISSUE = /(?:^|\/)(?:issue-?|gh-)?(\d+)(?=[-_/]|$)/i;
+
+/**
+ * Issue numbers a text closes with "fixes #N", "closes #N" or "resolves #N"
+ * @param {string|null} text
+ * @returns {number[]} Distinct numbers, in order of appearance
+ */
+export function getClosingReferences(text) {
+  if (!text) return [];
+  const numbers = Array.from(text.matchAll(CLOSING_REFERENCE), match => Number(match[1]));
+  return [...new Set(numbers)];
+}
+
+/**
+ * Issue number a branch is named after, e.g. 123 for "feat/123-foo"
+ * @param {string|null} name
+ * @returns {number|null}
+ */
+export function getBranchIssueNumber(name) {
+  const match = name?.match(BRANCH_ISSUE);
+  return match ? Number(match[1]) : null;
+}
+
+export default { getClosingReferences, getBranchIssueNumber };
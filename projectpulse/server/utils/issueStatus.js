@@ -0,0 +1,54 @@
+/**
+ * Issue Status
+ * Normalizes issue comment history from the different providers into one shape
+ */
+
+// GitHub author associations that mean write access to the repo
+const MAINTAINER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+// GitLab's Developer access level; Maintainers and Owners are above it
+const GITLAB_DEVELOPER_ACCESS = 30;
+
+/**
+ * Whether a GitHub author association is a maintainer's
+ * @returns {boolean|null} null when the association is unknown
+ */
+export function isMaintainerAssociation(association) {
+  if (!association) return null;
+  return MAINTAINER_ASSOCIATIONS.includes(String(association).toUpperCase());
+}
+
+/**
+ * Logins of the GitLab project members who can push
+ * @param {Array<{ username: string, access_level: number }>} members
+ * @returns {Set<string>}
+ */
+export function getGitlabMaintainers(members) {
+  return new Set(members.filter(member => member.access_level >= GITLAB_DEVELOPER_ACCESS).map(member => member.username));
+}
+
+/**
+ * When an issue first got a maintainer's reply, and who commented last
+ * A comment is a maintainer's when the provider says so; when it can't tell
+ * (isMaintainer null), any comment by someone other than the issue's author counts
+ * @param {Array<{ author: string, createdAt: string, isMaintainer: boolean|null }>} comments
+ * @param {object} options
+ * @param {string} options.author - Issue author login
+ * @returns {{ firstResponseAt: string|null, lastComment: { author: string, createdAt: string, fromMaintainer: boolean }|null }}
+ */
+export function getIssueTimeline(comments, { author }) {
+  const sorted = comments
+    .filter(comment => comment.author && comment.createdAt)
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  const fromMaintainer = comment => comment.isMaintainer ?? comment.author !== author;
+
+  const firstResponse = sorted.find(comment => comment.author !== author && fromMaintainer(comment));
+  const last = sorted[sorted.length - 1];
+
+  return {
+    firstResponseAt: firstResponse?.createdAt || null,
+    lastComment: last ? { author: last.author, createdAt: last.createdAt, fromMaintainer: fromMaintainer(last) } : null
+  };
+}
+
+export default { isMaintainerAssociation, getGitlabMaintainers, getIssueTimeline };
@@ -0,0 +1,73 @@
+/**
+ * JSON Store
+ * A small JSON file under DATA_DIR for state that must outlive a restart
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DATA_DIR = fileURLToPath(new URL('../data', import.meta.url));
+
+/**
+ * Directory the server persists data in (DATA_DIR, default server/data)
+ */
+export function getDataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Create a store backed by one JSON file
+ * Reads are served from memory after the first load; updates are serialized and
+ * written to a temp file then renamed, so a crash never leaves half a file
+ * @param {string} fileName - e.g. "acknowledgements.json"
+ * @param {function(): object} [initial] - Contents when the file doesn't exist yet
+ * @returns {{ read: function(): Promise<object>, update: function(function(object): *): Promise<*> }}
+ */
+export function createJsonStore(fileName, initial = () => ({})) {
+  let data = null;
+  let queue = Promise.resolve();
+
+  const getFilePath = () => path.join(getDataDir(), fileName);
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(getFilePath(), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${getFilePath()}: ${error.message}`);
+      }
+      data = initial();
+    }
+    return data;
+  }
+
+  async function save() {
+    const filePath = getFilePath();
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+    await rename(`${filePath}.tmp`, filePath);
+  }
+
+  return {
+    read: load,
+
+    /**
+     * Change the data and persist it
+     * @param {function(object): *} change - Mutates the data in place; its return value is passed through
+     */
+    update(change) {
+      const run = queue.then(async () => {
+        const result = await change(await load());
+        await save();
+        return result;
+      });
+      // Keep the queue going after a failed write
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+export default { getDataDir, createJsonStore };
@@ -0,0 +1,27 @@
+/**
+ * Project Config
+ * The optional .projectpulse.json a repo can keep in its root to tune ProjectPulse
+ */
+
+export const PROJECT_CONFIG_FILE = '.projectpulse.json';
+
+/**
+ * Parse the config file's text
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} When the file isn't a JSON object
+ */
+export function parseProjectConfig(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${PROJECT_CONFIG_FILE}: expected a JSON object`);
+  }
+  return config;
+}
+
+export default { PROJECT_CONFIG_FILE, parseProjectConfig };
@@ -0,0 +1,160 @@
+/**
+ * Pull Request Status
+ * Normalizes review and CI results from the different providers into one shape
+ */
+
+const REVIEW_STATES = {
+  approved: 'approved',
+  approve: 'approved',
+  changes_requested: 'changes_requested',
+  request_changes: 'changes_requested',
+  requested_changes: 'changes_requested',
+  commented: 'commented',
+  comment: 'commented',
+  reviewed: 'commented',
+  dismissed: 'dismissed'
+};
+
+const CI_STATES = {
+  success: 'success',
+  passed: 'success',
+  neutral: 'success',
+  skipped: 'success',
+  failure: 'failure',
+  failed: 'failure',
+  error: 'failure',
+  timed_out: 'failure',
+  cancelled: 'failure',
+  canceled: 'failure',
+  action_required: 'failure',
+  startup_failure: 'failure',
+  pending: 'pending',
+  expected: 'pending',
+  queued: 'pending',
+  in_progress: 'pending',
+  running: 'pending',
+  created: 'pending',
+  waiting: 'pending',
+  preparing: 'pending',
+  scheduled: 'pending',
+  waiting_for_resource: 'pending',
+  manual: 'pending'
+};
+
+/**
+ * Map a provider's review state to approved / changes_requested / commented / dismissed
+ * @returns {string|null} null for states that aren't a submitted review (pending drafts)
+ */
+export function normalizeReviewState(state) {
+  return REVIEW_STATES[String(state || '').toLowerCase()] || null;
+}
+
+/**
+ * Map a provider's check, status or pipeline state to success / failure / pending
+ * @returns {string|null}
+ */
+export function normalizeCiStatus(state) {
+  return CI_STATES[String(state || '').toLowerCase()] || null;
+}
+
+/**
+ * Each reviewer's standing review, oldest first
+ * Like GitHub, a later comment doesn't replace an approval or change request,
+ * and a dismissed review clears the reviewer's standing
+ * @param {Array<{ reviewer: string, state: string, submittedAt: string|null }>} reviews
+ * @returns {Array<{ reviewer: string, state: string, submittedAt: string|null }>}
+ */
+export function getLatestReviews(reviews) {
+  const latest = new Map();
+
+  [...reviews]
+    .map(review => ({ ...review, state: normalizeReviewState(review.state) }))
+    .filter(review => review.state && review.reviewer)
+    .sort((a, b) => (Date.parse(a.submittedAt) || 0) - (Date.parse(b.submittedAt) || 0))
+    .forEach(review => {
+      const current = latest.get(review.reviewer);
+      if (review.state === 'dismissed') {
+        latest.delete(review.reviewer);
+      } else if (review.state !== 'commented' || !current || current.state === 'commented') {
+        latest.set(review.reviewer, review);
+      }
+    });
+
+  return [...latest.values()];
+}
+
+/**
+ * Overall review decision from each reviewer's standing review
+ * @returns {'changes_requested'|'approved'|'review_required'}
+ */
+export function getReviewDecision(latestReviews) {
+  if (latestReviews.some(review => review.state === 'changes_requested')) return 'changes_requested';
+  if (latestReviews.some(review => review.state === 'approved')) return 'approved';
+  return 'review_required';
+}
+
+/**
+ * Combine the checks and statuses reported for a head commit
+ * Any failure fails the commit; otherwise anything still running keeps it pending
+ * @param {Array<{ state: string, updatedAt?: string }>} results
+ * @returns {{ ciStatus: string|null, ciUpdatedAt: string|null }}
+ */
+export function combineCiResults(results) {
+  const states = results.map(result => normalizeCiStatus(result.state)).filter(Boolean);
+  const times = results.map(result => result.updatedAt).filter(Boolean).sort((a, b) => Date.parse(a) - Date.parse(b));
+
+  let ciStatus = null;
+  if (states.includes('failure')) ciStatus = 'failure';
+  else if (states.includes('pending')) ciStatus = 'pending';
+  else if (states.length > 0) ciStatus = 'success';
+
+  return { ciStatus, ciUpdatedAt: times[times.length - 1] || null };
+}
+
+/**
+ * When a PR was first reviewed and last approved, for flow metrics
+ * Reviews by the PR's author don't count; the approval is the last one before the merge
+ * @param {Array<{ reviewer: string, state: string, submittedAt: string|null }>} reviews - Full review history
+ * @param {object} [options]
+ * @param {string} [options.author] - PR author login
+ * @param {string} [options.mergedAt] - Approvals after the merge are ignored
+ * @returns {{ firstReviewAt: string|null, approvedAt: string|null }}
+ */
+export function getReviewTimeline(reviews, { author, mergedAt } = {}) {
+  const submitted = reviews
+    .map(review => ({ ...review, state: normalizeReviewState(review.state) }))
+    .filter(review => review.state && review.state !== 'dismissed' && review.submittedAt && review.reviewer !== author)
+    .sort((a, b) => Date.parse(a.submittedAt) - Date.parse(b.submittedAt));
+
+  const approvals = submitted.filter(review =>
+    review.state === 'approved' && (!mergedAt || Date.parse(review.submittedAt) <= Date.parse(mergedAt))
+  );
+
+  return {
+    firstReviewAt: submitted[0]?.submittedAt || null,
+    approvedAt: approvals[approvals.length - 1]?.submittedAt || null
+  };
+}
+
+/**
+ * Who an open PR is waiting on
+ * @param {object} pr - Normalized pull request
+ * @returns {'author'|'ci'|'review'|'merge'}
+ */
+export function getWaitingOn(pr) {
+  if (pr.isDraft || pr.hasConflicts || pr.ciStatus === 'failure') return 'author';
+  if (pr.reviewDecision === 'changes_requested') return 'author';
+  if (pr.ciStatus === 'pending') return 'ci';
+  if (pr.reviewDecision === 'approved') return 'merge';
+  return 'review';
+}
+
+export default {
+  normalizeReviewState,
+  normalizeCiStatus,
+  getLatestReviews,
+  getReviewDecision,
+  combineCiResults,
+  getReviewTimeline,
+  getWaitingOn
+};
@@ -0,0 +1,273 @@
+/**
+ * Rule Engine
+ * Evaluates declarative rules: conditions over an item's facts, severity bands and message templates
+ */
+
+const DURATION = /^(\d+(?:\.\d+)?)\s*([mhdw])$/i;
+const UNIT_HOURS = { m: 1 / 60, h: 1, d: 24, w: 24 * 7 };
+
+const ORDERING = {
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected
+};
+
+const OPERATORS = ['eq', 'ne', 'in', 'hasAny', 'exists', 'empty', ...Object.keys(ORDERING)];
+
+/**
+ * Parse a duration into hours
+ * @param {number|string} value - Hours as a number, or e.g. "30m", "48h", "2d", "1w"
+ * @returns {number}
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const match = DURATION.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use a number followed by m, h, d or w, such as 48h or 2d.`);
+  }
+  return parseFloat(match[1]) * UNIT_HOURS[match[2].toLowerCase()];
+}
+
+/**
+ * Human duration from hours, in the largest whole unit: "3 days", "5 hours", "20 minutes"
+ */
+export function formatDuration(hours) {
+  const plural = (count, unit) => `${count} ${unit}${count !== 1 ? 's' : ''}`;
+  if (hours >= 24) return plural(Math.floor(hours / 24), 'day');
+  if (hours >= 1) return plural(Math.floor(hours), 'hour');
+  return plural(Math.max(Math.floor(hours * 60), 0), 'minute');
+}
+
+function getPath(facts, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), facts);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Substitute "$name" references with the rule's params
+ */
+function resolveParam(value, params) {
+  if (typeof value !== 'string' || !value.startsWith('$')) return value;
+  const name = value.slice(1);
+  if (!(name in params)) throw new Error(`Unknown param "${value}"`);
+  return params[name];
+}
+
+function compare(operator, actual, expected) {
+  switch (operator) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    // A list fact sharing a value with the expected list; text compares case-insensitively
+    case 'hasAny': {
+      const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+      const wanted = expected.map(normalize);
+      return [].concat(actual ?? []).some(value => wanted.includes(normalize(value)));
+    }
+    case 'exists': return (actual !== null && actual !== undefined) === expected;
+    case 'empty': return (actual === null || actual === undefined || actual.length === 0) === expected;
+    default:
+      // Unknown ages (null) never pass an ordering test; durations compare in hours
+      if (actual === null || actual === undefined) return false;
+      return ORDERING[operator](actual, typeof expected === 'string' ? parseDuration(expected) : expected);
+  }
+}
+
+/**
+ * Whether an item's facts satisfy a condition
+ * A condition maps fact paths ("age.created") to a value (equality) or to operators
+ * ({ gte: "2d" }); "all", "any" and "not" combine nested conditions
+ * @param {object} [condition]
+ * @param {object} facts
+ * @param {object} [params] - Values for "$name" references
+ * @returns {boolean}
+ */
+export function matches(condition, facts, params = {}) {
+  if (!condition) return true;
+
+  return Object.entries(condition).every(([key, expected]) => {
+    if (key === 'all') return expected.every(part => matches(part, facts, params));
+    if (key === 'any') return expected.some(part => matches(part, facts, params));
+    if (key === 'not') return !matches(expected, facts, params);
+
+    const actual = getPath(facts, key);
+    if (!isPlainObject(expected)) return compare('eq', actual, resolveParam(expected, params));
+
+    return Object.entries(expected).every(([operator, value]) =>
+      compare(operator, actual, resolveParam(value, params))
+    );
+  });
+}
+
+/**
+ * Fill "{path}" and "{path|filter}" placeholders from facts
+ * Filters: duration (hours as "3 days"), list (array as "a, b"), default:<text> (fallback when empty)
+ * @param {string} template
+ * @param {object} facts
+ * @returns {string}
+ */
+export function renderTemplate(template, facts) {
+  return template.replace(/\{([\w.]+)(?:\|(\w+)(?::([^}]*))?)?\}/g, (placeholder, path, filter, argument) => {
+    const value = getPath(facts, path);
+    const missing = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+    if (filter === 'default') return missing ? argument : String(value);
+    if (missing) return '';
+    if (filter === 'duration') return formatDuration(value);
+    if (filter === 'list') return [].concat(value).join(', ');
+    return String(value);
+  });
+}
+
+/**
+ * First variant whose "when" matches, for fields that vary by case; plain values pass through
+ * @param {*} spec - A value, or an array of { when?, ...value } variants
+ */
+export function selectVariant(spec, facts, params = {}) {
+  if (!Array.isArray(spec)) return spec;
+  return spec.find(variant => matches(variant.when, facts, params)) || null;
+}
+
+/**
+ * Check a condition's operators, param references and durations
+ * @param {object} condition
+ * @param {object} params - The rule's params
+ * @param {string} where - Location for error messages, e.g. "Rule STALE_PR.when"
+ * @throws {Error}
+ */
+export function validateCondition(condition, params, where) {
+  if (!isPlainObject(condition)) throw new Error(`${where} must be an object`);
+
+  Object.entries(condition).forEach(([key, expected]) => {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(expected)) throw new Error(`${where}.${key} must be an array`);
+      expected.forEach((part, index) => validateCondition(part, params, `${where}.${key}[${index}]`));
+      return;
+    }
+    if (key === 'not') {
+      validateCondition(expected, params, `${where}.not`);
+      return;
+    }
+    if (!isPlainObject(expected)) {
+      resolveParam(expected, params);
+      return;
+    }
+    Object.entries(expected).forEach(([operator, value]) => {
+      if (!OPERATORS.includes(operator)) {
+        throw new Error(`${where}.${key} uses unknown operator "${operator}"`);
+      }
+      const resolved = resolveParam(value, params);
+      if (ORDERING[operator] && typeof resolved === 'string') parseDuration(resolved);
+      if ((operator === 'in' || operator === 'hasAny') && !Array.isArray(resolved)) {
+        throw new Error(`${where}.${key}.${operator} must be an array`);
+      }
+    });
+  });
+}
+
+/**
+ * Check a rule definition, so a bad config fails with a readable message rather than mid-pulse
+ * @param {object} rule
+ * @param {string[]} inputs - Input names the caller can evaluate
+ * @throws {Error}
+ */
+export function validateRule(rule, inputs) {
+  if (!rule.type) throw new Error('Rule is missing "type"');
+  const where = `Rule ${rule.type}`;
+  const params = rule.params || {};
+
+  if (!inputs.includes(rule.input)) {
+    throw new Error(`${where}: "input" must be one of ${inputs.join(', ')}`);
+  }
+  ['title', 'description', 'suggestedAction'].forEach(field => {
+    const variants = [].concat(rule[field] ?? []);
+    if (variants.length === 0) throw new Error(`${where}: "${field}" is required`);
+    variants.forEach(variant => {
+      if (typeof variant !== 'string' && typeof variant?.text !== 'string') {
+        throw new Error(`${where}: "${field}" must be a template string or a list of { when, text }`);
+      }
+      if (variant.when) validateCondition(variant.when, params, `${where}.${field}.when`);
+    });
+  });
+  if (!Array.isArray(rule.severity) || rule.severity.length === 0) {
+    throw new Error(`${where}: "severity" must be a list of { when?, level } bands`);
+  }
+  rule.severity.forEach((band, index) => {
+    if (!['high', 'medium', 'low'].includes(band.level)) {
+      throw new Error(`${where}: severity[${index}].level must be high, medium or low`);
+    }
+    if (band.when) validateCondition(band.when, params, `${where}.severity[${index}].when`);
+  });
+  [].concat(rule.owner ?? []).forEach(owner => {
+    if (!['author', 'reviewer', 'assignee', 'owner'].includes(owner.role) || typeof owner.logins !== 'string') {
+      throw new Error(`${where}: "owner" needs a role (author, reviewer, assignee or owner) and a "logins" fact path`);
+    }
+    if (owner.when) validateCondition(owner.when, params, `${where}.owner.when`);
+  });
+  validateCondition(rule.when || {}, params, `${where}.when`);
+}
+
+function renderField(spec, facts, params) {
+  const variant = selectVariant(spec, facts, params);
+  return renderTemplate(typeof variant === 'string' ? variant : variant?.text || '', facts);
+}
+
+function renderOwner(spec, facts, params) {
+  const owner = selectVariant(spec, facts, params);
+  if (!owner) return null;
+  const logins = [].concat(getPath(facts, owner.logins) ?? []).filter(Boolean);
+  return { role: owner.role, logins };
+}
+
+/**
+ * Run rules over their inputs, in order
+ * An "exclusive" rule skips items an earlier rule already flagged
+ * @param {object[]} rules - Validated rule definitions; disabled ones (enabled: false) are skipped
+ * @param {object} inputs - Input name -> { items: facts[], key(facts), related(facts) }
+ * @returns {object[]} Matches as { type, severity, title, description, suggestedAction, owner, staleDays, ...related }
+ */
+export function runRules(rules, inputs) {
+  const results = [];
+  const flagged = new Set();
+
+  rules.filter(rule => rule.enabled !== false).forEach(rule => {
+    const input = inputs[rule.input];
+    const params = rule.params || {};
+
+    input.items.forEach(facts => {
+      const key = `${rule.input}:${input.key(facts)}`;
+      if (rule.exclusive && flagged.has(key)) return;
+      if (!matches(rule.when, facts, params)) return;
+
+      const stale = rule.staleFrom ? getPath(facts, rule.staleFrom) : null;
+      flagged.add(key);
+      results.push({
+        type: rule.type,
+        severity: selectVariant(rule.severity, facts, params)?.level || 'low',
+        title: renderField(rule.title, facts, params),
+        description: renderField(rule.description, facts, params),
+        ...input.related(facts),
+        staleDays: stale === null || stale === undefined ? 0 : Math.floor(stale / 24),
+        owner: rule.owner ? renderOwner(rule.owner, facts, params) : null,
+        suggestedAction: renderField(rule.suggestedAction, facts, params)
+      });
+    });
+  });
+
+  return results;
+}
+
+export default {
+  parseDuration,
+  formatDuration,
+  matches,
+  renderTemplate,
+  selectVariant,
+  validateCondition,
+  validateRule,
+  runRules
+};
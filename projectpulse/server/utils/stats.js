@@ -0,0 +1,38 @@
+/**
+ * Stats
+ * Small summary statistics shared by the metric services
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hours from one ISO date to another, to one decimal; null if either is missing
+ * Clock skew between hosts shouldn't show as negative time, so it floors at 0
+ */
+export function hoursBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / (HOUR_MS / 10)) / 10);
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Median, p90 and count of the non-null values
+ * @param {Array<number|null>} values
+ * @returns {{ median: number|null, p90: number|null, count: number }}
+ */
+export function summarize(values) {
+  const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) return { median: null, p90: null, count: 0 };
+
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return { median: Math.round(median * 10) / 10, p90: percentile(sorted, 90), count: sorted.length };
+}
+
+export default { hoursBetween, summarize };
@@ -0,0 +1,99 @@
+/**
+ * Time Zone
+ * Calendar-day and hour bucketing of timestamps in an IANA time zone
+ */
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters are expensive to build; one per zone is enough
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Validate an IANA zone name
+ * The name is returned as given: ICU would canonicalize some to legacy aliases (Asia/Calcutta)
+ * @param {string} [timeZone] - e.g. "Asia/Kolkata"; defaults to UTC
+ * @returns {string}
+ */
+export function resolveTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === null || timeZone === '') {
+    return DEFAULT_TIME_ZONE;
+  }
+  try {
+    if (typeof timeZone !== 'string') throw new RangeError();
+    getFormatter(timeZone);
+    return timeZone;
+  } catch (error) {
+    throw new Error(`Invalid time zone "${timeZone}". Use an IANA name such as Asia/Kolkata.`);
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @returns {{ day: string, hour: number, weekday: number }} day as YYYY-MM-DD, weekday 0 = Sunday
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in a zone
+ */
+export function getDayKey(date, timeZone) {
+  return getZonedParts(date, timeZone).day;
+}
+
+/**
+ * Calendar day a number of days after (or before) a day key
+ */
+export function addDays(dayKey, days) {
+  return new Date(Date.parse(`${dayKey}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * The instant a calendar day starts in a zone
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function getZonedDayStart(dayKey, timeZone) {
+  // Start from UTC midnight and correct by the zone's offset; a second pass settles DST edges
+  let guess = Date.parse(`${dayKey}T00:00:00Z`);
+  for (let i = 0; i < 2; i++) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(guess)).forEach(({ type, value }) => { parts[type] = value; });
+    const wallClock = Date.parse(`${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}Z`);
+    guess += Date.parse(`${dayKey}T00:00:00Z`) - wallClock;
+  }
+  return new Date(guess);
+}
+
+export default { resolveTimeZone, getZonedParts, getDayKey, addDays, getZonedDayStart };